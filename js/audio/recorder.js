@@ -1,10 +1,11 @@
 import { arrayBufferToBase64 } from '../utils/utils.js';
 import SpeechHandler from './speech-handler.js';
+import { getVadConfig } from '../config/config.js';
 
 /**
  * AudioRecorder manages the capture and processing of audio input from the user's microphone.
  * It uses the Web Audio API and AudioWorklet to process audio in real-time with minimal latency.
- * The processed audio is converted to base64-encoded Int16 format suitable for transmission.
+ * The worklet resamples to 16 kHz and converts to Int16, base64-encoded here for transmission.
  * Also handles speech recognition integration through SpeechHandler.
  */
 export class AudioRecorder extends EventTarget {
@@ -14,7 +15,7 @@ export class AudioRecorder extends EventTarget {
     constructor() {
         super();
         // Core audio configuration
-        this.sampleRate = 16000;         // Sample rate in Hz   
+        this.sampleRate = 16000;         // Output sample rate in Hz (the worklet resamples to this)
         this.stream = null;              // MediaStream from getUserMedia
         this.audioContext = null;        // AudioContext for Web Audio API
         this.source = null;              // MediaStreamAudioSourceNode
@@ -24,9 +25,10 @@ export class AudioRecorder extends EventTarget {
         this.isSuspended = false;        // Mic suspension state
         this.enableTranscription = false; // Speech recognition flag
         this.silenceTimeout = null;      // Timeout for detecting silence
-        this.lastAudioTime = 0;          // Last time audio was detected
+        this.lastAudioTime = 0;          // Last time speech was detected
         this.silenceThreshold = 3000;    // Time in ms to consider silence (3 seconds)
         this.autoEndSpeech = false;      // Whether to auto-end speech on silence
+        this.isSpeaking = false;         // Voice activity state reported by the worklet's VAD
     }
 
     /**
@@ -53,13 +55,16 @@ export class AudioRecorder extends EventTarget {
                 } 
             });
             
-            // Initialize Web Audio API context and nodes
-            this.audioContext = new AudioContext({ sampleRate: this.sampleRate });
+            // Initialize Web Audio API context and nodes. The context runs at the device's native
+            // rate: forcing 16 kHz here fails in Firefox when it differs from the stream's rate
+            this.audioContext = new AudioContext();
             this.source = this.audioContext.createMediaStreamSource(this.stream);
 
             // Load and initialize audio processing worklet
             await this.audioContext.audioWorklet.addModule('js/audio/worklets/audio-processor.js');
-            this.processor = new AudioWorkletNode(this.audioContext, 'audio-recorder-worklet');
+            this.processor = new AudioWorkletNode(this.audioContext, 'audio-recorder-worklet', {
+                processorOptions: { vad: getVadConfig(), targetSampleRate: this.sampleRate }
+            });
             
             // Start speech recognition if enabled
             if (this.enableTranscription) {
@@ -76,32 +81,44 @@ export class AudioRecorder extends EventTarget {
                 });
             }
 
-            // Handle processed audio chunks from worklet
+            // Handle processed audio chunks and voice activity from worklet
             this.processor.port.onmessage = (event) => {
                 if (!this.isRecording) return;
-                
-                if (event.data.event === 'chunk') {
-                    const audioData = event.data.data.int16arrayBuffer;
-                    
-                    // Check if the audio chunk contains non-silence
-                    const hasAudio = this.hasAudioSignal(new Int16Array(audioData));
-                    if (hasAudio) {
-                        this.lastAudioTime = Date.now();
-                        
+
+                switch (event.data.event) {
+                    case 'chunk': {
+                        // Stream everything, silence included: server-side turn detection and
+                        // transcription endpointing both need to hear the pauses
+                        const audioData = event.data.data.int16arrayBuffer;
+                        if (event.data.data.isSpeech) this.lastAudioTime = Date.now();
+
                         // Send to speech recognition if enabled
                         if (this.enableTranscription) {
                             SpeechHandler.processAudio(audioData);
                         }
-                        
+
                         // Send to callback if provided
                         if (this.onAudioData) {
                             const base64Data = arrayBufferToBase64(audioData);
                             this.onAudioData(base64Data);
                         }
-                    } else if (this.autoEndSpeech) {
-                        // If no audio signal for a while, emit silence event
-                        this.detectSilence();
+                        break;
                     }
+                    case 'speech_start':
+                        this.isSpeaking = true;
+                        this.resetSilenceDetection();
+                        this.dispatchEvent(new CustomEvent('speech_start', { detail: event.data.data }));
+                        break;
+                    case 'speech_end':
+                        if (!this.isSpeaking) break; // Already ended when the mic was suspended
+                        this.isSpeaking = false;
+                        this.lastAudioTime = Date.now();
+                        this.dispatchEvent(new CustomEvent('speech_end', { detail: event.data.data }));
+                        if (this.autoEndSpeech) this.detectSilence();
+                        break;
+                    case 'error':
+                        console.error('Audio worklet error:', event.data.error);
+                        break;
                 }
             };
 
@@ -110,36 +127,16 @@ export class AudioRecorder extends EventTarget {
             this.processor.connect(this.audioContext.destination);
             this.isRecording = true;
             this.lastAudioTime = Date.now();
+            // Let other consumers (e.g. the session recorder) tap the same microphone
+            document.dispatchEvent(new CustomEvent('micStreamChanged', { detail: { stream: this.stream, active: true } }));
         } catch (error) {
             throw new Error('Failed to start audio recording:' + error);
         }
     }
 
     /**
-     * Determines if an audio buffer contains a significant audio signal
-     * @param {Int16Array} buffer - Audio buffer to analyze
-     * @returns {boolean} - True if significant audio detected
-     */
-    hasAudioSignal(buffer) {
-        // Simple energy-based algorithm to detect if there's meaningful audio
-        const threshold = 500; // Adjust based on testing for sensitivity
-        let sum = 0;
-        
-        // Take a sample of the buffer for efficiency
-        const stride = Math.max(1, Math.floor(buffer.length / 100));
-        let count = 0;
-        
-        for (let i = 0; i < buffer.length; i += stride) {
-            sum += Math.abs(buffer[i]);
-            count++;
-        }
-        
-        const average = sum / count;
-        return average > threshold;
-    }
-
-    /**
-     * Detects silence based on time since last audio
+     * Arms the silence timer after the VAD reports the end of speech.
+     * Fires 'silence_detected' once if no new speech starts within silenceThreshold.
      */
     detectSilence() {
         if (!this.isRecording || this.isSuspended || !this.autoEndSpeech) return;
@@ -151,8 +148,9 @@ export class AudioRecorder extends EventTarget {
         
         // Set new timeout to check for silence
         this.silenceTimeout = setTimeout(() => {
+            this.silenceTimeout = null;
             const timeSinceLastAudio = Date.now() - this.lastAudioTime;
-            if (timeSinceLastAudio > this.silenceThreshold) {
+            if (!this.isSpeaking && timeSinceLastAudio >= this.silenceThreshold) {
                 // Emit a silence detected event
                 this.dispatchEvent(new CustomEvent('silence_detected'));
                 console.log('Silence detected, auto-stopping recording');
@@ -161,6 +159,17 @@ export class AudioRecorder extends EventTarget {
         }, this.silenceThreshold);
     }
 
+    /**
+     * Reports the end of an ongoing utterance when the mic stops or is suspended mid-speech,
+     * so listeners waiting for speech_end aren't left hanging.
+     * @private
+     */
+    _endSpeech() {
+        if (!this.isSpeaking) return;
+        this.isSpeaking = false;
+        this.dispatchEvent(new CustomEvent('speech_end', { detail: { durationMs: null } }));
+    }
+
     /**
      * Resets the silence detection timeout
      */
@@ -186,11 +195,13 @@ export class AudioRecorder extends EventTarget {
 
             // Stop all active media tracks
             if (this.stream) {
+                document.dispatchEvent(new CustomEvent('micStreamChanged', { detail: { stream: this.stream, active: false } }));
                 this.stream.getTracks().forEach(track => track.stop());
                 this.stream = null;
             }
 
             this.isRecording = false;
+            this._endSpeech();
             console.info('Audio recording stopped');
 
             // Stop speech recognition if enabled
@@ -216,6 +227,7 @@ export class AudioRecorder extends EventTarget {
             await this.audioContext.suspend();
             this.stream.getTracks().forEach(track => track.enabled = false);
             this.isSuspended = true;
+            this._endSpeech();
             
             // Pause speech recognition if enabled
             if (this.enableTranscription) {
@@ -0,0 +1,339 @@
+/**
+ * SessionRecorder records a whole Live session locally: the user's microphone and the model's
+ * voice mixed into one track, optionally with the camera or screen, encoded with MediaRecorder
+ * (WebM) or as a WAV file for audio only. When it stops, the recording is downloaded together
+ * with a WebVTT chapters file whose markers line up with the chat messages.
+ *
+ * Microphone streams are announced by AudioRecorder ('micStreamChanged' on document), chat
+ * messages by ChatManager ('chatTurnRecorded'), and the model's audio is attached with
+ * attachPlayback() whenever the agent sets up an AudioStreamer.
+ */
+import { downloadFile, fileNameFor } from '../chat/chat-export.js';
+
+/** Rate of WAV recordings: the model's own rate, so its voice is kept as-is at half of 48 kHz's size */
+const WAV_SAMPLE_RATE = 24000;
+
+/** Size of the video canvas; sources are letterboxed into it */
+const VIDEO_WIDTH = 1280;
+const VIDEO_HEIGHT = 720;
+
+/** Longest chat text shown in a chapter title */
+const MARKER_TEXT_LENGTH = 80;
+
+export class SessionRecorder {
+    constructor() {
+        this.name = 'SessionRecorder';
+        this.micStreams = new Set();    // Live microphone streams, recording or not
+        this.isRecording = false;
+        this.format = null;             // 'wav' | 'webm_audio' | 'webm_video'
+        this.context = null;            // AudioContext the mix is built in
+        this.mix = null;                // GainNode every audio source is summed into
+        this.micSources = new Map();    // MediaStream id -> MediaStreamAudioSourceNode
+        this.playbackSource = null;     // Model audio, from AudioStreamer.createOutputStream()
+        this.mediaRecorder = null;
+        this.chunks = [];               // Encoded blobs (WebM) or Int16 PCM buffers (WAV)
+        this.wavNode = null;            // Recorder worklet producing PCM for WAV files
+        this.canvas = null;             // Video composited from the camera/screen previews
+        this.videoTimer = null;
+        this.markers = [];              // {time, role, text}
+        this.startTime = 0;
+
+        document.addEventListener('micStreamChanged', (event) => this._onMicStream(event.detail));
+        document.addEventListener('chatTurnRecorded', (event) => this._addMarker(event.detail));
+    }
+
+    /**
+     * Starts recording.
+     * @param {Object} options
+     * @param {'wav'|'webm_audio'|'webm_video'} options.format - Output format.
+     * @param {AudioStreamer} [options.playback] - Streamer playing the model's audio, if one exists yet.
+     * @param {Array<HTMLVideoElement|null>} [options.videoSources] - Elements to film, in order of preference
+     *   (the first one showing a live video track is drawn). Only used for 'webm_video'.
+     * @param {number} [options.fps=15] - Video frame rate.
+     */
+    async start({ format, playback, videoSources = [], fps = 15 }) {
+        if (this.isRecording) return;
+        if (format !== 'wav' && typeof MediaRecorder === 'undefined') {
+            throw new Error('Recording is not supported in this browser');
+        }
+
+        this.format = format;
+        this.chunks = [];
+        this.markers = [];
+        try {
+            this.context = new AudioContext();
+            if (this.context.state === 'suspended') await this.context.resume();
+            this.mix = this.context.createGain();
+            this.micStreams.forEach(stream => this._connectMic(stream));
+            if (playback) this.attachPlayback(playback);
+
+            if (format === 'wav') {
+                await this._startWav();
+            } else {
+                this._startMediaRecorder(format === 'webm_video' ? this._startVideo(videoSources, fps) : null);
+            }
+        } catch (error) {
+            this._teardown();
+            throw error;
+        }
+
+        this.startTime = Date.now();
+        this.isRecording = true;
+        console.info(`${this.name}: Recording started (${format}).`);
+    }
+
+    /**
+     * Adds the model's audio to the mix, replacing a previously attached streamer.
+     * @param {AudioStreamer} streamer
+     */
+    attachPlayback(streamer) {
+        if (!this.context || !streamer || streamer.context.state === 'closed') return;
+        const stream = streamer.createOutputStream();
+        if (this.playbackSource?.mediaStream === stream) return;
+        this.playbackSource?.disconnect();
+        this.playbackSource = this.context.createMediaStreamSource(stream);
+        this.playbackSource.connect(this.mix);
+    }
+
+    /**
+     * Stops recording and downloads the file and its chapter markers.
+     * @returns {Promise<boolean>} True if a recording was saved.
+     */
+    async stop() {
+        if (!this.isRecording) return false;
+        this.isRecording = false;
+        const duration = (Date.now() - this.startTime) / 1000;
+
+        let blob;
+        let extension;
+        if (this.format === 'wav') {
+            blob = await this._stopWav();
+            extension = 'wav';
+        } else {
+            blob = await this._stopMediaRecorder();
+            extension = blob.type.includes('mp4') ? 'mp4' : 'webm';
+        }
+        this._teardown();
+
+        if (!blob.size) {
+            console.warn(`${this.name}: Recording is empty, nothing to save.`);
+            return false;
+        }
+        const baseName = fileNameFor(`session ${new Date(this.startTime).toTimeString().slice(0, 5)}`);
+        downloadFile(`${baseName}.${extension}`, blob, blob.type);
+        if (this.markers.length) {
+            downloadFile(`${baseName}.chapters.vtt`, this._buildChapters(duration), 'text/vtt');
+        }
+        console.info(`${this.name}: Saved ${duration.toFixed(1)}s recording with ${this.markers.length} marker(s).`);
+        return true;
+    }
+
+    /**
+     * Tracks microphone streams so they can be mixed in, including ones started mid-recording.
+     * @param {{stream: MediaStream, active: boolean}} detail
+     * @private
+     */
+    _onMicStream({ stream, active } = {}) {
+        if (!stream) return;
+        if (active) {
+            this.micStreams.add(stream);
+            if (this.isRecording) this._connectMic(stream);
+        } else {
+            this.micStreams.delete(stream);
+            this.micSources.get(stream.id)?.disconnect();
+            this.micSources.delete(stream.id);
+        }
+    }
+
+    /** @private */
+    _connectMic(stream) {
+        if (this.micSources.has(stream.id) || !stream.getAudioTracks().length) return;
+        const source = this.context.createMediaStreamSource(stream);
+        source.connect(this.mix);
+        this.micSources.set(stream.id, source);
+    }
+
+    /**
+     * Records a chat message as a marker at the time it was shown.
+     * @param {{role: string, type: string, text?: string, toolCalls?: Array, timestamp: number, startedAt?: number}} turn
+     * @private
+     */
+    _addMarker(turn) {
+        if (!this.isRecording || !turn) return;
+        let text = turn.text;
+        if (turn.type === 'tool_call') text = turn.toolCalls.map(call => call.name).join(', ');
+        else if (turn.type === 'audio') text = '(spoke)';
+        if (!text) return;
+        const time = Math.max(0, ((turn.startedAt ?? turn.timestamp) - this.startTime) / 1000);
+        this.markers.push({ time, role: turn.role, text: text.replace(/\s+/g, ' ').trim() });
+    }
+
+    /**
+     * Starts capturing the mix as 16-bit PCM with the recorder worklet.
+     * @private
+     */
+    async _startWav() {
+        await this.context.audioWorklet.addModule('js/audio/worklets/audio-processor.js');
+        this.wavNode = new AudioWorkletNode(this.context, 'audio-recorder-worklet', {
+            processorOptions: { targetSampleRate: WAV_SAMPLE_RATE }
+        });
+        this.wavNode.port.onmessage = (event) => {
+            if (event.data.event === 'chunk' && this.isRecording) {
+                this.chunks.push(event.data.data.int16arrayBuffer);
+            }
+        };
+        this.mix.connect(this.wavNode);
+        this.wavNode.connect(this.context.destination); // Keeps the worklet running; it outputs silence
+    }
+
+    /**
+     * Collects the samples still buffered in the recorder worklet, then detaches it.
+     * @returns {Promise<Blob>} The WAV file.
+     * @private
+     */
+    _stopWav() {
+        return new Promise((resolve) => {
+            const node = this.wavNode;
+            const finish = () => {
+                clearTimeout(timeout);
+                node.port.onmessage = null;
+                node.disconnect();
+                resolve(this._encodeWav());
+            };
+            // Don't hang the save if the audio thread never answers
+            const timeout = setTimeout(finish, 1000);
+            node.port.onmessage = (event) => {
+                if (event.data.event === 'chunk') this.chunks.push(event.data.data.int16arrayBuffer);
+                else if (event.data.event === 'flushed') finish();
+            };
+            node.port.postMessage({ event: 'flush' });
+        });
+    }
+
+    /**
+     * Builds a WAV file from the recorded PCM chunks.
+     * @returns {Blob}
+     * @private
+     */
+    _encodeWav() {
+        const dataSize = this.chunks.reduce((sum, chunk) => sum + chunk.byteLength, 0);
+        const header = new DataView(new ArrayBuffer(44));
+        const writeString = (offset, text) => [...text].forEach((char, i) => header.setUint8(offset + i, char.charCodeAt(0)));
+        writeString(0, 'RIFF');
+        header.setUint32(4, 36 + dataSize, true);
+        writeString(8, 'WAVE');
+        writeString(12, 'fmt ');
+        header.setUint32(16, 16, true);                     // fmt chunk size
+        header.setUint16(20, 1, true);                      // PCM
+        header.setUint16(22, 1, true);                      // Mono
+        header.setUint32(24, WAV_SAMPLE_RATE, true);
+        header.setUint32(28, WAV_SAMPLE_RATE * 2, true);    // Byte rate
+        header.setUint16(32, 2, true);                      // Block align
+        header.setUint16(34, 16, true);                     // Bits per sample
+        writeString(36, 'data');
+        header.setUint32(40, dataSize, true);
+        return new Blob([header.buffer, ...this.chunks], { type: 'audio/wav' });
+    }
+
+    /**
+     * Composites the first live video source onto a canvas at a fixed size.
+     * @returns {MediaStreamTrack} The canvas's video track.
+     * @private
+     */
+    _startVideo(videoSources, fps) {
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = VIDEO_WIDTH;
+        this.canvas.height = VIDEO_HEIGHT;
+        const ctx = this.canvas.getContext('2d');
+
+        const isLive = (video) => video?.srcObject?.getVideoTracks?.().some(track => track.readyState === 'live') && video.videoWidth > 0;
+        const draw = () => {
+            ctx.fillStyle = '#000';
+            ctx.fillRect(0, 0, VIDEO_WIDTH, VIDEO_HEIGHT);
+            const video = videoSources.find(isLive);
+            if (!video) return;
+            const scale = Math.min(VIDEO_WIDTH / video.videoWidth, VIDEO_HEIGHT / video.videoHeight);
+            const width = video.videoWidth * scale;
+            const height = video.videoHeight * scale;
+            ctx.drawImage(video, (VIDEO_WIDTH - width) / 2, (VIDEO_HEIGHT - height) / 2, width, height);
+        };
+        draw();
+        // A timer rather than requestAnimationFrame, which stops while the tab is hidden
+        this.videoTimer = setInterval(draw, 1000 / fps);
+        return this.canvas.captureStream(fps).getVideoTracks()[0];
+    }
+
+    /**
+     * Starts MediaRecorder on the mixed audio and, if given, a video track.
+     * @param {MediaStreamTrack|null} videoTrack
+     * @private
+     */
+    _startMediaRecorder(videoTrack) {
+        const destination = this.context.createMediaStreamDestination();
+        this.mix.connect(destination);
+        const stream = new MediaStream([...destination.stream.getAudioTracks(), ...(videoTrack ? [videoTrack] : [])]);
+
+        const candidates = videoTrack
+            ? ['video/webm;codecs=vp9,opus', 'video/webm;codecs=vp8,opus', 'video/webm', 'video/mp4']
+            : ['audio/webm;codecs=opus', 'audio/webm', 'audio/mp4'];
+        const mimeType = candidates.find(type => MediaRecorder.isTypeSupported(type));
+        this.mediaRecorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+        this.mediaRecorder.ondataavailable = (event) => {
+            if (event.data.size) this.chunks.push(event.data);
+        };
+        this.mediaRecorder.start(1000); // Collect a chunk every second so a crash loses little
+    }
+
+    /**
+     * Stops MediaRecorder once its last chunk has been delivered.
+     * @returns {Promise<Blob>}
+     * @private
+     */
+    _stopMediaRecorder() {
+        return new Promise((resolve) => {
+            const recorder = this.mediaRecorder;
+            recorder.onstop = () => resolve(new Blob(this.chunks, { type: recorder.mimeType }));
+            if (recorder.state === 'inactive') recorder.onstop();
+            else recorder.stop();
+        });
+    }
+
+    /**
+     * Builds a WebVTT chapters file with one cue per chat message.
+     * @param {number} duration - Recording length in seconds.
+     * @returns {string}
+     * @private
+     */
+    _buildChapters(duration) {
+        const timestamp = (seconds) => new Date(Math.round(seconds * 1000)).toISOString().slice(11, 23);
+        const label = { user: 'User', model: 'Model', tool: 'Tool' };
+        const cues = this.markers.map((marker, i) => {
+            const end = Math.max(marker.time + 0.5, this.markers[i + 1]?.time ?? duration);
+            let text = marker.text;
+            if (text.length > MARKER_TEXT_LENGTH) text = text.slice(0, MARKER_TEXT_LENGTH - 1) + '…';
+            return `${i + 1}\n${timestamp(marker.time)} --> ${timestamp(end)}\n${label[marker.role] || marker.role}: ${text}`;
+        });
+        return `WEBVTT\n\n${cues.join('\n\n')}\n`;
+    }
+
+    /**
+     * Releases the audio graph, video canvas and buffers.
+     * @private
+     */
+    _teardown() {
+        clearInterval(this.videoTimer);
+        this.videoTimer = null;
+        this.canvas = null;
+        this.mediaRecorder?.stream.getTracks().forEach(track => track.stop());
+        this.mediaRecorder = null;
+        this.micSources.clear();
+        this.playbackSource = null;
+        this.wavNode = null;
+        this.context?.close();
+        this.context = null;
+        this.mix = null;
+        this.chunks = [];
+    }
+}
+
+export default new SessionRecorder();
@@ -1,9 +1,10 @@
 /**
  * Manages speech recognition and synthesis functionality
- * Integrates Deepgram for real-time transcription and Web Speech API for text-to-speech
+ * Uses the transcription backend chosen in settings for real-time transcription and Web Speech API for text-to-speech
  */
-import { DeepgramTranscriber } from '../transcribe/deepgram.js';
+import { createTranscriber } from '../transcribe/backends.js';
 import StatusManager from '../dom/status-manager.js';
+import { getTranscriptionConfig } from '../config/config.js';
 
 export class SpeechHandler extends EventTarget {
     constructor() {
@@ -14,7 +15,6 @@ export class SpeechHandler extends EventTarget {
         this.selectedVoice = null;
         this.isSpeaking = false;
         this.audioContext = null;
-        this.apiKey = localStorage.getItem('deepgramApiKey');
         
         // Initialize speech synthesis
         this.initializeSynthesis();
@@ -47,13 +47,15 @@ export class SpeechHandler extends EventTarget {
      * @param {AudioBuffer} audioData - Audio data to process
      */
     async startRecognition(sampleRate = 16000) {
-        if (!this.apiKey) {
-            StatusManager.addStatus('Deepgram API key not set. Please configure in settings.', 5000);
+        const config = getTranscriptionConfig();
+        if (config.backend === 'live_api') {
+            // Its transcripts come from the Live session, which SpeechHandler isn't part of
+            StatusManager.addStatus('Live API transcription only works in a Live session. Choose another backend in settings.', 5000);
             return;
         }
 
         try {
-            this.transcriber = new DeepgramTranscriber(this.apiKey, sampleRate);
+            this.transcriber = createTranscriber(config, { role: 'user', sampleRate });
             
             this.transcriber.on('transcription', ({ transcript, confidence, isFinal }) => {
                 if (isFinal) {
@@ -74,7 +76,7 @@ export class SpeechHandler extends EventTarget {
 
         } catch (error) {
             console.error('Failed to start speech recognition:', error);
-            StatusManager.addStatus('Failed to start speech recognition', 5000);
+            StatusManager.addStatus(`Failed to start speech recognition: ${error.message}`, 5000);
             this.isTranscribing = false;
         }
     }
@@ -96,7 +98,7 @@ export class SpeechHandler extends EventTarget {
      * @param {ArrayBuffer} audioData - Raw audio data to process
      */
     processAudio(audioData) {
-        if (this.isTranscribing && this.transcriber) {
+        if (this.isTranscribing && this.transcriber?.acceptsAudio) {
             try {
                 this.transcriber.sendAudio(audioData);
             } catch (error) {
@@ -106,12 +108,30 @@ export class SpeechHandler extends EventTarget {
         }
     }
 
+    /**
+     * Picks a voice for a language: the selected voice if it speaks it, otherwise the first voice
+     * for the exact language code, otherwise one for the same base language (e.g. 'es' for 'es-ES').
+     * @param {string} lang - BCP-47 language code.
+     * @returns {SpeechSynthesisVoice|null} Null if no installed voice speaks the language.
+     */
+    voiceForLanguage(lang) {
+        const base = lang.split('-')[0].toLowerCase();
+        const speaks = (voice) => voice.lang.replace('_', '-').split('-')[0].toLowerCase() === base;
+        if (this.selectedVoice && speaks(this.selectedVoice)) return this.selectedVoice;
+        const voices = this.synthesis.getVoices();
+        return voices.find(voice => voice.lang.replace('_', '-').toLowerCase() === lang.toLowerCase())
+            || voices.find(speaks)
+            || null;
+    }
+
     /**
      * Speaks the provided text using text-to-speech
      * @param {string} text - Text to speak
+     * @param {Object} [options]
+     * @param {string} [options.lang] - Language of the text (e.g. a translation); a voice for it is used if one is installed.
      * @returns {Promise} Resolves when speech is complete
      */
-    speak(text) {
+    speak(text, { lang } = {}) {
         return new Promise((resolve, reject) => {
             if (!this.synthesis) {
                 reject(new Error('Speech synthesis not supported'));
@@ -122,7 +142,8 @@ export class SpeechHandler extends EventTarget {
             this.synthesis.cancel();
 
             const utterance = new SpeechSynthesisUtterance(text);
-            utterance.voice = this.selectedVoice;
+            utterance.voice = (lang && this.voiceForLanguage(lang)) || this.selectedVoice;
+            if (lang) utterance.lang = lang;
             utterance.rate = 1.0;
             utterance.pitch = 1.0;
             utterance.volume = 1.0;
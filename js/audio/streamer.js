@@ -1,10 +1,14 @@
 /**
  * AudioStreamer manages real-time audio playback from a stream of PCM audio chunks.
- * It implements a sophisticated buffering system to ensure smooth playback while
- * handling network jitter and maintaining low latency. The streamer uses Web Audio API
- * for precise timing and efficient audio scheduling.
+ * Playback runs in an AudioWorklet fed through a ring buffer: the worklet resamples to the
+ * context rate, sizes its jitter buffer to the network, conceals underruns and reports
+ * its position, so long answers play with low latency and without clicks.
  */
 import { MODEL_SAMPLE_RATE } from '../config/config.js';
+import { RingBuffer } from './worklets/ring-buffer.js';
+
+/** Ring buffer capacity: 10 seconds at the highest supported rate. Anything beyond waits in a queue. */
+const RING_BUFFER_FRAMES = 48000 * 10;
 
 export class AudioStreamer {
     /**
@@ -16,24 +20,28 @@ export class AudioStreamer {
             throw new Error('Invalid AudioContext provided', { context });
         }
         this.context = context;
-        this.audioQueue = [];                           // Queue of audio chunks waiting to be played
-        this.isPlaying = false;                         // Playback state
         this._sampleRate = MODEL_SAMPLE_RATE;           // Use configured sample rate
-        this.bufferSize = Math.floor(this._sampleRate * 0.32);  // Buffer size (320ms based on sample rate)
-        this.processingBuffer = new Float32Array(0);    // Accumulator for incomplete chunks
-        this.scheduledTime = 0;                         // Next scheduled audio playback time
         this.gainNode = this.context.createGain();      // Volume control node
-        this.isStreamComplete = false;                  // Stream completion flag
-        this.checkInterval = null;                      // Interval for checking buffer state
-        this.initialBufferTime = 0.05;                  // Initial buffering delay (50ms)
+        this.node = null;                               // AudioWorkletNode doing the playback
+        this._nodePromise = null;                       // Pending worklet setup
         this.isInitialized = false;                     // Initialization state
-        this.endOfQueueAudioSource = null;              // Last audio source in queue
-        this.scheduledSources = new Set();              // Track active audio sources
-        
+        this._interruptTimer = null;                    // Pending stop after a barge-in fade
+
+        // Share the ring with the worklet when the page allows SharedArrayBuffer,
+        // otherwise post samples and let the worklet keep its own ring
+        this.ring = globalThis.crossOriginIsolated ? RingBuffer.create(RING_BUFFER_FRAMES, true) : null;
+        this.pendingChunks = [];                        // Samples waiting for room in the ring
+        this.writtenFrames = 0;                         // Samples handed to the worklet this generation
+        this.generation = 0;                            // Bumped on stop() to ignore stale reports
+        this.underruns = 0;
+        this._endAfterFlush = false;                    // Send 'end' once pendingChunks is empty
+        this._report = null;                            // Latest position report from the worklet
+        this._outputDestination = null;                 // Created on demand by createOutputStream()
+
         // Connect gain node to audio output
         this.gainNode.connect(this.context.destination);
-        console.info('AudioStreamer initialized', { sampleRate: this._sampleRate });
-        
+        console.info('AudioStreamer initialized', { sampleRate: this._sampleRate, sharedRing: !!this.ring });
+
         // Bind methods
         this.streamAudio = this.streamAudio.bind(this);
     }
@@ -47,7 +55,7 @@ export class AudioStreamer {
     }
 
     /**
-     * Sets a new sample rate and adjusts buffer size accordingly
+     * Sets the rate of the incoming audio; the worklet resamples it to the context rate
      * @param {number} value - New sample rate in Hz
      */
     set sampleRate(value) {
@@ -56,8 +64,16 @@ export class AudioStreamer {
             return;
         }
         this._sampleRate = value;
-        this.bufferSize = Math.floor(value * 0.32);  // 320ms buffer
-        console.info('Sample rate updated', { newRate: value, newBufferSize: this.bufferSize });
+        this.node?.port.postMessage({ event: 'configure', data: { sourceRate: value } });
+        console.info('Sample rate updated', { newRate: value });
+    }
+
+    /**
+     * Whether audio is queued or playing, i.e. the user can hear the model
+     * @returns {boolean}
+     */
+    get isAudible() {
+        return this.pendingChunks.length > 0 || this._bufferedFrames() > 0 || !!this._report?.playing;
     }
 
     /**
@@ -77,159 +93,171 @@ export class AudioStreamer {
 
         try {
             // Convert Int16 samples to Float32 format
-            const float32Array = new Float32Array(chunk.length / 2);
-            const dataView = new DataView(chunk.buffer);
+            const float32Array = new Float32Array(Math.floor(chunk.byteLength / 2));
+            const dataView = new DataView(chunk.buffer, chunk.byteOffset, chunk.byteLength);
 
-            for (let i = 0; i < chunk.length / 2; i++) {
+            for (let i = 0; i < float32Array.length; i++) {
                 const int16 = dataView.getInt16(i * 2, true);
                 float32Array[i] = int16 / 32768;  // Scale to [-1.0, 1.0] range
             }
 
-            // Limit processing buffer size to prevent memory issues
-            if (this.processingBuffer.length > this.bufferSize * 4) {
-                console.warn('Processing buffer overflow, resetting', { 
-                    bufferSize: this.processingBuffer.length,
-                    maxSize: this.bufferSize * 4 
-                });
-                this.processingBuffer = new Float32Array(0);
-            }
-
-            // Accumulate samples in processing buffer
-            const newBuffer = new Float32Array(this.processingBuffer.length + float32Array.length);
-            newBuffer.set(this.processingBuffer);
-            newBuffer.set(float32Array, this.processingBuffer.length);
-            this.processingBuffer = newBuffer;
-
-            // Split processing buffer into playable chunks
-            while (this.processingBuffer.length >= this.bufferSize) {
-                const buffer = this.processingBuffer.slice(0, this.bufferSize);
-                this.audioQueue.push(buffer);
-                this.processingBuffer = this.processingBuffer.slice(this.bufferSize);
-            }
-
-            // Start playback if not already playing
-            if (!this.isPlaying) {
-                this.isPlaying = true;
-                this.scheduledTime = this.context.currentTime + this.initialBufferTime;
-                this.scheduleNextBuffer();
-            }
+            this.pendingChunks.push(float32Array);
+            this._flushPending();
         } catch (error) {
             throw new Error('Error processing audio chunk:' + error);
         }
     }
 
     /**
-     * Creates an AudioBuffer from Float32 audio data
-     * @param {Float32Array} audioData - Audio samples to convert
-     * @returns {AudioBuffer} Web Audio API buffer for playback
+     * Tells the worklet the current reply is complete, so it plays out the remainder
+     * without waiting for its jitter buffer to fill.
      */
-    createAudioBuffer(audioData) {
-        const audioBuffer = this.context.createBuffer(1, audioData.length, this.sampleRate);
-        audioBuffer.getChannelData(0).set(audioData);
-        return audioBuffer;
+    markStreamComplete() {
+        if (this.pendingChunks.length) {
+            this._endAfterFlush = true; // Sent once the queue has drained into the ring
+            return;
+        }
+        this.node?.port.postMessage({ event: 'end' });
     }
 
     /**
-     * Schedules audio buffers for playback with precise timing
-     * Implements a look-ahead scheduler to ensure smooth playback
-     * Uses setTimeout for efficient CPU usage while maintaining timing accuracy
+     * Current playback position of this stream in seconds, i.e. how much of the audio
+     * received since the last initialize() or stop() has been heard. Extrapolated from the
+     * worklet's last report and corrected for output latency.
+     * @returns {number}
      */
-    scheduleNextBuffer() {
-        if (!this.isPlaying) return;  // Don't schedule if stopped
-
-        const SCHEDULE_AHEAD_TIME = 0.2;  // Look-ahead window in seconds
-
-        try {
-            // Schedule buffers within look-ahead window
-            while (this.audioQueue.length > 0 && this.scheduledTime < this.context.currentTime + SCHEDULE_AHEAD_TIME) {
-                const audioData = this.audioQueue.shift();
-                const audioBuffer = this.createAudioBuffer(audioData);
-                const source = this.context.createBufferSource();
-
-                // Track this source
-                this.scheduledSources.add(source);
-                source.onended = () => {
-                    this.scheduledSources.delete(source);
-                };
+    getPlaybackPosition() {
+        const report = this._report;
+        if (!report) return 0;
+        let seconds = report.playedSeconds;
+        if (report.playing) {
+            const elapsed = Math.max(0, this.context.currentTime - report.contextTime);
+            seconds += Math.min(elapsed, report.bufferedFrames / this._sampleRate);
+        }
+        const latency = (this.context.outputLatency || 0) + (this.context.baseLatency || 0);
+        return Math.max(0, seconds - latency);
+    }
 
-                // Handle completion tracking for last buffer
-                if (this.audioQueue.length === 0) {
-                    if (this.endOfQueueAudioSource) {
-                        this.endOfQueueAudioSource.onended = null;
-                    }
-                    this.endOfQueueAudioSource = source;
-                    source.onended = () => {
-                        this.scheduledSources.delete(source);
-                        if (!this.audioQueue.length && this.endOfQueueAudioSource === source) {
-                            this.endOfQueueAudioSource = null;
-                        }
-                    };
-                }
+    /**
+     * A MediaStream carrying everything this streamer plays (after the gain), e.g. for recording
+     * @returns {MediaStream}
+     */
+    createOutputStream() {
+        if (!this._outputDestination) {
+            this._outputDestination = this.context.createMediaStreamDestination();
+            this.gainNode.connect(this._outputDestination);
+        }
+        return this._outputDestination.stream;
+    }
 
-                source.buffer = audioBuffer;
-                source.connect(this.gainNode);
+    /**
+     * Samples handed to the worklet that it hasn't consumed yet
+     * @returns {number}
+     * @private
+     */
+    _bufferedFrames() {
+        if (this.ring) return this.ring.availableRead;
+        return Math.max(0, this.writtenFrames - (this._report?.pulledFrames || 0));
+    }
 
-                // Ensure accurate playback timing
-                const startTime = Math.max(this.scheduledTime, this.context.currentTime);
-                source.start(startTime);
-                this.scheduledTime = startTime + audioBuffer.duration;
+    /**
+     * Moves queued samples into the ring as far as there is room.
+     * Without a shared ring, room is estimated from the worklet's reports, which only
+     * ever underestimates it, so the worklet's own ring never overflows.
+     * @private
+     */
+    _flushPending() {
+        if (!this.node) return;
+        while (this.pendingChunks.length) {
+            const free = RING_BUFFER_FRAMES - this._bufferedFrames();
+            if (free <= 0) break;
+            const chunk = this.pendingChunks[0];
+            const part = chunk.length <= free ? chunk : chunk.subarray(0, free);
+            if (this.ring) {
+                this.ring.push(part);
+            } else {
+                const transfer = part.byteLength === part.buffer.byteLength ? [part.buffer] : [];
+                this.node.port.postMessage({ event: 'push', data: part }, transfer);
             }
-
-            // Handle buffer underrun or stream completion
-            if (this.audioQueue.length === 0 && this.processingBuffer.length === 0) {
-                if (this.isStreamComplete) {
-                    this.isPlaying = false;
-                    if (this.checkInterval) {
-                        clearInterval(this.checkInterval);
-                        this.checkInterval = null;
-                    }
-                } else if (!this.checkInterval) {
-                    // Start checking for new audio data
-                    this.checkInterval = window.setInterval(() => {
-                        if (this.audioQueue.length > 0 || this.processingBuffer.length >= this.bufferSize) {
-                            this.scheduleNextBuffer();
-                        }
-                    }, 100);
-                }
+            this.writtenFrames += part.length;
+            if (part === chunk) {
+                this.pendingChunks.shift();
             } else {
-                // Schedule next check based on audio timing
-                const nextCheckTime = (this.scheduledTime - this.context.currentTime) * 1000;
-                setTimeout(() => this.scheduleNextBuffer(), Math.max(0, nextCheckTime - 50));
+                this.pendingChunks[0] = chunk.subarray(free);
+                break;
             }
-        } catch (error) {
-            throw new Error('Error scheduling next buffer:' + error);
+        }
+        if (this._endAfterFlush && !this.pendingChunks.length) {
+            this._endAfterFlush = false;
+            this.node.port.postMessage({ event: 'end' });
         }
     }
 
     /**
-     * Stops audio playback and cleans up resources
-     * Implements smooth fade-out and resets audio pipeline
+     * Handles reports from the playback worklet
+     * @param {{event: string, data: Object}} message
+     * @private
      */
-    stop() {
-        console.info('Stopping audio playback');
-        this.isPlaying = false;
-        this.isStreamComplete = true;
-        
-        // Stop all active audio sources
-        for (const source of this.scheduledSources) {
-            try {
-                source.stop();
-                source.disconnect();
-            } catch (error) {
-                console.debug('Error stopping audio source', { error: error });
-            }
+    _handleWorkletMessage({ event, data }) {
+        switch (event) {
+            case 'position':
+                if (data.generation !== this.generation) return; // From before the last stop()
+                this._report = data;
+                this._flushPending();
+                break;
+            case 'underrun':
+                this.underruns++;
+                console.debug('Audio playback underrun, jitter buffer raised', { targetMs: data.targetMs });
+                break;
+            case 'overflow':
+                console.warn('Playback ring buffer overflow', data);
+                break;
         }
-        this.scheduledSources.clear();
-        
-        this.audioQueue = [];
-        this.processingBuffer = new Float32Array(0);
-        this.scheduledTime = this.context.currentTime;
+    }
 
-        // Clear buffer check interval
-        if (this.checkInterval) {
-            clearInterval(this.checkInterval);
-            this.checkInterval = null;
+    /**
+     * Loads the playback worklet and connects it to the gain node (once per streamer)
+     * @returns {Promise<void>}
+     * @private
+     */
+    _createNode() {
+        if (!this._nodePromise) {
+            this._nodePromise = (async () => {
+                await this.context.audioWorklet.addModule('js/audio/worklets/playback-processor.js');
+                this.node = new AudioWorkletNode(this.context, 'audio-playback-worklet', {
+                    numberOfInputs: 0,
+                    outputChannelCount: [1],
+                    processorOptions: {
+                        sourceRate: this._sampleRate,
+                        capacity: RING_BUFFER_FRAMES,
+                        ...(this.ring && { stateBuffer: this.ring.stateBuffer, dataBuffer: this.ring.dataBuffer })
+                    }
+                });
+                this.node.port.onmessage = (event) => this._handleWorkletMessage(event.data);
+                this.node.connect(this.gainNode);
+            })().catch((error) => {
+                this._nodePromise = null;
+                throw error;
+            });
         }
+        return this._nodePromise;
+    }
+
+    /**
+     * Stops audio playback and cleans up resources
+     * Clears everything queued; the worklet fades out what was playing
+     */
+    stop() {
+        console.info('Stopping audio playback');
+        this.pendingChunks = [];
+        this._endAfterFlush = false;
+        this.writtenFrames = 0;
+        this.generation++;
+        this._report = null;
+        this.node?.port.postMessage({
+            event: 'clear',
+            data: { writeIndex: this.ring?.writeIndex, generation: this.generation }
+        });
 
         // Fade out audio to avoid clicks
         try {
@@ -241,9 +269,33 @@ export class AudioStreamer {
         }
     }
 
+    /**
+     * Barge-in: ducks the output right away, then stops playback once the fade has finished.
+     * Incoming audio is refused in the meantime. Call initialize() before streaming again.
+     * @param {number} [fadeTime=0.15] - Fade duration in seconds
+     * @returns {boolean} True if audio was playing and has been interrupted
+     */
+    interrupt(fadeTime = 0.15) {
+        if (!this.isAudible) return false;
+        console.info('Interrupting audio playback (barge-in)');
+
+        this.isInitialized = false;
+        this.pendingChunks = [];
+
+        const now = this.context.currentTime;
+        this.gainNode.gain.cancelScheduledValues(now);
+        this.gainNode.gain.setValueAtTime(this.gainNode.gain.value, now);
+        this.gainNode.gain.linearRampToValueAtTime(0.0001, now + fadeTime);
+        this._interruptTimer = setTimeout(() => {
+            this._interruptTimer = null;
+            this.stop();
+        }, fadeTime * 1000);
+        return true;
+    }
+
     /**
      * Initializes the audio streamer
-     * Ensures audio context is active before starting playback
+     * Ensures audio context is active and the playback worklet is loaded before starting playback
      * @returns {AudioStreamer} This instance for method chaining
      */
     async initialize() {
@@ -251,14 +303,21 @@ export class AudioStreamer {
             if (this.context.state === 'suspended') {
                 await this.context.resume();
             }
-            this.isStreamComplete = false;
-            this.scheduledTime = this.context.currentTime + this.initialBufferTime;
+            await this._createNode();
+            // Finish a barge-in fade now so its delayed stop() can't cut off the new stream
+            if (this._interruptTimer) {
+                clearTimeout(this._interruptTimer);
+                this._interruptTimer = null;
+                this.stop();
+            }
+            this.gainNode.gain.cancelScheduledValues(this.context.currentTime);
             this.gainNode.gain.setValueAtTime(1, this.context.currentTime);
             this.isInitialized = true;
 
             console.info('AudioStreamer initialization complete');
+            return this;
         } catch (error) {
             throw new Error('Failed to initialize AudioStreamer:' + error);
         }
     }
-}
\ No newline at end of file
+}
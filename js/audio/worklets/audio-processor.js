@@ -1,19 +1,165 @@
 /**
  * AudioProcessingWorklet handles real-time audio processing in a dedicated thread.
- * It converts incoming Float32 audio samples to Int16 format for efficient network transmission
+ * It resamples the microphone from the context's rate (often 44.1 or 48 kHz, whatever the page
+ * asked for) to 16 kHz and converts the Float32 samples to Int16 for network transmission
  * and processing by speech recognition systems.
+ *
+ * It also runs a voice activity detector (VAD) on 20ms frames and posts `speech_start` /
+ * `speech_end` events, so the main thread doesn't have to guess from chunk amplitudes.
  */
+
+import { Resampler } from './resampler.js';
+
+/** Output rate expected by the Live API and the transcribers */
+const TARGET_SAMPLE_RATE = 16000;
+
+/** Default VAD tuning; can be overridden via processorOptions.vad or a 'configure_vad' message */
+const DEFAULT_VAD_OPTIONS = {
+    thresholdDb: 10,     // How far above the noise floor a frame must be to count as speech
+    minEnergyDb: -55,    // Frames quieter than this (dBFS) are never speech
+    attackMs: 80,        // Speech must last this long before speech_start (rejects clicks and taps)
+    hangoverMs: 400,     // Silence must last this long before speech_end (bridges pauses between words)
+    frameMs: 20          // Analysis frame length
+};
+
+/** Zero-crossing rate above which a frame is treated as noise-like (fricatives, hiss, clicks) */
+const NOISE_LIKE_ZCR = 0.25;
+
+/** Extra margin (dB) noise-like frames need over the threshold to count as speech */
+const NOISE_LIKE_EXTRA_DB = 6;
+
+/** Noise floor adaptation rates per frame: fall quickly to quieter levels, rise slowly */
+const FLOOR_FALL_RATE = 0.2;
+const FLOOR_RISE_RATE = 0.02;
+
+/**
+ * Frame-based voice activity detector with adaptive noise floor tracking,
+ * energy and zero-crossing features, and attack/hangover smoothing.
+ */
+class VoiceActivityDetector {
+    /**
+     * @param {number} rate - Sample rate of the input in Hz.
+     * @param {Object} [options] - Overrides for DEFAULT_VAD_OPTIONS.
+     */
+    constructor(rate, options = {}) {
+        this.rate = rate;
+        this.configure(options);
+        this.noiseFloorDb = null; // Learned from the first frames
+        this.isSpeech = false;
+        this.speechFrames = 0;    // Consecutive speech frames while not yet in speech
+        this.silenceFrames = 0;   // Consecutive non-speech frames while in speech
+        this.speechStartFrame = 0;
+        this.frameCount = 0;
+    }
+
+    /**
+     * Updates the tuning options and resizes the frame buffer if needed.
+     * @param {Object} options - Overrides for DEFAULT_VAD_OPTIONS.
+     */
+    configure(options) {
+        this.options = { ...DEFAULT_VAD_OPTIONS, ...this.options, ...options };
+        const frameLength = Math.max(1, Math.round(this.rate * this.options.frameMs / 1000));
+        if (!this.frame || this.frame.length !== frameLength) {
+            this.frame = new Float32Array(frameLength);
+            this.frameIndex = 0;
+        }
+        this.attackFrames = Math.max(1, Math.round(this.options.attackMs / this.options.frameMs));
+        this.hangoverFrames = Math.max(1, Math.round(this.options.hangoverMs / this.options.frameMs));
+    }
+
+    /**
+     * Feeds samples into the detector.
+     * @param {Float32Array} samples
+     * @returns {Array<{type: 'speech_start'|'speech_end', data: Object}>} State changes in this block.
+     */
+    push(samples) {
+        const events = [];
+        for (let i = 0; i < samples.length; i++) {
+            this.frame[this.frameIndex++] = samples[i];
+            if (this.frameIndex === this.frame.length) {
+                const event = this._analyzeFrame();
+                if (event) events.push(event);
+                this.frameIndex = 0;
+            }
+        }
+        return events;
+    }
+
+    /**
+     * Classifies the current frame and updates the speech state.
+     * @returns {{type: string, data: Object}|null} A state change, if any.
+     * @private
+     */
+    _analyzeFrame() {
+        const frame = this.frame;
+        let sumSquares = 0;
+        let crossings = 0;
+        for (let i = 0; i < frame.length; i++) {
+            sumSquares += frame[i] * frame[i];
+            if (i > 0 && (frame[i] >= 0) !== (frame[i - 1] >= 0)) crossings++;
+        }
+        const energyDb = 10 * Math.log10(sumSquares / frame.length + 1e-10);
+        const zcr = crossings / frame.length;
+        this.frameCount++;
+
+        if (this.noiseFloorDb === null) this.noiseFloorDb = energyDb;
+
+        const margin = this.options.thresholdDb + (zcr > NOISE_LIKE_ZCR ? NOISE_LIKE_EXTRA_DB : 0);
+        const isSpeechFrame = energyDb > this.options.minEnergyDb && energyDb > this.noiseFloorDb + margin;
+
+        // Only learn the floor from non-speech, so talking doesn't raise it
+        if (!isSpeechFrame) {
+            const rate = energyDb < this.noiseFloorDb ? FLOOR_FALL_RATE : FLOOR_RISE_RATE;
+            this.noiseFloorDb += (energyDb - this.noiseFloorDb) * rate;
+        }
+
+        if (!this.isSpeech) {
+            this.speechFrames = isSpeechFrame ? this.speechFrames + 1 : 0;
+            if (this.speechFrames >= this.attackFrames) {
+                this.isSpeech = true;
+                this.silenceFrames = 0;
+                this.speechStartFrame = this.frameCount - this.speechFrames;
+                return { type: 'speech_start', data: { energyDb, noiseFloorDb: this.noiseFloorDb } };
+            }
+        } else {
+            this.silenceFrames = isSpeechFrame ? 0 : this.silenceFrames + 1;
+            if (this.silenceFrames >= this.hangoverFrames) {
+                this.isSpeech = false;
+                this.speechFrames = 0;
+                const speechFrames = this.frameCount - this.silenceFrames - this.speechStartFrame;
+                return { type: 'speech_end', data: { durationMs: speechFrames * this.options.frameMs } };
+            }
+        }
+        return null;
+    }
+}
+
 class AudioProcessingWorklet extends AudioWorkletProcessor {
     /**
      * Initializes the audio processing worklet with a fixed-size buffer
      * Buffer size of 2048 samples provides a good balance between latency and processing efficiency
+     * @param {Object} [options] - AudioWorkletNode options. `processorOptions.targetSampleRate`
+     *   sets the output rate (default 16 kHz), `processorOptions.vad` tunes the VAD.
      */
-    constructor() {
+    constructor(options) {
         super();
         // Pre-allocate buffer for Int16 samples to avoid garbage collection
         this.buffer = new Int16Array(2048);
         this.bufferWriteIndex = 0;
-        this.sampleRate = 16000;
+        this.sampleRate = options?.processorOptions?.targetSampleRate || TARGET_SAMPLE_RATE; // Output rate
+        // `sampleRate` is the AudioWorkletGlobalScope's (i.e. the context's) actual rate
+        this.resampler = new Resampler(sampleRate, this.sampleRate);
+        this.vad = new VoiceActivityDetector(this.sampleRate, options?.processorOptions?.vad);
+
+        this.port.onmessage = (event) => {
+            if (event.data?.event === 'configure_vad') {
+                this.vad.configure(event.data.data || {});
+            } else if (event.data?.event === 'flush') {
+                // Sends the partly filled buffer, e.g. when a recording stops, then confirms
+                if (this.bufferWriteIndex > 0) this.sendAndClearBuffer();
+                this.port.postMessage({ event: 'flushed' });
+            }
+        };
     }
 
     /**
@@ -24,8 +170,9 @@ class AudioProcessingWorklet extends AudioWorkletProcessor {
     process(inputs) {
         // Process only if we have audio data (first channel of first input)
         if (inputs[0].length) {
-            const channel0 = inputs[0][0];
-            this.processChunk(channel0);
+            const samples = this.resampler.process(inputs[0][0]);
+            this.processChunk(samples);
+            this.vad.push(samples).forEach(({ type, data }) => this.port.postMessage({ event: type, data }));
         }
         return true;
     }
@@ -40,6 +187,8 @@ class AudioProcessingWorklet extends AudioWorkletProcessor {
             data: {
                 // Transfer only the filled portion of the buffer
                 int16arrayBuffer: this.buffer.slice(0, this.bufferWriteIndex).buffer,
+                sampleRate: this.sampleRate,
+                isSpeech: this.vad.isSpeech
             },
         });
         this.bufferWriteIndex = 0;
@@ -81,4 +230,4 @@ class AudioProcessingWorklet extends AudioWorkletProcessor {
 }
 
 // Register the worklet processor with a unique name for reference in AudioWorkletNode
-registerProcessor('audio-recorder-worklet', AudioProcessingWorklet);
\ No newline at end of file
+registerProcessor('audio-recorder-worklet', AudioProcessingWorklet);
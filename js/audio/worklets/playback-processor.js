@@ -0,0 +1,329 @@
+/**
+ * PlaybackWorklet plays the model's PCM audio from a ring buffer on the audio rendering thread.
+ * The main thread writes Float32 samples at the model's rate, either straight into a shared
+ * ring buffer (when the page is cross-origin isolated) or by posting them to this processor.
+ * Here the samples are resampled to the context rate, held back by an adaptive jitter buffer,
+ * and underruns are smoothed over so the output never clicks.
+ *
+ * Messages in:  push (Float32Array), configure ({sourceRate}), end, clear ({writeIndex, generation})
+ * Messages out: position (playback report), underrun, drained, overflow
+ */
+import { RingBuffer } from './ring-buffer.js';
+
+/** Default jitter buffer tuning; can be overridden via processorOptions.jitter */
+const DEFAULT_JITTER_OPTIONS = {
+    initialMs: 80,       // Audio held back before playback starts
+    minMs: 40,           // Lower bound when shrinking after stable playback
+    maxMs: 500,          // Upper bound when growing after underruns
+    growFactor: 1.5,     // Target multiplier after a network underrun
+    shrinkMs: 10,        // Target reduction after each stable period
+    stableSeconds: 15,   // Underrun-free playback needed before shrinking
+    maxWaitMs: 300       // Start anyway if the buffer stops filling (short or final replies)
+};
+
+/** An underrun only counts as jitter if more audio arrives within this window */
+const UNDERRUN_WINDOW_SECONDS = 1;
+
+/** Fade applied when playback (re)starts */
+const FADE_IN_MS = 5;
+
+/** Length of the concealment tail played after an underrun or clear */
+const CONCEAL_MS = 10;
+
+/** Render quanta between position reports (~20ms at 48 kHz) */
+const REPORT_INTERVAL = 8;
+
+class PlaybackWorklet extends AudioWorkletProcessor {
+    /**
+     * @param {Object} [options] - AudioWorkletNode options. `processorOptions` may carry
+     *   `stateBuffer`/`dataBuffer` (shared ring), `capacity`, `sourceRate` and `jitter` overrides.
+     */
+    constructor(options) {
+        super();
+        const processorOptions = options?.processorOptions || {};
+        this.ring = processorOptions.stateBuffer
+            ? new RingBuffer(processorOptions.stateBuffer, processorOptions.dataBuffer)
+            : RingBuffer.create(processorOptions.capacity || sampleRate * 10);
+        this.jitter = { ...DEFAULT_JITTER_OPTIONS, ...processorOptions.jitter };
+        this.targetMs = this.jitter.initialMs;
+        this._setSourceRate(processorOptions.sourceRate || sampleRate);
+
+        // Samples pulled from the ring, with one sample of history for interpolation
+        this.source = new Float32Array(4096);
+        this.fadeFrames = Math.round(sampleRate * FADE_IN_MS / 1000);
+        this.history = new Float32Array(Math.round(sampleRate * CONCEAL_MS / 1000)); // Last output samples
+        this.tail = new Float32Array(this.history.length);
+        this.tailIndex = this.tail.length; // No tail playing
+        this.generation = 0;
+        this._reset();
+
+        this.port.onmessage = (event) => this._handleMessage(event.data);
+    }
+
+    /**
+     * Handles a message from the main thread.
+     * @param {{event: string, data: *}} message
+     * @private
+     */
+    _handleMessage({ event, data }) {
+        switch (event) {
+            case 'push': {
+                const written = this.ring.push(data);
+                if (written < data.length) {
+                    this.port.postMessage({ event: 'overflow', data: { dropped: data.length - written } });
+                }
+                break;
+            }
+            case 'configure':
+                if (data?.sourceRate) this._setSourceRate(data.sourceRate);
+                break;
+            case 'end':
+                // The reply is complete: play out what's left without waiting for the jitter target
+                this.ended = true;
+                this.underrunAt = null;
+                break;
+            case 'clear':
+                this.ring.skipTo(data?.writeIndex);
+                this.generation = data?.generation ?? this.generation + 1;
+                if (this.playing) this._startTail();
+                this._reset();
+                this._report();
+                break;
+        }
+    }
+
+    /**
+     * Forgets the current stream: position, pending source samples and jitter state.
+     * The jitter target is kept, since network conditions outlive a single reply.
+     * @private
+     */
+    _reset() {
+        this.source[0] = 0;
+        this.sourceLength = 1;
+        this.position = 1;         // Fractional read position in `source`
+        this.playedSeconds = 0;    // Audio rendered since the last clear, excluding `position`
+        this.pulledFrames = 0;     // Samples taken from the ring since the last clear
+        this.playing = false;
+        this.ended = false;
+        this.waitStart = null;     // When the buffer first held data while not playing
+        this.underrunAt = null;    // Time of the last underrun, until it's classified
+        this.stableSince = null;
+        this.fadeIndex = 0;
+        this.reportCountdown = 0;
+    }
+
+    /**
+     * @param {number} rate - Sample rate of the incoming audio in Hz.
+     * @private
+     */
+    _setSourceRate(rate) {
+        this.sourceRate = rate;
+        this.step = rate / sampleRate; // Source samples per output sample
+    }
+
+    /** @returns {number} Source samples waiting to be played @private */
+    _bufferedFrames() {
+        return this.ring.availableRead + Math.max(0, this.sourceLength - this.position);
+    }
+
+    /**
+     * Decides whether enough audio is buffered to (re)start playback.
+     * @returns {boolean}
+     * @private
+     */
+    _shouldStart() {
+        const buffered = this._bufferedFrames();
+        if (buffered < 3) {
+            this.waitStart = null;
+            return false;
+        }
+        if (this.waitStart === null) this.waitStart = currentTime;
+        return this.ended
+            || buffered >= this.targetMs * this.sourceRate / 1000
+            || currentTime - this.waitStart >= this.jitter.maxWaitMs / 1000;
+    }
+
+    /**
+     * Updates the jitter target when playback starts: an underrun followed shortly by more
+     * audio means the network fell behind, so buffer more next time.
+     * @private
+     */
+    _onStart() {
+        this.playing = true;
+        this.fadeIndex = 0;
+        this.waitStart = null;
+        this.stableSince = currentTime;
+        if (this.underrunAt !== null && currentTime - this.underrunAt < UNDERRUN_WINDOW_SECONDS) {
+            this.targetMs = Math.min(this.jitter.maxMs, this.targetMs * this.jitter.growFactor);
+            this.port.postMessage({ event: 'underrun', data: { targetMs: this.targetMs } });
+        }
+        this.underrunAt = null;
+        this.reportCountdown = 0;
+    }
+
+    /**
+     * Called when the buffer runs dry mid-quantum.
+     * @private
+     */
+    _onUnderrun() {
+        this.playing = false;
+        this.stableSince = null;
+        if (this.ended) {
+            // End of the reply rather than a network hiccup
+            this.ended = false;
+            this.port.postMessage({ event: 'drained' });
+        } else {
+            this.underrunAt = currentTime;
+        }
+        this.reportCountdown = 0;
+    }
+
+    /**
+     * Pulls source samples from the ring until `needed` are available (or the ring is empty).
+     * @param {number} needed
+     * @private
+     */
+    _fill(needed) {
+        if (needed > this.source.length) {
+            const grown = new Float32Array(needed * 2);
+            grown.set(this.source.subarray(0, this.sourceLength));
+            this.source = grown;
+        }
+        if (needed <= this.sourceLength) return;
+        const pulled = this.ring.pull(this.source.subarray(this.sourceLength), needed - this.sourceLength);
+        this.sourceLength += pulled;
+        this.pulledFrames += pulled;
+    }
+
+    /**
+     * Renders resampled audio (cubic Hermite interpolation) into `output`.
+     * @param {Float32Array} output
+     * @returns {number} Samples rendered; fewer than output.length means an underrun.
+     * @private
+     */
+    _render(output) {
+        this._fill(Math.floor(this.position + output.length * this.step) + 3);
+        const s = this.source;
+        let i = 0;
+        for (; i < output.length; i++) {
+            const index = Math.floor(this.position);
+            if (index + 2 >= this.sourceLength) break;
+            const t = this.position - index;
+            const xm1 = s[index - 1], x0 = s[index], x1 = s[index + 1], x2 = s[index + 2];
+            const c1 = 0.5 * (x1 - xm1);
+            const c2 = xm1 - 2.5 * x0 + 2 * x1 - 0.5 * x2;
+            const c3 = 0.5 * (x2 - xm1) + 1.5 * (x0 - x1);
+            let value = ((c3 * t + c2) * t + c1) * t + x0;
+            if (this.fadeIndex < this.fadeFrames) value *= this.fadeIndex++ / this.fadeFrames;
+            output[i] = value;
+            this.position += this.step;
+        }
+
+        // Drop consumed samples, keeping one for interpolation history
+        const consumed = Math.floor(this.position) - 1;
+        if (consumed > 0) {
+            s.copyWithin(0, consumed, this.sourceLength);
+            this.sourceLength -= consumed;
+            this.position -= consumed;
+            this.playedSeconds += consumed / this.sourceRate;
+        }
+        return i;
+    }
+
+    /**
+     * Keeps the most recent output samples for concealment.
+     * @param {Float32Array} output
+     * @param {number} count - Samples at the start of `output` to remember.
+     * @private
+     */
+    _remember(output, count) {
+        const size = this.history.length;
+        if (count >= size) {
+            this.history.set(output.subarray(count - size, count));
+        } else if (count > 0) {
+            this.history.copyWithin(0, count);
+            this.history.set(output.subarray(0, count), size - count);
+        }
+    }
+
+    /**
+     * Starts a concealment tail: the last few milliseconds played backwards with a fade-out.
+     * Playing them reversed keeps the waveform continuous where the real audio stopped.
+     * @private
+     */
+    _startTail() {
+        const size = this.history.length;
+        for (let j = 0; j < size; j++) {
+            this.tail[j] = this.history[size - 1 - j] * (1 - j / size);
+        }
+        this.tailIndex = 0;
+    }
+
+    /**
+     * Mixes the active concealment tail into output[from, to).
+     * @private
+     */
+    _mixTail(output, from, to) {
+        for (let i = from; i < to && this.tailIndex < this.tail.length; i++) {
+            output[i] += this.tail[this.tailIndex++];
+        }
+    }
+
+    /**
+     * Posts the playback position so the main thread can extrapolate between reports.
+     * @private
+     */
+    _report() {
+        this.port.postMessage({
+            event: 'position',
+            data: {
+                generation: this.generation,
+                playedSeconds: this.playedSeconds + (this.position - 1) / this.sourceRate,
+                contextTime: currentTime + 128 / sampleRate, // End of the quantum just rendered
+                pulledFrames: this.pulledFrames,
+                bufferedFrames: this._bufferedFrames(),
+                playing: this.playing,
+                targetMs: this.targetMs
+            }
+        });
+    }
+
+    /**
+     * Renders one quantum of playback.
+     * @param {Array} inputs - Unused (the node has no inputs).
+     * @param {Array<Float32Array[]>} outputs - Mono output.
+     * @returns {boolean} - Return true to keep the processor alive
+     */
+    process(inputs, outputs) {
+        const output = outputs[0][0];
+        if (!output) return true;
+        output.fill(0);
+
+        if (!this.playing && this._shouldStart()) this._onStart();
+
+        const rendered = this.playing ? this._render(output) : 0;
+        const underrun = this.playing && rendered < output.length;
+        const end = underrun ? rendered : output.length;
+        this._mixTail(output, 0, end);
+        this._remember(output, end);
+        if (underrun) {
+            this._startTail();
+            this._mixTail(output, rendered, output.length);
+            this._onUnderrun();
+        }
+
+        // Shrink the jitter target again after a long stretch without underruns
+        if (this.playing && currentTime - this.stableSince >= this.jitter.stableSeconds) {
+            this.targetMs = Math.max(this.jitter.minMs, this.targetMs - this.jitter.shrinkMs);
+            this.stableSince = currentTime;
+        }
+
+        if (--this.reportCountdown <= 0) {
+            this._report();
+            this.reportCountdown = REPORT_INTERVAL;
+        }
+        return true;
+    }
+}
+
+registerProcessor('audio-playback-worklet', PlaybackWorklet);
@@ -0,0 +1,107 @@
+/**
+ * Sample rate conversion for the audio worklets. Kept free of AudioWorklet globals so it can
+ * also run (and be tested) outside the audio thread.
+ */
+
+/** Resampler quality: filter zero crossings per side, phases in the polyphase table, passband share */
+const RESAMPLER_ZERO_CROSSINGS = 8;
+const RESAMPLER_PHASES = 128;
+const RESAMPLER_ROLLOFF = 0.9;
+
+/**
+ * Streaming windowed-sinc (Blackman) resampler with a precomputed polyphase table.
+ * Downsampling low-passes at the output Nyquist (times RESAMPLER_ROLLOFF) to avoid aliasing.
+ * Allocation-free after construction, apart from growing its buffers for unusually large blocks.
+ */
+export class Resampler {
+    /**
+     * @param {number} inputRate - Input sample rate in Hz.
+     * @param {number} outputRate - Output sample rate in Hz.
+     */
+    constructor(inputRate, outputRate) {
+        this.inputRate = inputRate;
+        this.outputRate = outputRate;
+        this.step = inputRate / outputRate; // Input samples advanced per output sample
+        this.passthrough = inputRate === outputRate;
+        if (this.passthrough) return;
+
+        const cutoff = 0.5 * Math.min(1, outputRate / inputRate) * RESAMPLER_ROLLOFF; // Cycles per input sample
+        this.halfTaps = Math.ceil(RESAMPLER_ZERO_CROSSINGS / (2 * cutoff));
+        const taps = 2 * this.halfTaps;
+
+        // table[phase * taps + j] weights input sample (i0 - halfTaps + 1 + j) for output time i0 + phase/PHASES
+        this.table = new Float32Array((RESAMPLER_PHASES + 1) * taps);
+        for (let phase = 0; phase <= RESAMPLER_PHASES; phase++) {
+            const frac = phase / RESAMPLER_PHASES;
+            let sum = 0;
+            for (let j = 0; j < taps; j++) {
+                const t = j - (this.halfTaps - 1) - frac; // Distance from the output time, in input samples
+                const x = 2 * cutoff * t;
+                const sinc = x === 0 ? 1 : Math.sin(Math.PI * x) / (Math.PI * x);
+                const w = t / (this.halfTaps + 1); // -1..1 across the kernel
+                const blackman = Math.abs(w) >= 1 ? 0 : 0.42 + 0.5 * Math.cos(Math.PI * w) + 0.08 * Math.cos(2 * Math.PI * w);
+                const value = 2 * cutoff * sinc * blackman;
+                this.table[phase * taps + j] = value;
+                sum += value;
+            }
+            // Unity gain at DC for every phase
+            for (let j = 0; j < taps; j++) this.table[phase * taps + j] /= sum;
+        }
+
+        // Input history; starts with halfTaps of silence so the first outputs have a full kernel
+        this.input = new Float32Array(taps + 1024);
+        this.inputLength = this.halfTaps;
+        this.time = this.halfTaps - 1; // Position of the next output sample in `input`
+        this.output = new Float32Array(256);
+    }
+
+    /**
+     * Resamples a block of input.
+     * @param {Float32Array} samples - Input samples at inputRate.
+     * @returns {Float32Array} Output samples at outputRate (a view that is reused on the next call).
+     */
+    process(samples) {
+        if (this.passthrough) return samples;
+
+        // Append the block to the history
+        if (this.inputLength + samples.length > this.input.length) {
+            const grown = new Float32Array((this.inputLength + samples.length) * 2);
+            grown.set(this.input.subarray(0, this.inputLength));
+            this.input = grown;
+        }
+        this.input.set(samples, this.inputLength);
+        this.inputLength += samples.length;
+
+        const maxOutput = Math.ceil(samples.length / this.step) + 2;
+        if (this.output.length < maxOutput) this.output = new Float32Array(maxOutput * 2);
+
+        const taps = 2 * this.halfTaps;
+        let count = 0;
+        // Each output needs input up to floor(time) + halfTaps
+        while (Math.floor(this.time) + this.halfTaps < this.inputLength) {
+            const i0 = Math.floor(this.time);
+            const position = (this.time - i0) * RESAMPLER_PHASES;
+            const phase = Math.floor(position);
+            const blend = position - phase; // Linear interpolation between neighbouring phases
+            const rowA = phase * taps;
+            const rowB = rowA + taps;
+            const start = i0 - this.halfTaps + 1;
+            let acc = 0;
+            for (let j = 0; j < taps; j++) {
+                const weight = this.table[rowA + j] + (this.table[rowB + j] - this.table[rowA + j]) * blend;
+                acc += this.input[start + j] * weight;
+            }
+            this.output[count++] = acc;
+            this.time += this.step;
+        }
+
+        // Drop input that no future output needs
+        const consumed = Math.max(0, Math.floor(this.time) - this.halfTaps + 1);
+        if (consumed > 0) {
+            this.input.copyWithin(0, consumed, this.inputLength);
+            this.inputLength -= consumed;
+            this.time -= consumed;
+        }
+        return this.output.subarray(0, count);
+    }
+}
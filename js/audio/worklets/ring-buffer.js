@@ -0,0 +1,106 @@
+/**
+ * Single-producer / single-consumer ring buffer of Float32 samples.
+ * The read and write indices live in an Int32Array updated with Atomics, so when the backing
+ * buffers are SharedArrayBuffers one thread can write while another reads without locks.
+ * With plain ArrayBuffers it works the same way within a single thread.
+ * One slot is always left empty to tell a full buffer from an empty one.
+ */
+
+const READ_INDEX = 0;
+const WRITE_INDEX = 1;
+
+export class RingBuffer {
+    /**
+     * Allocates the backing buffers for a ring that can hold `capacity` samples.
+     * @param {number} capacity - Number of samples the ring can hold.
+     * @param {boolean} [shared=false] - Use SharedArrayBuffers (requires cross-origin isolation).
+     * @returns {RingBuffer}
+     */
+    static create(capacity, shared = false) {
+        const Buffer = shared ? SharedArrayBuffer : ArrayBuffer;
+        return new RingBuffer(
+            new Buffer(2 * Int32Array.BYTES_PER_ELEMENT),
+            new Buffer((capacity + 1) * Float32Array.BYTES_PER_ELEMENT)
+        );
+    }
+
+    /**
+     * Wraps existing backing buffers, e.g. ones received from another thread.
+     * @param {ArrayBuffer|SharedArrayBuffer} stateBuffer - Holds the read and write indices.
+     * @param {ArrayBuffer|SharedArrayBuffer} dataBuffer - Holds the samples.
+     */
+    constructor(stateBuffer, dataBuffer) {
+        this.stateBuffer = stateBuffer;
+        this.dataBuffer = dataBuffer;
+        this.state = new Int32Array(stateBuffer);
+        this.data = new Float32Array(dataBuffer);
+        this.capacity = this.data.length - 1;
+    }
+
+    /** @returns {number} Samples waiting to be read */
+    get availableRead() {
+        const read = Atomics.load(this.state, READ_INDEX);
+        const write = Atomics.load(this.state, WRITE_INDEX);
+        return (write - read + this.data.length) % this.data.length;
+    }
+
+    /** @returns {number} Samples that can be written without overwriting unread data */
+    get availableWrite() {
+        return this.capacity - this.availableRead;
+    }
+
+    /** @returns {number} Current write index, e.g. to clear up to a known point with skipTo() */
+    get writeIndex() {
+        return Atomics.load(this.state, WRITE_INDEX);
+    }
+
+    /**
+     * Producer side: appends as many samples as fit.
+     * @param {Float32Array} samples
+     * @returns {number} Number of samples written.
+     */
+    push(samples) {
+        const count = Math.min(samples.length, this.availableWrite);
+        if (count === 0) return 0;
+        const write = Atomics.load(this.state, WRITE_INDEX);
+        const firstPart = Math.min(count, this.data.length - write);
+        this.data.set(samples.subarray(0, firstPart), write);
+        if (count > firstPart) {
+            this.data.set(samples.subarray(firstPart, count), 0);
+        }
+        // Publish only after the samples are in place
+        Atomics.store(this.state, WRITE_INDEX, (write + count) % this.data.length);
+        return count;
+    }
+
+    /**
+     * Consumer side: reads up to `target.length` samples (or `count`, if given) into `target`.
+     * @param {Float32Array} target
+     * @param {number} [count=target.length]
+     * @returns {number} Number of samples read.
+     */
+    pull(target, count = target.length) {
+        const available = Math.min(count, target.length, this.availableRead);
+        if (available === 0) return 0;
+        const read = Atomics.load(this.state, READ_INDEX);
+        const firstPart = Math.min(available, this.data.length - read);
+        target.set(this.data.subarray(read, read + firstPart));
+        if (available > firstPart) {
+            target.set(this.data.subarray(0, available - firstPart), firstPart);
+        }
+        Atomics.store(this.state, READ_INDEX, (read + available) % this.data.length);
+        return available;
+    }
+
+    /**
+     * Consumer side: discards unread samples up to `writeIndex` (everything, if omitted).
+     * @param {number} [writeIndex] - A write index previously read by the producer.
+     */
+    skipTo(writeIndex = Atomics.load(this.state, WRITE_INDEX)) {
+        const read = Atomics.load(this.state, READ_INDEX);
+        // Only move forward: the reader may already be past an index taken earlier
+        if ((writeIndex - read + this.data.length) % this.data.length <= this.availableRead) {
+            Atomics.store(this.state, READ_INDEX, writeIndex);
+        }
+    }
+}
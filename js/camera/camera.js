@@ -1,7 +1,38 @@
+/**
+ * Lists the cameras the browser can see. Labels are only filled in once camera
+ * permission has been granted; until then they fall back to "Camera 1", "Camera 2", ...
+ * @returns {Promise<Array<{deviceId: string, label: string}>>}
+ */
+export async function listCameras() {
+    if (!navigator.mediaDevices?.enumerateDevices) return [];
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    return devices
+        .filter(device => device.kind === 'videoinput' && device.deviceId)
+        .map((device, i) => ({ deviceId: device.deviceId, label: device.label || `Camera ${i + 1}` }));
+}
+
+/**
+ * Builds getUserMedia video constraints for a camera. A chosen device wins over the facing mode.
+ * @param {Object} options
+ * @param {string} [options.deviceId] - Specific camera to open.
+ * @param {string} [options.facingMode] - 'user' or 'environment', used when no device is chosen.
+ * @param {number} [options.width=1920] - Ideal width.
+ * @param {number} [options.height=1080] - Ideal height.
+ * @returns {MediaTrackConstraints}
+ */
+export function cameraVideoConstraints({ deviceId, facingMode, width = 1920, height = 1080 }) {
+    return {
+        width: { ideal: width },
+        height: { ideal: height },
+        ...(deviceId ? { deviceId: { exact: deviceId } } : { facingMode })
+    };
+}
+
 /**
  * Manages camera access using getUserMedia, displays a preview,
  * captures frames, resizes them on a canvas, and provides base64 encoded images.
- * Includes logic for switching cameras on mobile devices.
+ * Cameras can be picked by device ID (remembered in localStorage) or switched in turn;
+ * phones without a chosen device switch between front and back.
  */
 export class CameraManager {
     /**
@@ -10,6 +41,7 @@ export class CameraManager {
      * @param {number} [config.width=640] - Target width for the captured image canvas. Height is calculated by aspect ratio.
      * @param {number} [config.quality=0.8] - JPEG quality for the output image (0.0 to 1.0).
      * @param {string} [config.facingMode='environment'] - Preferred camera facing mode ('user' or 'environment'). Defaults to 'environment'.
+     * @param {string} [config.deviceId] - Camera to open; takes precedence over facingMode.
      */
     constructor(config = {}) {
         // Default configuration merged with provided config
@@ -17,7 +49,8 @@ export class CameraManager {
             width: parseInt(config.width, 10) || 640,
             quality: parseFloat(config.quality) || 0.8,
             // Use provided facingMode, default to environment (usually back camera)
-            facingMode: config.facingMode || 'environment'
+            facingMode: config.facingMode || 'environment',
+            deviceId: config.deviceId || ''
         };
         // Validate config values
         if (isNaN(this.config.width) || this.config.width <= 0) this.config.width = 640;
@@ -31,12 +64,13 @@ export class CameraManager {
         this.canvas = null;         // <canvas> element for processing frames
         this.ctx = null;            // 2D rendering context for the canvas
         this.previewContainer = null; // Container div for the video preview
-        this.switchButton = null;   // Button to switch cameras (mobile only)
+        this.switchButton = null;   // Button to switch cameras (phones or several cameras)
 
         // State
         this.isInitialized = false; // Flag: Has initialize() successfully completed?
         this.isInitializing = false; // Flag: Is initialize() currently running?
         this.aspectRatio = null;    // Aspect ratio of the video stream
+        this.deviceId = null;       // Camera actually opened (may differ from config.deviceId after a fallback)
 
         console.info(`CameraManager created. Config:`, this.config);
     }
@@ -64,18 +98,21 @@ export class CameraManager {
         try {
             // --- Request Camera Access ---
             const constraints = {
-                video: {
-                    // Request preferred dimensions, browser might adjust
-                    width: { ideal: 1920 },
-                    height: { ideal: 1080 },
-                    // Use configured facing mode
-                    facingMode: this.config.facingMode
-                },
+                video: cameraVideoConstraints(this.config), // Chosen device, or the configured facing mode
                 audio: false // No audio needed for camera capture
             };
             console.debug("CameraManager: Requesting getUserMedia with constraints:", constraints);
-            this.stream = await navigator.mediaDevices.getUserMedia(constraints);
-            console.info("CameraManager: getUserMedia access granted.");
+            try {
+                this.stream = await navigator.mediaDevices.getUserMedia(constraints);
+            } catch (error) {
+                // The remembered camera may be unplugged; open any camera rather than none
+                if (!this.config.deviceId || !['OverconstrainedError', 'NotFoundError', 'NotReadableError'].includes(error.name)) throw error;
+                console.warn(`CameraManager: Camera ${this.config.deviceId} unavailable (${error.name}), using the default camera.`);
+                constraints.video = cameraVideoConstraints({ facingMode: this.config.facingMode });
+                this.stream = await navigator.mediaDevices.getUserMedia(constraints);
+            }
+            this.deviceId = this.stream.getVideoTracks()[0]?.getSettings().deviceId || null;
+            console.info("CameraManager: getUserMedia access granted.", { deviceId: this.deviceId });
 
             // --- Create Video Element for Preview ---
             this.videoElement = document.createElement('video');
@@ -86,9 +123,14 @@ export class CameraManager {
             // --- Setup Preview Container ---
             this.previewContainer = document.getElementById('cameraPreview'); // Get container from HTML
             if (this.previewContainer) {
-                this.previewContainer.innerHTML = ''; // Clear previous content
-                this.previewContainer.appendChild(this.videoElement);
-                this._createSwitchButton(); // Add switch button if applicable
+                // Take the place of the placeholder video so the preview header stays in place
+                const placeholder = this.previewContainer.querySelector('video');
+                if (placeholder) {
+                    placeholder.replaceWith(this.videoElement);
+                } else {
+                    this.previewContainer.appendChild(this.videoElement);
+                }
+                await this._createSwitchButton(); // Add switch button if applicable
                 this.showPreview(); // Make container visible
             } else {
                 console.warn("CameraManager: Preview container (#cameraPreview) not found in DOM. Preview will not be displayed.");
@@ -160,10 +202,13 @@ export class CameraManager {
     /**
      * Captures the current video frame, draws it to the canvas (resizing),
      * and returns it as a base64 encoded JPEG string (without the data: prefix).
+     * @param {Object} [options]
+     * @param {number} [options.scale=1] - Fraction of the configured width to capture at.
+     * @param {number} [options.quality] - JPEG quality, defaults to the configured quality.
      * @returns {Promise<string>} Base64 encoded JPEG image data.
      * @throws {Error} If not initialized or capture fails.
      */
-    async capture() {
+    async capture({ scale = 1, quality = this.config.quality } = {}) {
         if (!this.isInitialized || !this.ctx || !this.videoElement) {
             console.error("CameraManager.capture Error: Not initialized or required elements missing.");
             throw new Error('Camera capture failed: Manager is not initialized.');
@@ -177,6 +222,14 @@ export class CameraManager {
         }
 
         try {
+            // Resize the canvas if a different scale was asked for (resizing also clears it)
+            const width = Math.max(1, Math.round(this.config.width * scale));
+            const height = Math.max(1, Math.round(width * this.aspectRatio));
+            if (this.canvas.width !== width || this.canvas.height !== height) {
+                this.canvas.width = width;
+                this.canvas.height = height;
+            }
+
             // Draw the current frame from the video element onto the canvas
             this.ctx.drawImage(
                 this.videoElement,
@@ -186,7 +239,7 @@ export class CameraManager {
             );
 
             // Convert the canvas content to a base64 encoded JPEG image
-            const dataUrl = this.canvas.toDataURL('image/jpeg', this.config.quality);
+            const dataUrl = this.canvas.toDataURL('image/jpeg', quality);
             // Remove the "data:image/jpeg;base64," prefix
             const base64Data = dataUrl.split(',')[1];
             if (!base64Data) {
@@ -218,7 +271,12 @@ export class CameraManager {
                 this.videoElement.pause(); // Pause video
                 this.videoElement.srcObject = null; // Remove stream reference
                 if (this.videoElement.parentNode) {
-                    this.videoElement.parentNode.removeChild(this.videoElement); // Remove from DOM
+                    // Leave an empty video behind so the preview markup stays as index.html has it
+                    const placeholder = document.createElement('video');
+                    placeholder.autoplay = true;
+                    placeholder.muted = true;
+                    placeholder.playsInline = true;
+                    this.videoElement.replaceWith(placeholder);
                 }
             } catch (e) { console.warn("Error cleaning up video element:", e); }
             this.videoElement = null;
@@ -228,7 +286,7 @@ export class CameraManager {
         if (this.previewContainer) {
             try {
                 this.hidePreview(); // Hide container if visible
-                this.previewContainer.innerHTML = ''; // Clear content (removes switch button too)
+                this.switchButton?.remove();
             } catch (e) { console.warn("Error cleaning up preview container:", e); }
             // Keep reference to container itself? Maybe not needed if re-created on init.
             // this.previewContainer = null;
@@ -245,6 +303,7 @@ export class CameraManager {
         this.isInitialized = false;
         this.isInitializing = false; // Ensure reset if dispose called during init failure
         this.aspectRatio = null;
+        this.deviceId = null;
         console.info("CameraManager: Dispose complete.");
     }
 
@@ -264,17 +323,16 @@ export class CameraManager {
         }
     }
 
-    /** Creates and appends the camera switch button (for mobile). */
-    _createSwitchButton() {
-        // Only create button on likely mobile devices (basic check)
-        if (!/Mobi|Android/i.test(navigator.userAgent)) {
-            // console.debug("CameraManager: Not creating switch button on non-mobile device.");
-            return;
-        }
+    /** Creates and appends the camera switch button (phones, or any device with several cameras). */
+    async _createSwitchButton() {
         // Ensure container exists and button doesn't already exist
         if (!this.previewContainer || this.switchButton) {
             return;
         }
+        const isMobile = /Mobi|Android/i.test(navigator.userAgent);
+        if (!isMobile && (await listCameras()).length < 2) {
+            return; // Nothing to switch to
+        }
 
         try {
             this.switchButton = document.createElement('button');
@@ -291,57 +349,91 @@ export class CameraManager {
     }
 
     /**
-     * Attempts to switch between front ('user') and back ('environment') cameras.
-     * This typically only works on mobile devices. Re-initializes the stream.
+     * Switches to the next camera. With several cameras listed this cycles through them by
+     * device ID; otherwise (typically a phone before permission reveals its cameras) it
+     * toggles between front ('user') and back ('environment').
      */
     async switchCamera() {
         if (!this.isInitialized) {
             console.warn("CameraManager: Cannot switch camera, not initialized.");
             return;
         }
-        // Check if switching is likely supported (mobile)
+        const cameras = await listCameras();
+        if (cameras.length > 1) {
+            const current = cameras.findIndex(camera => camera.deviceId === this.deviceId);
+            await this.selectDevice(cameras[(current + 1) % cameras.length].deviceId);
+            return;
+        }
         if (!/Mobi|Android/i.test(navigator.userAgent)) {
-            console.warn("CameraManager: Camera switching is generally only supported on mobile devices.");
+            console.warn("CameraManager: Only one camera available, nothing to switch to.");
             return;
         }
 
-
         const oldFacingMode = this.config.facingMode;
         const newFacingMode = oldFacingMode === 'user' ? 'environment' : 'user';
         console.info(`CameraManager: Attempting to switch camera from ${oldFacingMode} to ${newFacingMode}...`);
+        await this._reopen(
+            () => {
+                this.config.facingMode = newFacingMode;
+                localStorage.setItem('facingMode', newFacingMode);
+            },
+            () => {
+                this.config.facingMode = oldFacingMode;
+                localStorage.setItem('facingMode', oldFacingMode);
+            }
+        );
+    }
 
-        // Store new preference immediately
-        localStorage.setItem('facingMode', newFacingMode);
-        this.config.facingMode = newFacingMode;
+    /**
+     * Opens a specific camera and remembers it for next time.
+     * @param {string} deviceId - From listCameras(); an empty string goes back to the default camera.
+     */
+    async selectDevice(deviceId) {
+        const oldDeviceId = this.config.deviceId;
+        console.info(`CameraManager: Selecting camera ${deviceId || '(default)'}...`);
+        const apply = () => {
+            this.config.deviceId = deviceId;
+            localStorage.setItem('cameraDeviceId', deviceId);
+        };
+        if (!this.isInitialized) {
+            apply(); // Used on the next initialize()
+            return;
+        }
+        await this._reopen(apply, () => {
+            this.config.deviceId = oldDeviceId;
+            localStorage.setItem('cameraDeviceId', oldDeviceId);
+        });
+    }
 
-        // We need to stop the current stream and re-initialize with the new constraint.
-        // Temporarily set flags to allow re-initialization.
-        const wasInitialized = this.isInitialized;
-        this.isInitialized = false; // Allow initialize() to run again
+    /**
+     * Restarts the stream with changed settings, going back to the previous settings if the
+     * new camera can't be opened.
+     * @param {Function} apply - Changes the config to the new camera.
+     * @param {Function} revert - Restores the previous config.
+     * @private
+     */
+    async _reopen(apply, revert) {
         if (this.isInitializing) {
-            console.warn("CameraManager: switchCamera called while already initializing.");
+            console.warn("CameraManager: Camera change requested while already initializing.");
             return; // Avoid conflict
         }
+        const wasInitialized = this.isInitialized;
+        apply();
 
         // Dispose current resources *before* trying to get new stream
         await this.dispose();
 
         try {
-            // Re-initialize with the new facing mode stored in this.config
             await this.initialize();
-            console.info(`CameraManager: Camera switched successfully to ${newFacingMode}.`);
+            console.info(`CameraManager: Camera switched successfully (device ${this.deviceId}).`);
         } catch (error) {
-            console.error(`CameraManager: Failed to switch camera to ${newFacingMode}:`, error);
-            // Revert facing mode config on failure
-            this.config.facingMode = oldFacingMode;
-            localStorage.setItem('facingMode', oldFacingMode);
-            // Attempt to re-initialize with the *old* settings if possible
-            console.info(`CameraManager: Attempting to revert to ${oldFacingMode} camera...`);
-            this.isInitialized = false; // Ensure we can init again
+            console.error("CameraManager: Failed to switch camera:", error);
+            revert();
+            console.info("CameraManager: Attempting to revert to the previous camera...");
             try {
                 if (wasInitialized) await this.initialize(); // Only try if it was working before
             } catch (revertError) {
-                console.error(`CameraManager: Failed to revert to previous camera (${oldFacingMode}):`, revertError);
+                console.error("CameraManager: Failed to revert to previous camera:", revertError);
             }
             // Notify user of failure?
             alert(`Failed to switch camera. Please ensure permissions are granted and the camera is available.`);
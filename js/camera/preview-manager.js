@@ -1,13 +1,20 @@
 /**
  * Manages camera and screen sharing preview windows
- * Handles minimization, positioning, and visibility
+ * Handles minimization, positioning, visibility and selecting a region of the screen preview
  */
+
+/** Smallest region that counts as a selection rather than a click, as a fraction of the video */
+const MIN_REGION_SIZE = 0.02;
+
 export class PreviewManager {
     constructor() {
         this.cameraPreview = document.getElementById('cameraPreview');
         this.screenPreview = document.getElementById('screenPreview');
         this.previewContainer = document.querySelector('.preview-container');
+        this.screenRegion = null; // {x, y, width, height} as fractions of the shared screen, or null
+        this.isSelectingRegion = false;
         this.setupEventListeners();
+        this.setupRegionSelection();
     }
 
     setupEventListeners() {
@@ -19,8 +26,8 @@ export class PreviewManager {
         [this.cameraPreview, this.screenPreview].forEach(preview => {
             if (preview) {
                 preview.addEventListener('dblclick', (e) => {
-                    // Avoid toggling if clicking on a button inside the header
-                    if (!e.target.closest('.preview-btn')) {
+                    // Avoid toggling if clicking on a button inside the header or drawing a region
+                    if (!e.target.closest('.preview-btn') && !preview.classList.contains('selecting-region')) {
                         this.toggleMinimize(preview);
                     }
                 });
@@ -96,6 +103,199 @@ export class PreviewManager {
         });
 
         // Flip camera button (event listener added in MediaManager)
+
+        // Snapshot buttons freeze the current frame for annotate-and-ask
+        [['camera', this.cameraPreview], ['screen', this.screenPreview]].forEach(([type, preview]) => {
+            preview?.querySelector('.snapshot-btn')?.addEventListener('click', () => {
+                const frame = this.captureFrame(type);
+                if (frame) {
+                    document.dispatchEvent(new CustomEvent('previewSnapshot', { detail: { type, frame } }));
+                }
+            });
+        });
+    }
+
+    /**
+     * Copies the frame a preview is currently showing, at the video's own resolution.
+     * @param {'camera' | 'screen'} type - Type of preview to capture
+     * @returns {HTMLCanvasElement|null} Null if the preview has no video playing
+     */
+    captureFrame(type) {
+        const preview = type === 'camera' ? this.cameraPreview : this.screenPreview;
+        const video = preview?.querySelector('video');
+        if (!video?.videoWidth || !video.videoHeight) return null;
+        const canvas = document.createElement('canvas');
+        canvas.width = video.videoWidth;
+        canvas.height = video.videoHeight;
+        canvas.getContext('2d').drawImage(video, 0, 0);
+        return canvas;
+    }
+
+    /**
+     * Lets the user drag a rectangle over the screen preview to pick the region that is sent.
+     * The region button starts a selection, or clears the region if one is set; Escape cancels.
+     */
+    setupRegionSelection() {
+        const preview = this.screenPreview;
+        if (!preview) return;
+        this.regionButton = preview.querySelector('.region-btn');
+        this.regionOverlay = document.createElement('div');
+        this.regionOverlay.className = 'region-overlay';
+        this.regionBox = document.createElement('div');
+        this.regionBox.className = 'region-box';
+        this.regionBox.hidden = true;
+        this.regionOverlay.appendChild(this.regionBox);
+        preview.appendChild(this.regionOverlay);
+
+        this.regionButton?.addEventListener('click', () => {
+            if (this.screenRegion) {
+                this.setScreenRegion(null);
+            } else {
+                this.setRegionSelecting(!this.isSelectingRegion);
+            }
+        });
+
+        let start = null; // Drag start, as fractions of the video
+        let current = null;
+        this.regionOverlay.addEventListener('pointerdown', (e) => {
+            if (!this.isSelectingRegion) return;
+            e.preventDefault();
+            this.regionOverlay.setPointerCapture(e.pointerId);
+            start = current = this._toVideoPoint(e);
+            this._renderRegionBox(this._rectBetween(start, current));
+        });
+        this.regionOverlay.addEventListener('pointermove', (e) => {
+            if (!start) return;
+            current = this._toVideoPoint(e);
+            this._renderRegionBox(this._rectBetween(start, current));
+        });
+        const finish = (e) => {
+            if (!start) return;
+            const region = this._rectBetween(start, this._toVideoPoint(e));
+            start = current = null;
+            this.setRegionSelecting(false);
+            if (region.width >= MIN_REGION_SIZE && region.height >= MIN_REGION_SIZE) {
+                this.setScreenRegion(region);
+            } else {
+                this._renderRegionBox(this.screenRegion); // Just a click: keep what was there
+            }
+        };
+        this.regionOverlay.addEventListener('pointerup', finish);
+        this.regionOverlay.addEventListener('pointercancel', () => {
+            start = current = null;
+            this.setRegionSelecting(false);
+            this._renderRegionBox(this.screenRegion);
+        });
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.isSelectingRegion) {
+                start = current = null;
+                this.setRegionSelecting(false);
+                this._renderRegionBox(this.screenRegion);
+            }
+        });
+
+        // Keep the box over the same part of the screen while the preview is resized
+        if (typeof ResizeObserver !== 'undefined') {
+            new ResizeObserver(() => this._renderRegionBox(this.screenRegion)).observe(preview);
+        }
+    }
+
+    /**
+     * Starts or stops drawing a region on the screen preview.
+     * @param {boolean} selecting
+     */
+    setRegionSelecting(selecting) {
+        if (!this.screenPreview) return;
+        this.isSelectingRegion = selecting;
+        this.screenPreview.classList.toggle('selecting-region', selecting);
+        if (selecting && this.screenPreview.classList.contains('minimized')) {
+            this.toggleMinimize(this.screenPreview);
+        }
+        this._updateRegionButton();
+    }
+
+    /**
+     * Sets (or clears) the region of the screen to send and announces it with a
+     * 'screenRegionChanged' event on the document.
+     * @param {{x: number, y: number, width: number, height: number}|null} region - Fractions of the shared screen.
+     */
+    setScreenRegion(region) {
+        this.screenRegion = region;
+        this._renderRegionBox(region);
+        this._updateRegionButton();
+        document.dispatchEvent(new CustomEvent('screenRegionChanged', { detail: { region } }));
+    }
+
+    /** Reflects the selection state in the region button */
+    _updateRegionButton() {
+        if (!this.regionButton) return;
+        this.regionButton.classList.toggle('active', this.isSelectingRegion || !!this.screenRegion);
+        this.regionButton.setAttribute('aria-label', this.screenRegion
+            ? 'Send the whole screen again'
+            : (this.isSelectingRegion ? 'Cancel region selection' : 'Select a screen region to send'));
+    }
+
+    /**
+     * Where the video picture sits inside the preview. The screen preview letterboxes
+     * (object-fit: contain), so this is smaller than the element on one axis.
+     * @returns {{left: number, top: number, width: number, height: number}} In overlay pixels.
+     */
+    _videoContentRect() {
+        const video = this.screenPreview.querySelector('video');
+        const width = this.regionOverlay.clientWidth;
+        const height = this.regionOverlay.clientHeight;
+        if (!video?.videoWidth || !video.videoHeight) return { left: 0, top: 0, width, height };
+        const scale = Math.min(width / video.videoWidth, height / video.videoHeight);
+        const contentWidth = video.videoWidth * scale;
+        const contentHeight = video.videoHeight * scale;
+        return { left: (width - contentWidth) / 2, top: (height - contentHeight) / 2, width: contentWidth, height: contentHeight };
+    }
+
+    /**
+     * Converts a pointer position to fractions of the video picture, clamped to it.
+     * @param {PointerEvent} e
+     * @returns {{x: number, y: number}}
+     */
+    _toVideoPoint(e) {
+        const bounds = this.regionOverlay.getBoundingClientRect();
+        const content = this._videoContentRect();
+        const clamp = (value) => Math.min(Math.max(value, 0), 1);
+        return {
+            x: clamp((e.clientX - bounds.left - content.left) / content.width),
+            y: clamp((e.clientY - bounds.top - content.top) / content.height)
+        };
+    }
+
+    /**
+     * @param {{x: number, y: number}} a
+     * @param {{x: number, y: number}} b
+     * @returns {{x: number, y: number, width: number, height: number}}
+     */
+    _rectBetween(a, b) {
+        return {
+            x: Math.min(a.x, b.x),
+            y: Math.min(a.y, b.y),
+            width: Math.abs(a.x - b.x),
+            height: Math.abs(a.y - b.y)
+        };
+    }
+
+    /**
+     * Positions the region box over the preview, or hides it.
+     * @param {{x: number, y: number, width: number, height: number}|null} region
+     */
+    _renderRegionBox(region) {
+        if (!this.regionBox) return;
+        this.regionBox.hidden = !region;
+        this.regionOverlay.classList.toggle('has-region', !!region);
+        if (!region) return;
+        const content = this._videoContentRect();
+        Object.assign(this.regionBox.style, {
+            left: `${content.left + region.x * content.width}px`,
+            top: `${content.top + region.y * content.height}px`,
+            width: `${region.width * content.width}px`,
+            height: `${region.height * content.height}px`
+        });
     }
 
     /**
@@ -146,6 +346,12 @@ export class PreviewManager {
         preview.style.display = 'none'; // Hide the element
         preview.classList.remove('minimized'); // Reset state
 
+        // A region belongs to the surface that was shared; the next share starts with the whole screen
+        if (type === 'screen') {
+            this.setRegionSelecting(false);
+            if (this.screenRegion) this.setScreenRegion(null);
+        }
+
         this.updateLayout(); // Adjust container visibility
     }
 
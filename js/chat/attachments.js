@@ -0,0 +1,266 @@
+/**
+ * Attachments for the Live chat composer: images, PDFs and text/code files added by
+ * drag-and-drop, paste or the attach button. Files are checked against type and size
+ * limits when they are added, read as base64 and sent as `inlineData` parts.
+ */
+
+/** Limits enforced before anything is sent */
+export const ATTACHMENT_LIMITS = {
+    maxFiles: 5,
+    maxFileBytes: 7 * 1024 * 1024,   // Per file, before base64 encoding
+    maxTotalBytes: 15 * 1024 * 1024  // All attachments of one message together
+};
+
+const IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/webp', 'image/heic', 'image/heif'];
+
+/** Extensions treated as plain text when the browser doesn't report a text/* type */
+const TEXT_EXTENSIONS = [
+    'txt', 'md', 'csv', 'tsv', 'json', 'xml', 'yaml', 'yml', 'toml', 'ini', 'log', 'html', 'css',
+    'js', 'mjs', 'cjs', 'ts', 'tsx', 'jsx', 'py', 'rb', 'go', 'rs', 'java', 'kt', 'c', 'h', 'cpp',
+    'hpp', 'cs', 'php', 'swift', 'sh', 'bash', 'sql', 'r', 'lua', 'pl', 'scala', 'vue', 'svelte'
+];
+
+/**
+ * Works out how a file would be sent.
+ * @param {File} file
+ * @returns {{kind: 'image'|'pdf'|'text', mimeType: string}|null} Null if the type isn't supported.
+ */
+export function classifyFile(file) {
+    const type = (file.type || '').toLowerCase();
+    const extension = (file.name.split('.').pop() || '').toLowerCase();
+    if (IMAGE_TYPES.includes(type)) return { kind: 'image', mimeType: type };
+    if (type === 'application/pdf' || extension === 'pdf') return { kind: 'pdf', mimeType: 'application/pdf' };
+    // Code and data files go as text/plain; the model doesn't accept most text/x-* types
+    if (type.startsWith('text/') || type === 'application/json' || TEXT_EXTENSIONS.includes(extension)) {
+        return { kind: 'text', mimeType: 'text/plain' };
+    }
+    return null;
+}
+
+/**
+ * Formats a byte count for messages.
+ * @param {number} bytes
+ * @returns {string}
+ */
+export function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Checks a set of attachments against the per-message limits.
+ * @param {Array<{size: number}>} attachments
+ * @returns {string|null} What is wrong, or null if the attachments can be sent.
+ */
+export function checkAttachmentLimits(attachments) {
+    if (attachments.length > ATTACHMENT_LIMITS.maxFiles) {
+        return `At most ${ATTACHMENT_LIMITS.maxFiles} files per message`;
+    }
+    const oversized = attachments.find(attachment => attachment.size > ATTACHMENT_LIMITS.maxFileBytes);
+    if (oversized) {
+        return `${oversized.name} is larger than ${formatBytes(ATTACHMENT_LIMITS.maxFileBytes)}`;
+    }
+    const totalBytes = attachments.reduce((sum, attachment) => sum + attachment.size, 0);
+    if (totalBytes > ATTACHMENT_LIMITS.maxTotalBytes) {
+        return `Attachments exceed ${formatBytes(ATTACHMENT_LIMITS.maxTotalBytes)} in total`;
+    }
+    return null;
+}
+
+/**
+ * Reads a file as base64 (without the data: prefix).
+ * @param {File} file
+ * @returns {Promise<string>}
+ */
+function readAsBase64(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(String(reader.result).split(',')[1] || '');
+        reader.onerror = () => reject(reader.error || new Error(`Could not read ${file.name}.`));
+        reader.readAsDataURL(file);
+    });
+}
+
+/**
+ * Attachment tray of the chat composer. Holds the files for the next message and shows
+ * them as removable chips (thumbnails for images).
+ */
+export class AttachmentTray {
+    /**
+     * @param {Object} elements
+     * @param {HTMLElement} elements.tray - Container for the chips.
+     * @param {HTMLInputElement} [elements.fileInput] - Hidden file input opened by the attach button.
+     * @param {HTMLElement} [elements.attachButton] - Opens the file picker.
+     * @param {HTMLElement} [elements.pasteTarget] - Where pasted files are picked up (the message input).
+     * @param {HTMLElement} [elements.dropTarget] - Where files can be dropped.
+     * @param {Object} [options]
+     * @param {Function} [options.onStatus] - Called with a short status message (e.g. StatusManager.addStatus).
+     */
+    constructor({ tray, fileInput, attachButton, pasteTarget, dropTarget }, { onStatus } = {}) {
+        this.tray = tray;
+        this.dropTarget = dropTarget;
+        this.onStatus = typeof onStatus === 'function' ? onStatus : () => {};
+        this.attachments = []; // {id, name, size, kind, mimeType, data}
+        this._nextId = 1;
+        this._adding = Promise.resolve(); // add() calls run one at a time so the limits hold across them
+
+        attachButton?.addEventListener('click', () => fileInput?.click());
+        fileInput?.addEventListener('change', () => {
+            this.add(fileInput.files);
+            fileInput.value = ''; // Allow picking the same file again
+        });
+
+        pasteTarget?.addEventListener('paste', (e) => {
+            const files = [...(e.clipboardData?.files || [])];
+            if (files.length === 0) return; // Plain text paste
+            e.preventDefault();
+            this.add(files);
+        });
+
+        if (dropTarget) {
+            let depth = 0; // dragenter/dragleave fire for every child element
+            dropTarget.addEventListener('dragenter', (e) => {
+                if (!e.dataTransfer?.types.includes('Files')) return;
+                e.preventDefault();
+                depth++;
+                dropTarget.classList.add('drag-over');
+            });
+            dropTarget.addEventListener('dragover', (e) => {
+                if (e.dataTransfer?.types.includes('Files')) e.preventDefault();
+            });
+            dropTarget.addEventListener('dragleave', () => {
+                depth = Math.max(0, depth - 1);
+                if (depth === 0) dropTarget.classList.remove('drag-over');
+            });
+            dropTarget.addEventListener('drop', (e) => {
+                if (!e.dataTransfer?.files.length) return;
+                e.preventDefault();
+                depth = 0;
+                dropTarget.classList.remove('drag-over');
+                this.add(e.dataTransfer.files);
+            });
+        }
+
+        this._render();
+    }
+
+    /** Number of attachments waiting to be sent */
+    get count() {
+        return this.attachments.length;
+    }
+
+    /**
+     * Checks files against the limits and adds the ones that pass. Rejected files are reported
+     * through onStatus; the others are still added. Calls are queued: files pasted or dropped
+     * while earlier ones are still being read are checked against the tray including those.
+     * @param {FileList|Array<File>} fileList
+     * @returns {Promise<number>} How many files were added.
+     */
+    add(fileList) {
+        const files = [...fileList]; // Copy now: a file input's list changes when the input is reset
+        const adding = this._adding.then(() => this._addFiles(files));
+        this._adding = adding.catch(() => {});
+        return adding;
+    }
+
+    /**
+     * Adds files one by one, checking each against the limits first.
+     * @param {Array<File>} files
+     * @returns {Promise<number>} How many files were added.
+     * @private
+     */
+    async _addFiles(files) {
+        const rejected = [];
+        let added = 0;
+        for (const file of files) {
+            const type = classifyFile(file);
+            const totalBytes = this.attachments.reduce((sum, attachment) => sum + attachment.size, 0);
+            if (!type) {
+                rejected.push(`${file.name}: unsupported file type`);
+            } else if (this.attachments.length >= ATTACHMENT_LIMITS.maxFiles) {
+                rejected.push(`${file.name}: at most ${ATTACHMENT_LIMITS.maxFiles} files per message`);
+            } else if (file.size === 0) {
+                rejected.push(`${file.name}: file is empty`);
+            } else if (file.size > ATTACHMENT_LIMITS.maxFileBytes) {
+                rejected.push(`${file.name}: larger than ${formatBytes(ATTACHMENT_LIMITS.maxFileBytes)}`);
+            } else if (totalBytes + file.size > ATTACHMENT_LIMITS.maxTotalBytes) {
+                rejected.push(`${file.name}: attachments would exceed ${formatBytes(ATTACHMENT_LIMITS.maxTotalBytes)}`);
+            } else {
+                try {
+                    const data = await readAsBase64(file);
+                    this.attachments.push({ id: this._nextId++, name: file.name, size: file.size, ...type, data });
+                    added++;
+                } catch (error) {
+                    console.error("AttachmentTray: Failed to read file:", error);
+                    rejected.push(`${file.name}: could not be read`);
+                }
+            }
+        }
+        if (rejected.length) {
+            console.warn("AttachmentTray: Files not attached:", rejected);
+            this.onStatus(`Not attached: ${rejected.join('; ')}`);
+        }
+        this._render();
+        return added;
+    }
+
+    /**
+     * Removes one attachment.
+     * @param {number} id
+     */
+    remove(id) {
+        this.attachments = this.attachments.filter(attachment => attachment.id !== id);
+        this._render();
+    }
+
+    /**
+     * Empties the tray and returns what was in it, e.g. when the message is sent.
+     * @returns {Array<{name: string, size: number, kind: string, mimeType: string, data: string}>}
+     */
+    take() {
+        const attachments = this.attachments;
+        this.attachments = [];
+        this._render();
+        return attachments;
+    }
+
+    /**
+     * Puts attachments back, e.g. when sending failed.
+     * @param {Array<Object>} attachments - As returned by take().
+     */
+    restore(attachments) {
+        this.attachments = [...attachments, ...this.attachments];
+        this._render();
+    }
+
+    /** Redraws the chips */
+    _render() {
+        if (!this.tray) return;
+        this.tray.innerHTML = '';
+        this.tray.hidden = this.attachments.length === 0;
+        this.attachments.forEach(attachment => {
+            const chip = document.createElement('div');
+            chip.className = `attachment-chip attachment-${attachment.kind}`;
+            chip.title = `${attachment.name} (${formatBytes(attachment.size)})`;
+            if (attachment.kind === 'image') {
+                const img = document.createElement('img');
+                img.src = `data:${attachment.mimeType};base64,${attachment.data}`;
+                img.alt = attachment.name;
+                chip.appendChild(img);
+            } else {
+                const label = document.createElement('span');
+                label.textContent = attachment.kind === 'pdf' ? 'PDF' : 'TXT';
+                chip.appendChild(label);
+            }
+            const removeBtn = document.createElement('button');
+            removeBtn.type = 'button';
+            removeBtn.className = 'attachment-remove';
+            removeBtn.textContent = '×';
+            removeBtn.setAttribute('aria-label', `Remove ${attachment.name}`);
+            removeBtn.addEventListener('click', () => this.remove(attachment.id));
+            chip.appendChild(removeBtn);
+            this.tray.appendChild(chip);
+        });
+    }
+}
@@ -0,0 +1,250 @@
+/**
+ * Export and import of stored chat sessions.
+ *
+ * Formats:
+ * - JSON: full fidelity (all turns incl. tool calls, sources, images, attached file names, and the setup the
+ *   Live session was started with, tool declarations included). This is the only format that can be imported again.
+ * - Markdown: readable transcript for notes and issue trackers.
+ * - HTML: self-contained page with inline styles and images embedded as data URIs.
+ */
+import { renderMarkdown } from './markdown-renderer.js';
+
+/** Identifies files produced by exportChatAsJSON */
+export const CHAT_EXPORT_FORMAT = 'gemini-live-chat';
+export const CHAT_EXPORT_VERSION = 1;
+
+const VALID_ROLES = ['user', 'model', 'tool'];
+const VALID_TYPES = ['text', 'transcript', 'audio', 'image', 'tool_call'];
+
+/**
+ * Builds the JSON export object for a session.
+ * @param {Object} session - Session record from ConversationStore.
+ * @param {Array<Object>} turns - The session's turns, oldest first.
+ * @returns {Object}
+ */
+export function exportChatAsJSON(session, turns) {
+    return {
+        format: CHAT_EXPORT_FORMAT,
+        version: CHAT_EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+        session: {
+            title: session.title || '',
+            createdAt: new Date(session.createdAt).toISOString(),
+            model: session.model || null,
+            config: session.config || null // Live API setup (generationConfig, systemInstruction, tools, ...) minus the model
+        },
+        turns: turns.map(turn => ({
+            role: turn.role,
+            type: turn.type,
+            text: turn.text || '',
+            images: turn.images || [],
+            files: turn.files || [],
+            toolCalls: turn.toolCalls || [],
+            sources: turn.sources || [],
+            timestamp: new Date(turn.timestamp).toISOString()
+        }))
+    };
+}
+
+/**
+ * Returns a readable speaker label for a turn.
+ * @param {Object} turn
+ * @returns {string}
+ */
+function speakerLabel(turn) {
+    if (turn.role === 'tool') return 'Tool';
+    const who = turn.role === 'user' ? 'User' : 'Model';
+    return turn.type === 'transcript' ? `${who} (spoken)` : who;
+}
+
+/**
+ * Renders a session as a Markdown transcript.
+ * @param {Object} session - Session record from ConversationStore.
+ * @param {Array<Object>} turns - The session's turns, oldest first.
+ * @returns {string}
+ */
+export function exportChatAsMarkdown(session, turns) {
+    const lines = [
+        `# ${session.title || 'Chat'}`,
+        '',
+        `- Started: ${new Date(session.createdAt).toLocaleString()}`,
+        ...(session.model ? [`- Model: ${session.model}`] : []),
+        ''
+    ];
+
+    turns.forEach(turn => {
+        const time = new Date(turn.timestamp).toLocaleTimeString();
+        lines.push(`## ${speakerLabel(turn)} · ${time}`, '');
+        if (turn.type === 'audio') lines.push('_(audio message)_', '');
+        if (turn.text) lines.push(turn.text, '');
+        (turn.images || []).forEach((image, i) => lines.push(`_(image ${i + 1}: ${image.mimeType})_`, ''));
+        (turn.files || []).forEach(file => lines.push(`_(file: ${file.name})_`, ''));
+        (turn.toolCalls || []).forEach(call => {
+            lines.push(`**${call.name}**`, '', '```json', JSON.stringify({ args: call.args, output: call.output, error: call.error }, null, 2), '```', '');
+        });
+        if (turn.sources?.length) {
+            lines.push('Sources:', ...turn.sources.map(source => `${source.index}. [${source.title}](${source.url})`), '');
+        }
+    });
+
+    return lines.join('\n');
+}
+
+/**
+ * Escapes text for inclusion in HTML.
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHTML(text) {
+    return String(text ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+/**
+ * Renders a session as a standalone HTML page. Model markdown is rendered with the chat's
+ * (DOM-based, sanitising) renderer and serialized; images are embedded as data URIs.
+ * @param {Object} session - Session record from ConversationStore.
+ * @param {Array<Object>} turns - The session's turns, oldest first.
+ * @returns {string}
+ */
+export function exportChatAsHTML(session, turns) {
+    const messages = turns.map(turn => {
+        let body = '';
+        if (turn.type === 'audio') body += '<p><em>(audio message)</em></p>';
+        if (turn.text) {
+            if (turn.role === 'model') {
+                const container = document.createElement('div');
+                renderMarkdown(container, turn.text);
+                container.querySelectorAll('.md-copy-btn').forEach(btn => btn.remove()); // No scripts in the export
+                body += container.innerHTML;
+            } else {
+                body += `<p>${escapeHTML(turn.text).replace(/\n/g, '<br>')}</p>`;
+            }
+        }
+        (turn.images || []).forEach(image => {
+            if (/^image\/[\w.+-]+$/.test(image.mimeType)) {
+                body += `<img src="data:${image.mimeType};base64,${escapeHTML(image.data)}" alt="Attached image">`;
+            }
+        });
+        (turn.files || []).forEach(file => {
+            body += `<p><em>(file: ${escapeHTML(file.name)})</em></p>`;
+        });
+        (turn.toolCalls || []).forEach(call => {
+            body += `<details><summary>Tool call: ${escapeHTML(call.name)}</summary><pre>${escapeHTML(JSON.stringify({ args: call.args, output: call.output, error: call.error }, null, 2))}</pre></details>`;
+        });
+        if (turn.sources?.length) {
+            body += `<ol class="sources">${turn.sources.map(source =>
+                `<li value="${Number(source.index) || ''}"><a href="${/^https?:\/\//i.test(source.url) ? escapeHTML(source.url) : '#'}" rel="noopener noreferrer">${escapeHTML(source.title || source.url)}</a></li>`
+            ).join('')}</ol>`;
+        }
+        return `<div class="msg ${escapeHTML(turn.role)}"><div class="meta">${escapeHTML(speakerLabel(turn))} · ${escapeHTML(new Date(turn.timestamp).toLocaleString())}</div>${body}</div>`;
+    }).join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${escapeHTML(session.title || 'Chat')}</title>
+<style>
+body { font-family: system-ui, sans-serif; max-width: 800px; margin: 2em auto; padding: 0 1em; background: #1a1a1a; color: #fff; line-height: 1.45; }
+.msg { padding: 10px 15px; border-radius: 12px; margin: 10px 0; }
+.msg.user { background: #2c5282; margin-left: 15%; }
+.msg.model { background: #2d3748; margin-right: 15%; }
+.msg.tool { background: #333; font-size: 0.9em; }
+.meta { font-size: 0.75em; opacity: 0.7; margin-bottom: 4px; }
+img { max-width: 100%; border-radius: 8px; }
+pre { background: #1e1e1e; padding: 10px; border-radius: 8px; overflow-x: auto; }
+code { font-family: monospace; }
+table { border-collapse: collapse; } th, td { border: 1px solid #555; padding: 4px 8px; }
+a { color: #4CAF50; }
+.tok-keyword { color: #569cd6; } .tok-string { color: #ce9178; } .tok-number { color: #b5cea8; } .tok-comment { color: #6a9955; }
+</style>
+</head>
+<body>
+<h1>${escapeHTML(session.title || 'Chat')}</h1>
+<p class="meta">Started ${escapeHTML(new Date(session.createdAt).toLocaleString())}${session.model ? ` · ${escapeHTML(session.model)}` : ''}</p>
+${messages}
+</body>
+</html>
+`;
+}
+
+/**
+ * Parses and validates a JSON export for import.
+ * @param {string} jsonText - File contents.
+ * @returns {{meta: Object, turns: Array<Object>}} Session fields and turns for ConversationStore.importSession().
+ * @throws {Error} If the file is not a valid chat export.
+ */
+export function parseChatImport(jsonText) {
+    let data;
+    try {
+        data = JSON.parse(jsonText);
+    } catch (error) {
+        throw new Error(`File is not valid JSON: ${error.message}`);
+    }
+    if (data?.format !== CHAT_EXPORT_FORMAT || !Array.isArray(data.turns)) {
+        throw new Error("File is not a chat export from this app.");
+    }
+    if (data.version > CHAT_EXPORT_VERSION) {
+        throw new Error(`Chat export version ${data.version} is newer than this app supports (${CHAT_EXPORT_VERSION}).`);
+    }
+
+    const toTime = (value) => {
+        const time = new Date(value).getTime();
+        return Number.isNaN(time) ? Date.now() : time;
+    };
+
+    const turns = data.turns
+        .filter(turn => VALID_ROLES.includes(turn?.role))
+        .map(turn => ({
+            role: turn.role,
+            type: VALID_TYPES.includes(turn.type) ? turn.type : 'text',
+            text: typeof turn.text === 'string' ? turn.text : '',
+            images: Array.isArray(turn.images)
+                ? turn.images.filter(image => typeof image?.data === 'string' && typeof image?.mimeType === 'string')
+                : [],
+            files: Array.isArray(turn.files)
+                ? turn.files.filter(file => typeof file?.name === 'string').map(({ name, mimeType, size }) => ({ name, mimeType, size }))
+                : [],
+            toolCalls: Array.isArray(turn.toolCalls) ? turn.toolCalls : [],
+            sources: Array.isArray(turn.sources) ? turn.sources : [],
+            timestamp: toTime(turn.timestamp)
+        }));
+
+    return {
+        meta: {
+            title: typeof data.session?.title === 'string' ? data.session.title : '',
+            createdAt: toTime(data.session?.createdAt),
+            model: data.session?.model || null,
+            config: data.session?.config || null
+        },
+        turns
+    };
+}
+
+/**
+ * Offers text content as a file download.
+ * @param {string} filename
+ * @param {string} content
+ * @param {string} mimeType
+ */
+export function downloadFile(filename, content, mimeType) {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Makes a file-name-safe slug from a session title.
+ * @param {string} title
+ * @returns {string}
+ */
+export function fileNameFor(title) {
+    const slug = String(title || 'chat').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 50);
+    return `${slug || 'chat'}-${new Date().toISOString().slice(0, 10)}`;
+}
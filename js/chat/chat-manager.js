@@ -1,6 +1,14 @@
+import ConversationStore from './conversation-store.js';
+import { renderMarkdown } from './markdown-renderer.js';
+import { TurnSources } from './search-sources.js';
+import { languageName } from '../config/translate-mode.js';
+
 /**
  * Manages the chat interface, including adding messages,
  * handling streaming responses, and scrolling.
+ * Every user/model/tool turn is also recorded to the ConversationStore
+ * so sessions can be reopened later.
+ * In translate mode each utterance and its translation are shown side by side in one row.
  */
 export class ChatManager {
     constructor() {
@@ -9,13 +17,47 @@ export class ChatManager {
         this.lastUserMessageType = null; // 'text' or 'audio'
         this.currentTranscript = ''; // Store accumulated transcript for the current message
         this.speechEnabled = localStorage.getItem('speakEnabled') === 'true'; // Load initial state
+        this.sources = new TurnSources(); // Search results returned during the current model turn
+        this._renderFrame = null; // Pending requestAnimationFrame for the streaming markdown render
+        this._streamStartedAt = null; // When the current streaming message appeared
+        this.translation = null; // {source, target} language codes while the session translates
+
+        // Persistence
+        this.store = ConversationStore;
+        // Stored session for the visible chat; its id is filled in lazily on the first turn.
+        // Replaced (not mutated) on clear so queued writes still land in the session they belong to.
+        this._session = { id: null };
+        this._recordQueue = Promise.resolve(); // Serializes writes so turns keep their order
+        this._setupConfig = null; // Setup of the Live session the chat is talking to, stored with new sessions
+    }
+
+    /**
+     * Sets the setup the Live session was started with. A chat session recorded from now on
+     * stores it (model, generation config, system instruction, tool declarations, ...).
+     * @param {Object|null} setup - The setup message as sent by the agent.
+     */
+    setSessionConfig(setup) {
+        this._setupConfig = setup ? structuredClone(setup) : null;
+    }
+
+    /** ID of the stored session shown in the chat, or null if nothing has been recorded yet */
+    get sessionId() {
+        return this._session.id;
     }
 
     /**
      * Adds a user message to the chat.
      * @param {string} text - The message text.
+     * @param {Object} [options]
+     * @param {'text'|'transcript'} [options.source='text'] - Whether the text was typed or transcribed from speech.
+     * @param {boolean} [options.record=true] - Set to false when re-rendering a stored session.
      */
-    addUserMessage(text) {
+    addUserMessage(text, { source = 'text', record = true } = {}) {
+        if (this.translation) {
+            this.addTranslationSource(text);
+            if (record) this._recordTurn({ role: 'user', type: source, text });
+            return;
+        }
         const messageDiv = document.createElement('div');
         messageDiv.className = 'chat-message user-message';
         // Create content div for text
@@ -27,12 +69,60 @@ export class ChatManager {
         this.chatContainer.appendChild(messageDiv);
         this.lastUserMessageType = 'text';
         this.scrollToBottom();
+
+        if (record) this._recordTurn({ role: 'user', type: source, text });
+    }
+
+    /**
+     * Adds a user message with attachments, e.g. an annotated snapshot or files from the composer.
+     * Images are shown as thumbnails, other files by name.
+     * @param {string} text - The message text (may be empty).
+     * @param {Object} attachments
+     * @param {Array<{mimeType: string, data: string}>} [attachments.images] - Base64 image data without the data: prefix.
+     * @param {Array<{name: string, mimeType: string, size: number}>} [attachments.files] - Other files; only
+     *   their names are kept, not their contents.
+     * @param {Object} [options]
+     * @param {boolean} [options.record=true] - Set to false when re-rendering a stored session.
+     */
+    addUserAttachmentMessage(text, { images = [], files = [] }, { record = true } = {}) {
+        const messageDiv = document.createElement('div');
+        messageDiv.className = 'chat-message user-message';
+        const contentDiv = document.createElement('div');
+        contentDiv.className = 'chat-content';
+        images.forEach(image => {
+            const img = document.createElement('img');
+            img.className = 'chat-image';
+            img.src = `data:${image.mimeType};base64,${image.data}`;
+            img.alt = image.name || 'Attached image';
+            img.addEventListener('load', () => this.scrollToBottom(), { once: true });
+            contentDiv.appendChild(img);
+        });
+        files.forEach(file => {
+            const fileDiv = document.createElement('div');
+            fileDiv.className = 'chat-file';
+            fileDiv.textContent = `📄 ${file.name}`;
+            contentDiv.appendChild(fileDiv);
+        });
+        if (text) {
+            const textDiv = document.createElement('div');
+            textDiv.textContent = text;
+            contentDiv.appendChild(textDiv);
+        }
+        messageDiv.appendChild(contentDiv);
+
+        this.chatContainer.appendChild(messageDiv);
+        this.lastUserMessageType = 'text';
+        this.scrollToBottom();
+
+        if (record) this._recordTurn({ role: 'user', type: images.length ? 'image' : 'text', text, images, files });
     }
 
     /**
      * Adds a placeholder for a user audio message.
+     * @param {Object} [options]
+     * @param {boolean} [options.record=true] - Set to false when re-rendering a stored session.
      */
-    addUserAudioMessage() {
+    addUserAudioMessage({ record = true } = {}) {
         const messageDiv = document.createElement('div');
         messageDiv.className = 'chat-message user-message';
         // Create content div for placeholder
@@ -44,6 +134,8 @@ export class ChatManager {
         this.chatContainer.appendChild(messageDiv);
         this.lastUserMessageType = 'audio';
         this.scrollToBottom();
+
+        if (record) this._recordTurn({ role: 'user', type: 'audio' });
     }
 
     /**
@@ -54,6 +146,18 @@ export class ChatManager {
             this.finalizeStreamingMessage();
         }
 
+        // Translations stream into the target side of the utterance's row
+        if (this.translation) {
+            const cell = this._translationCell('target');
+            cell.classList.remove('pending');
+            cell.classList.add('streaming');
+            this.currentStreamingMessage = cell;
+            this._streamStartedAt = Date.now();
+            this.currentTranscript = '';
+            this.scrollToBottom();
+            return;
+        }
+
         // If no user message was shown yet (e.g., model starts speaking first), add placeholder
         // This logic might need adjustment based on desired behavior when model initiates
         if (!this.lastUserMessageType) {
@@ -70,6 +174,7 @@ export class ChatManager {
 
         this.chatContainer.appendChild(messageDiv);
         this.currentStreamingMessage = messageDiv; // Store the parent message div
+        this._streamStartedAt = Date.now();
         this.currentTranscript = ''; // Reset transcript for the new message
         this.scrollToBottom();
     }
@@ -85,12 +190,25 @@ export class ChatManager {
         // Append text smoothly to the transcript
         // Use direct concatenation as per Context/chat-manager.js (no extra space needed if stream is chunked correctly)
         this.currentTranscript += text;
-        // Update the text content of the inner contentDiv
-        const contentDiv = this.currentStreamingMessage.querySelector('.chat-content');
+        // Re-render the markdown at most once per frame; chunks can arrive faster than that
+        if (!this._renderFrame) {
+            this._renderFrame = requestAnimationFrame(() => {
+                this._renderFrame = null;
+                this._renderStreamingContent();
+            });
+        }
+    }
+
+    /**
+     * Renders the accumulated transcript into the streaming message as markdown.
+     * @private
+     */
+    _renderStreamingContent() {
+        const contentDiv = this.currentStreamingMessage?.querySelector('.chat-content');
         if (contentDiv) {
-            contentDiv.textContent = this.currentTranscript;
+            renderMarkdown(contentDiv, this.currentTranscript);
+            this.scrollToBottom();
         }
-        this.scrollToBottom();
     }
 
     /**
@@ -98,18 +216,118 @@ export class ChatManager {
      */
     finalizeStreamingMessage() {
         if (this.currentStreamingMessage) {
+            // Flush any pending render so the final text is complete
+            if (this._renderFrame) {
+                cancelAnimationFrame(this._renderFrame);
+                this._renderFrame = null;
+            }
+            this._renderStreamingContent();
+            const sources = this.sources.take(this.currentTranscript);
+            this._renderSources(this.currentStreamingMessage, sources);
             this.currentStreamingMessage.classList.remove('streaming');
+            if (this.currentTranscript) {
+                this._recordTurn({ role: 'model', type: 'text', text: this.currentTranscript, sources }, this._streamStartedAt);
+            } else if (this.currentStreamingMessage.classList.contains('translation-cell')) {
+                this.currentStreamingMessage.classList.add('pending'); // Nothing came; wait for the translation
+            }
             this.currentStreamingMessage = null;
             this.lastUserMessageType = null; // Reset for the next turn
             this.currentTranscript = ''; // Clear transcript
         }
     }
 
+    /**
+     * Finalizes the streaming model message and marks it as cut off by the user (barge-in).
+     * @returns {boolean} True if there was a message to mark.
+     */
+    markInterrupted() {
+        const message = this.currentStreamingMessage;
+        if (!message) return false;
+        this.finalizeStreamingMessage();
+        message.classList.add('interrupted');
+        const label = document.createElement('div');
+        label.className = 'interrupted-label';
+        label.textContent = 'Interrupted';
+        message.appendChild(label);
+        this.scrollToBottom();
+        return true;
+    }
+
+    /**
+     * Switches the bilingual view used in translate mode on or off; rows already shown stay as they are.
+     * @param {{source: string, target: string}|null} translation - BCP-47 language codes, or null to turn it off.
+     */
+    setTranslation(translation) {
+        if (this.currentStreamingMessage) this.finalizeStreamingMessage();
+        this.translation = translation ? { source: translation.source, target: translation.target } : null;
+    }
+
+    /**
+     * Shows an utterance to be translated (what the user said or typed) on the left of its row.
+     * Only displays it: spoken transcripts are recorded with recordTranscript().
+     * @param {string} text
+     */
+    addTranslationSource(text) {
+        const cell = this._translationCell('source');
+        cell.querySelector('.chat-content').textContent = text;
+        cell.classList.remove('pending');
+        this.lastUserMessageType = 'text';
+        this.scrollToBottom();
+    }
+
+    /**
+     * Shows a spoken translation (transcript of the model's voice) on the right of its row. A
+     * translation transcribed in several parts is appended to the latest row once no row is waiting.
+     * Only displays it: the transcript is recorded with recordTranscript().
+     * @param {string} text
+     */
+    addTranslationTarget(text) {
+        const pending = this.chatContainer.querySelector('.translation-cell.pending[data-side="target"]');
+        const rows = this.chatContainer.querySelectorAll('.translation-row');
+        const cell = pending || rows[rows.length - 1]?.querySelector('[data-side="target"]') || this._translationCell('target');
+        const content = cell.querySelector('.chat-content');
+        content.textContent = cell.classList.contains('pending') ? text : `${content.textContent} ${text}`.trim();
+        cell.classList.remove('pending');
+        this.scrollToBottom();
+    }
+
+    /**
+     * Finds the earliest row still waiting for one side, or adds a new row. A translation can
+     * start before the transcript of what was said arrives, so either side may come first.
+     * @param {'source'|'target'} side
+     * @returns {HTMLElement} The pending cell for that side.
+     * @private
+     */
+    _translationCell(side) {
+        const pending = this.chatContainer.querySelector(`.translation-cell.pending[data-side="${side}"]`);
+        if (pending) return pending;
+
+        const row = document.createElement('div');
+        row.className = 'translation-row';
+        [['source', 'user-message'], ['target', 'model-message']].forEach(([cellSide, messageClass]) => {
+            const cell = document.createElement('div');
+            cell.className = `chat-message ${messageClass} translation-cell pending`;
+            cell.dataset.side = cellSide;
+            const label = document.createElement('div');
+            label.className = 'translation-lang';
+            label.textContent = languageName(this.translation?.[cellSide] ?? '');
+            const content = document.createElement('div');
+            content.className = 'chat-content';
+            cell.append(label, content);
+            row.appendChild(cell);
+        });
+        this.chatContainer.appendChild(row);
+        return row.querySelector(`[data-side="${side}"]`);
+    }
+
     /**
      * Adds a complete model message (non-streaming).
      * @param {string} text - The full message text.
+     * @param {Object} [options]
+     * @param {Array<Object>} [options.sources] - Search sources to list under the message.
+     * @param {boolean} [options.record=true] - Set to false when re-rendering a stored session.
      */
-    addModelMessage(text) {
+    addModelMessage(text, { sources, record = true } = {}) {
         if (this.currentStreamingMessage) {
             this.finalizeStreamingMessage(); // Finalize any ongoing stream first
         }
@@ -119,12 +337,176 @@ export class ChatManager {
         // Add content div
         const contentDiv = document.createElement('div');
         contentDiv.className = 'chat-content';
-        contentDiv.textContent = text;
+        renderMarkdown(contentDiv, text);
         messageDiv.appendChild(contentDiv);
 
+        const shownSources = sources || this.sources.take(text);
+        this._renderSources(messageDiv, shownSources);
+
         this.chatContainer.appendChild(messageDiv);
         this.lastUserMessageType = null; // Reset for the next turn
         this.scrollToBottom();
+
+        if (record) this._recordTurn({ role: 'model', type: 'text', text, sources: shownSources });
+    }
+
+    /**
+     * Records search results returned by a tool during the current model turn.
+     * They are shown under the model's message when it is finalized.
+     * @param {Array<{index: number, title: string, url: string, snippet: string}>} results - Numbered search results.
+     */
+    addSearchSources(results) {
+        this.sources.add(results);
+    }
+
+    /**
+     * Ends the model's turn: finalizes its message and drops search results that no message
+     * took (e.g. the reply was spoken only), so they aren't listed under the next one.
+     */
+    completeTurn() {
+        this.finalizeStreamingMessage();
+        const dropped = this.sources.endTurn();
+        if (dropped) console.debug(`ChatManager: Dropped ${dropped} search source(s) of a turn without a text message.`);
+    }
+
+    /**
+     * Appends a "Sources" list to a model message.
+     * @param {HTMLElement} messageDiv - The model message element.
+     * @param {Array<Object>} sources - Sources from `TurnSources.take` (or a stored turn).
+     * @private
+     */
+    _renderSources(messageDiv, sources) {
+        if (!sources?.length) return;
+
+        const sourcesDiv = document.createElement('div');
+        sourcesDiv.className = 'chat-sources';
+        const heading = document.createElement('div');
+        heading.className = 'chat-sources-title';
+        heading.textContent = sources.some(source => source.cited) ? 'Sources cited' : 'Sources searched';
+        sourcesDiv.appendChild(heading);
+
+        const list = document.createElement('ol');
+        sources.forEach(source => {
+            const item = document.createElement('li');
+            item.value = source.index;
+            const link = document.createElement('a');
+            link.href = /^https?:\/\//i.test(source.url) ? source.url : '#'; // Only allow web links
+            link.target = '_blank';
+            link.rel = 'noopener noreferrer';
+            link.textContent = source.title || source.url;
+            link.title = source.snippet || source.url;
+            item.appendChild(link);
+            list.appendChild(item);
+        });
+        sourcesDiv.appendChild(list);
+        messageDiv.appendChild(sourcesDiv);
+    }
+
+    /**
+     * Records tool calls and their results for the current session (not shown in the chat).
+     * @param {Array<{id: string, name: string, args?: Object, output?: any, error?: any}>} toolResults
+     */
+    recordToolCalls(toolResults) {
+        if (!toolResults?.length) return;
+        const toolCalls = toolResults.map(({ id, name, args, output, error }) => ({ id, name, args, output, error }));
+        this._recordTurn({ role: 'tool', type: 'tool_call', toolCalls });
+    }
+
+    /**
+     * Records a final speech transcript (e.g. of the model's spoken reply) for the current session.
+     * @param {'user'|'model'} role - Whose speech was transcribed.
+     * @param {string} text - The transcript text.
+     */
+    recordTranscript(role, text) {
+        if (!text?.trim()) return;
+        this._recordTurn({ role, type: 'transcript', text });
+    }
+
+    /**
+     * Queues a turn to be written to the store, creating the session on the first turn.
+     * Storage failures are logged but never interrupt the chat.
+     * Also announces the turn on document ('chatTurnRecorded'), e.g. for session recording markers.
+     * @param {Object} turn - See ConversationStore.addTurn.
+     * @param {number} [startedAt] - When a streamed message started appearing, if earlier than now.
+     * @private
+     */
+    _recordTurn(turn, startedAt) {
+        const timestamp = Date.now();
+        const target = this._session;
+        document.dispatchEvent(new CustomEvent('chatTurnRecorded', { detail: { ...turn, timestamp, startedAt } }));
+        this._recordQueue = this._recordQueue
+            .then(async () => {
+                if (!target.id) {
+                    const { model = null, ...config } = this._setupConfig || {};
+                    const session = await this.store.createSession({ model, config: this._setupConfig ? config : null });
+                    target.id = session.id;
+                }
+                await this.store.addTurn(target.id, { ...turn, timestamp });
+                document.dispatchEvent(new CustomEvent('chatSessionsChanged', { detail: { sessionId: target.id } }));
+            })
+            .catch(error => console.error("ChatManager: Failed to save chat turn:", error));
+    }
+
+    /**
+     * Returns the stored turns of the visible chat, after any pending writes have landed.
+     * @returns {Promise<Array<Object>>} Turns oldest first; empty if nothing has been recorded.
+     */
+    async getCurrentTurns() {
+        await this._recordQueue;
+        return this.sessionId ? this.store.getTurns(this.sessionId) : [];
+    }
+
+    /**
+     * Replaces the visible chat with a stored session; new turns are appended to it.
+     * @param {string} sessionId - The session to open.
+     * @returns {Promise<void>}
+     * @throws {Error} If the session does not exist.
+     */
+    async loadSession(sessionId) {
+        await this._recordQueue; // Let pending writes for the current session finish first
+        const session = await this.store.getSession(sessionId);
+        if (!session) throw new Error(`Chat session "${sessionId}" not found.`);
+        const turns = await this.store.getTurns(sessionId);
+
+        this.clear();
+        turns.forEach(turn => {
+            if (turn.role === 'user' && turn.type === 'audio') {
+                this.addUserAudioMessage({ record: false });
+            } else if (turn.role === 'user' && (turn.images?.length || turn.files?.length)) {
+                this.addUserAttachmentMessage(turn.text, { images: turn.images, files: turn.files }, { record: false });
+            } else if (turn.role === 'user' && turn.text) {
+                this.addUserMessage(turn.text, { source: turn.type, record: false });
+            } else if (turn.role === 'model' && turn.type === 'text') {
+                this.addModelMessage(turn.text, { sources: turn.sources, record: false });
+            }
+            // Tool calls and spoken-reply transcripts are kept in the store but not rendered
+        });
+        this._session = { id: sessionId };
+        console.info(`ChatManager: Loaded session ${sessionId} (${turns.length} turn(s)).`);
+    }
+
+    /**
+     * Returns the visible chat's session record and turns for exporting.
+     * @returns {Promise<{session: Object, turns: Array<Object>}|null>} Null if nothing has been recorded yet.
+     */
+    async getCurrentSessionData() {
+        const turns = await this.getCurrentTurns();
+        if (turns.length === 0) return null;
+        const session = await this.store.getSession(this.sessionId);
+        return { session, turns };
+    }
+
+    /**
+     * Stores an imported chat as a new session and opens it.
+     * @param {{meta: Object, turns: Array<Object>}} data - Result of parseChatImport().
+     * @returns {Promise<Object>} The new session record.
+     * @throws {Error} If the import contains no turns or cannot be stored.
+     */
+    async importChat({ meta, turns }) {
+        if (!turns || turns.length === 0) throw new Error("The imported chat has no messages.");
+        const session = await this.store.importSession(meta, turns);
+        await this.loadSession(session.id);
+        return session;
     }
 
     /**
@@ -140,11 +522,16 @@ export class ChatManager {
     }
 
     /**
-     * Clears all messages from the chat container.
+     * Clears all messages from the chat container and starts a new session.
+     * The previous session stays in the ConversationStore.
      */
     clear() {
         if (!this.chatContainer) return;
         this.chatContainer.innerHTML = ''; // Clear content
+        if (this._renderFrame) {
+            cancelAnimationFrame(this._renderFrame);
+            this._renderFrame = null;
+        }
 
         // Re-add essential containers if they were inside chatHistory
         const statusContainer = document.createElement('div');
@@ -162,6 +549,8 @@ export class ChatManager {
         this.currentStreamingMessage = null;
         this.lastUserMessageType = null;
         this.currentTranscript = '';
+        this.sources.endTurn();
+        this._session = { id: null }; // Next recorded turn starts a new session
     }
 
     /**
@@ -0,0 +1,122 @@
+/**
+ * Builds `clientContent.turns` from a stored chat so a fresh Live session
+ * (after a model change or a reconnect without resumption) knows what was said.
+ *
+ * Recent turns are replayed verbatim within the configured turn/token budget.
+ * Anything older is truncated, not summarised: each older message is cut to its first
+ * sentence and the excerpts go into one turn placed first, newest kept if they don't all fit.
+ * That keeps the topics of a long chat without blowing the budget, but not its details.
+ */
+
+/** Rough characters-per-token ratio used for budgeting (no tokenizer in the browser) */
+const CHARS_PER_TOKEN = 4;
+
+/** Share of the token budget kept for excerpts of older turns */
+const EXCERPT_BUDGET_SHARE = 0.25;
+
+/** Length each older turn is cut to in its excerpt */
+const EXCERPT_LINE_LENGTH = 160;
+
+/**
+ * Estimates the token count of a text.
+ * @param {string} text
+ * @returns {number}
+ */
+export function estimateTokens(text) {
+    return Math.ceil(String(text || '').length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Turns stored chat turns into alternating user/model dialog entries.
+ * Audio placeholders and tool call records carry no replayable text and are skipped;
+ * consecutive entries from the same speaker are merged.
+ * @param {Array<Object>} storedTurns - Turns from ConversationStore.getTurns().
+ * @returns {Array<{role: 'user'|'model', text: string}>}
+ */
+function toDialog(storedTurns) {
+    const dialog = [];
+    storedTurns.forEach(turn => {
+        if (!['user', 'model'].includes(turn.role) || !turn.text?.trim()) return;
+        const last = dialog[dialog.length - 1];
+        if (last && last.role === turn.role) {
+            last.text += `\n${turn.text.trim()}`;
+        } else {
+            dialog.push({ role: turn.role, text: turn.text.trim() });
+        }
+    });
+    return dialog;
+}
+
+/**
+ * Truncates older dialog entries into one text of excerpts that fits the token budget.
+ * Each entry is cut to its first sentence (or EXCERPT_LINE_LENGTH chars); if that is
+ * still too long, the oldest lines are dropped first.
+ * @param {Array<{role: string, text: string}>} entries - Older entries, oldest first.
+ * @param {number} maxTokens - Budget for the excerpts.
+ * @returns {string} The excerpts, or an empty string if nothing fits.
+ */
+function truncateOlder(entries, maxTokens) {
+    const lines = entries.map(({ role, text }) => {
+        const singleLine = text.replace(/\s+/g, ' ');
+        const firstSentence = singleLine.match(/^.*?[.!?](\s|$)/)?.[0].trim() || singleLine;
+        const short = firstSentence.length > EXCERPT_LINE_LENGTH
+            ? `${firstSentence.slice(0, EXCERPT_LINE_LENGTH - 1)}…`
+            : firstSentence;
+        return `- ${role === 'user' ? 'User' : 'Assistant'}: ${short}`;
+    });
+
+    const header = 'Excerpts from the earlier part of this conversation (first sentence of each message, oldest first):';
+    let used = estimateTokens(header);
+    const kept = [];
+    for (let i = lines.length - 1; i >= 0; i--) {
+        const cost = estimateTokens(lines[i]) + 1;
+        if (used + cost > maxTokens) break;
+        kept.unshift(lines[i]);
+        used += cost;
+    }
+    if (kept.length === 0) return '';
+    const omitted = lines.length - kept.length;
+    return [header, ...(omitted > 0 ? [`(${omitted} older message(s) omitted)`] : []), ...kept].join('\n');
+}
+
+/**
+ * Builds the turns to replay into a new Live session.
+ * @param {Array<Object>} storedTurns - Turns from ConversationStore.getTurns(), oldest first.
+ * @param {Object} budget
+ * @param {number} budget.maxTurns - Maximum number of recent turns replayed verbatim.
+ * @param {number} budget.maxTokens - Approximate token budget for everything replayed.
+ * @returns {Array<{role: string, parts: Array<{text: string}>}>} Content turns for `clientContent.turns`; empty if nothing to replay.
+ */
+export function buildContextTurns(storedTurns, { maxTurns, maxTokens }) {
+    const dialog = toDialog(storedTurns || []);
+    if (dialog.length === 0 || maxTurns <= 0 || maxTokens <= 0) return [];
+
+    // Pick recent entries from the end while they fit
+    const recentBudget = Math.floor(maxTokens * (1 - EXCERPT_BUDGET_SHARE));
+    let used = 0;
+    let start = dialog.length;
+    while (start > 0 && dialog.length - start < maxTurns) {
+        const cost = estimateTokens(dialog[start - 1].text);
+        if (used + cost > recentBudget) break;
+        used += cost;
+        start--;
+    }
+
+    const recent = dialog.slice(start);
+    const older = dialog.slice(0, start);
+    const turns = recent.map(({ role, text }) => ({ role, parts: [{ text }] }));
+
+    if (older.length > 0) {
+        const excerpts = truncateOlder(older, maxTokens - used);
+        if (excerpts) {
+            // A leading user turn keeps the user/model alternation valid when the recent part starts with the model
+            if (turns[0]?.role === 'user') {
+                turns[0].parts.unshift({ text: excerpts });
+            } else {
+                turns.unshift({ role: 'user', parts: [{ text: excerpts }] });
+            }
+        }
+    }
+
+    return turns;
+}
@@ -0,0 +1,344 @@
+/**
+ * IndexedDB-backed storage for chat sessions and their turns, so conversations
+ * survive reloads and "New Chat" no longer discards the previous one.
+ *
+ * Object stores:
+ * - `sessions`: { id, title, createdAt, updatedAt, model, config, preview, turnCount }
+ * - `turns`:    { id (auto), sessionId, role, type, text, images, files, toolCalls, sources, timestamp }
+ */
+
+const DB_NAME = 'gemini-live';
+const DB_VERSION = 1;
+const SESSIONS_STORE = 'sessions';
+const TURNS_STORE = 'turns';
+
+/** Maximum length of auto-generated session titles and list previews */
+const TITLE_MAX_LENGTH = 60;
+const PREVIEW_MAX_LENGTH = 120;
+
+/**
+ * Wraps an IDBRequest in a Promise.
+ * @param {IDBRequest} request
+ * @returns {Promise<any>}
+ */
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Resolves when a transaction completes, rejects if it fails or aborts.
+ * @param {IDBTransaction} tx
+ * @returns {Promise<void>}
+ */
+function transactionDone(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new Error("Transaction aborted."));
+    });
+}
+
+/**
+ * Shortens text to a maximum length on a single line.
+ * @param {string} text
+ * @param {number} maxLength
+ * @returns {string}
+ */
+function truncate(text, maxLength) {
+    const singleLine = String(text || '').replace(/\s+/g, ' ').trim();
+    return singleLine.length > maxLength ? `${singleLine.slice(0, maxLength - 1)}…` : singleLine;
+}
+
+class ConversationStore {
+    constructor() {
+        this.db = null;           // Open IDBDatabase
+        this._openPromise = null; // Shared promise while the database is opening
+    }
+
+    /**
+     * Opens (and if needed creates/upgrades) the database. Safe to call repeatedly.
+     * @returns {Promise<IDBDatabase>}
+     * @throws {Error} If IndexedDB is unavailable or the database cannot be opened.
+     */
+    open() {
+        if (this.db) return Promise.resolve(this.db);
+        if (this._openPromise) return this._openPromise;
+
+        if (typeof indexedDB === 'undefined') {
+            return Promise.reject(new Error("IndexedDB is not supported in this browser; chat history will not be saved."));
+        }
+
+        this._openPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(SESSIONS_STORE)) {
+                    const sessions = db.createObjectStore(SESSIONS_STORE, { keyPath: 'id' });
+                    sessions.createIndex('updatedAt', 'updatedAt');
+                }
+                if (!db.objectStoreNames.contains(TURNS_STORE)) {
+                    const turns = db.createObjectStore(TURNS_STORE, { keyPath: 'id', autoIncrement: true });
+                    turns.createIndex('sessionId', 'sessionId');
+                }
+            };
+
+            request.onsuccess = () => {
+                this.db = request.result;
+                // Another tab upgrading the schema needs us to let go
+                this.db.onversionchange = () => {
+                    this.db.close();
+                    this.db = null;
+                };
+                console.info("ConversationStore: Database opened.");
+                resolve(this.db);
+            };
+
+            request.onerror = () => {
+                console.error("ConversationStore: Failed to open database:", request.error);
+                this._openPromise = null;
+                reject(request.error);
+            };
+        });
+
+        return this._openPromise;
+    }
+
+    /**
+     * Creates a new, empty session.
+     * @param {Object} [meta]
+     * @param {string} [meta.title] - Initial title; defaults to a dated placeholder until the first message.
+     * @param {string} [meta.model] - Model name in use when the session started.
+     * @param {Object} [meta.config] - Live API setup the chat ran with, minus the model: generation config, system instruction, tool declarations etc. (no API keys).
+     * @param {number} [meta.createdAt] - Creation time; defaults to now (set when importing).
+     * @returns {Promise<Object>} The stored session record.
+     */
+    async createSession({ title, model, config, createdAt } = {}) {
+        const db = await this.open();
+        const now = Date.now();
+        const session = {
+            id: crypto.randomUUID(),
+            title: title || '',
+            createdAt: createdAt || now,
+            updatedAt: createdAt || now,
+            model: model || null,
+            config: config || null,
+            preview: '',
+            turnCount: 0
+        };
+        const tx = db.transaction(SESSIONS_STORE, 'readwrite');
+        tx.objectStore(SESSIONS_STORE).add(session);
+        await transactionDone(tx);
+        return session;
+    }
+
+    /**
+     * Appends a turn to a session and updates the session's title, preview and timestamps.
+     * @param {string} sessionId - The session to append to.
+     * @param {Object} turn
+     * @param {'user'|'model'|'tool'} turn.role - Who produced the turn.
+     * @param {'text'|'transcript'|'audio'|'image'|'tool_call'} turn.type - What kind of content it holds.
+     * @param {string} [turn.text] - Message or transcript text.
+     * @param {Array<{mimeType: string, data: string}>} [turn.images] - Base64 image attachments.
+     * @param {Array<{name: string, mimeType: string, size: number}>} [turn.files] - Other attachments (names only, no contents).
+     * @param {Array<Object>} [turn.toolCalls] - Tool calls with their args and results.
+     * @param {Array<Object>} [turn.sources] - Search sources shown with a model message.
+     * @param {number} [turn.timestamp] - Defaults to now.
+     * @returns {Promise<Object>} The stored turn (with its generated id).
+     */
+    async addTurn(sessionId, turn) {
+        const db = await this.open();
+        const record = {
+            sessionId,
+            role: turn.role,
+            type: turn.type || 'text',
+            text: turn.text || '',
+            images: turn.images || [],
+            files: turn.files || [],
+            toolCalls: turn.toolCalls || [],
+            sources: turn.sources || [],
+            timestamp: turn.timestamp || Date.now()
+        };
+
+        const tx = db.transaction([SESSIONS_STORE, TURNS_STORE], 'readwrite');
+        const done = transactionDone(tx);
+        const sessions = tx.objectStore(SESSIONS_STORE);
+        // Wrap now: the add succeeds before the session lookup below resolves
+        const added = promisifyRequest(tx.objectStore(TURNS_STORE).add(record));
+
+        const session = await promisifyRequest(sessions.get(sessionId));
+        if (!session) {
+            tx.abort();
+            done.catch(() => {}); // The abort is expected; report the missing session instead
+            added.catch(() => {});
+            throw new Error(`Session "${sessionId}" not found.`);
+        }
+        session.updatedAt = record.timestamp;
+        session.turnCount = (session.turnCount || 0) + 1;
+        if (record.text && record.type !== 'tool_call') {
+            session.preview = truncate(record.text, PREVIEW_MAX_LENGTH);
+            // Name the session after its first user message unless the user renamed it
+            if (!session.title && record.role === 'user') {
+                session.title = truncate(record.text, TITLE_MAX_LENGTH);
+            }
+        }
+        sessions.put(session);
+
+        record.id = await added;
+        await done;
+        return record;
+    }
+
+    /**
+     * Stores a complete session (e.g. from an imported file) with all its turns in one transaction.
+     * @param {Object} meta - Session fields: title, model, config, createdAt.
+     * @param {Array<Object>} turns - Turns in order, in the shape accepted by addTurn().
+     * @returns {Promise<Object>} The stored session record.
+     */
+    async importSession(meta, turns) {
+        const db = await this.open();
+        const last = turns[turns.length - 1];
+        const session = {
+            id: crypto.randomUUID(),
+            title: meta.title || '',
+            createdAt: meta.createdAt || Date.now(),
+            updatedAt: last?.timestamp || meta.createdAt || Date.now(),
+            model: meta.model || null,
+            config: meta.config || null,
+            preview: truncate([...turns].reverse().find(t => t.text && t.type !== 'tool_call')?.text, PREVIEW_MAX_LENGTH),
+            turnCount: turns.length
+        };
+        if (!session.title) {
+            session.title = truncate(turns.find(t => t.role === 'user' && t.text)?.text || 'Imported chat', TITLE_MAX_LENGTH);
+        }
+
+        const tx = db.transaction([SESSIONS_STORE, TURNS_STORE], 'readwrite');
+        const done = transactionDone(tx);
+        tx.objectStore(SESSIONS_STORE).add(session);
+        const turnStore = tx.objectStore(TURNS_STORE);
+        turns.forEach(turn => turnStore.add({
+            sessionId: session.id,
+            role: turn.role,
+            type: turn.type || 'text',
+            text: turn.text || '',
+            images: turn.images || [],
+            files: turn.files || [],
+            toolCalls: turn.toolCalls || [],
+            sources: turn.sources || [],
+            timestamp: turn.timestamp || session.createdAt
+        }));
+        await done;
+        console.info(`ConversationStore: Imported session ${session.id} (${turns.length} turn(s)).`);
+        return session;
+    }
+
+    /**
+     * Returns a single session record.
+     * @param {string} sessionId
+     * @returns {Promise<Object|undefined>}
+     */
+    async getSession(sessionId) {
+        const db = await this.open();
+        return promisifyRequest(db.transaction(SESSIONS_STORE).objectStore(SESSIONS_STORE).get(sessionId));
+    }
+
+    /**
+     * Lists sessions, most recently updated first. Empty sessions are left out.
+     * @returns {Promise<Array<Object>>}
+     */
+    async listSessions() {
+        const db = await this.open();
+        const all = await promisifyRequest(db.transaction(SESSIONS_STORE).objectStore(SESSIONS_STORE).getAll());
+        return all
+            .filter(session => session.turnCount > 0)
+            .sort((a, b) => b.updatedAt - a.updatedAt);
+    }
+
+    /**
+     * Finds sessions whose title or any turn text contains the query (case-insensitive).
+     * @param {string} query
+     * @returns {Promise<Array<Object>>} Matching sessions, most recent first.
+     */
+    async searchSessions(query) {
+        const needle = String(query || '').trim().toLowerCase();
+        const sessions = await this.listSessions();
+        if (!needle) return sessions;
+
+        const db = await this.open();
+        const matchingIds = new Set(sessions.filter(s => (s.title || '').toLowerCase().includes(needle)).map(s => s.id));
+
+        await new Promise((resolve, reject) => {
+            const request = db.transaction(TURNS_STORE).objectStore(TURNS_STORE).openCursor();
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return resolve();
+                const turn = cursor.value;
+                if (!matchingIds.has(turn.sessionId) && (turn.text || '').toLowerCase().includes(needle)) {
+                    matchingIds.add(turn.sessionId);
+                }
+                cursor.continue();
+            };
+            request.onerror = () => reject(request.error);
+        });
+
+        return sessions.filter(session => matchingIds.has(session.id));
+    }
+
+    /**
+     * Returns all turns of a session in the order they were recorded.
+     * @param {string} sessionId
+     * @returns {Promise<Array<Object>>}
+     */
+    async getTurns(sessionId) {
+        const db = await this.open();
+        const index = db.transaction(TURNS_STORE).objectStore(TURNS_STORE).index('sessionId');
+        const turns = await promisifyRequest(index.getAll(sessionId));
+        return turns.sort((a, b) => a.id - b.id);
+    }
+
+    /**
+     * Renames a session.
+     * @param {string} sessionId
+     * @param {string} title - The new title (trimmed; must not be empty).
+     * @returns {Promise<Object>} The updated session.
+     */
+    async renameSession(sessionId, title) {
+        const newTitle = String(title || '').trim();
+        if (!newTitle) throw new Error("Session title must not be empty.");
+
+        const db = await this.open();
+        const tx = db.transaction(SESSIONS_STORE, 'readwrite');
+        const store = tx.objectStore(SESSIONS_STORE);
+        const session = await promisifyRequest(store.get(sessionId));
+        if (!session) {
+            tx.abort();
+            throw new Error(`Session "${sessionId}" not found.`);
+        }
+        session.title = newTitle;
+        store.put(session);
+        await transactionDone(tx);
+        return session;
+    }
+
+    /**
+     * Deletes a session and all of its turns.
+     * @param {string} sessionId
+     * @returns {Promise<void>}
+     */
+    async deleteSession(sessionId) {
+        const db = await this.open();
+        const tx = db.transaction([SESSIONS_STORE, TURNS_STORE], 'readwrite');
+        const done = transactionDone(tx);
+        tx.objectStore(SESSIONS_STORE).delete(sessionId);
+        const turnKeys = await promisifyRequest(tx.objectStore(TURNS_STORE).index('sessionId').getAllKeys(sessionId));
+        turnKeys.forEach(key => tx.objectStore(TURNS_STORE).delete(key));
+        await done;
+        console.info(`ConversationStore: Deleted session ${sessionId} (${turnKeys.length} turn(s)).`);
+    }
+}
+
+// Export singleton instance
+export default new ConversationStore();
@@ -0,0 +1,542 @@
+/**
+ * Safe markdown rendering for model messages.
+ *
+ * The renderer builds DOM nodes directly (createElement/textContent) and never
+ * assigns model text to innerHTML, so raw HTML in model output is shown as text
+ * rather than executed. Link targets are limited to http(s) and mailto URLs.
+ *
+ * Supported: headings, paragraphs, emphasis, strikethrough, inline code, fenced code
+ * (with lightweight syntax highlighting and a copy button), block quotes, nested
+ * ordered/unordered lists, tables, horizontal rules, links, and inline ($...$, \(...\))
+ * and display ($$...$$, \[...\]) math rendered by KaTeX when it can be loaded.
+ *
+ * Streaming: the whole message is re-rendered from the accumulated text. Unclosed
+ * code fences and math blocks are rendered as open blocks until their closing
+ * marker arrives, and unmatched inline markers stay literal, so partial text never
+ * breaks the layout.
+ */
+
+const KATEX_VERSION = '0.16.11';
+const KATEX_BASE_URL = `https://cdn.jsdelivr.net/npm/katex@${KATEX_VERSION}/dist`;
+
+/** URL schemes allowed in rendered links */
+const SAFE_URL_PATTERN = /^(https?:|mailto:)/i;
+
+let katexPromise = null;
+
+/**
+ * Loads KaTeX (script module and stylesheet) from the CDN once.
+ * @returns {Promise<Object|null>} The katex module, or null if it could not be loaded.
+ */
+function loadKatex() {
+    if (!katexPromise) {
+        const link = document.createElement('link');
+        link.rel = 'stylesheet';
+        link.href = `${KATEX_BASE_URL}/katex.min.css`;
+        document.head.appendChild(link);
+        katexPromise = import(`${KATEX_BASE_URL}/katex.mjs`)
+            .then(module => module.default || module)
+            .catch(error => {
+                console.warn("MarkdownRenderer: KaTeX could not be loaded, math is shown as source.", error);
+                return null;
+            });
+    }
+    return katexPromise;
+}
+
+/**
+ * Creates an element showing TeX source, upgraded to rendered math once KaTeX is available.
+ * @param {string} tex - The TeX source.
+ * @param {boolean} displayMode - Block (true) or inline (false) math.
+ * @returns {HTMLElement}
+ */
+function createMathElement(tex, displayMode) {
+    const el = document.createElement(displayMode ? 'div' : 'span');
+    el.className = displayMode ? 'md-math md-math-display' : 'md-math';
+    el.textContent = tex; // Shown until (or if) KaTeX renders it
+    loadKatex().then(katex => {
+        if (!katex || !el.isConnected) return;
+        try {
+            // trust:false keeps \href, \includegraphics etc. disabled
+            katex.render(tex, el, { displayMode, throwOnError: false, trust: false });
+        } catch (error) {
+            console.warn("MarkdownRenderer: Failed to render math:", error);
+        }
+    });
+    return el;
+}
+
+/**
+ * Returns the URL if it uses an allowed scheme, otherwise null.
+ * @param {string} url
+ * @returns {string|null}
+ */
+function safeUrl(url) {
+    const trimmed = String(url || '').trim();
+    return SAFE_URL_PATTERN.test(trimmed) ? trimmed : null;
+}
+
+/**
+ * Creates a link element, or plain text if the URL is not allowed.
+ * @param {string} url - Link target.
+ * @param {Function} fillContent - Called with the link element to add its content.
+ * @returns {Node}
+ */
+function createLink(url, fillContent) {
+    const href = safeUrl(url);
+    const el = document.createElement(href ? 'a' : 'span');
+    if (href) {
+        el.href = href;
+        el.target = '_blank';
+        el.rel = 'noopener noreferrer';
+    }
+    fillContent(el);
+    return el;
+}
+
+// --- Inline parsing ---
+
+/**
+ * Inline rules, tried at each position; the earliest match wins (ties go to the first rule).
+ * Each `render` returns a Node for the match.
+ */
+const INLINE_RULES = [
+    { // Escaped character
+        pattern: /\\([\\`*_{}[\]()#+\-.!~|$<>])/,
+        render: (m) => document.createTextNode(m[1])
+    },
+    { // Inline code
+        pattern: /(`+)([\s\S]+?)\1(?!`)/,
+        render: (m) => {
+            const code = document.createElement('code');
+            code.className = 'md-inline-code';
+            code.textContent = m[2].trim() || m[2];
+            return code;
+        }
+    },
+    { // Inline math \( ... \)
+        pattern: /\\\(([\s\S]+?)\\\)/,
+        render: (m) => createMathElement(m[1], false)
+    },
+    { // Inline math $...$ (not "$5 and $10": no space inside the delimiters, no digit right after)
+        pattern: /\$(?!\s)((?:\\\$|[^$\n])+?)(?<!\s)\$(?!\d)/,
+        render: (m) => createMathElement(m[1], false)
+    },
+    { // Image - rendered as a link so model output can't load arbitrary images
+        pattern: /!\[([^\]]*)\]\(([^)\s]+)(?:\s+"[^"]*")?\)/,
+        render: (m) => createLink(m[2], el => { el.textContent = m[1] || m[2]; })
+    },
+    { // Link [text](url "title")
+        pattern: /\[([^\]]+)\]\(([^)\s]+)(?:\s+"([^"]*)")?\)/,
+        render: (m) => createLink(m[2], el => {
+            appendInline(el, m[1]);
+            if (m[3]) el.title = m[3];
+        })
+    },
+    { // Autolink <https://...>
+        pattern: /<((?:https?:\/\/|mailto:)[^\s>]+)>/,
+        render: (m) => createLink(m[1], el => { el.textContent = m[1]; })
+    },
+    { // Bare URL (ends at a quote or angle bracket; trailing punctuation is left out of the link)
+        pattern: /\bhttps?:\/\/[^\s<>"]+[^\s<>.,:;"')\]!?]/,
+        render: (m) => createLink(m[0], el => { el.textContent = m[0]; })
+    },
+    { // Bold
+        pattern: /(\*\*|__)(?=\S)([\s\S]*?\S)\1/,
+        render: (m) => wrapInline('strong', m[2])
+    },
+    { // Strikethrough
+        pattern: /~~(?=\S)([\s\S]*?\S)~~/,
+        render: (m) => wrapInline('del', m[1])
+    },
+    { // Italic (underscores only at word boundaries, so snake_case stays intact)
+        pattern: /\*(?=\S)([\s\S]*?\S)\*|(?<![A-Za-z0-9])_(?=\S)([\s\S]*?\S)_(?![A-Za-z0-9])/,
+        render: (m) => wrapInline('em', m[1] ?? m[2])
+    },
+    { // Line break
+        pattern: /\n/,
+        render: () => document.createElement('br')
+    }
+];
+
+/**
+ * Creates an element and renders inline markdown into it.
+ * @param {string} tag
+ * @param {string} text
+ * @returns {HTMLElement}
+ */
+function wrapInline(tag, text) {
+    const el = document.createElement(tag);
+    appendInline(el, text);
+    return el;
+}
+
+/**
+ * Renders inline markdown into a parent node.
+ * @param {Node} parent
+ * @param {string} text
+ */
+function appendInline(parent, text) {
+    let rest = text;
+    while (rest) {
+        let best = null;
+        for (const rule of INLINE_RULES) {
+            const match = rule.pattern.exec(rest);
+            if (match && (!best || match.index < best.match.index)) {
+                best = { rule, match };
+                if (match.index === 0) break;
+            }
+        }
+        if (!best) {
+            parent.appendChild(document.createTextNode(rest));
+            return;
+        }
+        if (best.match.index > 0) {
+            parent.appendChild(document.createTextNode(rest.slice(0, best.match.index)));
+        }
+        parent.appendChild(best.rule.render(best.match));
+        rest = rest.slice(best.match.index + best.match[0].length);
+    }
+}
+
+// --- Code highlighting ---
+
+const KEYWORDS = {
+    js: 'async await break case catch class const continue debugger default delete do else export extends false finally for from function if import in instanceof let new null of return static super switch this throw true try typeof undefined var void while yield interface type enum implements private public protected readonly',
+    python: 'and as assert async await break class continue def del elif else except False finally for from global if import in is lambda None nonlocal not or pass raise return True try while with yield self',
+    c: 'auto break case char const continue default do double else enum extern float for goto if inline int long register return short signed sizeof static struct switch typedef union unsigned void volatile while bool true false class namespace new delete public private protected template typename virtual this nullptr using package import func go defer chan map range select fn let mut impl pub use mod match trait struct enum where self Self final abstract extends implements interface string var null',
+    shell: 'if then else elif fi for while do done case esac in function return exit export local echo cd set unset source sudo',
+    sql: 'select from where insert into values update set delete create table drop alter add index join left right inner outer on group by order having limit offset as and or not null is distinct union all primary key foreign references default'
+};
+
+const LANGUAGE_ALIASES = {
+    javascript: 'js', js: 'js', jsx: 'js', ts: 'js', typescript: 'js', tsx: 'js', mjs: 'js', json: 'js',
+    python: 'python', py: 'python',
+    c: 'c', h: 'c', cpp: 'c', 'c++': 'c', cs: 'c', csharp: 'c', java: 'c', kotlin: 'c', go: 'c', golang: 'c', rust: 'c', rs: 'c', swift: 'c', php: 'c',
+    bash: 'shell', sh: 'shell', shell: 'shell', zsh: 'shell', powershell: 'shell', ps1: 'shell',
+    sql: 'sql'
+};
+
+/** Comment syntax per language family */
+const COMMENT_PATTERNS = {
+    js: '\\/\\/[^\\n]*|\\/\\*[\\s\\S]*?(?:\\*\\/|$)',
+    c: '\\/\\/[^\\n]*|\\/\\*[\\s\\S]*?(?:\\*\\/|$)',
+    python: '#[^\\n]*',
+    shell: '#[^\\n]*',
+    sql: '--[^\\n]*|\\/\\*[\\s\\S]*?(?:\\*\\/|$)'
+};
+
+/**
+ * Appends syntax-highlighted code to a <code> element using token <span>s.
+ * Unknown languages are shown as plain text.
+ * @param {HTMLElement} codeEl
+ * @param {string} code
+ * @param {string} language - Fence info string (e.g. "js", "python").
+ */
+function highlightCode(codeEl, code, language) {
+    const family = LANGUAGE_ALIASES[language.toLowerCase()];
+    if (!family) {
+        codeEl.textContent = code;
+        return;
+    }
+    const keywords = new Set(KEYWORDS[family].split(' '));
+    const caseInsensitive = family === 'sql';
+    const tokenPattern = new RegExp([
+        `(${COMMENT_PATTERNS[family]})`,
+        '("(?:\\\\.|[^"\\\\\\n])*"?|\'(?:\\\\.|[^\'\\\\\\n])*\'?|`(?:\\\\.|[^`\\\\])*`?)',
+        '(\\b\\d[\\d_]*(?:\\.\\d+)?(?:e[+-]?\\d+)?\\b|\\b0x[\\da-f]+\\b)',
+        '([A-Za-z_$][\\w$]*)'
+    ].join('|'), 'gi');
+
+    let lastIndex = 0;
+    const append = (text, className) => {
+        if (!text) return;
+        if (className) {
+            const span = document.createElement('span');
+            span.className = className;
+            span.textContent = text;
+            codeEl.appendChild(span);
+        } else {
+            codeEl.appendChild(document.createTextNode(text));
+        }
+    };
+
+    for (const match of code.matchAll(tokenPattern)) {
+        append(code.slice(lastIndex, match.index));
+        const [token, comment, string, number, word] = match;
+        if (comment) append(token, 'tok-comment');
+        else if (string) append(token, 'tok-string');
+        else if (number) append(token, 'tok-number');
+        else if (word && keywords.has(caseInsensitive ? word.toLowerCase() : word)) append(token, 'tok-keyword');
+        else append(token);
+        lastIndex = match.index + token.length;
+    }
+    append(code.slice(lastIndex));
+}
+
+/**
+ * Copies text to the clipboard, falling back to a hidden textarea where the API is unavailable.
+ * @param {string} text
+ * @returns {Promise<void>}
+ */
+async function copyText(text) {
+    if (navigator.clipboard?.writeText) {
+        await navigator.clipboard.writeText(text);
+        return;
+    }
+    const textarea = document.createElement('textarea');
+    textarea.value = text;
+    textarea.style.position = 'fixed';
+    textarea.style.opacity = '0';
+    document.body.appendChild(textarea);
+    textarea.select();
+    document.execCommand('copy');
+    textarea.remove();
+}
+
+/**
+ * Creates a code block with a language label and copy button.
+ * @param {string} code
+ * @param {string} language
+ * @returns {HTMLElement}
+ */
+function createCodeBlock(code, language) {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'md-code-block';
+
+    const header = document.createElement('div');
+    header.className = 'md-code-header';
+    const label = document.createElement('span');
+    label.textContent = language || 'code';
+    const copyBtn = document.createElement('button');
+    copyBtn.type = 'button';
+    copyBtn.className = 'md-copy-btn';
+    copyBtn.textContent = 'Copy';
+    copyBtn.setAttribute('aria-label', 'Copy code');
+    copyBtn.addEventListener('click', async () => {
+        try {
+            await copyText(code);
+            copyBtn.textContent = 'Copied';
+        } catch (error) {
+            console.error("MarkdownRenderer: Copy failed:", error);
+            copyBtn.textContent = 'Copy failed';
+        }
+        setTimeout(() => { copyBtn.textContent = 'Copy'; }, 1500);
+    });
+    header.append(label, copyBtn);
+
+    const pre = document.createElement('pre');
+    const codeEl = document.createElement('code');
+    highlightCode(codeEl, code, language || '');
+    pre.appendChild(codeEl);
+
+    wrapper.append(header, pre);
+    return wrapper;
+}
+
+// --- Block parsing ---
+
+const FENCE_PATTERN = /^ {0,3}(`{3,}|~{3,})\s*([\w+#.-]*)[^\n]*$/;
+const HEADING_PATTERN = /^ {0,3}(#{1,6})\s+(.*?)\s*#*\s*$/;
+const HR_PATTERN = /^ {0,3}([-*_])(\s*\1){2,}\s*$/;
+const LIST_ITEM_PATTERN = /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+const TABLE_SEPARATOR_PATTERN = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+/**
+ * Splits a table row into trimmed cell texts.
+ * @param {string} line
+ * @returns {Array<string>}
+ */
+function splitTableRow(line) {
+    return line.trim().replace(/^\|/, '').replace(/(?<!\\)\|$/, '').split(/(?<!\\)\|/).map(cell => cell.trim().replace(/\\\|/g, '|'));
+}
+
+/**
+ * Returns true if a line starts a block other than a paragraph continuation.
+ * @param {string} line
+ * @returns {boolean}
+ */
+function startsBlock(line) {
+    return FENCE_PATTERN.test(line) || HEADING_PATTERN.test(line) || HR_PATTERN.test(line) ||
+        /^\s*>/.test(line) || LIST_ITEM_PATTERN.test(line) || /^\s*(\$\$|\\\[)/.test(line);
+}
+
+/**
+ * Renders a list starting at `start`, including nested lists by indentation.
+ * @param {Array<string>} lines
+ * @param {number} start
+ * @param {HTMLElement} parent
+ * @returns {number} Index of the first line after the list.
+ */
+function renderList(lines, start, parent) {
+    const first = LIST_ITEM_PATTERN.exec(lines[start]);
+    const baseIndent = first[1].length;
+    const ordered = /\d/.test(first[2]);
+    const list = document.createElement(ordered ? 'ol' : 'ul');
+    if (ordered && parseInt(first[2], 10) !== 1) list.start = parseInt(first[2], 10);
+
+    let i = start;
+    let item = null;
+    while (i < lines.length) {
+        const line = lines[i];
+        const match = LIST_ITEM_PATTERN.exec(line);
+        if (match && match[1].length === baseIndent && /\d/.test(match[2]) === ordered) {
+            item = document.createElement('li');
+            const task = /^\[([ xX])\]\s+(.*)$/.exec(match[3]);
+            if (task) {
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.disabled = true;
+                checkbox.checked = task[1] !== ' ';
+                item.appendChild(checkbox);
+                appendInline(item, ` ${task[2]}`);
+            } else {
+                appendInline(item, match[3]);
+            }
+            list.appendChild(item);
+            i++;
+        } else if (match && match[1].length > baseIndent && item) {
+            i = renderList(lines, i, item); // Nested list
+        } else if (line.trim() && /^\s+/.test(line) && item && !match) {
+            item.appendChild(document.createElement('br')); // Indented continuation line
+            appendInline(item, line.trim());
+            i++;
+        } else {
+            break;
+        }
+    }
+    parent.appendChild(list);
+    return i;
+}
+
+/**
+ * Renders block-level markdown into a parent element.
+ * @param {HTMLElement} parent
+ * @param {string} text
+ */
+function appendBlocks(parent, text) {
+    const lines = text.replace(/\r\n?/g, '\n').split('\n');
+    let i = 0;
+
+    while (i < lines.length) {
+        const line = lines[i];
+
+        if (!line.trim()) { i++; continue; }
+
+        // Fenced code (an unclosed fence runs to the end while streaming)
+        const fence = FENCE_PATTERN.exec(line);
+        if (fence) {
+            const closing = new RegExp(`^ {0,3}${fence[1][0]}{${fence[1].length},}\\s*$`);
+            const codeLines = [];
+            i++;
+            while (i < lines.length && !closing.test(lines[i])) codeLines.push(lines[i++]);
+            i++; // Skip closing fence
+            parent.appendChild(createCodeBlock(codeLines.join('\n'), fence[2]));
+            continue;
+        }
+
+        // Display math $$...$$ or \[...\], possibly on one line
+        const mathOpen = /^\s*(\$\$|\\\[)(.*)$/.exec(line);
+        if (mathOpen) {
+            const closeToken = mathOpen[1] === '$$' ? '$$' : '\\]';
+            let body = mathOpen[2];
+            let closed = body.includes(closeToken);
+            i++;
+            while (!closed && i < lines.length) {
+                body += `\n${lines[i]}`;
+                closed = lines[i].includes(closeToken);
+                i++;
+            }
+            const end = body.indexOf(closeToken);
+            parent.appendChild(createMathElement((end >= 0 ? body.slice(0, end) : body).trim(), true));
+            continue;
+        }
+
+        const heading = HEADING_PATTERN.exec(line);
+        if (heading) {
+            parent.appendChild(wrapInline(`h${heading[1].length}`, heading[2]));
+            i++;
+            continue;
+        }
+
+        if (HR_PATTERN.test(line)) {
+            parent.appendChild(document.createElement('hr'));
+            i++;
+            continue;
+        }
+
+        // Block quote: strip the markers and render the content recursively
+        if (/^\s*>/.test(line)) {
+            const quoteLines = [];
+            while (i < lines.length && /^\s*>/.test(lines[i])) quoteLines.push(lines[i++].replace(/^\s*>\s?/, ''));
+            const quote = document.createElement('blockquote');
+            appendBlocks(quote, quoteLines.join('\n'));
+            parent.appendChild(quote);
+            continue;
+        }
+
+        if (LIST_ITEM_PATTERN.test(line)) {
+            i = renderList(lines, i, parent);
+            continue;
+        }
+
+        // Table: header row followed by a separator row
+        if (line.includes('|') && i + 1 < lines.length && TABLE_SEPARATOR_PATTERN.test(lines[i + 1])) {
+            const alignments = splitTableRow(lines[i + 1]).map(cell =>
+                cell.startsWith(':') && cell.endsWith(':') ? 'center' : cell.endsWith(':') ? 'right' : cell.startsWith(':') ? 'left' : '');
+            const table = document.createElement('table');
+            const addRow = (section, cells, cellTag) => {
+                const row = document.createElement('tr');
+                alignments.forEach((align, col) => {
+                    const cell = document.createElement(cellTag);
+                    if (align) cell.style.textAlign = align;
+                    appendInline(cell, cells[col] || '');
+                    row.appendChild(cell);
+                });
+                section.appendChild(row);
+            };
+            const thead = document.createElement('thead');
+            addRow(thead, splitTableRow(line), 'th');
+            const tbody = document.createElement('tbody');
+            i += 2;
+            while (i < lines.length && lines[i].includes('|') && lines[i].trim()) {
+                addRow(tbody, splitTableRow(lines[i++]), 'td');
+            }
+            table.append(thead, tbody);
+            const wrapper = document.createElement('div');
+            wrapper.className = 'md-table-wrapper'; // Lets wide tables scroll horizontally
+            wrapper.appendChild(table);
+            parent.appendChild(wrapper);
+            continue;
+        }
+
+        // Paragraph: consecutive lines until a blank line or another block starts
+        const paragraphLines = [line];
+        i++;
+        while (i < lines.length && lines[i].trim() && !startsBlock(lines[i]) &&
+            !(lines[i].includes('|') && i + 1 < lines.length && TABLE_SEPARATOR_PATTERN.test(lines[i + 1]))) {
+            paragraphLines.push(lines[i++]);
+        }
+        parent.appendChild(wrapInline('p', paragraphLines.join('\n')));
+    }
+}
+
+/**
+ * Renders markdown text into a container, replacing its previous content.
+ * Safe to call repeatedly with a growing text while a response streams in.
+ * @param {HTMLElement} container - Element to render into.
+ * @param {string} text - Markdown source.
+ */
+export function renderMarkdown(container, text) {
+    const fragment = document.createDocumentFragment();
+    try {
+        appendBlocks(fragment, text || '');
+    } catch (error) {
+        // Never lose the message because of a rendering bug; fall back to plain text
+        console.error("MarkdownRenderer: Failed to render markdown:", error);
+        container.textContent = text || '';
+        return;
+    }
+    container.replaceChildren(fragment);
+    container.classList.add('markdown-body');
+}
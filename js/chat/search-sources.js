@@ -0,0 +1,47 @@
+/**
+ * Collects the search results returned by tools during a model turn, so they can be listed
+ * under the message that answers with them. Results belong to their turn only: a turn that
+ * ends without a text message (e.g. a spoken reply in audio-only mode) drops them.
+ */
+export class TurnSources {
+    constructor() {
+        this.pending = []; // Results returned during the current model turn
+    }
+
+    /**
+     * Records search results returned during the current turn.
+     * @param {Array<{index: number, title: string, url: string, snippet: string}>} results - Numbered search results.
+     */
+    add(results) {
+        if (!Array.isArray(results)) return;
+        this.pending.push(...results);
+    }
+
+    /**
+     * Takes the pending results for a finished message: the ones the text cites as [n] or by URL,
+     * or all of them if the model didn't cite any explicitly.
+     * @param {string} text - The final message text.
+     * @returns {Array<Object>} Sources to show, each flagged with `cited`.
+     */
+    take(text) {
+        if (this.pending.length === 0) return [];
+        const sources = this.pending;
+        this.pending = [];
+
+        const citedIndexes = new Set([...(text || '').matchAll(/\[(\d+)\]/g)].map(match => Number(match[1])));
+        const cited = sources.filter(source => citedIndexes.has(source.index) || (text || '').includes(source.url));
+        return cited.length > 0
+            ? cited.map(source => ({ ...source, cited: true }))
+            : sources.map(source => ({ ...source, cited: false }));
+    }
+
+    /**
+     * Ends the model turn, dropping results no message took.
+     * @returns {number} How many results were dropped.
+     */
+    endTurn() {
+        const dropped = this.pending.length;
+        this.pending = [];
+        return dropped;
+    }
+}
@@ -0,0 +1,308 @@
+import {
+    exportChatAsJSON,
+    exportChatAsMarkdown,
+    exportChatAsHTML,
+    parseChatImport,
+    downloadFile,
+    fileNameFor
+} from './chat-export.js';
+
+/**
+ * Sidebar listing saved chat sessions from the ConversationStore.
+ * Sessions can be searched, reopened, renamed and deleted; the open chat can be
+ * exported and JSON exports imported back.
+ */
+export class SessionSidebar {
+    /**
+     * @param {import('./chat-manager.js').ChatManager} chatManager - Chat to load sessions into.
+     * @param {Object} [options]
+     * @param {Function} [options.onStatus] - Called with a short status message (e.g. StatusManager.addStatus).
+     */
+    constructor(chatManager, { onStatus } = {}) {
+        this.chatManager = chatManager;
+        this.store = chatManager.store;
+        this.onStatus = typeof onStatus === 'function' ? onStatus : () => {};
+        this.isOpen = false;
+        this.searchQuery = '';
+        this._searchTimer = null;
+
+        this._createElements();
+        // Refresh when the current chat records a turn (new session, title or preview change)
+        document.addEventListener('chatSessionsChanged', () => {
+            if (this.isOpen) this.refresh();
+        });
+    }
+
+    /** Builds the sidebar DOM and attaches it to the app container */
+    _createElements() {
+        this.element = document.createElement('aside');
+        this.element.id = 'sessionSidebar';
+        this.element.className = 'session-sidebar';
+        this.element.setAttribute('aria-hidden', 'true');
+        this.element.setAttribute('aria-label', 'Saved chats');
+        this.element.innerHTML = `
+            <div class="session-sidebar-header">
+                <span>Chats</span>
+                <button type="button" class="session-sidebar-close preview-btn" aria-label="Close saved chats">×</button>
+            </div>
+            <input type="search" class="session-search" placeholder="Search chats..." aria-label="Search saved chats">
+            <ul class="session-list" role="list"></ul>
+            <div class="session-sidebar-footer">
+                <span>Export current chat:</span>
+                <div class="session-export-buttons">
+                    <button type="button" class="session-export-btn" data-format="md">Markdown</button>
+                    <button type="button" class="session-export-btn" data-format="json">JSON</button>
+                    <button type="button" class="session-export-btn" data-format="html">HTML</button>
+                </div>
+                <button type="button" class="session-import-btn">Import chat (JSON)</button>
+                <input type="file" class="session-import-input" accept="application/json,.json" hidden>
+            </div>
+        `;
+
+        this.listElement = this.element.querySelector('.session-list');
+        this.searchInput = this.element.querySelector('.session-search');
+
+        this.element.querySelector('.session-sidebar-close').addEventListener('click', () => this.close());
+        this.searchInput.addEventListener('input', () => {
+            // Debounce so typing doesn't scan the store on every keystroke
+            clearTimeout(this._searchTimer);
+            this._searchTimer = setTimeout(() => {
+                this.searchQuery = this.searchInput.value;
+                this.refresh();
+            }, 200);
+        });
+
+        this.element.querySelectorAll('.session-export-btn').forEach(btn => {
+            btn.addEventListener('click', () => this._exportCurrent(btn.dataset.format));
+        });
+        const importInput = this.element.querySelector('.session-import-input');
+        this.element.querySelector('.session-import-btn').addEventListener('click', () => importInput.click());
+        importInput.addEventListener('change', () => {
+            const file = importInput.files[0];
+            importInput.value = ''; // Allow importing the same file again
+            if (file) this._importFile(file);
+        });
+
+        (document.querySelector('.app-container') || document.body).appendChild(this.element);
+    }
+
+    /** Shows or hides the sidebar */
+    toggle() {
+        if (this.isOpen) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    /** Shows the sidebar and loads the session list */
+    open() {
+        this.isOpen = true;
+        this.element.classList.add('open');
+        this.element.setAttribute('aria-hidden', 'false');
+        this.refresh();
+    }
+
+    /** Hides the sidebar */
+    close() {
+        this.isOpen = false;
+        this.element.classList.remove('open');
+        this.element.setAttribute('aria-hidden', 'true');
+    }
+
+    /** Reloads the session list, applying the current search query */
+    async refresh() {
+        try {
+            const sessions = await this.store.searchSessions(this.searchQuery);
+            this._renderList(sessions);
+        } catch (error) {
+            console.error("SessionSidebar: Failed to load sessions:", error);
+            this.listElement.innerHTML = '';
+            this.listElement.appendChild(this._createEmptyItem('Saved chats are unavailable.'));
+        }
+    }
+
+    /**
+     * Renders the session list.
+     * @param {Array<Object>} sessions - Sessions to show, most recent first.
+     * @private
+     */
+    _renderList(sessions) {
+        this.listElement.innerHTML = '';
+        if (sessions.length === 0) {
+            this.listElement.appendChild(this._createEmptyItem(this.searchQuery ? 'No matching chats.' : 'No saved chats yet.'));
+            return;
+        }
+        sessions.forEach(session => this.listElement.appendChild(this._createSessionItem(session)));
+    }
+
+    /**
+     * @param {string} text - Message to show in place of the list.
+     * @returns {HTMLLIElement}
+     * @private
+     */
+    _createEmptyItem(text) {
+        const item = document.createElement('li');
+        item.className = 'session-empty';
+        item.textContent = text;
+        return item;
+    }
+
+    /**
+     * Creates a list entry with open, rename and delete actions.
+     * @param {Object} session - The stored session.
+     * @returns {HTMLLIElement}
+     * @private
+     */
+    _createSessionItem(session) {
+        const item = document.createElement('li');
+        item.className = 'session-item';
+        if (session.id === this.chatManager.sessionId) item.classList.add('active');
+
+        const openBtn = document.createElement('button');
+        openBtn.type = 'button';
+        openBtn.className = 'session-open';
+        const title = document.createElement('span');
+        title.className = 'session-title';
+        title.textContent = session.title || 'Untitled chat';
+        const meta = document.createElement('span');
+        meta.className = 'session-meta';
+        meta.textContent = `${new Date(session.updatedAt).toLocaleString()} · ${session.preview || ''}`;
+        openBtn.append(title, meta);
+        openBtn.addEventListener('click', () => this._openSession(session));
+
+        const renameBtn = document.createElement('button');
+        renameBtn.type = 'button';
+        renameBtn.className = 'session-action preview-btn';
+        renameBtn.textContent = '✎';
+        renameBtn.setAttribute('aria-label', `Rename "${title.textContent}"`);
+        renameBtn.addEventListener('click', () => this._startRename(item, session));
+
+        const deleteBtn = document.createElement('button');
+        deleteBtn.type = 'button';
+        deleteBtn.className = 'session-action preview-btn';
+        deleteBtn.textContent = '🗑';
+        deleteBtn.setAttribute('aria-label', `Delete "${title.textContent}"`);
+        deleteBtn.addEventListener('click', () => this._deleteSession(session));
+
+        item.append(openBtn, renameBtn, deleteBtn);
+        return item;
+    }
+
+    /**
+     * Loads a session into the chat.
+     * @param {Object} session
+     * @private
+     */
+    async _openSession(session) {
+        try {
+            await this.chatManager.loadSession(session.id);
+            this.onStatus(`Opened "${session.title || 'Untitled chat'}"`);
+            this.refresh();
+        } catch (error) {
+            console.error("SessionSidebar: Failed to open session:", error);
+            this.onStatus(`Could not open chat: ${error.message}`);
+        }
+    }
+
+    /**
+     * Replaces the session's title with an inline input. Enter saves, Escape cancels.
+     * @param {HTMLLIElement} item - The list entry.
+     * @param {Object} session
+     * @private
+     */
+    _startRename(item, session) {
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'session-rename';
+        input.value = session.title || '';
+        input.setAttribute('aria-label', 'New chat title');
+        item.replaceChildren(input);
+        input.focus();
+        input.select();
+
+        let done = false;
+        const finish = async (save) => {
+            if (done) return;
+            done = true;
+            const newTitle = input.value.trim();
+            if (save && newTitle && newTitle !== session.title) {
+                try {
+                    await this.store.renameSession(session.id, newTitle);
+                } catch (error) {
+                    console.error("SessionSidebar: Failed to rename session:", error);
+                    this.onStatus(`Could not rename chat: ${error.message}`);
+                }
+            }
+            this.refresh();
+        };
+        input.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') finish(true);
+            if (event.key === 'Escape') finish(false);
+        });
+        input.addEventListener('blur', () => finish(true));
+    }
+
+    /**
+     * Deletes a session after confirmation. Deleting the open chat clears the view.
+     * @param {Object} session
+     * @private
+     */
+    async _deleteSession(session) {
+        if (!confirm(`Delete "${session.title || 'Untitled chat'}"? This cannot be undone.`)) return;
+        try {
+            await this.store.deleteSession(session.id);
+            if (session.id === this.chatManager.sessionId) this.chatManager.clear();
+            this.onStatus('Chat deleted');
+            this.refresh();
+        } catch (error) {
+            console.error("SessionSidebar: Failed to delete session:", error);
+            this.onStatus(`Could not delete chat: ${error.message}`);
+        }
+    }
+
+    /**
+     * Downloads the open chat in the given format.
+     * @param {'md'|'json'|'html'} format
+     * @private
+     */
+    async _exportCurrent(format) {
+        try {
+            const data = await this.chatManager.getCurrentSessionData();
+            if (!data) {
+                this.onStatus('Nothing to export yet');
+                return;
+            }
+            const { session, turns } = data;
+            const name = fileNameFor(session.title);
+            if (format === 'json') {
+                downloadFile(`${name}.json`, JSON.stringify(exportChatAsJSON(session, turns), null, 2), 'application/json');
+            } else if (format === 'html') {
+                downloadFile(`${name}.html`, exportChatAsHTML(session, turns), 'text/html');
+            } else {
+                downloadFile(`${name}.md`, exportChatAsMarkdown(session, turns), 'text/markdown');
+            }
+            this.onStatus('Chat exported');
+        } catch (error) {
+            console.error("SessionSidebar: Failed to export chat:", error);
+            this.onStatus(`Could not export chat: ${error.message}`);
+        }
+    }
+
+    /**
+     * Imports a JSON chat export as a new session and opens it.
+     * @param {File} file
+     * @private
+     */
+    async _importFile(file) {
+        try {
+            const data = parseChatImport(await file.text());
+            const session = await this.chatManager.importChat(data);
+            this.onStatus(`Imported "${session.title}"`);
+            this.refresh();
+        } catch (error) {
+            console.error("SessionSidebar: Failed to import chat:", error);
+            this.onStatus(`Could not import chat: ${error.message}`);
+        }
+    }
+}
@@ -2,6 +2,7 @@
  * Configuration settings for the Gemini Live application.
  * Reads settings from localStorage where applicable, providing defaults.
  */
+import { TRANSLATE_LANGUAGES, buildInterpreterInstruction } from './translate-mode.js';
 
 // --- Model Configuration ---
 
@@ -89,6 +90,237 @@ const getSafetyThreshold = (key) => {
 // Audio Configurations - Read from localStorage via helpers
 export const MODEL_SAMPLE_RATE = getLocalStorageNumber('sampleRate', 24000, false, 8000, 48000); // Default 24kHz
 
+// --- Connection Configuration ---
+
+/**
+ * Reconnect policy used by the WebSocket client when the connection drops unexpectedly.
+ * Delays grow exponentially from baseDelay up to maxDelay (both in ms), with jitter applied by the client.
+ * @returns {{maxAttempts: number, baseDelay: number, maxDelay: number}} Reconnect policy.
+ */
+export const getReconnectConfig = () => ({
+    maxAttempts: getLocalStorageNumber('reconnectMaxAttempts', 5, false, 0, 20), // 0 disables auto-reconnect
+    baseDelay: 1000,
+    maxDelay: 30000
+});
+
+/**
+ * Returns how much of the stored chat is replayed into a new Live session.
+ * Off in translate mode, where earlier turns would only be translated (or answered) again.
+ * @returns {{enabled: boolean, maxTurns: number, maxTokens: number}}
+ */
+export const getContextReplayConfig = () => ({
+    enabled: getLocalStorageItem('contextReplayEnabled', 'true') === 'true' && !getTranslateConfig().enabled,
+    maxTurns: getLocalStorageNumber('contextReplayMaxTurns', 20, false, 0, 100),
+    maxTokens: getLocalStorageNumber('contextReplayMaxTokens', 4000, false, 500, 32000)
+});
+
+/**
+ * Barge-in: stop the model's voice (and browser TTS) as soon as the user starts talking.
+ * Off in translate mode, where each translation is played out even if the user speaks again.
+ * @returns {{enabled: boolean, fadeTime: number}} fadeTime is the duck-out duration in seconds.
+ */
+export const getBargeInConfig = () => ({
+    enabled: getLocalStorageItem('bargeInEnabled', 'true') === 'true' && !getTranslateConfig().enabled,
+    fadeTime: 0.15
+});
+
+/**
+ * Tuning for the microphone's voice activity detector (runs in the recorder worklet).
+ * @returns {{thresholdDb: number, attackMs: number, hangoverMs: number}}
+ */
+export const getVadConfig = () => ({
+    thresholdDb: getLocalStorageNumber('vadThresholdDb', 10, false, 3, 30), // Lower is more sensitive
+    attackMs: 80,
+    hangoverMs: getLocalStorageNumber('vadHangoverMs', 400, false, 100, 2000)
+});
+
+/**
+ * Turn taking. In push-to-talk mode the server's automatic activity detection is turned off and
+ * the client marks the start and end of each user turn itself (mic button hold or hotkey).
+ * @returns {{pushToTalk: boolean, hotkey: string}} hotkey is a KeyboardEvent.code.
+ */
+export const getActivityConfig = () => ({
+    pushToTalk: getLocalStorageItem('turnTaking', 'auto') === 'push_to_talk',
+    hotkey: 'Space'
+});
+
+/**
+ * Adaptive camera/screen capture: skip frames while the picture doesn't change, send bursts on
+ * motion or user actions, and shrink frames when uploads are slow. See AdaptiveCapture.
+ * @returns {{enabled: boolean, keyframeMs: number, burstMs: number, changeThreshold: number}}
+ */
+export const getAdaptiveCaptureConfig = () => ({
+    enabled: getLocalStorageItem('adaptiveCaptureEnabled', 'true') === 'true',
+    keyframeMs: getLocalStorageNumber('captureKeyframeSeconds', 10, false, 2, 60) * 1000,
+    burstMs: 2000,
+    changeThreshold: 0.02
+});
+
+/**
+ * Screen region of interest: when the user has marked a region on the screen preview, only that
+ * region is sent, optionally with a low-resolution frame of the whole screen every overviewMs.
+ * @returns {{sendOverview: boolean, overviewMs: number}}
+ */
+export const getScreenRegionConfig = () => ({
+    sendOverview: getLocalStorageItem('screenOverviewEnabled', 'false') === 'true',
+    overviewMs: 5000
+});
+
+/**
+ * Camera choice and picture-in-picture. With pictureInPicture on and both the camera and the
+ * screen shared, the camera is drawn into a corner of the screen frames instead of being sent
+ * as frames of its own.
+ * @returns {{deviceId: string, facingMode: string, pictureInPicture: boolean, pipScale: number}}
+ */
+export const getCameraConfig = () => ({
+    deviceId: getLocalStorageItem('cameraDeviceId', ''),
+    facingMode: getLocalStorageItem('facingMode', 'environment'),
+    pictureInPicture: getLocalStorageItem('pictureInPicture', 'false') === 'true',
+    pipScale: 0.25
+});
+
+/** Speech-to-text backends, see js/transcribe/backends.js */
+const TRANSCRIPTION_BACKEND_IDS = ['deepgram', 'web_speech', 'live_api', 'websocket'];
+
+/**
+ * Deepgram-specific speech-to-text options. Keyterms are stored comma-separated; they only
+ * have an effect with Nova-3 models.
+ * @returns {{apiKey: string, model: string, smartFormat: boolean, diarize: boolean, keyterms: Array<string>}}
+ */
+export const getDeepgramConfig = () => ({
+    apiKey: getDeepgramApiKey(),
+    model: getLocalStorageItem('deepgramModel', 'nova-2').trim() || 'nova-2',
+    smartFormat: getLocalStorageItem('deepgramSmartFormat', 'true') === 'true',
+    diarize: getLocalStorageItem('deepgramDiarize', 'false') === 'true',
+    keyterms: getLocalStorageItem('deepgramKeyterms', '').split(',').map(term => term.trim()).filter(Boolean)
+});
+
+/**
+ * Transcription of the user's and the model's speech (captions and chat transcripts).
+ * Streaming backends retry a dropped connection with the same policy as the Live connection.
+ * In translate mode the user is transcribed in the source language and the model in the target.
+ * @returns {{backend: string, language: string, languages: {user: string, model: string}, interimResults: boolean,
+ *   websocketUrl: string, reconnect: Object, deepgram: Object}}
+ */
+export const getTranscriptionConfig = () => {
+    const stored = getLocalStorageItem('transcriptionBackend', 'deepgram');
+    const language = getLocalStorageItem('transcriptionLanguage', 'en-US').trim() || 'en-US';
+    const translate = getTranslateConfig();
+    return {
+        backend: TRANSCRIPTION_BACKEND_IDS.includes(stored) ? stored : 'deepgram',
+        language,
+        languages: translate.enabled ? { user: translate.source, model: translate.target } : { user: language, model: language },
+        interimResults: getLocalStorageItem('transcriptionInterimResults', 'true') === 'true',
+        websocketUrl: getLocalStorageItem('transcriptionWebsocketUrl', '').trim(),
+        reconnect: getReconnectConfig(),
+        deepgram: getDeepgramConfig()
+    };
+};
+
+/**
+ * Caption overlay in the Live tab (see js/dom/caption-overlay.js).
+ * @returns {{enabled: boolean, fontSize: number, position: 'top'|'bottom'}}
+ */
+export const getCaptionConfig = () => ({
+    enabled: getLocalStorageItem('captionsEnabled', 'true') === 'true',
+    fontSize: getLocalStorageNumber('captionFontSize', 18, false, 12, 40),
+    position: getLocalStorageItem('captionPosition', 'bottom') === 'top' ? 'top' : 'bottom'
+});
+
+/**
+ * Translate mode (see translate-mode.js). When enabled it replaces the system instructions and
+ * sets the session's speech language to the target.
+ * @returns {{enabled: boolean, source: string, target: string}} BCP-47 language codes.
+ */
+export const getTranslateConfig = () => {
+    const language = (key, fallback) => {
+        const code = getLocalStorageItem(key, fallback);
+        return TRANSLATE_LANGUAGES[code] ? code : fallback;
+    };
+    const source = language('translateSource', 'en-US');
+    const target = language('translateTarget', 'es-ES');
+    return {
+        enabled: getLocalStorageItem('translateEnabled', 'false') === 'true' && source !== target,
+        source,
+        target
+    };
+};
+
+/** Session recording formats, see getSessionRecordingConfig() */
+const SESSION_RECORDING_FORMATS = ['off', 'wav', 'webm_audio', 'webm_video'];
+
+/**
+ * Local recording of whole sessions, saved as a download when the session ends.
+ * 'wav' and 'webm_audio' record the mic and the model's voice; 'webm_video' adds the camera or screen.
+ * @returns {{format: string, enabled: boolean, fps: number}}
+ */
+export const getSessionRecordingConfig = () => {
+    const stored = getLocalStorageItem('sessionRecording', 'off');
+    const format = SESSION_RECORDING_FORMATS.includes(stored) ? stored : 'off';
+    return { format, enabled: format !== 'off', fps: 15 };
+};
+
+// --- Tool Configuration ---
+
+/**
+ * Names of the tools the model may call (set per persona, see persona-library.js).
+ * @returns {Array<string>|null} Null when all registered tools are enabled.
+ */
+export const getEnabledTools = () => {
+    try {
+        const tools = JSON.parse(localStorage.getItem('enabledTools'));
+        return Array.isArray(tools) ? tools : null;
+    } catch {
+        return null;
+    }
+};
+
+// --- Search Tool Configuration ---
+
+/**
+ * Returns the settings for the googleSearch tool's backend.
+ * @returns {{provider: string, apiKey: string, engineId: string, endpoint: string}}
+ */
+export const getSearchConfig = () => ({
+    provider: getLocalStorageItem('searchProvider', 'local'), // 'customSearch' | 'serpapi' | 'local'
+    apiKey: localStorage.getItem('searchApiKey') || '',
+    engineId: localStorage.getItem('searchEngineId') || '', // Custom Search only
+    endpoint: localStorage.getItem('searchEndpoint') || '' // Empty uses the provider's default
+});
+
+// --- Response Configuration ---
+
+/**
+ * How the model answers. The Live API returns a single modality per session, so "audio with
+ * transcript" is native audio plus the API's own transcription of what the model said.
+ */
+export const RESPONSE_MODES = {
+    text: { responseModalities: ['TEXT'], transcript: false },
+    audio: { responseModalities: ['AUDIO'], transcript: false },
+    audio_transcript: { responseModalities: ['AUDIO'], transcript: true }
+};
+
+// Prebuilt voices accepted by speechConfig.voiceConfig
+export const PREBUILT_VOICES = ['Puck', 'Charon', 'Fenrir', 'Kore', 'Aoede'];
+
+/**
+ * Returns the selected response mode key.
+ * @returns {'text'|'audio'|'audio_transcript'}
+ */
+export const getResponseMode = () => {
+    const mode = getLocalStorageItem('responseMode', 'text');
+    return RESPONSE_MODES[mode] ? mode : 'text';
+};
+
+/**
+ * Returns the selected prebuilt voice, falling back to the default for unknown names.
+ * @returns {string}
+ */
+const getVoiceName = () => {
+    const voiceName = getLocalStorageItem('voiceName', 'Aoede');
+    return PREBUILT_VOICES.includes(voiceName) ? voiceName : 'Aoede';
+};
+
 /**
  * Generates the configuration object required by the GeminiAgent.
  * Reads settings dynamically from localStorage where appropriate.
@@ -106,6 +338,16 @@ export const getConfig = () => {
     }
 
 
+    const responseMode = RESPONSE_MODES[getResponseMode()];
+    const { pushToTalk } = getActivityConfig();
+    const liveTranscription = getTranscriptionConfig().backend === 'live_api';
+    const translate = getTranslateConfig();
+    // Translating: let every utterance run to a full translation instead of being cut off by the next one
+    const realtimeInputConfig = {
+        ...(pushToTalk && { automaticActivityDetection: { disabled: true } }),
+        ...(translate.enabled && { activityHandling: 'NO_INTERRUPTION', turnCoverage: 'TURN_INCLUDES_ONLY_ACTIVITY' })
+    };
+
     return {
         // Use the dynamically retrieved model name
         model: selectedModel,
@@ -115,18 +357,26 @@ export const getConfig = () => {
             temperature: getLocalStorageNumber('temperature', 1.0, true, 0.0, 2.0),
             top_p: getLocalStorageNumber('top_p', 0.95, true, 0.0, 1.0),
             top_k: getLocalStorageNumber('top_k', 40, false, 1), // Min top_k is usually 1
-            responseModalities: "text", // Assuming only text for now, could be dynamic
+            responseModalities: responseMode.responseModalities,
             speechConfig: {
                 voiceConfig: {
                     prebuiltVoiceConfig: {
-                        voiceName: getLocalStorageItem('voiceName', 'Aoede') // Using validated getter
+                        voiceName: getVoiceName() // Only used for audio responses
                     }
-                }
+                },
+                ...(translate.enabled && { languageCode: translate.target }) // Speak with the target language's accent
             }
         },
+        // Ask the API to transcribe the model's spoken replies (and the user's speech, if it is the transcription backend)
+        ...((responseMode.transcript || liveTranscription) && { outputAudioTranscription: {} }),
+        ...(liveTranscription && { inputAudioTranscription: {} }),
+        // Push-to-talk (the client sends activityStart/activityEnd instead) and the translate turn policy
+        ...(Object.keys(realtimeInputConfig).length && { realtimeInputConfig }),
         systemInstruction: {
             parts: [{
-                text: getLocalStorageItem('systemInstructions', "You are a helpful assistant.") // Using validated getter
+                text: translate.enabled
+                    ? buildInterpreterInstruction(translate)
+                    : getLocalStorageItem('systemInstructions', "You are a helpful assistant.") // Using validated getter
             }]
         },
         tools: {
@@ -0,0 +1,312 @@
+/**
+ * Annotate-and-ask: shows a frozen camera or screen frame in a dialog where the user can draw
+ * arrows, boxes and freehand marks on it and type a question. Sending hands the annotated image
+ * (JPEG, base64) and the question to the onSend callback as one message.
+ */
+
+/** Marks the user can draw */
+const TOOLS = [
+    { id: 'arrow', label: '↗', title: 'Arrow' },
+    { id: 'box', label: '▭', title: 'Box' },
+    { id: 'pen', label: '✎', title: 'Freehand' }
+];
+
+const COLORS = ['#ff3b30', '#ffcc00', '#34c759', '#0a84ff', '#ffffff'];
+
+/** Widest image sent; larger frames are scaled down on export */
+const MAX_SEND_WIDTH = 1600;
+
+const JPEG_QUALITY = 0.85;
+
+export class AnnotationEditor {
+    /**
+     * @param {Object} options
+     * @param {Function} options.onSend - async ({image: {mimeType, data}, text}) => void; the dialog stays open if it throws.
+     * @param {Function} [options.onStatus] - Called with a short status message (e.g. StatusManager.addStatus).
+     */
+    constructor({ onSend, onStatus } = {}) {
+        this.onSend = onSend;
+        this.onStatus = typeof onStatus === 'function' ? onStatus : () => {};
+        this.frame = null;       // Frozen frame (canvas) being annotated
+        this.shapes = [];        // Marks drawn so far, in frame pixels
+        this.drawing = null;     // Mark being drawn
+        this.tool = 'arrow';
+        this.color = COLORS[0];
+        this.isOpen = false;
+        this.isSending = false;
+
+        this._createElements();
+    }
+
+    /** Builds the dialog DOM and attaches it to the body */
+    _createElements() {
+        this.element = document.createElement('div');
+        this.element.className = 'annotation-overlay';
+        this.element.setAttribute('aria-hidden', 'true');
+        this.element.innerHTML = `
+            <div class="annotation-dialog" role="dialog" aria-modal="true" aria-label="Annotate snapshot">
+                <div class="annotation-toolbar">
+                    <div class="annotation-tools">
+                        ${TOOLS.map(tool => `<button type="button" class="annotation-tool-btn" data-tool="${tool.id}" title="${tool.title}" aria-label="${tool.title}">${tool.label}</button>`).join('')}
+                    </div>
+                    <div class="annotation-colors">
+                        ${COLORS.map(color => `<button type="button" class="annotation-color-btn" data-color="${color}" style="background-color: ${color}" aria-label="Colour ${color}"></button>`).join('')}
+                    </div>
+                    <button type="button" class="annotation-undo-btn" title="Undo (Ctrl+Z)">Undo</button>
+                    <button type="button" class="annotation-clear-btn">Clear</button>
+                    <span class="annotation-title"></span>
+                    <button type="button" class="annotation-close-btn preview-btn" aria-label="Close without sending">×</button>
+                </div>
+                <div class="annotation-canvas-wrap">
+                    <canvas class="annotation-canvas"></canvas>
+                </div>
+                <div class="annotation-footer">
+                    <textarea class="annotation-question" rows="2" placeholder="Ask about this snapshot..." aria-label="Question about the snapshot"></textarea>
+                    <button type="button" class="annotation-send-btn">Send</button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(this.element);
+
+        this.canvas = this.element.querySelector('.annotation-canvas');
+        this.ctx = this.canvas.getContext('2d');
+        this.questionInput = this.element.querySelector('.annotation-question');
+        this.sendButton = this.element.querySelector('.annotation-send-btn');
+        this.titleElement = this.element.querySelector('.annotation-title');
+
+        this.element.querySelectorAll('.annotation-tool-btn').forEach(btn => {
+            btn.addEventListener('click', () => this._selectTool(btn.dataset.tool));
+        });
+        this.element.querySelectorAll('.annotation-color-btn').forEach(btn => {
+            btn.addEventListener('click', () => this._selectColor(btn.dataset.color));
+        });
+        this.element.querySelector('.annotation-undo-btn').addEventListener('click', () => this.undo());
+        this.element.querySelector('.annotation-clear-btn').addEventListener('click', () => {
+            this.shapes = [];
+            this._redraw();
+        });
+        this.element.querySelector('.annotation-close-btn').addEventListener('click', () => this.close());
+        this.sendButton.addEventListener('click', () => this.send());
+        this.element.addEventListener('click', (e) => {
+            if (e.target === this.element) this.close(); // Click on the backdrop
+        });
+
+        this.questionInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && !e.shiftKey) {
+                e.preventDefault();
+                this.send();
+            }
+        });
+        this.element.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.close();
+            } else if ((e.ctrlKey || e.metaKey) && e.key === 'z' && e.target !== this.questionInput) {
+                e.preventDefault();
+                this.undo();
+            }
+        });
+
+        this.canvas.addEventListener('pointerdown', (e) => this._startMark(e));
+        this.canvas.addEventListener('pointermove', (e) => this._extendMark(e));
+        this.canvas.addEventListener('pointerup', () => this._finishMark());
+        this.canvas.addEventListener('pointercancel', () => {
+            this.drawing = null;
+            this._redraw();
+        });
+
+        this._selectTool(this.tool);
+        this._selectColor(this.color);
+    }
+
+    /**
+     * Opens the dialog on a frozen frame.
+     * @param {HTMLCanvasElement} frame - The frame to annotate; drawn on a copy, so it isn't changed.
+     * @param {Object} [options]
+     * @param {string} [options.label] - Where the frame came from, shown in the toolbar (e.g. 'Screen').
+     */
+    open(frame, { label = '' } = {}) {
+        this.frame = frame;
+        this.shapes = [];
+        this.drawing = null;
+        this.canvas.width = frame.width;
+        this.canvas.height = frame.height;
+        this.titleElement.textContent = label ? `${label} snapshot` : 'Snapshot';
+        this.questionInput.value = '';
+        this._redraw();
+
+        this.isOpen = true;
+        this.element.classList.add('active');
+        this.element.setAttribute('aria-hidden', 'false');
+        this.questionInput.focus();
+    }
+
+    /** Closes the dialog and drops the snapshot */
+    close() {
+        if (!this.isOpen || this.isSending) return;
+        this.isOpen = false;
+        this.element.classList.remove('active');
+        this.element.setAttribute('aria-hidden', 'true');
+        this.frame = null;
+        this.shapes = [];
+    }
+
+    /** Removes the last mark */
+    undo() {
+        this.shapes.pop();
+        this._redraw();
+    }
+
+    /**
+     * Exports the annotated frame and hands it to onSend with the question, then closes.
+     * @returns {Promise<void>}
+     */
+    async send() {
+        if (!this.isOpen || this.isSending || !this.onSend) return;
+        this.isSending = true;
+        this.sendButton.disabled = true;
+        try {
+            await this.onSend({
+                image: { mimeType: 'image/jpeg', data: this._export() },
+                text: this.questionInput.value.trim()
+            });
+            this.isSending = false;
+            this.close();
+        } catch (error) {
+            console.error("AnnotationEditor: Failed to send snapshot:", error);
+            this.onStatus(`Could not send snapshot: ${error.message}`);
+        } finally {
+            this.isSending = false;
+            this.sendButton.disabled = false;
+        }
+    }
+
+    /**
+     * Renders the frame with its marks as JPEG, scaled down to MAX_SEND_WIDTH if wider.
+     * @returns {string} Base64 data without the data: prefix.
+     * @private
+     */
+    _export() {
+        let output = this.canvas;
+        if (this.canvas.width > MAX_SEND_WIDTH) {
+            output = document.createElement('canvas');
+            output.width = MAX_SEND_WIDTH;
+            output.height = Math.round(this.canvas.height * MAX_SEND_WIDTH / this.canvas.width);
+            output.getContext('2d').drawImage(this.canvas, 0, 0, output.width, output.height);
+        }
+        return output.toDataURL('image/jpeg', JPEG_QUALITY).split(',')[1];
+    }
+
+    /** @private */
+    _selectTool(tool) {
+        this.tool = tool;
+        this.element.querySelectorAll('.annotation-tool-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.tool === tool);
+        });
+    }
+
+    /** @private */
+    _selectColor(color) {
+        this.color = color;
+        this.element.querySelectorAll('.annotation-color-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.color === color);
+        });
+    }
+
+    /**
+     * Converts a pointer position to frame pixels (the canvas is shown scaled to fit).
+     * @param {PointerEvent} e
+     * @returns {{x: number, y: number}}
+     * @private
+     */
+    _toFramePoint(e) {
+        const bounds = this.canvas.getBoundingClientRect();
+        return {
+            x: (e.clientX - bounds.left) * this.canvas.width / bounds.width,
+            y: (e.clientY - bounds.top) * this.canvas.height / bounds.height
+        };
+    }
+
+    /** @private */
+    _startMark(e) {
+        if (!this.frame) return;
+        e.preventDefault();
+        this.canvas.setPointerCapture(e.pointerId);
+        const point = this._toFramePoint(e);
+        this.drawing = { tool: this.tool, color: this.color, points: [point, point] };
+        this._redraw();
+    }
+
+    /** @private */
+    _extendMark(e) {
+        if (!this.drawing) return;
+        const point = this._toFramePoint(e);
+        if (this.drawing.tool === 'pen') {
+            this.drawing.points.push(point);
+        } else {
+            this.drawing.points[1] = point; // Arrows and boxes only need start and end
+        }
+        this._redraw();
+    }
+
+    /** @private */
+    _finishMark() {
+        if (!this.drawing) return;
+        const [start, end] = [this.drawing.points[0], this.drawing.points[this.drawing.points.length - 1]];
+        const moved = this.drawing.points.length > 2 || Math.hypot(end.x - start.x, end.y - start.y) > 3;
+        if (moved) this.shapes.push(this.drawing); // Ignore plain clicks
+        this.drawing = null;
+        this._redraw();
+    }
+
+    /**
+     * Draws the frame and all marks.
+     * @private
+     */
+    _redraw() {
+        if (!this.frame) return;
+        this.ctx.drawImage(this.frame, 0, 0);
+        // Keep strokes readable whatever the frame size
+        const lineWidth = Math.max(3, Math.round(this.canvas.width / 250));
+        [...this.shapes, ...(this.drawing ? [this.drawing] : [])].forEach(shape => {
+            this._drawShape(shape, lineWidth);
+        });
+    }
+
+    /**
+     * @param {{tool: string, color: string, points: Array<{x: number, y: number}>}} shape
+     * @param {number} lineWidth
+     * @private
+     */
+    _drawShape({ tool, color, points }, lineWidth) {
+        const ctx = this.ctx;
+        const start = points[0];
+        const end = points[points.length - 1];
+        ctx.save();
+        ctx.strokeStyle = color;
+        ctx.fillStyle = color;
+        ctx.lineWidth = lineWidth;
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+        ctx.beginPath();
+        if (tool === 'box') {
+            ctx.strokeRect(start.x, start.y, end.x - start.x, end.y - start.y);
+        } else if (tool === 'pen') {
+            ctx.moveTo(start.x, start.y);
+            points.slice(1).forEach(point => ctx.lineTo(point.x, point.y));
+            ctx.stroke();
+        } else {
+            const angle = Math.atan2(end.y - start.y, end.x - start.x);
+            const head = lineWidth * 5;
+            ctx.moveTo(start.x, start.y);
+            ctx.lineTo(end.x - Math.cos(angle) * head * 0.5, end.y - Math.sin(angle) * head * 0.5);
+            ctx.stroke();
+            ctx.beginPath();
+            ctx.moveTo(end.x, end.y);
+            ctx.lineTo(end.x - head * Math.cos(angle - Math.PI / 7), end.y - head * Math.sin(angle - Math.PI / 7));
+            ctx.lineTo(end.x - head * Math.cos(angle + Math.PI / 7), end.y - head * Math.sin(angle + Math.PI / 7));
+            ctx.closePath();
+            ctx.fill();
+        }
+        ctx.restore();
+    }
+}
@@ -0,0 +1,254 @@
+/**
+ * Live captions for the Live tab: rolling two-line subtitles over the conversation for both the
+ * user and the model, with interim (still changing) text styled apart from final text, and a
+ * scroll-back transcript panel that can be saved as SRT or WebVTT subtitles.
+ *
+ * Subtitle times count from the start of the session (see startSession()); when the session is
+ * recorded that is the recording's start, so the subtitles line up with the recording.
+ */
+import { downloadFile, fileNameFor } from '../chat/chat-export.js';
+
+/** Caption lines on screen at once */
+const VISIBLE_LINES = 2;
+
+/** How long a finished line stays on screen, in ms */
+const LINGER_MS = 4000;
+
+/** Shortest cue written to subtitle files, in ms */
+const MIN_CUE_MS = 700;
+
+/**
+ * Name shown in front of a caption or stored transcript.
+ * @param {'user'|'model'} role
+ * @param {number|null} [speaker] - Speaker index, when the transcription backend labels speakers.
+ * @returns {string}
+ */
+export function speakerLabel(role, speaker) {
+    if (role === 'model') return 'Gemini';
+    return speaker != null ? `Speaker ${speaker + 1}` : 'You';
+}
+
+/**
+ * Formats a time offset for a subtitle file.
+ * @param {number} ms - Offset from the start of the session.
+ * @param {'srt'|'vtt'} format - SRT uses a decimal comma, WebVTT a decimal point.
+ * @returns {string} HH:MM:SS,mmm or HH:MM:SS.mmm
+ */
+export function subtitleTime(ms, format) {
+    const total = Math.max(0, Math.round(ms));
+    const hours = Math.floor(total / 3600000);
+    const minutes = Math.floor(total / 60000) % 60;
+    const seconds = Math.floor(total / 1000) % 60;
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+    return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${format === 'srt' ? ',' : '.'}${pad(total % 1000, 3)}`;
+}
+
+/**
+ * Builds an SRT or WebVTT file from transcript cues. WebVTT cues carry the speaker as a voice
+ * tag (`<v Gemini>`), SRT cues as a "Name: " prefix.
+ * Cues without a start time (backends that don't report timing) start where the cue before them
+ * in the list ended; cues without an end time last the minimum cue length.
+ * @param {Array<{role: string, speaker: number|null, text: string, start: number|null, end: number|null}>} cues -
+ *   Times in epoch ms, in the order the cues were finished.
+ * @param {Object} options
+ * @param {'srt'|'vtt'} options.format
+ * @param {number} options.origin - Epoch ms that becomes 00:00:00.
+ * @returns {string}
+ */
+export function buildSubtitles(cues, { format, origin }) {
+    let previousEnd = origin;
+    const timed = cues.map(cue => {
+        const start = cue.start ?? previousEnd;
+        const end = Math.max(cue.end ?? start, start + MIN_CUE_MS);
+        previousEnd = end;
+        return { ...cue, start, end };
+    });
+    const blocks = timed
+        .sort((a, b) => a.start - b.start)
+        .map((cue, i) => {
+            const start = cue.start - origin;
+            const end = cue.end - origin;
+            const name = speakerLabel(cue.role, cue.speaker);
+            const text = format === 'vtt'
+                ? `<v ${name}>${cue.text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')}`
+                : `${name}: ${cue.text}`;
+            return `${i + 1}\n${subtitleTime(start, format)} --> ${subtitleTime(end, format)}\n${text}`;
+        });
+    const body = blocks.join('\n\n');
+    return format === 'vtt' ? `WEBVTT\n\n${body}\n` : `${body}\n`;
+}
+
+export class CaptionOverlay {
+    /**
+     * @param {Object} elements
+     * @param {HTMLElement} elements.container - Where the captions and the transcript panel are shown (the Live tab).
+     * @param {HTMLElement} [elements.toggleButton] - Shows and hides the transcript panel.
+     * @param {Object} [options]
+     * @param {Function} [options.onStatus] - Called with a short status message (e.g. StatusManager.addStatus).
+     */
+    constructor({ container, toggleButton }, { onStatus } = {}) {
+        this.container = container;
+        this.toggleButton = toggleButton;
+        this.onStatus = typeof onStatus === 'function' ? onStatus : () => {};
+        this.enabled = true;
+        this.cues = [];          // Finished utterances: {role, speaker, text, start, end}
+        this.active = new Map(); // role -> utterance still being recognised
+        this.recent = [];        // Finished cues still on screen
+        this.origin = Date.now();
+
+        this._createElements();
+        toggleButton?.addEventListener('click', () => this.toggleTranscript());
+    }
+
+    /** Builds the caption lines and the transcript panel */
+    _createElements() {
+        this.captionElement = document.createElement('div');
+        this.captionElement.className = 'caption-overlay';
+        this.captionElement.setAttribute('aria-hidden', 'true'); // The transcript panel is the accessible version
+        this.captionElement.hidden = true;
+
+        this.panel = document.createElement('div');
+        this.panel.className = 'caption-transcript';
+        this.panel.hidden = true;
+        this.panel.setAttribute('role', 'region');
+        this.panel.setAttribute('aria-label', 'Transcript');
+        this.panel.innerHTML = `
+            <div class="caption-transcript-header">
+                <span>Transcript</span>
+                <button type="button" class="caption-save-btn" data-format="srt" title="Save as SRT subtitles">SRT</button>
+                <button type="button" class="caption-save-btn" data-format="vtt" title="Save as WebVTT subtitles">VTT</button>
+                <button type="button" class="caption-clear-btn" title="Clear the transcript">Clear</button>
+                <button type="button" class="caption-close-btn preview-btn" aria-label="Close transcript">×</button>
+            </div>
+            <ol class="caption-transcript-list" aria-live="polite"></ol>
+        `;
+        this.list = this.panel.querySelector('.caption-transcript-list');
+        this.panel.querySelectorAll('.caption-save-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.save(btn.dataset.format));
+        });
+        this.panel.querySelector('.caption-clear-btn').addEventListener('click', () => this.startSession());
+        this.panel.querySelector('.caption-close-btn').addEventListener('click', () => this.toggleTranscript(false));
+
+        this.container.appendChild(this.captionElement);
+        this.container.appendChild(this.panel);
+    }
+
+    /**
+     * Applies the caption settings.
+     * @param {{enabled: boolean, fontSize: number, position: 'top'|'bottom'}} config - See getCaptionConfig().
+     */
+    applySettings({ enabled, fontSize, position }) {
+        this.enabled = enabled;
+        this.captionElement.style.fontSize = `${fontSize}px`;
+        this.captionElement.dataset.position = position;
+        this._renderCaptions();
+    }
+
+    /**
+     * Starts a new transcript, e.g. when a Live session starts.
+     * @param {number} [origin=Date.now()] - Epoch ms that subtitle times count from.
+     */
+    startSession(origin = Date.now()) {
+        this.origin = origin;
+        this.cues = [];
+        this.active.clear();
+        this.recent.forEach(cue => clearTimeout(cue.timer));
+        this.recent = [];
+        this.list.innerHTML = '';
+        this._renderCaptions();
+    }
+
+    /**
+     * Shows a transcription result and adds final results to the transcript.
+     * @param {'user'|'model'} role
+     * @param {{transcript: string, isFinal: boolean, speaker?: number|null, startedAt?: number, endedAt?: number}} result -
+     *   A 'transcription' event (see Transcriber); startedAt/endedAt are used when the backend knows them.
+     */
+    update(role, { transcript, isFinal, speaker = null, startedAt, endedAt }) {
+        if (!transcript?.trim()) return;
+        const now = Date.now();
+        let utterance = this.active.get(role);
+        if (!utterance) {
+            utterance = { role, start: startedAt ?? now };
+            this.active.set(role, utterance);
+        }
+        utterance.text = transcript.trim();
+        utterance.speaker = speaker;
+        if (startedAt != null) utterance.start = Math.min(utterance.start, startedAt);
+
+        if (isFinal) {
+            this.active.delete(role);
+            const cue = { role, speaker, text: utterance.text, start: utterance.start, end: endedAt ?? now };
+            this.cues.push(cue);
+            this._appendToTranscript(cue);
+            const shown = { ...cue };
+            shown.timer = setTimeout(() => {
+                this.recent = this.recent.filter(item => item !== shown);
+                this._renderCaptions();
+            }, LINGER_MS);
+            this.recent.push(shown);
+        }
+        this._renderCaptions();
+    }
+
+    /**
+     * Shows or hides the transcript panel.
+     * @param {boolean} [show] - Toggles if omitted.
+     */
+    toggleTranscript(show = this.panel.hidden) {
+        this.panel.hidden = !show;
+        this.toggleButton?.classList.toggle('active', show);
+        this.toggleButton?.setAttribute('aria-pressed', String(show));
+        if (show) this.list.scrollTop = this.list.scrollHeight;
+    }
+
+    /**
+     * Downloads the transcript as subtitles.
+     * @param {'srt'|'vtt'} format
+     */
+    save(format) {
+        if (this.cues.length === 0) {
+            this.onStatus("Nothing to save yet: the transcript is empty");
+            return;
+        }
+        const content = buildSubtitles(this.cues, { format, origin: this.origin });
+        const baseName = fileNameFor(`transcript ${new Date(this.origin).toTimeString().slice(0, 5)}`);
+        downloadFile(`${baseName}.${format}`, content, format === 'vtt' ? 'text/vtt' : 'application/x-subrip');
+    }
+
+    /**
+     * Adds a finished cue to the transcript panel.
+     * @param {{role: string, speaker: number|null, text: string, start: number}} cue
+     * @private
+     */
+    _appendToTranscript(cue) {
+        const atBottom = this.list.scrollHeight - this.list.scrollTop - this.list.clientHeight < 20;
+        const item = document.createElement('li');
+        item.className = `caption-transcript-item ${cue.role}`;
+        const time = document.createElement('time');
+        time.textContent = subtitleTime(cue.start - this.origin, 'vtt').slice(0, 8);
+        const name = document.createElement('strong');
+        name.textContent = `${speakerLabel(cue.role, cue.speaker)}: `;
+        item.append(time, ' ', name, cue.text);
+        this.list.appendChild(item);
+        if (atBottom) this.list.scrollTop = this.list.scrollHeight; // Don't jump while the user scrolls back
+    }
+
+    /**
+     * Shows the last VISIBLE_LINES lines: recently finished ones first, then those still being spoken.
+     * @private
+     */
+    _renderCaptions() {
+        const lines = [...this.recent, ...[...this.active.values()].sort((a, b) => a.start - b.start)].slice(-VISIBLE_LINES);
+        this.captionElement.hidden = !this.enabled || lines.length === 0;
+        this.captionElement.replaceChildren(...lines.map(line => {
+            const element = document.createElement('div');
+            element.className = `caption-line ${line.role}${this.active.get(line.role) === line ? ' interim' : ''}`;
+            const name = document.createElement('span');
+            name.className = 'caption-speaker';
+            name.textContent = `${speakerLabel(line.role, line.speaker)}: `;
+            element.append(name, line.text);
+            return element;
+        }));
+    }
+}
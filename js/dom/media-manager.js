@@ -6,6 +6,11 @@ import { AudioVisualizer } from '../audio/visualizer.js';
 import StatusManager from './status-manager.js';
 import SpeechHandler from '../audio/speech-handler.js';
 import { AudioRecorder } from '../audio/recorder.js';
+import { getActivityConfig, getCameraConfig } from '../config/config.js';
+import { listCameras, cameraVideoConstraints } from '../camera/camera.js';
+
+// Pause after the end of speech before audio chat mode closes the mic (lets the final transcript arrive)
+const AUTO_STOP_DELAY = 1500;
 
 export class MediaManager {
     constructor() {
@@ -18,6 +23,7 @@ export class MediaManager {
         this.audioContext = null;
         this.visualizer = null;
         this.audioRecorder = null;
+        this._autoStopTimer = null; // Audio chat mode: closes the mic after the user stops talking
 
         // Media state
         this.isCameraActive = false;
@@ -47,7 +53,9 @@ export class MediaManager {
     setupEventListeners() {
         this.cameraBtn?.addEventListener('click', () => this.toggleCamera());
         this.screenBtn?.addEventListener('click', () => this.toggleScreen());
-        this.micBtn?.addEventListener('click', () => this.toggleMic());
+        this.micBtn?.addEventListener('click', () => {
+            if (!getActivityConfig().pushToTalk) this.toggleMic(); // Push-to-talk drives the mic by holding instead
+        });
         this.speakBtn?.addEventListener('click', () => this.toggleSpeaker());
         this.audioChatBtn?.addEventListener('click', () => this.toggleAudioChat());
         this.flipCameraBtn?.addEventListener('click', () => this.flipCamera());
@@ -78,17 +86,24 @@ export class MediaManager {
         });
     }
 
-    async getCameraStream(facingMode = 'user') {
+    /**
+     * Opens the camera chosen in settings (or the given facing mode if none is chosen).
+     * @param {string} [facingMode='user']
+     * @param {string} [deviceId] - Defaults to the remembered camera.
+     * @returns {Promise<MediaStream>}
+     */
+    async getCameraStream(facingMode = 'user', deviceId = getCameraConfig().deviceId) {
         this.cameraStream?.getTracks().forEach(track => track.stop());
 
-        const constraints = {
-            video: {
-                facingMode: facingMode,
-                width: { ideal: 1280 },
-                height: { ideal: 720 }
-            }
-        };
-        this.cameraStream = await navigator.mediaDevices.getUserMedia(constraints);
+        const size = { width: 1280, height: 720 };
+        try {
+            this.cameraStream = await navigator.mediaDevices.getUserMedia({ video: cameraVideoConstraints({ deviceId, facingMode, ...size }) });
+        } catch (error) {
+            // The remembered camera may be unplugged; fall back to the default one
+            if (!deviceId || !['OverconstrainedError', 'NotFoundError', 'NotReadableError'].includes(error.name)) throw error;
+            console.warn(`Camera ${deviceId} unavailable (${error.name}), using the default camera.`);
+            this.cameraStream = await navigator.mediaDevices.getUserMedia({ video: cameraVideoConstraints({ facingMode, ...size }) });
+        }
         this.currentFacingMode = facingMode;
         return this.cameraStream;
     }
@@ -124,9 +139,21 @@ export class MediaManager {
             return;
         }
         try {
+            // With several cameras (e.g. a desktop with a webcam and a capture card) go to the next one
+            const cameras = await listCameras();
+            if (cameras.length > 1) {
+                const currentId = this.cameraStream?.getVideoTracks()[0]?.getSettings().deviceId;
+                const next = cameras[(cameras.findIndex(camera => camera.deviceId === currentId) + 1) % cameras.length];
+                const newStream = await this.getCameraStream(this.currentFacingMode, next.deviceId);
+                localStorage.setItem('cameraDeviceId', next.deviceId);
+                PreviewManager.updateTrack('camera', newStream.getVideoTracks()[0]);
+                StatusManager.addStatus(`Switched to ${next.label}`, 3000);
+                return;
+            }
+
             const newFacingMode = this.currentFacingMode === 'user' ? 'environment' : 'user';
             StatusManager.addStatus(`Flipping camera to ${newFacingMode}...`, 2000);
-            const newStream = await this.getCameraStream(newFacingMode);
+            const newStream = await this.getCameraStream(newFacingMode, '');
             
             const newVideoTrack = newStream.getVideoTracks()[0];
             PreviewManager.updateTrack('camera', newVideoTrack);
@@ -177,21 +204,11 @@ export class MediaManager {
             if (!this.isMicActive) {
                 // Initialize audio recorder if not exists
                 if (!this.audioRecorder) {
-                    this.audioRecorder = new AudioRecorder();
+                    this.audioRecorder = this._createRecorder();
                 }
 
-                // Start recording with speech recognition enabled and auto-end if in audio chat mode
-                await this.audioRecorder.start(null, true, this.isAudioChatMode);
-                
-                // Listen for silence detection if in audio chat mode
-                if (this.isAudioChatMode) {
-                    this.audioRecorder.addEventListener('silence_detected', () => {
-                        // Only process if we're still in audio chat mode and mic is active
-                        if (this.isAudioChatMode && this.isMicActive) {
-                            this.toggleMic(); // Automatically deactivate mic on silence
-                        }
-                    });
-                }
+                // Start recording with speech recognition enabled; audio chat mode ends turns via the VAD
+                await this.audioRecorder.start(null, true);
                 
                 // Set up audio visualizer
                 if (!this.audioContext || this.audioContext.state === 'closed') {
@@ -209,9 +226,10 @@ export class MediaManager {
                     StatusManager.addStatus('Microphone activated', 3000);
                 }
             } else {
+                this._clearAutoStop();
                 await this.audioRecorder?.stop();
                 this.visualizer?.disconnectSource('user');
-                this.micBtn?.classList.remove('active');
+                this.micBtn?.classList.remove('active', 'speaking');
                 this.isMicActive = false;
                 StatusManager.addStatus('Microphone deactivated', 3000);
             }
@@ -224,6 +242,40 @@ export class MediaManager {
         }
     }
 
+    /**
+     * Creates the mic recorder and hooks up its voice activity events.
+     * In audio chat mode the mic closes shortly after the user finishes speaking.
+     * @returns {AudioRecorder}
+     * @private
+     */
+    _createRecorder() {
+        const recorder = new AudioRecorder();
+        recorder.addEventListener('speech_start', () => {
+            this._clearAutoStop(); // Still talking
+            this.micBtn?.classList.add('speaking');
+        });
+        recorder.addEventListener('speech_end', () => {
+            this.micBtn?.classList.remove('speaking');
+            if (!this.isAudioChatMode || !this.isMicActive) return;
+            this._clearAutoStop();
+            this._autoStopTimer = setTimeout(() => {
+                this._autoStopTimer = null;
+                if (this.isAudioChatMode && this.isMicActive && !recorder.isSpeaking) {
+                    this.toggleMic(); // Automatically deactivate mic once the utterance is over
+                }
+            }, AUTO_STOP_DELAY);
+        });
+        return recorder;
+    }
+
+    /** Cancels a pending audio chat mode mic auto-stop */
+    _clearAutoStop() {
+        if (this._autoStopTimer) {
+            clearTimeout(this._autoStopTimer);
+            this._autoStopTimer = null;
+        }
+    }
+
     async toggleSpeaker() {
         this.isSpeakerActive = !this.isSpeakerActive;
         this.speakBtn?.classList.toggle('active', this.isSpeakerActive);
@@ -268,6 +320,7 @@ export class MediaManager {
         this.cameraStream = null;
         this.screenStream = null;
 
+        this._clearAutoStop();
         if (this.audioRecorder) {
             this.audioRecorder.stop();
             this.audioRecorder = null;
@@ -289,7 +342,7 @@ export class MediaManager {
 
         this.cameraBtn?.classList.remove('active');
         this.screenBtn?.classList.remove('active');
-        this.micBtn?.classList.remove('active');
+        this.micBtn?.classList.remove('active', 'speaking');
         this.speakBtn?.classList.remove('active');
 
         PreviewManager.hidePreview('camera');
@@ -0,0 +1,205 @@
+/**
+ * AdaptiveCapture decides, on every capture tick, whether a camera or screen frame is worth
+ * sending. Frames are compared against the last one sent on a small grayscale thumbnail, so a
+ * static scene only sends an occasional keyframe while motion (or a user action) sends a burst
+ * at the full rate. Resolution and JPEG quality step down when uploads get slow and back up
+ * when the connection recovers.
+ */
+
+/** Thumbnail width used for frame differencing */
+const ANALYSIS_WIDTH = 64;
+
+/** Resolution/quality steps, relative to the configured width and quality; higher index = fewer bytes */
+const QUALITY_LEVELS = [
+    { scale: 1, quality: 1 },
+    { scale: 0.75, quality: 0.85 },
+    { scale: 0.5, quality: 0.7 }
+];
+
+/** Lowest JPEG quality ever sent */
+const MIN_QUALITY = 0.2;
+
+/** Sends to wait after a level change before changing again (down, up) */
+const LEVEL_DOWN_COOLDOWN = 3;
+const LEVEL_UP_COOLDOWN = 8;
+
+export class AdaptiveCapture {
+    /**
+     * @param {Object} options
+     * @param {string} options.name - Label for logs ('camera' or 'screen').
+     * @param {CameraManager|ScreenManager} options.source - Provides `videoElement` and `capture({scale, quality})`,
+     *   and optionally `getSourceRect()` when it only sends part of the video or `getAnalysisFrame()`
+     *   when what it sends isn't simply its video.
+     * @param {Function} options.send - async (base64Jpeg) => void
+     * @param {Function} [options.waitForDrain] - async () => boolean; resolves when the frame has left the socket.
+     * @param {boolean} [options.enabled=true] - False sends every tick at full quality (no skipping or adapting).
+     * @param {number} [options.changeThreshold=0.02] - Share of thumbnail pixels that must change to count as motion.
+     * @param {number} [options.pixelThreshold=24] - Luma difference (0-255) for a pixel to count as changed.
+     * @param {number} [options.burstMs=2000] - Full-rate period after motion or a user action.
+     * @param {number} [options.keyframeMs=10000] - Longest gap between frames while nothing changes.
+     * @param {number} [options.highLatencyMs=400] - Upload time above which frames get smaller.
+     * @param {number} [options.lowLatencyMs=120] - Upload time below which frames get larger again.
+     */
+    constructor({ name, source, send, waitForDrain, enabled = true, changeThreshold = 0.02, pixelThreshold = 24,
+        burstMs = 2000, keyframeMs = 10000, highLatencyMs = 400, lowLatencyMs = 120 }) {
+        this.name = `AdaptiveCapture(${name})`;
+        this.source = source;
+        this.send = send;
+        this.waitForDrain = waitForDrain;
+        this.options = { enabled, changeThreshold, pixelThreshold, burstMs, keyframeMs, highLatencyMs, lowLatencyMs };
+
+        this.canvas = null;          // Thumbnail canvas for differencing
+        this.ctx = null;
+        this.lastSentLuma = null;    // Thumbnail of the frame the model saw last
+        this.lastSentAt = 0;
+        this.burstUntil = 0;
+        this.level = 0;              // Index into QUALITY_LEVELS
+        this.sendsSinceLevelChange = 0;
+        this.latencyMs = null;       // Smoothed upload time
+        this.busy = false;           // A tick is still sending
+        this.stats = { sent: 0, skipped: 0 };
+    }
+
+    /**
+     * Sends the next frame at the full rate for a while, e.g. after the user spoke or typed,
+     * since they are likely to refer to what's on screen.
+     * @param {string} [reason]
+     */
+    requestBurst(reason = 'user action') {
+        this.burstUntil = performance.now() + this.options.burstMs;
+        console.debug(`${this.name}: Burst requested (${reason}).`);
+    }
+
+    /**
+     * Runs one capture tick: sends a frame if the scene changed, a burst is running,
+     * or the keyframe interval has passed.
+     * @returns {Promise<boolean>} True if a frame was sent.
+     */
+    async tick() {
+        if (this.busy) return false; // Previous upload still going; don't queue frames behind it
+        this.busy = true;
+        try {
+            const now = performance.now();
+            const luma = this.options.enabled ? this._thumbnail() : null;
+            if (luma && !this._isDue(luma, now)) {
+                this.stats.skipped++;
+                return false;
+            }
+
+            const level = QUALITY_LEVELS[this.level];
+            const image = await this.source.capture({
+                scale: level.scale,
+                quality: Math.max(MIN_QUALITY, this.source.config.quality * level.quality)
+            });
+            const startedAt = performance.now();
+            await this.send(image);
+            if (this.options.enabled && this.waitForDrain && await this.waitForDrain()) {
+                this._adapt(performance.now() - startedAt);
+            }
+
+            this.lastSentLuma = luma;
+            this.lastSentAt = now;
+            this.stats.sent++;
+            return true;
+        } finally {
+            this.busy = false;
+        }
+    }
+
+    /** @returns {string} Summary for logs */
+    describe() {
+        const latency = this.latencyMs === null ? 'n/a' : `${Math.round(this.latencyMs)}ms`;
+        return `${this.stats.sent} sent, ${this.stats.skipped} skipped, level ${this.level}, upload ${latency}`;
+    }
+
+    /**
+     * Whether the current frame should be sent.
+     * @param {Uint8Array} luma - Current thumbnail.
+     * @param {number} now
+     * @returns {boolean}
+     * @private
+     */
+    _isDue(luma, now) {
+        if (!this.lastSentLuma || this.lastSentLuma.length !== luma.length) return true;
+        if (this._changedShare(luma) >= this.options.changeThreshold) {
+            this.burstUntil = now + this.options.burstMs; // Keep following the motion
+            return true;
+        }
+        return now < this.burstUntil || now - this.lastSentAt >= this.options.keyframeMs;
+    }
+
+    /**
+     * The picture to compare: what the source says it sends (getAnalysisFrame), or else its
+     * video, limited to the part it sends if it has a region.
+     * @returns {{image: CanvasImageSource, sx: number, sy: number, sw: number, sh: number}|null}
+     * @private
+     */
+    _analysisFrame() {
+        if (this.source.getAnalysisFrame) return this.source.getAnalysisFrame();
+        const video = this.source.videoElement;
+        if (!video?.videoWidth) return null;
+        const rect = this.source.getSourceRect?.() ?? { sx: 0, sy: 0, sw: video.videoWidth, sh: video.videoHeight };
+        return { image: video, ...rect };
+    }
+
+    /**
+     * Draws the analysis frame into the thumbnail canvas and returns its luma.
+     * @returns {Uint8Array|null} Null if the video has no dimensions yet.
+     * @private
+     */
+    _thumbnail() {
+        const frame = this._analysisFrame();
+        if (!frame) return null;
+        const { image, sx, sy, sw, sh } = frame;
+        const height = Math.max(1, Math.round(ANALYSIS_WIDTH * sh / sw));
+        if (!this.canvas || this.canvas.height !== height) {
+            this.canvas = document.createElement('canvas');
+            this.canvas.width = ANALYSIS_WIDTH;
+            this.canvas.height = height;
+            this.ctx = this.canvas.getContext('2d', { willReadFrequently: true });
+        }
+        this.ctx.drawImage(image, sx, sy, sw, sh, 0, 0, ANALYSIS_WIDTH, height);
+        const { data } = this.ctx.getImageData(0, 0, ANALYSIS_WIDTH, height);
+        const luma = new Uint8Array(ANALYSIS_WIDTH * height);
+        for (let i = 0; i < luma.length; i++) {
+            luma[i] = (data[i * 4] * 77 + data[i * 4 + 1] * 150 + data[i * 4 + 2] * 29) >> 8;
+        }
+        return luma;
+    }
+
+    /**
+     * Share of thumbnail pixels that differ noticeably from the last frame sent.
+     * @param {Uint8Array} luma
+     * @returns {number} 0 to 1
+     * @private
+     */
+    _changedShare(luma) {
+        let changed = 0;
+        for (let i = 0; i < luma.length; i++) {
+            if (Math.abs(luma[i] - this.lastSentLuma[i]) > this.options.pixelThreshold) changed++;
+        }
+        return changed / luma.length;
+    }
+
+    /**
+     * Steps resolution/quality down when uploads are slow and back up when they're quick.
+     * @param {number} latencyMs - Time the last frame took to leave the socket.
+     * @private
+     */
+    _adapt(latencyMs) {
+        this.latencyMs = this.latencyMs === null ? latencyMs : this.latencyMs * 0.7 + latencyMs * 0.3;
+        this.sendsSinceLevelChange++;
+
+        let level = this.level;
+        if (this.latencyMs > this.options.highLatencyMs && this.sendsSinceLevelChange >= LEVEL_DOWN_COOLDOWN) {
+            level = Math.min(QUALITY_LEVELS.length - 1, level + 1);
+        } else if (this.latencyMs < this.options.lowLatencyMs && this.sendsSinceLevelChange >= LEVEL_UP_COOLDOWN) {
+            level = Math.max(0, level - 1);
+        }
+        if (level !== this.level) {
+            console.info(`${this.name}: Upload ${Math.round(this.latencyMs)}ms, frame level ${this.level} -> ${level}.`);
+            this.level = level;
+            this.sendsSinceLevelChange = 0;
+        }
+    }
+}
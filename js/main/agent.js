@@ -7,10 +7,14 @@ import { GeminiWebsocketClient } from '../ws/client.js';
 import { AudioRecorder } from '../audio/recorder.js';
 import { AudioStreamer } from '../audio/streamer.js';
 import { AudioVisualizer } from '../audio/visualizer.js';
-import { DeepgramTranscriber } from '../transcribe/deepgram.js';
+import { createTranscriber } from '../transcribe/backends.js';
+import { LiveApiTranscriber } from '../transcribe/live-api.js';
 import { CameraManager } from '../camera/camera.js';
 import { ScreenManager } from '../screen/screen.js';
-import { MODEL_SAMPLE_RATE, getConfig, getDeepgramApiKey, getWebsocketUrl } from '../config/config.js'; // Assuming config functions are available
+import { AdaptiveCapture } from './adaptive-capture.js';
+import { PictureInPictureSource } from './picture-in-picture.js';
+import { base64ToArrayBuffer } from '../utils/utils.js';
+import { MODEL_SAMPLE_RATE, getConfig, getWebsocketUrl, getReconnectConfig, getBargeInConfig, getAdaptiveCaptureConfig, getScreenRegionConfig, getCameraConfig, getTranscriptionConfig, getResponseMode, getEnabledTools, getTranslateConfig, RESPONSE_MODES } from '../config/config.js'; // Assuming config functions are available
 
 export class GeminiAgent {
     constructor({
@@ -19,35 +23,45 @@ export class GeminiAgent {
         // config, // Config now fetched internally
         // deepgramApiKey = null, // Fetched internally
         transcribeModelsSpeech = true, // Option to transcribe model's output
-        transcribeUsersSpeech = false, // Option to transcribe user's input (via Deepgram)
+        transcribeUsersSpeech = false, // Option to transcribe user's input (backend chosen in settings)
         // modelSampleRate = 24000, // Fetched internally from config
-        toolManager = null // Tool manager instance passed in
+        toolManager = null, // Tool manager instance passed in
+        contextProvider = null // Async function returning prior turns to seed new sessions with
     } = {}) {
 
         this.name = name;
         this.toolManager = toolManager;
+        this.contextProvider = typeof contextProvider === 'function' ? contextProvider : null;
 
         // State flags
         this.initialized = false; // Has initialize() been successfully called?
         this.connected = false; // Is the WebSocket connected?
         this.isInitializing = false; // Prevent concurrent initialization
         this.isDisconnecting = false; // Prevent concurrent disconnection
+        this.isReconnecting = false; // Is the client trying to restore a dropped connection?
+        this._resumeCapture = null; // Media capture that was running when the connection dropped
+        this.pendingToolCalls = new Map(); // Tool call ID -> AbortController for calls still running
+        this._dropModelAudio = false; // Set on barge-in: ignore the rest of the interrupted reply until the server ends the turn
+        this.isActivityActive = false; // Push-to-talk: between activityStart and activityEnd
+        this._activityRequested = false; // Push-to-talk is held (may still be waiting for the mic)
 
         // Core components (initialized later)
         this.client = null; // GeminiWebsocketClient instance
         this.audioContext = null;
         this.audioRecorder = null;
         this.audioStreamer = null;
+        this._playbackPromise = null; // Pending ensurePlayback() setup
         this.visualizer = null;
-        this.modelTranscriber = null; // Deepgram transcriber for model speech
-        this.userTranscriber = null; // Deepgram transcriber for user speech
+        this.modelTranscriber = null; // Transcriber for model speech (see js/transcribe/backends.js)
+        this.userTranscriber = null; // Transcriber for user speech
         this.cameraManager = null;
         this.screenManager = null;
+        this.screenRegion = null; // Region of the screen to send, kept across screen shares
+        this._lastOverviewAt = 0; // When the last whole-screen overview went out
 
         // Configuration (fetched dynamically)
         this.config = null;
         this.url = null;
-        this.deepgramApiKey = null;
         this.modelSampleRate = MODEL_SAMPLE_RATE; // Initial value from config import
 
         // Transcription options
@@ -60,8 +74,9 @@ export class GeminiAgent {
         // Intervals (managed carefully)
         this.cameraInterval = null;
         this.screenInterval = null;
-        this.modelsKeepAliveInterval = null;
-        this.userKeepAliveInterval = null;
+        this.cameraCapture = null; // AdaptiveCapture deciding which camera frames to send
+        this.screenCapture = null; // Same for screen frames
+        this.pipSource = null; // Set while camera frames are sent inside screen frames (picture-in-picture)
 
         // Event listeners map
         this._eventListeners = new Map();
@@ -74,12 +89,11 @@ export class GeminiAgent {
         try {
             this.config = getConfig(); // Fetch dynamic config based on localStorage
             this.url = getWebsocketUrl(); // Fetch URL with API key
-            this.deepgramApiKey = getDeepgramApiKey();
             this.modelSampleRate = MODEL_SAMPLE_RATE; // Re-fetch in case it changed
 
-            // Update tool declarations in config (if toolManager exists)
-            if (this.toolManager && this.config?.tools) {
-                this.config.tools.functionDeclarations = this.toolManager.getToolDeclarations() || [];
+            // Update tool declarations in config (if toolManager exists); an interpreter session gets none
+            if (this.toolManager && this.config?.tools && !getTranslateConfig().enabled) {
+                this.config.tools.functionDeclarations = this.toolManager.getToolDeclarations(getEnabledTools()) || [];
             }
 
             // Basic validation
@@ -116,11 +130,17 @@ export class GeminiAgent {
         // Clear existing listeners before adding new ones (important on reconnect)
         this.client.off('text');
         this.client.off('audio');
+        this.client.off('output_transcription');
+        this.client.off('input_transcription');
         this.client.off('interrupted');
         this.client.off('turn_complete');
         this.client.off('tool_call');
+        this.client.off('tool_call_cancellation');
         this.client.off('error'); // Handle client errors
         this.client.off('disconnected'); // Handle unexpected disconnects
+        this.client.off('reconnecting');
+        this.client.off('reconnected');
+        this.client.off('reconnect_failed');
 
         // --- Add new listeners ---
 
@@ -128,24 +148,24 @@ export class GeminiAgent {
             this.emit('text', text);
         });
 
-        this.client.on('audio', async (data) => {
-            // Ensure audio components are ready
-            if (!this.audioStreamer || !this.audioContext || this.audioContext.state !== 'running') {
-                console.warn(`${this.name}: Received audio but audio system not ready. State: ${this.audioContext?.state}`);
-                return;
+        this.client.on('audio', async (data, mimeType) => {
+            if (this._dropModelAudio) return; // The user talked over this reply
+            // Audio replies can arrive on a text-only connection (no initialize()), so set up playback on demand
+            try {
+                await this.ensurePlayback();
+            } catch (initError) {
+                console.error(`${this.name}: Received audio but playback could not be started:`, initError);
+                return; // Don't proceed if streamer init fails
             }
-            if (!this.audioStreamer.isInitialized) {
-                try {
-                    await this.audioStreamer.initialize();
-                } catch (initError) {
-                    console.error(`${this.name}: Failed to initialize audio streamer on demand:`, initError);
-                    return; // Don't proceed if streamer init fails
-                }
+            // Play at the rate the server declares rather than the configured fallback
+            const rate = parseInt(/rate=(\d+)/.exec(mimeType || '')?.[1], 10);
+            if (rate && rate !== this.audioStreamer.sampleRate) {
+                this.audioStreamer.sampleRate = rate;
             }
             try {
                 this.audioStreamer.streamAudio(new Uint8Array(data));
-                // Send to model transcriber if enabled and connected
-                if (this.modelTranscriber?.isConnected) {
+                // Send to model transcriber if enabled; it buffers the audio while reconnecting
+                if (this.modelTranscriber?.acceptsAudio) {
                     this.modelTranscriber.sendAudio(data);
                 }
             } catch (error) {
@@ -155,8 +175,28 @@ export class GeminiAgent {
             }
         });
 
+        this.client.on('output_transcription', (text, finished) => {
+            if (this._dropModelAudio) return; // Describes audio the user never heard
+            this._endLiveUserUtterance(); // The model is answering, so the user has finished
+            if (this.modelTranscriber instanceof LiveApiTranscriber) {
+                this.modelTranscriber.addText(text, finished);
+            }
+            // Shown as the reply itself only in "audio with transcript" mode
+            if (RESPONSE_MODES[getResponseMode()].transcript) {
+                this.emit('output_transcription', text);
+            }
+        });
+
+        this.client.on('input_transcription', (text, finished) => {
+            if (this.userTranscriber instanceof LiveApiTranscriber) {
+                this.userTranscriber.addText(text, finished);
+            }
+        });
+
         this.client.on('interrupted', () => {
             console.debug(`${this.name}: Received interruption signal.`);
+            this._dropModelAudio = false; // The server has caught up with a local barge-in
+            this._endLiveModelUtterance();
             // Ensure streamer exists before trying to stop
             if (this.audioStreamer) {
                 this.audioStreamer.stop();
@@ -167,6 +207,11 @@ export class GeminiAgent {
 
         this.client.on('turn_complete', () => {
             console.info(`${this.name}: Model turn complete.`);
+            this._dropModelAudio = false;
+            this._endLiveUserUtterance();
+            this._endLiveModelUtterance();
+            // Let the last bit of audio play out without waiting for the jitter buffer
+            this.audioStreamer?.markStreamComplete();
             // Finalize streaming message in UI if necessary
             // This emit should be handled by ChatManager or similar UI controller
             this.emit('turn_complete');
@@ -176,6 +221,10 @@ export class GeminiAgent {
             await this._handleToolCall(toolCall);
         });
 
+        this.client.on('tool_call_cancellation', (cancellation) => {
+            this._handleToolCallCancellation(cancellation);
+        });
+
         this.client.on('error', (error) => {
             console.error(`${this.name}: WebSocket client reported an error:`, error);
             // Potentially trigger disconnect or UI notification
@@ -186,53 +235,148 @@ export class GeminiAgent {
 
         this.client.on('disconnected', (details) => {
             console.warn(`${this.name}: WebSocket client disconnected unexpectedly. Code: ${details?.code}, Reason: ${details?.reason}`);
-            // Update state and potentially trigger UI changes/reconnect logic
+            // Update state and potentially trigger UI changes
             this.connected = false;
+            this._resetActivity();
             this.emit('disconnected', details); // Forward the event
             // Note: Do not call this.disconnect() here, as the client is already disconnected.
-            // Need to decide on automatic reconnect strategy elsewhere.
+            // Unexpected drops of an established session go through 'reconnecting' instead.
+        });
+
+        this.client.on('reconnecting', (details) => {
+            console.warn(`${this.name}: Connection lost, reconnect attempt ${details.attempt}/${details.maxAttempts} in ${details.delay}ms.`);
+            // Remember what was running on the first attempt only; later attempts see the paused state
+            if (!this.isReconnecting) {
+                this.isReconnecting = true;
+                this._pauseCaptureForReconnect();
+            }
+            this._resetActivity(); // The new session starts without an open turn
+            this.connected = false;
+            this.emit('reconnecting', details);
+        });
+
+        this.client.on('reconnected', async (details) => {
+            console.info(`${this.name}: Reconnected (session ${details.resumed ? 'resumed' : 'restarted'}).`);
+            this.isReconnecting = false;
+            this.connected = true;
+            // A resumed session still has its history on the server; a new one needs it replayed
+            if (!details.resumed) await this._seedContext('reconnect');
+            await this._resumeCaptureAfterReconnect();
+            this.emit('reconnected', details);
+        });
+
+        this.client.on('reconnect_failed', async (details) => {
+            console.error(`${this.name}: Reconnect failed after ${details.attempts} attempt(s).`);
+            this.isReconnecting = false;
+            this.connected = false;
+            this._resumeCapture = null;
+            // The session is gone: no one is left to receive tool results
+            this._abortPendingToolCalls();
+            // Release media so the UI can start from a clean state
+            await this.stopCameraCapture();
+            await this.stopScreenShare();
+            await this.stopRecording();
+            this.emit('reconnect_failed', details);
         });
     }
 
-    /** Handles incoming tool calls from the model */
+    /** Pauses frame sending while the client reconnects, keeping camera/screen streams alive */
+    _pauseCaptureForReconnect() {
+        this._resumeCapture = {
+            camera: Boolean(this.cameraInterval),
+            screen: Boolean(this.screenInterval),
+            mic: Boolean(this.audioRecorder?.isRecording)
+        };
+        // Streams stay open so screen sharing does not need a new permission prompt afterwards
+        this._clearInterval('cameraInterval');
+        this._clearInterval('screenInterval');
+        console.debug(`${this.name}: Capture paused for reconnect:`, this._resumeCapture);
+    }
+
+    /** Restarts the camera, screen and mic capture that was running before the connection dropped */
+    async _resumeCaptureAfterReconnect() {
+        const resume = this._resumeCapture;
+        this._resumeCapture = null;
+        if (!resume) return;
+
+        try {
+            if (resume.camera) {
+                if (this.cameraManager?.isInitialized) {
+                    this._startCameraInterval();
+                } else {
+                    await this.startCameraCapture();
+                }
+            }
+            if (resume.screen && this.screenManager?.isInitialized) {
+                this._startScreenInterval();
+            } else if (resume.screen) {
+                // The shared surface went away meanwhile; restarting would need a new user prompt
+                this.emit('screenshare_stopped');
+            }
+            if (resume.mic && !this.audioRecorder?.isRecording) {
+                await this.startRecording();
+            }
+            console.info(`${this.name}: Capture resumed after reconnect.`);
+        } catch (error) {
+            console.error(`${this.name}: Failed to resume capture after reconnect:`, error);
+            this.emit('error', { type: 'reconnect_resume', details: error });
+        }
+    }
+
+    /** Handles incoming tool calls from the model, running every function call concurrently */
     async _handleToolCall(toolCall) {
         // Basic validation
         if (!this.toolManager || !toolCall?.functionCalls?.length) {
             console.error(`${this.name}: Cannot handle tool call - ToolManager missing or invalid toolCall structure.`, toolCall);
-            // Send back an error response? Requires careful handling of response IDs.
-            // For simplicity, we might just log and ignore here, but sending an error is better.
-            // Example: If you can get the ID:
-            // const callId = toolCall?.functionCalls?.[0]?.id;
-            // if (callId && this.client) {
-            //     await this.client.sendToolResponse({ id: callId, error: "Invalid tool call structure received." });
-            // }
+            // Without valid function calls there are no IDs to answer, so just log and ignore
             return;
         }
 
-        // TODO: Handle multiple function calls if the API supports it in the future.
-        // For now, process only the first one.
-        const functionCall = toolCall.functionCalls[0];
-        console.info(`${this.name}: Handling tool call: ${functionCall.name} (ID: ${functionCall.id})`, { args: functionCall.args });
+        const functionCalls = toolCall.functionCalls;
+        console.info(`${this.name}: Handling ${functionCalls.length} tool call(s): ${functionCalls.map(fc => `${fc.name} (ID: ${fc.id})`).join(', ')}`);
 
-        let response;
-        try {
-            // Delegate execution to ToolManager
-            const result = await this.toolManager.handleToolCall(functionCall); // ToolManager now returns {output, id, error} structure
-            response = result; // Use the structure directly
-            console.info(`${this.name}: Tool ${functionCall.name} executed successfully. Result:`, result.output);
-        } catch (error) {
-            console.error(`${this.name}: Error executing tool ${functionCall.name}:`, error);
-            // Structure the error response for sendToolResponse
-            response = {
-                id: functionCall.id, // Use the ID from the original call
-                error: error.message || "Tool execution failed with an unknown error."
-            };
+        const results = await Promise.all(functionCalls.map(async (functionCall) => {
+            const controller = new AbortController();
+            if (functionCall?.id) this.pendingToolCalls.set(functionCall.id, controller);
+
+            let response;
+            try {
+                // Delegate execution to ToolManager, which returns the {id, name, output, error} structure
+                response = await this.toolManager.handleToolCall(functionCall, { signal: controller.signal });
+                if (!response.error) {
+                    console.info(`${this.name}: Tool ${functionCall.name} executed successfully. Result:`, response.output);
+                }
+            } catch (error) {
+                console.error(`${this.name}: Error executing tool ${functionCall?.name}:`, error);
+                response = {
+                    id: functionCall?.id, // Use the ID from the original call
+                    name: functionCall?.name,
+                    error: error.message || "Tool execution failed with an unknown error."
+                };
+            } finally {
+                if (this.pendingToolCalls.get(functionCall?.id) === controller) {
+                    this.pendingToolCalls.delete(functionCall.id);
+                }
+            }
+            // The server has already discarded cancelled calls, so their responses are dropped
+            return controller.signal.aborted ? null : response;
+        }));
+
+        const responses = results.filter(Boolean);
+        if (responses.length === 0) {
+            console.info(`${this.name}: All tool calls were cancelled, no response sent.`);
+            return;
         }
+        // Lets the UI show and record what the tools returned (e.g. search sources)
+        this.emit('tool_results', responses.map(response => ({
+            ...response,
+            args: functionCalls.find(fc => fc?.id === response.id)?.args
+        })));
 
-        // Send the response back to the model
+        // Send all responses back to the model in one batch
         if (this.client && this.connected) {
             try {
-                await this.client.sendToolResponse(response);
+                await this.client.sendToolResponse(responses);
             } catch (sendError) {
                 console.error(`${this.name}: Failed to send tool response:`, sendError);
                 // Handle failure to send response (e.g., WebSocket closed)
@@ -242,8 +386,31 @@ export class GeminiAgent {
         }
     }
 
+    /** Aborts running tool calls the server has cancelled (e.g. after the user interrupted) */
+    _handleToolCallCancellation(cancellation) {
+        const ids = cancellation?.ids || [];
+        console.info(`${this.name}: Tool call cancellation received for ID(s): ${ids.join(', ') || '(none)'}`);
+        ids.forEach(id => {
+            const controller = this.pendingToolCalls.get(id);
+            if (controller) {
+                controller.abort(new Error("Tool call cancelled by server."));
+                this.pendingToolCalls.delete(id);
+            }
+        });
+    }
+
+    /** Aborts every tool call that is still running */
+    _abortPendingToolCalls() {
+        this.pendingToolCalls.forEach(controller => controller.abort(new Error("Agent disconnected.")));
+        this.pendingToolCalls.clear();
+    }
+
     /** Connects to the Gemini API WebSocket */
     async connect() {
+        if (this.isReconnecting && this.client) {
+            console.info(`${this.name}: Reconnect in progress, waiting for it to finish.`);
+            return this._waitForReconnect();
+        }
         if (this.connected || this.isConnecting) {
             console.warn(`${this.name}: Connect called but already connected or connecting.`);
             return this.client?.connectionPromise || Promise.resolve(); // Return existing promise or resolve if already connected
@@ -257,14 +424,19 @@ export class GeminiAgent {
             this._loadConfiguration();
 
             // Create and connect client
-            this.client = new GeminiWebsocketClient(this.name, this.url, this.config);
+            this.client = new GeminiWebsocketClient(this.name, this.url, this.config, {
+                reconnect: getReconnectConfig()
+            });
             await this.client.connect(); // This now returns a promise handled by the client
+            await this.client.waitForSetupComplete(); // The server accepts content only after confirming the setup
 
             this._setupClientEventListeners();
             this.connected = true;
             this.isConnecting = false;
             console.info(`${this.name}: Connection successful.`);
-            this.emit('connected'); // Emit event on successful connection *and* setup
+            await this._seedContext('connect');
+            // Emit event on successful connection *and* setup, with the setup as sent (incl. tool declarations)
+            this.emit('connected', { setup: structuredClone(this.config) });
             return Promise.resolve(); // Explicitly resolve on success
 
         } catch (error) {
@@ -284,6 +456,44 @@ export class GeminiAgent {
         }
     }
 
+    /**
+     * Replays prior conversation turns from the contextProvider into a fresh session.
+     * Failures are reported but never fail the connection itself. Call only after the server has
+     * confirmed the setup (setupComplete); the session rejects content sent before that.
+     * @param {string} reason - What started the session ('connect' or 'reconnect'), for logs/events.
+     */
+    async _seedContext(reason) {
+        if (!this.contextProvider || !this.client) return;
+        try {
+            const turns = await this.contextProvider();
+            if (!turns?.length) return;
+            await this.client.sendContext(turns);
+            console.info(`${this.name}: Seeded session with ${turns.length} prior turn(s) (${reason}).`);
+            this.emit('context_seeded', { turns: turns.length, reason });
+        } catch (error) {
+            console.error(`${this.name}: Failed to replay conversation context:`, error);
+            this.emit('error', { type: 'context_replay', details: error });
+        }
+    }
+
+    /** Resolves once an in-progress reconnect succeeds, rejects if it gives up */
+    _waitForReconnect() {
+        return new Promise((resolve, reject) => {
+            const onReconnected = () => {
+                this.off('reconnect_failed', onFailed);
+                this.off('reconnected', onReconnected);
+                resolve();
+            };
+            const onFailed = () => {
+                this.off('reconnect_failed', onFailed);
+                this.off('reconnected', onReconnected);
+                reject(new Error("Reconnect failed."));
+            };
+            this.on('reconnected', onReconnected);
+            this.on('reconnect_failed', onFailed);
+        });
+    }
+
     /** Sends a text message to the model */
     async sendText(text) {
         if (!this.client || !this.connected) {
@@ -292,6 +502,7 @@ export class GeminiAgent {
             throw new Error("Cannot send text: Not connected.");
         }
         try {
+            this.requestFrameBurst('text sent'); // The message may well be about what's on screen
             await this.client.sendText(text); // Assuming client handles emitting 'text_sent'
             // If client doesn't emit 'text_sent', emit it here:
             // this.emit('text_sent', text);
@@ -302,6 +513,24 @@ export class GeminiAgent {
         }
     }
 
+    /**
+     * Sends a user turn with several parts, e.g. an annotated snapshot and a question about it
+     * @param {Array<Object>} parts - Content parts: `{text}` or `{inlineData: {mimeType, data}}`
+     */
+    async sendContent(parts) {
+        if (!this.client || !this.connected) {
+            console.error(`${this.name}: Cannot send content, not connected.`);
+            throw new Error("Cannot send content: Not connected.");
+        }
+        try {
+            await this.client.sendContent(parts);
+        } catch (error) {
+            console.error(`${this.name}: Failed to send content:`, error);
+            this.emit('error', { type: 'send_content', details: error });
+            throw error;
+        }
+    }
+
     // --- Media Capture Methods ---
 
     /** Starts camera capture */
@@ -318,12 +547,16 @@ export class GeminiAgent {
         this._updateMediaSettings();
 
         // Initialize CameraManager if not already done
+        const { deviceId, facingMode } = getCameraConfig(); // Stored preference
         if (!this.cameraManager) {
             this.cameraManager = new CameraManager({
                 width: this.resizeWidth,
                 quality: this.quality,
-                facingMode: localStorage.getItem('facingMode') || 'environment' // Use stored preference
+                facingMode,
+                deviceId
             });
+        } else {
+            this.cameraManager.config.deviceId = deviceId; // May have been changed in settings
         }
 
         console.info(`${this.name}: Starting camera capture...`);
@@ -331,24 +564,7 @@ export class GeminiAgent {
             await this.cameraManager.initialize(); // Initialize video stream etc.
 
             // Set up interval to capture and send frames
-            this.cameraInterval = setInterval(async () => {
-                // Ensure still connected and manager is initialized before capturing
-                if (this.connected && this.cameraManager?.isInitialized && this.client) {
-                    try {
-                        const imageBase64 = await this.cameraManager.capture();
-                        await this.client.sendImage(imageBase64);
-                    } catch (captureSendError) {
-                        console.error(`${this.name}: Error during camera capture/send interval:`, captureSendError);
-                        // Consider stopping capture on repeated errors
-                        // await this.stopCameraCapture();
-                        // this.emit('error', { type: 'camera_capture', details: captureSendError });
-                    }
-                } else {
-                    // If disconnected or manager gone while interval is running, stop it
-                    console.warn(`${this.name}: Stopping camera interval due to disconnect or uninitialized manager.`);
-                    await this.stopCameraCapture();
-                }
-            }, this.captureInterval);
+            this._startCameraInterval();
 
             console.info(`${this.name}: Camera capture started successfully.`);
             this.emit('camera_started');
@@ -361,6 +577,89 @@ export class GeminiAgent {
         }
     }
 
+    /**
+     * Creates the AdaptiveCapture that decides which frames of a source are sent.
+     * @param {'camera'|'screen'} name
+     * @param {CameraManager|ScreenManager} source
+     * @returns {AdaptiveCapture}
+     * @private
+     */
+    _createAdaptiveCapture(name, source) {
+        return new AdaptiveCapture({
+            name,
+            source,
+            send: name === 'screen'
+                ? (imageBase64) => this._sendScreenFrame(imageBase64)
+                : (imageBase64) => this.client.sendImage(imageBase64),
+            waitForDrain: () => this.client?.waitForDrain() ?? false,
+            ...getAdaptiveCaptureConfig()
+        });
+    }
+
+    /**
+     * Makes camera and screen capture send frames at the full rate for a moment, e.g. when the
+     * user starts talking or sends a message and is likely to refer to what they're showing.
+     * @param {string} [reason]
+     */
+    requestFrameBurst(reason) {
+        this.cameraCapture?.requestBurst(reason);
+        this.screenCapture?.requestBurst(reason);
+    }
+
+    /**
+     * Sends a screen frame. While a region is selected, the frame only shows that region, so a
+     * small frame of the whole screen goes out first every now and then if the user asked for it.
+     * @param {string} imageBase64
+     * @private
+     */
+    async _sendScreenFrame(imageBase64) {
+        const { sendOverview, overviewMs } = getScreenRegionConfig();
+        if (sendOverview && this.screenManager?.region && Date.now() - this._lastOverviewAt >= overviewMs) {
+            this._lastOverviewAt = Date.now();
+            await this.client.sendImage(await this.screenManager.captureOverview());
+        }
+        await this.client.sendImage(imageBase64);
+    }
+
+    /**
+     * Sends only part of the shared screen, e.g. a window or a block of small text, at full resolution.
+     * @param {{x: number, y: number, width: number, height: number}|null} region - Fractions of the
+     *   screen's width and height, or null to send the whole screen again.
+     */
+    setScreenRegion(region) {
+        this.screenRegion = region || null;
+        this._lastOverviewAt = 0; // Show the model where the new region is
+        if (this.screenManager && !this.screenManager.setRegion(this.screenRegion)) {
+            this.screenRegion = null;
+        }
+        this.screenCapture?.requestBurst('screen region changed');
+        console.info(`${this.name}: Screen region ${this.screenRegion ? 'set' : 'cleared'}.`);
+    }
+
+    /** Starts the interval that captures camera frames; AdaptiveCapture decides which are sent */
+    _startCameraInterval() {
+        this._clearInterval('cameraInterval');
+        this.cameraCapture = this._createAdaptiveCapture('camera', this.cameraManager);
+        this.cameraInterval = setInterval(async () => {
+            // Ensure still connected and manager is initialized before capturing
+            if (this.connected && this.cameraManager?.isInitialized && this.client) {
+                if (this.pipSource && this.screenManager?.isInitialized) return; // Sent inside the screen frames
+                try {
+                    await this.cameraCapture?.tick();
+                } catch (captureSendError) {
+                    console.error(`${this.name}: Error during camera capture/send interval:`, captureSendError);
+                    // Consider stopping capture on repeated errors
+                    // await this.stopCameraCapture();
+                    // this.emit('error', { type: 'camera_capture', details: captureSendError });
+                }
+            } else {
+                // If disconnected or manager gone while interval is running, stop it
+                console.warn(`${this.name}: Stopping camera interval due to disconnect or uninitialized manager.`);
+                await this.stopCameraCapture();
+            }
+        }, this.captureInterval);
+    }
+
     /** Stops camera capture */
     async stopCameraCapture() {
         if (!this.cameraInterval && !this.cameraManager?.isInitialized) {
@@ -373,6 +672,10 @@ export class GeminiAgent {
             clearInterval(this.cameraInterval);
             this.cameraInterval = null;
         }
+        if (this.cameraCapture) {
+            console.info(`${this.name}: Camera frames: ${this.cameraCapture.describe()}.`);
+            this.cameraCapture = null;
+        }
         // Dispose manager resources (stops stream, removes elements)
         if (this.cameraManager) {
             try {
@@ -443,6 +746,7 @@ export class GeminiAgent {
             // Re-assign callback to existing instance
             this.screenManager.config.onStop = handleScreenShareStop;
         }
+        this.screenManager.setRegion(this.screenRegion);
 
 
         console.info(`${this.name}: Starting screen share...`);
@@ -450,22 +754,7 @@ export class GeminiAgent {
             await this.screenManager.initialize(); // Prompts user for screen choice
 
             // Set up interval to capture and send screenshots
-            this.screenInterval = setInterval(async () => {
-                if (this.connected && this.screenManager?.isInitialized && this.client) {
-                    try {
-                        const imageBase64 = await this.screenManager.capture();
-                        await this.client.sendImage(imageBase64);
-                    } catch (captureSendError) {
-                        console.error(`${this.name}: Error during screen capture/send interval:`, captureSendError);
-                        // Consider stopping on error
-                        // await this.stopScreenShare();
-                        // this.emit('error', { type: 'screen_capture', details: captureSendError });
-                    }
-                } else {
-                    console.warn(`${this.name}: Stopping screen interval due to disconnect or uninitialized manager.`);
-                    await this.stopScreenShare(); // Cleanup interval and manager
-                }
-            }, this.captureInterval);
+            this._startScreenInterval();
 
             console.info(`${this.name}: Screen sharing started successfully.`);
             this.emit('screenshare_started');
@@ -486,6 +775,41 @@ export class GeminiAgent {
         }
     }
 
+    /**
+     * Switches the running camera to another device and remembers the choice
+     * @param {string} deviceId - From listCameras(); empty for the default camera
+     */
+    async selectCamera(deviceId) {
+        if (!this.cameraManager || this.cameraManager.config.deviceId === deviceId) return;
+        await this.cameraManager.selectDevice(deviceId);
+        this.cameraCapture?.requestBurst('camera changed');
+    }
+
+    /** Starts the interval that captures screen frames; AdaptiveCapture decides which are sent */
+    _startScreenInterval() {
+        this._clearInterval('screenInterval');
+        const { pictureInPicture, pipScale } = getCameraConfig();
+        this.pipSource = pictureInPicture
+            ? new PictureInPictureSource({ screen: this.screenManager, getCamera: () => this.cameraManager, scale: pipScale })
+            : null;
+        this.screenCapture = this._createAdaptiveCapture('screen', this.pipSource || this.screenManager);
+        this.screenInterval = setInterval(async () => {
+            if (this.connected && this.screenManager?.isInitialized && this.client) {
+                try {
+                    await this.screenCapture?.tick();
+                } catch (captureSendError) {
+                    console.error(`${this.name}: Error during screen capture/send interval:`, captureSendError);
+                    // Consider stopping on error
+                    // await this.stopScreenShare();
+                    // this.emit('error', { type: 'screen_capture', details: captureSendError });
+                }
+            } else {
+                console.warn(`${this.name}: Stopping screen interval due to disconnect or uninitialized manager.`);
+                await this.stopScreenShare(); // Cleanup interval and manager
+            }
+        }, this.captureInterval);
+    }
+
     /** Stops screen sharing */
     async stopScreenShare() {
         if (!this.screenInterval && !this.screenManager?.isInitialized) {
@@ -498,6 +822,11 @@ export class GeminiAgent {
             clearInterval(this.screenInterval);
             this.screenInterval = null;
         }
+        if (this.screenCapture) {
+            console.info(`${this.name}: Screen frames: ${this.screenCapture.describe()}.`);
+            this.screenCapture = null;
+        }
+        this.pipSource = null;
         // Dispose manager resources (stops stream, removes elements)
         if (this.screenManager) {
             try {
@@ -572,6 +901,7 @@ export class GeminiAgent {
             this.audioStreamer.sampleRate = this.modelSampleRate; // Set correct rate
             await this.audioStreamer.initialize(); // Ensure context is running, set gain
             console.debug(`${this.name}: Audio streamer initialized for playback.`);
+            this.emit('playback_ready', this.audioStreamer);
 
 
             // 3. Initialize Visualizer (optional, connects to streamer output)
@@ -593,21 +923,17 @@ export class GeminiAgent {
 
             // 4. Initialize Audio Recorder (for mic input) - Don't start stream yet
             this.audioRecorder = new AudioRecorder(); // Recorder creates its own context on start if needed
+            this.audioRecorder.addEventListener('speech_start', (event) => this._handleSpeechStart(event.detail));
+            this.audioRecorder.addEventListener('speech_end', (event) => this.emit('speech_end', event.detail));
             console.debug(`${this.name}: Audio recorder instance created.`);
 
-            // 5. Initialize Transcribers (if API key provided)
-            if (this.deepgramApiKey) {
-                if (this.transcribeModelsSpeech) {
-                    this.modelTranscriber = new DeepgramTranscriber(this.deepgramApiKey, this.modelSampleRate);
-                    await this._initializeDeepgramTranscriber(this.modelTranscriber, 'Model');
-                }
-                if (this.transcribeUsersSpeech) {
-                    // User speech typically uses 16000 Hz for Deepgram, recorder handles resampling if needed
-                    this.userTranscriber = new DeepgramTranscriber(this.deepgramApiKey, 16000);
-                    await this._initializeDeepgramTranscriber(this.userTranscriber, 'User');
-                }
-            } else {
-                console.warn(`${this.name}: No Deepgram API key provided, transcription disabled.`);
+            // 5. Initialize Transcribers (backend chosen in settings)
+            if (this.transcribeModelsSpeech) {
+                this.modelTranscriber = await this._initializeTranscriber('Model', this.modelSampleRate);
+            }
+            if (this.transcribeUsersSpeech) {
+                // The recorder delivers 16 kHz PCM16
+                this.userTranscriber = await this._initializeTranscriber('User', 16000);
             }
 
             // 6. Trigger initial model message (optional)
@@ -632,70 +958,148 @@ export class GeminiAgent {
         }
     }
 
-    /** Helper to initialize and connect a Deepgram transcriber instance */
-    async _initializeDeepgramTranscriber(transcriber, type) {
-        if (!transcriber) return;
-        console.info(`${this.name}: Initializing Deepgram ${type} speech transcriber...`);
+    /**
+     * Handles the recorder's VAD reporting that the user started talking. If the model is audibly
+     * speaking, playback is ducked and stopped right away instead of waiting for the server's
+     * `interrupted` signal. Emits 'speech_start', plus 'barge_in' when playback was cut off.
+     * @param {Object} details - VAD details (energyDb, noiseFloorDb).
+     * @private
+     */
+    _handleSpeechStart(details) {
+        this.emit('speech_start', details);
+        this.requestFrameBurst('speech');
+        if (!getBargeInConfig().enabled) return;
+        if (this.interruptPlayback()) {
+            this.emit('barge_in');
+        }
+    }
+
+    /**
+     * Stops the model's audio locally and ignores the rest of the current reply.
+     * @returns {boolean} True if audio was playing.
+     */
+    interruptPlayback() {
+        if (!this.audioStreamer?.isAudible) return false;
+        this.audioStreamer.interrupt(getBargeInConfig().fadeTime);
+        this._dropModelAudio = true;
+        console.info(`${this.name}: Barge-in, model playback interrupted.`);
+        return true;
+    }
+
+    /**
+     * Makes sure audio replies can be played: creates the AudioContext and AudioStreamer if
+     * initialize() has not run (e.g. text-only connection), and resumes a suspended context.
+     * Call from a user gesture where possible so the browser allows playback.
+     * @returns {Promise<void>}
+     */
+    async ensurePlayback() {
+        if (this.audioStreamer?.isInitialized && this.audioStreamer.context === this.audioContext
+            && this.audioContext?.state === 'running') {
+            return;
+        }
+        // Share one setup between audio chunks arriving back to back
+        if (!this._playbackPromise) {
+            this._playbackPromise = (async () => {
+                if (!this.audioContext || this.audioContext.state === 'closed') {
+                    this.audioContext = new AudioContext();
+                }
+                if (this.audioContext.state === 'suspended') {
+                    await this.audioContext.resume();
+                }
+                if (!this.audioStreamer || this.audioStreamer.context !== this.audioContext) {
+                    this.audioStreamer = new AudioStreamer(this.audioContext);
+                    this.audioStreamer.sampleRate = this.modelSampleRate;
+                }
+                if (!this.audioStreamer.isInitialized) {
+                    await this.audioStreamer.initialize();
+                }
+                console.debug(`${this.name}: Audio playback ready.`);
+                this.emit('playback_ready', this.audioStreamer);
+            })().finally(() => {
+                this._playbackPromise = null;
+            });
+        }
+        return this._playbackPromise;
+    }
+
+    /**
+     * Creates the transcriber selected in settings for one side of the conversation and connects it.
+     * Transcripts are re-emitted as 'transcription' (model) or 'user_transcription' (user) with
+     * {transcript, confidence, isFinal, speechFinal, speaker}; interim results have isFinal false
+     * and speaker is set only when the backend labels speakers. Backends that reconnect on their
+     * own report it as 'transcriber_reconnecting' / 'transcriber_reconnected'.
+     * @param {'Model'|'User'} type
+     * @param {number} sampleRate - Sample rate of the audio that will be passed to the transcriber.
+     * @returns {Promise<Transcriber|null>} Null if transcription isn't available for this side.
+     */
+    async _initializeTranscriber(type, sampleRate) {
+        const source = type.toLowerCase();
+        const config = getTranscriptionConfig();
+        let transcriber;
+        try {
+            transcriber = createTranscriber(config, { role: source, sampleRate });
+        } catch (error) {
+            console.warn(`${this.name}: ${type} speech transcription disabled:`, error.message);
+            return null;
+        }
+        if (!transcriber) {
+            console.info(`${this.name}: The ${config.backend} backend can't transcribe ${source} speech, skipping.`);
+            return null;
+        }
+        console.info(`${this.name}: Initializing ${transcriber.name} for ${source} speech...`);
 
         // Handle transcriptions
         transcriber.on('transcription', (transcript) => {
             const eventName = (type === 'Model') ? 'transcription' : 'user_transcription';
             this.emit(eventName, transcript);
-            // console.debug(`${this.name}: ${type} speech transcription:`, transcript);
         });
 
         // Handle errors
         transcriber.on('error', (error) => {
-            console.error(`${this.name}: Deepgram ${type} transcriber error:`, error);
-            this.emit('error', { type: `transcriber_${type.toLowerCase()}`, details: error });
-            // Consider attempting reconnect or notifying user
+            console.error(`${this.name}: ${type} transcriber error:`, error);
+            this.emit('error', { type: `transcriber_${source}`, details: error });
         });
 
-        // Handle disconnects
-        transcriber.on('disconnected', () => {
-            console.warn(`${this.name}: Deepgram ${type} transcriber disconnected.`);
-            // Clear keep-alive interval if it exists
-            const intervalKey = (type === 'Model') ? 'modelsKeepAliveInterval' : 'userKeepAliveInterval';
-            if (this[intervalKey]) {
-                clearInterval(this[intervalKey]);
-                this[intervalKey] = null;
-            }
-            // Consider attempting reconnect
+        transcriber.on('reconnecting', (details) => {
+            console.warn(`${this.name}: ${type} transcriber dropped, reconnecting (attempt ${details.attempt}/${details.maxAttempts}).`);
+            this.emit('transcriber_reconnecting', { source, ...details });
         });
 
-        try {
-            await transcriber.connect(); // Connect to Deepgram WebSocket
-            console.info(`${this.name}: Deepgram ${type} transcriber connection sequence started.`);
+        transcriber.on('reconnected', (details) => {
+            console.info(`${this.name}: ${type} transcriber reconnected.`);
+            this.emit('transcriber_reconnected', { source, ...details });
+        });
 
-            // Setup keep-alive after connection (Deepgram requires this)
-            const intervalKey = (type === 'Model') ? 'modelsKeepAliveInterval' : 'userKeepAliveInterval';
-            // Clear any previous interval just in case
-            if (this[intervalKey]) clearInterval(this[intervalKey]);
+        transcriber.on('reconnect_failed', (details) => {
+            this.emit('error', { type: `transcriber_${source}`, details: new Error(`Transcription connection lost after ${details.attempts} reconnect attempt(s).`) });
+        });
 
-            this[intervalKey] = setInterval(() => {
-                if (transcriber?.isConnected) {
-                    try {
-                        transcriber.ws.send(JSON.stringify({ type: 'KeepAlive' }));
-                        // console.debug(`${this.name}: Sent keep-alive to ${type} transcriber.`);
-                    } catch (keepAliveError) {
-                        console.error(`${this.name}: Error sending keep-alive to ${type} transcriber:`, keepAliveError);
-                        // Consider stopping interval or attempting reconnect
-                    }
-                } else {
-                    // If no longer connected, clear interval
-                    console.warn(`${this.name}: ${type} transcriber not connected, clearing keep-alive interval.`);
-                    clearInterval(this[intervalKey]);
-                    this[intervalKey] = null;
-                }
-            }, 10000); // Send every 10 seconds
+        transcriber.on('disconnected', () => {
+            console.warn(`${this.name}: ${type} transcriber disconnected.`);
+        });
 
+        try {
+            await transcriber.connect();
+            console.info(`${this.name}: ${type} transcriber connected.`);
+            return transcriber;
         } catch (error) {
-            console.error(`${this.name}: Failed to initialize Deepgram ${type} transcriber:`, error);
-            this.emit('error', { type: `transcriber_init_${type.toLowerCase()}`, details: error });
+            console.error(`${this.name}: Failed to initialize ${type} transcriber:`, error);
+            this.emit('error', { type: `transcriber_init_${source}`, details: error });
             // Don't re-throw here, allow agent initialization to continue if possible
+            return null;
         }
     }
 
+    /** Live API transcription: the user's utterance is over once the model answers. */
+    _endLiveUserUtterance() {
+        if (this.userTranscriber instanceof LiveApiTranscriber) this.userTranscriber.endUtterance();
+    }
+
+    /** Live API transcription: the model's utterance is over when its turn ends or is interrupted. */
+    _endLiveModelUtterance() {
+        if (this.modelTranscriber instanceof LiveApiTranscriber) this.modelTranscriber.endUtterance();
+    }
+
 
     /** Starts microphone recording and streaming */
     async startRecording() {
@@ -713,36 +1117,17 @@ export class GeminiAgent {
         try {
             // Start recording with a callback to handle audio data
             await this.audioRecorder.start(async (base64AudioData) => {
+                // Push-to-talk: only audio inside an activity is part of the user's turn
+                if (this._isManualActivity() && !this.isActivityActive) return;
                 // Ensure still connected before sending
-                if (this.client?.connected) {
+                if (this.connected && this.client) {
                     try {
                         // Send audio to Gemini
-                        await this.client.sendAudio(base64AudioData);
-
-                        // Send to user transcriber if enabled and connected
-                        if (this.userTranscriber?.isConnected) {
-                            // Deepgram expects ArrayBuffer or similar, not base64
-                            // Need to decode - consider modifying recorder to provide ArrayBuffer directly?
-                            // For now, let's assume recorder WORKLET provides ArrayBuffer in its event
-                            // And the base64 conversion happens JUST before sending to Gemini.
-                            // ---> This requires modifying the recorder's message format or this callback logic.
-
-                            // **Assumption:** Let's modify the recorder logic slightly.
-                            // Assume recorder's `onmessage` provides event.data.arrayBuffer
-                            // The callback here should receive that buffer.
-                            // **Modification needed in AudioRecorder and its Worklet.**
-                            // **Temporary Workaround (less efficient): Decode here**
-                            // const audioBuffer = base64ToArrayBuffer(base64AudioData); // If needed
-                            // this.userTranscriber.sendAudio(new Uint8Array(audioBuffer));
-
-                            // **Better:** Modify AudioRecorder to have callback(arrayBuffer)
-                            // Assuming callback now receives arrayBuffer:
-                            // this.userTranscriber.sendAudio(new Uint8Array(arrayBuffer));
-
-                            // **Current State:** Callback receives base64. Let's skip sending to userTranscriber for now.
-                            console.warn("Need to refactor AudioRecorder callback to provide ArrayBuffer for efficient Deepgram user transcription.");
-
+                        await this.client.sendAudio(base64AudioData, this.audioRecorder.sampleRate);
 
+                        // Send to user transcriber if it takes audio; streaming backends want raw PCM, not base64
+                        if (this.userTranscriber?.acceptsAudio) {
+                            this.userTranscriber.sendAudio(base64ToArrayBuffer(base64AudioData));
                         }
                     } catch (sendError) {
                         console.error(`${this.name}: Error sending recorded audio:`, sendError);
@@ -750,6 +1135,8 @@ export class GeminiAgent {
                         // await this.audioRecorder.stop();
                         // this.emit('error', { type: 'audio_send', details: sendError });
                     }
+                } else if (this.isReconnecting) {
+                    // Drop chunks while the connection is being restored; sending resumes afterwards
                 } else {
                     console.warn(`${this.name}: Not connected, stopping audio recording.`);
                     await this.audioRecorder.stop(); // Stop recorder if WS disconnects
@@ -813,6 +1200,77 @@ export class GeminiAgent {
         }
     }
 
+    // --- Push-to-talk (manual activity) ---
+
+    /**
+     * Whether the current session was set up with automatic activity detection disabled.
+     * @returns {boolean}
+     * @private
+     */
+    _isManualActivity() {
+        return Boolean(this.client?.config?.realtimeInputConfig?.automaticActivityDetection?.disabled);
+    }
+
+    /**
+     * Starts a user turn (push-to-talk pressed): starts or resumes the mic, cuts off any model
+     * audio and sends activityStart. Mic audio is only streamed while the turn is open.
+     * @returns {Promise<void>}
+     * @throws {Error} If not connected/initialized or the session isn't in push-to-talk mode.
+     */
+    async startActivity() {
+        if (!this.connected || !this.client || !this.initialized) {
+            throw new Error("Cannot start push-to-talk: Not connected.");
+        }
+        if (!this._isManualActivity()) {
+            throw new Error("Push-to-talk is not enabled for this session. Reconnect after changing the setting.");
+        }
+        if (this._activityRequested) return;
+        this._activityRequested = true;
+
+        if (!this.audioRecorder.isRecording) {
+            await this.startRecording();
+        } else if (this.audioRecorder.isSuspended) {
+            await this.audioRecorder.resumeMic();
+        }
+        if (!this._activityRequested || !this.client) return; // Released (or disconnected) while the mic was starting
+
+        if (getBargeInConfig().enabled && this.interruptPlayback()) {
+            this.emit('barge_in');
+        }
+        await this.client.sendActivityStart();
+        this.isActivityActive = true;
+        this.requestFrameBurst('push-to-talk');
+        this.emit('activity_start');
+    }
+
+    /**
+     * Ends the user turn (push-to-talk released) so the model answers.
+     * @returns {Promise<void>}
+     */
+    async endActivity() {
+        this._activityRequested = false;
+        if (!this.isActivityActive) return;
+        this.isActivityActive = false; // Stop streaming before the end marker goes out
+        try {
+            await this.client?.sendActivityEnd();
+        } catch (error) {
+            console.error(`${this.name}: Failed to send activity end:`, error);
+            this.emit('error', { type: 'activity_end', details: error });
+        }
+        this.emit('activity_end');
+    }
+
+    /**
+     * Forgets an open push-to-talk turn when the connection goes away.
+     * @private
+     */
+    _resetActivity() {
+        const wasActive = this.isActivityActive;
+        this.isActivityActive = false;
+        this._activityRequested = false;
+        if (wasActive) this.emit('activity_end');
+    }
+
     // --- Cleanup ---
 
     /** Cleans up a specific interval timer */
@@ -854,15 +1312,13 @@ export class GeminiAgent {
             }
         } catch (e) { console.error(`${this.name}: Error stopping audio streamer:`, e); hadError = true; }
 
-        // Disconnect transcribers and clear keep-alives
+        // Disconnect transcribers (this also stops their keep-alives)
         try {
-            if (this.modelTranscriber?.isConnected) this.modelTranscriber.disconnect();
-            this._clearInterval('modelsKeepAliveInterval');
+            this.modelTranscriber?.disconnect(); // Also stops a reconnect in progress
             // this.modelTranscriber = null; // Keep instance?
         } catch (e) { console.error(`${this.name}: Error disconnecting model transcriber:`, e); hadError = true; }
         try {
-            if (this.userTranscriber?.isConnected) this.userTranscriber.disconnect();
-            this._clearInterval('userKeepAliveInterval');
+            this.userTranscriber?.disconnect();
             // this.userTranscriber = null; // Keep instance?
         } catch (e) { console.error(`${this.name}: Error disconnecting user transcriber:`, e); hadError = true; }
 
@@ -898,6 +1354,7 @@ export class GeminiAgent {
             await this.stopScreenShare();
 
             // 2. Stop WebSocket client communication first to prevent further incoming/outgoing messages
+            this._abortPendingToolCalls();
             if (this.client) {
                 this.client.disconnect(); // Use client's disconnect logic
                 this.client = null; // Nullify the client instance
@@ -909,6 +1366,10 @@ export class GeminiAgent {
             // 4. Reset state flags
             this.initialized = false;
             this.connected = false;
+            this.isReconnecting = false;
+            this._resumeCapture = null;
+            this._dropModelAudio = false;
+            this._resetActivity();
 
             console.info(`${this.name}: Disconnect and cleanup complete.`);
             // Emit disconnected event *after* cleanup if not already emitted by client
@@ -0,0 +1,106 @@
+/**
+ * PictureInPictureSource is a capture source (for AdaptiveCapture) that sends the shared screen
+ * with the camera drawn into its bottom-right corner, so the model gets one picture of both
+ * instead of two interleaved streams. While the camera is off it sends plain screen frames.
+ */
+
+/** Thumbnail width used when composing frames for change detection */
+const ANALYSIS_WIDTH = 128;
+
+/** Gap between the camera inset and the frame edge, as a fraction of the frame width */
+const INSET_MARGIN = 0.02;
+
+export class PictureInPictureSource {
+    /**
+     * @param {Object} options
+     * @param {ScreenManager} options.screen - The screen being shared.
+     * @param {Function} options.getCamera - () => CameraManager|null; looked up on every frame, so
+     *   the camera can be started and stopped while the screen is shared.
+     * @param {number} [options.scale=0.25] - Width of the camera inset relative to the frame.
+     */
+    constructor({ screen, getCamera, scale = 0.25 }) {
+        this.screen = screen;
+        this.getCamera = getCamera;
+        this.scale = scale;
+        this.analysisCanvas = null;
+    }
+
+    /** Capture settings (width, quality) are the screen's */
+    get config() {
+        return this.screen.config;
+    }
+
+    /** Used for logging and by AdaptiveCapture's fallback; the screen is the main picture */
+    get videoElement() {
+        return this.screen.videoElement;
+    }
+
+    /**
+     * Camera that is currently running, if any.
+     * @returns {CameraManager|null}
+     * @private
+     */
+    _activeCamera() {
+        const camera = this.getCamera();
+        return camera?.isInitialized && camera.videoElement?.videoWidth ? camera : null;
+    }
+
+    /**
+     * Composes a small frame for AdaptiveCapture's change detection, so movement in front of
+     * the camera counts as well as changes on screen.
+     * @returns {{image: HTMLCanvasElement, sx: number, sy: number, sw: number, sh: number}|null}
+     */
+    getAnalysisFrame() {
+        const source = this.screen.getSourceRect();
+        if (!source) return null;
+        const height = Math.max(1, Math.round(ANALYSIS_WIDTH * source.sh / source.sw));
+        if (!this.analysisCanvas) this.analysisCanvas = document.createElement('canvas');
+        if (this.analysisCanvas.width !== ANALYSIS_WIDTH || this.analysisCanvas.height !== height) {
+            this.analysisCanvas.width = ANALYSIS_WIDTH;
+            this.analysisCanvas.height = height;
+        }
+        const ctx = this.analysisCanvas.getContext('2d');
+        ctx.drawImage(this.screen.videoElement, source.sx, source.sy, source.sw, source.sh, 0, 0, ANALYSIS_WIDTH, height);
+        this._drawCamera(ctx, ANALYSIS_WIDTH, height);
+        return { image: this.analysisCanvas, sx: 0, sy: 0, sw: ANALYSIS_WIDTH, sh: height };
+    }
+
+    /**
+     * Captures the screen with the camera inset as a base64 JPEG.
+     * @param {Object} [options]
+     * @param {number} [options.scale=1] - Passed on to the screen capture.
+     * @param {number} [options.quality] - JPEG quality, defaults to the screen's.
+     * @returns {Promise<string>} Base64 encoded JPEG image data.
+     */
+    async capture({ scale = 1, quality = this.config.quality } = {}) {
+        const canvas = await this.screen.renderFrame({ scale });
+        this._drawCamera(canvas.getContext('2d'), canvas.width, canvas.height);
+        const base64Data = canvas.toDataURL('image/jpeg', quality).split(',')[1];
+        if (!base64Data) {
+            throw new Error("Failed to generate base64 data from picture-in-picture canvas.");
+        }
+        return base64Data;
+    }
+
+    /**
+     * Draws the camera into the bottom-right corner, framed so it stands out from the screen.
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {number} width - Frame width.
+     * @param {number} height - Frame height.
+     * @private
+     */
+    _drawCamera(ctx, width, height) {
+        const camera = this._activeCamera();
+        if (!camera) return;
+        const video = camera.videoElement;
+        const insetWidth = Math.round(width * this.scale);
+        const insetHeight = Math.round(insetWidth * video.videoHeight / video.videoWidth);
+        const margin = Math.round(width * INSET_MARGIN);
+        const x = width - insetWidth - margin;
+        const y = Math.max(0, height - insetHeight - margin);
+        ctx.drawImage(video, x, y, insetWidth, insetHeight);
+        ctx.strokeStyle = '#ffffff';
+        ctx.lineWidth = Math.max(1, Math.round(width / 400));
+        ctx.strokeRect(x, y, insetWidth, insetHeight);
+    }
+}
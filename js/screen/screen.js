@@ -1,7 +1,18 @@
+/** Widest region frame ever sent; larger regions are scaled down to this */
+const MAX_REGION_WIDTH = 2048;
+
+/** Width of the low-resolution overview frame sent alongside a region */
+const OVERVIEW_WIDTH = 512;
+
+/** Smallest region accepted, as a fraction of the screen's width/height */
+const MIN_REGION_SIZE = 0.02;
+
 /**
  * Manages screen capture using getDisplayMedia, displays a preview,
  * captures frames, resizes them on a canvas, and provides base64 encoded images.
  * Includes handling for when the user stops sharing via browser controls.
+ * A region of interest can be set, in which case only that part of the screen is sent,
+ * at its native resolution.
  */
 export class ScreenManager {
     /**
@@ -34,6 +45,8 @@ export class ScreenManager {
         this.isInitialized = false; // Flag: Has initialize() successfully completed?
         this.isInitializing = false; // Flag: Is initialize() currently running?
         this.aspectRatio = null;    // Aspect ratio of the screen share video stream
+        this.region = null;         // {x, y, width, height} as fractions of the screen, or null for all of it
+        this.overviewCanvas = null; // Canvas for low-resolution overview frames
 
         // Internal flag to prevent double calling onStop
         this._onStopCalled = false;
@@ -87,8 +100,13 @@ export class ScreenManager {
             // --- Setup Preview Container ---
             this.previewContainer = document.getElementById('screenPreview'); // Get container from HTML
             if (this.previewContainer) {
-                this.previewContainer.innerHTML = ''; // Clear previous content
-                this.previewContainer.appendChild(this.videoElement);
+                // Take the place of the placeholder video so the header and region overlay stay in place
+                const placeholder = this.previewContainer.querySelector('video');
+                if (placeholder) {
+                    placeholder.replaceWith(this.videoElement);
+                } else {
+                    this.previewContainer.appendChild(this.videoElement);
+                }
                 this.showPreview(); // Make container visible
             } else {
                 console.warn("ScreenManager: Preview container (#screenPreview) not found in DOM. Preview will not be displayed.");
@@ -163,13 +181,77 @@ export class ScreenManager {
         }
     }
 
+    /**
+     * Restricts capture to part of the screen, or lifts the restriction.
+     * @param {{x: number, y: number, width: number, height: number}|null} region - Fractions (0-1) of the
+     *   screen's width and height, or null to capture the whole screen.
+     * @returns {boolean} True if a region is now set.
+     */
+    setRegion(region) {
+        if (!region) {
+            this.region = null;
+            return false;
+        }
+        const x = Math.min(Math.max(Number(region.x) || 0, 0), 1);
+        const y = Math.min(Math.max(Number(region.y) || 0, 0), 1);
+        const width = Math.min(Number(region.width) || 0, 1 - x);
+        const height = Math.min(Number(region.height) || 0, 1 - y);
+        if (width < MIN_REGION_SIZE || height < MIN_REGION_SIZE) {
+            console.warn("ScreenManager: Ignoring region that is too small:", region);
+            this.region = null;
+            return false;
+        }
+        this.region = { x, y, width, height };
+        console.info("ScreenManager: Capture region set:", this.region);
+        return true;
+    }
+
+    /**
+     * The part of the video that capture() sends, in video pixels.
+     * @returns {{sx: number, sy: number, sw: number, sh: number}|null} Null if the video has no dimensions yet.
+     */
+    getSourceRect() {
+        const videoWidth = this.videoElement?.videoWidth;
+        const videoHeight = this.videoElement?.videoHeight;
+        if (!videoWidth || !videoHeight) return null;
+        if (!this.region) return { sx: 0, sy: 0, sw: videoWidth, sh: videoHeight };
+        return {
+            sx: Math.round(this.region.x * videoWidth),
+            sy: Math.round(this.region.y * videoHeight),
+            sw: Math.max(1, Math.round(this.region.width * videoWidth)),
+            sh: Math.max(1, Math.round(this.region.height * videoHeight))
+        };
+    }
+
     /**
      * Captures the current screen share frame, draws it to the canvas (resizing),
      * and returns it as a base64 encoded JPEG string (without the data: prefix).
+     * With a region set, only that region is drawn, at its native size (up to MAX_REGION_WIDTH).
+     * @param {Object} [options]
+     * @param {number} [options.scale=1] - Fraction of the configured width (or the region's width) to capture at.
+     * @param {number} [options.quality] - JPEG quality, defaults to the configured quality.
      * @returns {Promise<string>} Base64 encoded JPEG image data.
      * @throws {Error} If not initialized or capture fails.
      */
-    async capture() {
+    async capture({ scale = 1, quality = this.config.quality } = {}) {
+        const canvas = await this.renderFrame({ scale });
+        try {
+            return this._toBase64(canvas, quality);
+        } catch (error) {
+            console.error("ScreenManager: Error during frame capture/encoding:", error);
+            throw new Error(`Screen frame capture failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Draws the current frame (or its region) into the processing canvas without encoding it,
+     * e.g. so more can be drawn on top before sending.
+     * @param {Object} [options]
+     * @param {number} [options.scale=1] - Fraction of the configured width (or the region's width).
+     * @returns {Promise<HTMLCanvasElement>} The processing canvas; redrawn on the next call.
+     * @throws {Error} If not initialized or the stream has ended.
+     */
+    async renderFrame({ scale = 1 } = {}) {
         if (!this.isInitialized || !this.ctx || !this.videoElement) {
             console.error("ScreenManager.capture Error: Not initialized or required elements missing.");
             throw new Error('Screen capture failed: Manager is not initialized.');
@@ -183,28 +265,77 @@ export class ScreenManager {
         }
 
         try {
-            // Draw the current frame
+            const source = this.getSourceRect();
+            if (!source) {
+                throw new Error("Screen share video has no dimensions.");
+            }
+            // A region is sent at native resolution; the whole screen is scaled to the configured width
+            const baseWidth = this.region ? Math.min(source.sw, MAX_REGION_WIDTH) : this.config.width;
+
+            // Resize the canvas if a different size was asked for (resizing also clears it)
+            const width = Math.max(1, Math.round(baseWidth * scale));
+            const height = Math.max(1, Math.round(width * source.sh / source.sw));
+            if (this.canvas.width !== width || this.canvas.height !== height) {
+                this.canvas.width = width;
+                this.canvas.height = height;
+            }
+
+            // Draw the current frame (or the selected part of it)
             this.ctx.drawImage(
                 this.videoElement,
+                source.sx, source.sy, source.sw, source.sh,
                 0, 0,
                 this.canvas.width,
                 this.canvas.height
             );
-
-            // Convert to base64
-            const dataUrl = this.canvas.toDataURL('image/jpeg', this.config.quality);
-            const base64Data = dataUrl.split(',')[1];
-            if (!base64Data) {
-                throw new Error("Failed to generate base64 data from screen capture canvas.");
-            }
-            return base64Data;
+            return this.canvas;
 
         } catch (error) {
-            console.error("ScreenManager: Error during frame capture/encoding:", error);
+            console.error("ScreenManager: Error during frame capture:", error);
             throw new Error(`Screen frame capture failed: ${error.message}`);
         }
     }
 
+    /**
+     * Captures the whole screen at low resolution, e.g. to show the model where the region is.
+     * @param {Object} [options]
+     * @param {number} [options.width=OVERVIEW_WIDTH] - Width of the overview frame.
+     * @param {number} [options.quality=0.6] - JPEG quality.
+     * @returns {Promise<string>} Base64 encoded JPEG image data.
+     * @throws {Error} If not initialized or capture fails.
+     */
+    async captureOverview({ width = OVERVIEW_WIDTH, quality = 0.6 } = {}) {
+        if (!this.isInitialized || !this.videoElement || !this.aspectRatio) {
+            throw new Error('Screen overview capture failed: Manager is not initialized.');
+        }
+        if (!this.overviewCanvas) {
+            this.overviewCanvas = document.createElement('canvas');
+        }
+        const height = Math.max(1, Math.round(width * this.aspectRatio));
+        if (this.overviewCanvas.width !== width || this.overviewCanvas.height !== height) {
+            this.overviewCanvas.width = width;
+            this.overviewCanvas.height = height;
+        }
+        this.overviewCanvas.getContext('2d').drawImage(this.videoElement, 0, 0, width, height);
+        return this._toBase64(this.overviewCanvas, quality);
+    }
+
+    /**
+     * Encodes a canvas as JPEG.
+     * @param {HTMLCanvasElement} canvas
+     * @param {number} quality
+     * @returns {string} Base64 data without the data: prefix.
+     * @private
+     */
+    _toBase64(canvas, quality) {
+        const dataUrl = canvas.toDataURL('image/jpeg', quality);
+        const base64Data = dataUrl.split(',')[1];
+        if (!base64Data) {
+            throw new Error("Failed to generate base64 data from screen capture canvas.");
+        }
+        return base64Data;
+    }
+
     /**
      * Stops the screen sharing stream and cleans up all associated resources.
      * Calls the `onStop` callback if provided and if not already called by the 'ended' event.
@@ -240,7 +371,12 @@ export class ScreenManager {
                 this.videoElement.pause();
                 this.videoElement.srcObject = null;
                 if (this.videoElement.parentNode) {
-                    this.videoElement.parentNode.removeChild(this.videoElement);
+                    // Leave an empty video behind so the preview markup stays as index.html has it
+                    const placeholder = document.createElement('video');
+                    placeholder.autoplay = true;
+                    placeholder.muted = true;
+                    placeholder.playsInline = true;
+                    this.videoElement.replaceWith(placeholder);
                 }
             } catch (_error) { console.warn("Error cleaning up screen share video element:", _error); } // Use _error
             this.videoElement = null;
@@ -250,7 +386,6 @@ export class ScreenManager {
         if (this.previewContainer) {
             try {
                 this.hidePreview();
-                this.previewContainer.innerHTML = '';
             } catch (_error) { console.warn("Error cleaning up screen preview container:", _error); } // Use _error
             // this.previewContainer = null; // Keep or nullify? Keep for now.
         }
@@ -258,6 +393,7 @@ export class ScreenManager {
         // 4. Clean up Canvas
         this.canvas = null;
         this.ctx = null;
+        this.overviewCanvas = null;
 
         // 5. Reset State Flags
         this.isInitialized = false;
@@ -8,15 +8,27 @@ import { ImageGenerator } from './imggen/imggen.js';
 import MediaManager from './dom/media-manager.js'; // Assuming this handles UI buttons now
 import StatusManager from './dom/status-manager.js';
 import SettingsManager from './settings/settings-manager.js';
+import PersonaLibrary from './settings/persona-library.js';
 import { ChatManager } from './chat/chat-manager.js';
+import { SessionSidebar } from './chat/session-sidebar.js';
+import { AnnotationEditor } from './dom/annotation-editor.js';
+import { CaptionOverlay, speakerLabel } from './dom/caption-overlay.js';
+import { AttachmentTray, checkAttachmentLimits } from './chat/attachments.js';
 import SpeechHandler from './audio/speech-handler.js'; // Keep for TTS
 import { GeminiAgent } from './main/agent.js'; // Use the correct agent path
-import { getWebsocketUrl, getConfig, getDeepgramApiKey, MODEL_SAMPLE_RATE } from './config/config.js';
+import SessionRecorder from './audio/session-recorder.js';
+import { getWebsocketUrl, getConfig, getDeepgramApiKey, getContextReplayConfig, getResponseMode, getBargeInConfig, getActivityConfig, getSessionRecordingConfig, getCameraConfig, getCaptionConfig, getTranslateConfig, MODEL_SAMPLE_RATE } from './config/config.js';
+import { buildContextTurns } from './chat/context-replay.js';
+import { languageName } from './config/translate-mode.js';
 import { ToolManager } from './tools/tool-manager.js'; // Assuming ToolManager exists
+import { GoogleSearchTool } from './tools/google-search.js';
 
 // Global agent instance
 let agent = null;
 
+// Set when the user talks over browser TTS; cleared when the model's reply ends
+let ttsSuppressed = false;
+
 document.addEventListener('DOMContentLoaded', async () => {
     console.log("DOM Ready. Initializing components...");
 
@@ -25,8 +37,43 @@ document.addEventListener('DOMContentLoaded', async () => {
     window.statusManager = StatusManager;
     window.settingsManager = SettingsManager;
     window.chatManager = new ChatManager();
+    window.sessionSidebar = new SessionSidebar(window.chatManager, {
+        onStatus: (message) => StatusManager.addStatus(message, 2000)
+    });
+    // Files dropped on the chat or pasted into the message box go out with the next message
+    window.attachmentTray = new AttachmentTray({
+        tray: document.getElementById('attachmentTray'),
+        fileInput: document.getElementById('attachmentInput'),
+        attachButton: document.getElementById('attachBtn'),
+        pasteTarget: document.getElementById('messageInput'),
+        dropTarget: document.getElementById('liveContent')
+    }, {
+        onStatus: (message) => StatusManager.addStatus(message, 5000)
+    });
+    window.annotationEditor = new AnnotationEditor({
+        onSend: sendAnnotatedSnapshot,
+        onStatus: (message) => StatusManager.addStatus(message, 3000)
+    });
+    // Snapshot button on the camera/screen preview: annotate the frozen frame, then ask about it
+    document.addEventListener('previewSnapshot', (event) => {
+        const { type, frame } = event.detail;
+        window.annotationEditor.open(frame, { label: type === 'camera' ? 'Camera' : 'Screen' });
+    });
+    // Subtitles for both sides of the conversation, with a transcript that can be saved as SRT/VTT
+    window.captionOverlay = new CaptionOverlay({
+        container: document.getElementById('liveContent'),
+        toggleButton: document.getElementById('captionsBtn')
+    }, {
+        onStatus: (message) => StatusManager.addStatus(message, 2000)
+    });
+    window.captionOverlay.applySettings(getCaptionConfig());
     window.speechHandler = SpeechHandler; // Keep for TTS
     window.toolManager = new ToolManager();
+    try {
+        window.toolManager.registerTool('googleSearch', new GoogleSearchTool());
+    } catch (error) {
+        console.error("Error registering search tool:", error);
+    }
 
     // Initialize Agent (but don't connect yet)
     try {
@@ -38,7 +85,13 @@ document.addEventListener('DOMContentLoaded', async () => {
             transcribeModelsSpeech: true,
             transcribeUsersSpeech: true, // Enable user transcription via agent
             modelSampleRate: MODEL_SAMPLE_RATE, // Use constant from config
-            toolManager: window.toolManager
+            toolManager: window.toolManager,
+            // Replays the visible chat into new sessions so the model keeps the conversation
+            contextProvider: async () => {
+                const replay = getContextReplayConfig();
+                if (!replay.enabled || !window.chatManager) return [];
+                return buildContextTurns(await window.chatManager.getCurrentTurns(), replay);
+            }
         };
         agent = new GeminiAgent(agentConfig); // Assign to global agent
         window.agent = agent; // Make globally accessible if needed
@@ -51,6 +104,9 @@ document.addEventListener('DOMContentLoaded', async () => {
 
     // Initialize UI components and event listeners
     setupUIEventListeners(); // Renamed from setupControlBarButtons for clarity
+    setupPersonaSwitcher();
+    updateModelDisplay();
+    setupPushToTalk();
     setupSpeechHandling(); // Keep TTS handling separate
 
     // Initialize IMG GEN components
@@ -76,12 +132,17 @@ document.addEventListener('DOMContentLoaded', async () => {
 
     // Listen for settings updates to reconfigure agent if needed
     document.addEventListener('settingsUpdated', () => {
+        window.captionOverlay?.applySettings(getCaptionConfig());
+        updateModelDisplay();
         console.log("Settings updated, reconfiguring agent...");
         if (agent) {
             // Update agent's internal config if possible, or recreate agent
             // For simplicity, let's update relevant parts if agent allows
             agent.config = getConfig(); // Update the config object
             agent.modelSampleRate = MODEL_SAMPLE_RATE; // Update sample rate
+            // Move a running camera to the one picked in settings
+            agent.selectCamera(getCameraConfig().deviceId)
+                .catch(error => console.error("Could not switch camera:", error));
             // Note: Changing URL or Deepgram key might require full disconnect/reconnect or recreation
             console.log("Agent config potentially updated.");
             StatusManager.addStatus("Settings applied.", 2000);
@@ -110,10 +171,15 @@ function setupAgentEventListeners(agentInstance) {
         document.dispatchEvent(new CustomEvent('aiResponse', { detail: { text } }));
     });
 
+    // The model's spoken reply as text (audio with transcript mode); shown in the chat but not read out again
+    agentInstance.on('output_transcription', (text) => {
+        window.chatManager?.updateStreamingMessage(text);
+    });
+
     // Handle turn completion (Matches Context/agent.js)
     agentInstance.on('turn_complete', () => {
         // console.log("Agent turn complete."); // Debug log
-        window.chatManager?.finalizeStreamingMessage();
+        window.chatManager?.completeTurn();
         
         // Dispatch AI response end event for audio chat mode
         document.dispatchEvent(new CustomEvent('aiResponseEnd'));
@@ -122,26 +188,72 @@ function setupAgentEventListeners(agentInstance) {
     // Handle interruption (Matches Context/agent.js)
     agentInstance.on('interrupted', () => {
         // console.log("Agent interrupted."); // Debug log
-        window.chatManager?.finalizeStreamingMessage(); // Finalize potentially incomplete message
+        window.chatManager?.completeTurn(); // Finalize potentially incomplete message
         StatusManager.addStatus("Model interrupted", 2000);
         
         // Dispatch AI response end event for audio chat mode
         document.dispatchEvent(new CustomEvent('aiResponseEnd'));
     });
 
-    // Listen for user transcription coming *from the agent* if enabled there
+    // The user talked over the model's voice: playback is already stopped, cut the message off too
+    agentInstance.on('barge_in', () => {
+        window.chatManager?.markInterrupted();
+        StatusManager.addStatus("Model interrupted", 1500);
+    });
+
+    // Browser TTS isn't played by the agent, so barge-in for it is handled here
+    agentInstance.on('speech_start', () => {
+        if (!getBargeInConfig().enabled || !window.speechHandler?.isCurrentlySpeaking()) return;
+        ttsSuppressed = true; // Don't resume with the next chunk of the same reply
+        window.speechHandler.stopSpeaking();
+    });
+
+    // The user's own speech from the transcription backend. The audio itself already went to the model,
+    // so transcripts only drive the captions and are kept with the chat (with speaker labels if on)
     agentInstance.on('user_transcription', (transcriptData) => {
-         // Process only final transcripts to avoid sending partial speech
-         if (transcriptData && transcriptData.transcript && transcriptData.isFinal) {
-             console.log("Agent user transcription (final):", transcriptData.transcript); // Debug log
-             // Send final transcript as a user message
-             handleMessageSend(transcriptData.transcript); // Send the final text
-         }
+        if (!transcriptData?.transcript) return;
+        window.captionOverlay?.update('user', transcriptData);
+        if (transcriptData.isFinal) {
+            const speaker = speakerLabel('user', transcriptData.speaker);
+            const text = transcriptData.speaker != null ? `${speaker}: ${transcriptData.transcript}` : transcriptData.transcript;
+            if (window.chatManager?.translation) window.chatManager.addTranslationSource(text);
+            window.chatManager?.recordTranscript('user', text);
+        }
     });
 
-    // Handle model transcription if needed (e.g., for subtitles)
+    // Handle model transcription: live captions, and a record of what the model said aloud
     agentInstance.on('transcription', (transcriptData) => {
-        // console.log("Model Transcription:", transcriptData.transcript);
+        if (!transcriptData?.transcript) return;
+        window.captionOverlay?.update('model', transcriptData);
+        // Keep a record of what the model said aloud alongside the chat (the API's own transcript is already in it)
+        if (transcriptData.isFinal && getResponseMode() !== 'audio_transcript') {
+            // Spoken-only translations have no text in the chat, so the transcript fills the row
+            if (window.chatManager?.translation && getResponseMode() === 'audio') {
+                window.chatManager.addTranslationTarget(transcriptData.transcript);
+            }
+            window.chatManager?.recordTranscript('model', transcriptData.transcript);
+        }
+    });
+
+    agentInstance.on('transcriber_reconnecting', ({ attempt, maxAttempts }) => {
+        if (attempt === 1) StatusManager.addStatus(`Transcription connection lost. Reconnecting (up to ${maxAttempts} attempts)...`, 3000);
+    });
+
+    agentInstance.on('transcriber_reconnected', () => {
+        StatusManager.addStatus("Transcription reconnected", 2000);
+    });
+
+    // Let the user know the new session was given the earlier conversation
+    agentInstance.on('context_seeded', ({ turns }) => {
+        StatusManager.addStatus(`Restored chat context (${turns} message${turns === 1 ? '' : 's'})`, 2000);
+    });
+
+    // Show search results as sources under the model's answer
+    agentInstance.on('tool_results', (responses) => {
+        window.chatManager?.recordToolCalls(responses);
+        responses
+            .filter(response => response.name === 'googleSearch' && response.output?.results?.length)
+            .forEach(response => window.chatManager?.addSearchSources(response.output.results));
     });
 
     // Handle screen share stopping externally (Matches Context/agent.js)
@@ -152,23 +264,172 @@ function setupAgentEventListeners(agentInstance) {
         StatusManager.addStatus("Screen sharing stopped", 3000);
     });
 
-    // Add listener for connection status changes if agent emits them
-    // agentInstance.on('connected', () => { ... });
-    // agentInstance.on('disconnected', () => { ... });
+    // Region drawn on the screen preview: send only that part of the screen
+    document.addEventListener('screenRegionChanged', (event) => {
+        agentInstance.setScreenRegion(event.detail.region);
+        StatusManager.addStatus(event.detail.region ? "Sending the selected screen region" : "Sending the whole screen", 3000);
+    });
+
+    // Local session recording runs from connect to disconnect; reconnects don't interrupt it.
+    // The caption transcript starts with it, so saved subtitles line up with the recording.
+    agentInstance.on('connected', async ({ setup }) => {
+        window.chatManager?.setSessionConfig(setup); // Saved with the chat, for the JSON export
+        // The session was set up from the current settings, so show the chat the way it translates
+        const translate = getTranslateConfig();
+        window.chatManager?.setTranslation(translate.enabled ? translate : null);
+        if (translate.enabled) {
+            StatusManager.addStatus(`Translating ${languageName(translate.source)} → ${languageName(translate.target)}`, 3000);
+        }
+        await startSessionRecording(agentInstance);
+        window.captionOverlay?.startSession(SessionRecorder.isRecording ? SessionRecorder.startTime : Date.now());
+    });
+    agentInstance.on('playback_ready', (streamer) => SessionRecorder.attachPlayback(streamer));
+
+    // Connection status changes
+    const powerBtn = document.getElementById('powerBtn');
+    agentInstance.on('reconnecting', ({ attempt, maxAttempts }) => {
+        powerBtn?.classList.remove('connected');
+        powerBtn?.classList.add('reconnecting');
+        powerBtn?.setAttribute('aria-label', 'Reconnecting (click to cancel)');
+        StatusManager.addStatus(`Connection lost. Reconnecting (attempt ${attempt}/${maxAttempts})...`, 3000);
+    });
+
+    agentInstance.on('reconnected', ({ resumed }) => {
+        powerBtn?.classList.remove('reconnecting');
+        powerBtn?.classList.add('connected');
+        powerBtn?.setAttribute('aria-pressed', 'true');
+        powerBtn?.setAttribute('aria-label', 'Disconnect');
+        StatusManager.addStatus(resumed ? "Reconnected, session resumed" : "Reconnected (new session)", 3000);
+    });
+
+    agentInstance.on('reconnect_failed', () => {
+        powerBtn?.classList.remove('reconnecting', 'connected');
+        powerBtn?.setAttribute('aria-pressed', 'false');
+        powerBtn?.setAttribute('aria-label', 'Connect');
+        window.mediaManager?.cleanup(); // Agent has released its media; reset buttons and previews
+        stopSessionRecording();
+        StatusManager.addStatus("Reconnect failed. Please connect again.", 5000);
+    });
+
+    agentInstance.on('disconnected', () => {
+        powerBtn?.classList.remove('reconnecting', 'connected');
+        powerBtn?.setAttribute('aria-pressed', 'false');
+        powerBtn?.setAttribute('aria-label', 'Connect');
+        stopSessionRecording();
+    });
+}
+
+/**
+ * Starts recording the session locally if enabled in settings.
+ * @param {GeminiAgent} agentInstance - The agent whose audio output is recorded.
+ */
+async function startSessionRecording(agentInstance) {
+    const { enabled, format, fps } = getSessionRecordingConfig();
+    if (!enabled) return;
+    try {
+        await SessionRecorder.start({
+            format,
+            fps,
+            playback: agentInstance.audioStreamer,
+            videoSources: [document.querySelector('#screenPreview video'), document.querySelector('#cameraPreview video')]
+        });
+        document.getElementById('powerBtn')?.classList.add('recording');
+        StatusManager.addStatus("Recording session", 2000);
+    } catch (error) {
+        console.error('Session recording error:', error);
+        StatusManager.addStatus(`Could not record session: ${error.message}`, 4000);
+    }
+}
+
+/**
+ * Stops the session recording, if any, and downloads it.
+ */
+async function stopSessionRecording() {
+    document.getElementById('powerBtn')?.classList.remove('recording');
+    try {
+        if (await SessionRecorder.stop()) StatusManager.addStatus("Session recording saved", 3000);
+    } catch (error) {
+        console.error('Error saving session recording:', error);
+        StatusManager.addStatus("Could not save session recording", 4000);
+    }
 }
 
 
+/**
+ * Sets up push-to-talk: while the mic button or hotkey is held, the user's turn is open
+ * (activityStart/activityEnd). Only active when Turn Taking is set to push-to-talk.
+ */
+function setupPushToTalk() {
+    const micBtn = document.getElementById('micBtn');
+    let held = false;
+
+    const press = async () => {
+        if (held || !getActivityConfig().pushToTalk) return;
+        held = true;
+        if (!await ensureAgentReady(true) || !held) return; // Released while connecting
+        try {
+            await agent.startActivity();
+        } catch (error) {
+            console.error('Push-to-talk error:', error);
+            StatusManager.addStatus(error.message, 4000);
+        }
+    };
+
+    const release = async () => {
+        if (!held) return;
+        held = false;
+        await agent?.endActivity();
+    };
+
+    micBtn?.addEventListener('pointerdown', (event) => {
+        if (!getActivityConfig().pushToTalk) return;
+        event.preventDefault();
+        micBtn.setPointerCapture?.(event.pointerId); // Keep receiving pointerup if the finger slides off
+        press();
+    });
+    ['pointerup', 'pointercancel'].forEach(type => micBtn?.addEventListener(type, release));
+
+    // Hotkey, ignored while typing
+    const isTyping = (target) => target?.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target?.tagName);
+    document.addEventListener('keydown', (event) => {
+        const { pushToTalk, hotkey } = getActivityConfig();
+        if (!pushToTalk || event.code !== hotkey || isTyping(event.target)) return;
+        event.preventDefault(); // Don't scroll or click the focused button
+        if (!event.repeat) press();
+    });
+    document.addEventListener('keyup', (event) => {
+        if (event.code === getActivityConfig().hotkey) release();
+    });
+    window.addEventListener('blur', release); // Keyup is lost when the window loses focus
+
+    agent?.on('activity_start', () => {
+        micBtn?.classList.add('active');
+        micBtn?.setAttribute('aria-pressed', 'true');
+        StatusManager.addStatus('Listening (release to send)', 1500);
+    });
+    agent?.on('activity_end', () => {
+        micBtn?.classList.remove('active');
+        micBtn?.setAttribute('aria-pressed', 'false');
+    });
+}
+
 /**
  * Sets up speech synthesis handling.
  */
 function setupSpeechHandling() {
+    document.addEventListener('aiResponseEnd', () => {
+        ttsSuppressed = false;
+    });
+
     // Listen for AI responses to handle text-to-speech
     document.addEventListener('aiResponse', async (event) => {
         // Check the global speechEnabled flag managed by MediaManager/SettingsManager
         // This flag should be updated by the speakBtn toggle and settings load
-        if (event.detail && event.detail.text && window.speechEnabled) {
+        if (event.detail && event.detail.text && window.speechEnabled && !ttsSuppressed) {
             try {
-                await window.speechHandler.speak(event.detail.text);
+                // Read translations with a voice for the target language
+                const lang = window.chatManager?.translation?.target;
+                await window.speechHandler.speak(event.detail.text, { lang });
             } catch (error) {
                 console.error('Text-to-speech error:', error);
                 StatusManager.addStatus('Text-to-speech error', 3000);
@@ -262,6 +523,62 @@ async function ensureAgentReady(withAudio = false) {
 }
 
 
+/**
+ * Shows the model the next Live connection uses above the chat.
+ */
+function updateModelDisplay() {
+    const display = document.getElementById('liveModelDisplay');
+    if (display) display.textContent = `model: "${getConfig().model}"`;
+}
+
+/**
+ * Fills the header's persona switcher and switches persona when another one is picked.
+ */
+function setupPersonaSwitcher() {
+    const switcher = document.getElementById('personaSwitcher');
+    if (!switcher) return;
+    const populate = () => {
+        switcher.innerHTML = '';
+        PersonaLibrary.list().forEach(({ id, name }) => switcher.add(new Option(name, id)));
+        switcher.value = PersonaLibrary.activeId;
+    };
+    populate();
+    document.addEventListener('personasChanged', populate);
+    switcher.addEventListener('change', () => switchPersona(switcher.value));
+}
+
+/**
+ * Makes a persona the active one. A live session is reconnected so the persona's model,
+ * instructions, voice and tools take effect; the chat so far is replayed into the new session.
+ * @param {string} personaId
+ */
+async function switchPersona(personaId) {
+    let persona;
+    try {
+        persona = PersonaLibrary.activate(personaId);
+    } catch (error) {
+        console.error('Error switching persona:', error);
+        StatusManager.addStatus(`Could not switch persona: ${error.message}`, 4000);
+        return;
+    }
+    document.dispatchEvent(new CustomEvent('settingsUpdated'));
+    if (!agent?.connected && !agent?.isReconnecting) {
+        StatusManager.addStatus(`Persona "${persona.name}" will be used on the next connection`, 3000);
+        return;
+    }
+
+    StatusManager.addStatus(`Switching to "${persona.name}"...`, 2000);
+    try {
+        await agent.disconnect();
+        window.mediaManager?.cleanup(); // Mic, camera and screen stop with the old session
+    } catch (error) {
+        console.error('Error disconnecting for persona switch:', error);
+    }
+    if (await ensureAgentReady()) {
+        StatusManager.addStatus(`Now using "${persona.name}"`, 2000);
+    }
+}
+
 /**
  * Sets up UI event listeners (buttons, input).
  */
@@ -279,10 +596,10 @@ function setupUIEventListeners() {
 
     // Power Button (Connect/Disconnect)
     powerBtn?.addEventListener('click', async () => {
-        if (agent?.connected) {
+        if (agent?.connected || agent?.isReconnecting) { // Clicking while reconnecting cancels it
             try {
                 await agent.disconnect();
-                powerBtn.classList.remove('connected');
+                powerBtn.classList.remove('connected', 'reconnecting');
                 powerBtn.setAttribute('aria-pressed', 'false');
                 powerBtn.setAttribute('aria-label', 'Connect');
                 StatusManager.addStatus("Disconnected", 2000);
@@ -299,12 +616,19 @@ function setupUIEventListeners() {
 
     // New Chat Button
     newChatBtn?.addEventListener('click', async () => { // Make async if agent reset is async
-        window.chatManager?.clear();
+        window.chatManager?.clear(); // The previous chat stays available in the saved chats sidebar
         // TODO: Add agent context reset if implemented and connected
         // if (agent?.connected) await agent.resetContext();
         StatusManager.addStatus("Starting new chat session", 2000);
     });
 
+    // Saved Chats Button
+    const historyBtn = document.getElementById('historyBtn');
+    historyBtn?.addEventListener('click', () => {
+        window.sessionSidebar?.toggle();
+        historyBtn.setAttribute('aria-pressed', String(window.sessionSidebar?.isOpen ?? false));
+    });
+
     // Camera Button
     cameraBtn?.addEventListener('click', async () => {
         if (!await ensureAgentReady(true)) return; // Initialize with audio components for media
@@ -319,6 +643,7 @@ function setupUIEventListeners() {
 
     // Microphone Button
     micBtn?.addEventListener('click', async () => {
+        if (getActivityConfig().pushToTalk) return; // Handled by setupPushToTalk()
         if (!await ensureAgentReady(true)) return; // Initialize with audio components for mic
         await window.mediaManager?.toggleMic(); // MediaManager handles agent calls internally
     });
@@ -353,7 +678,7 @@ function setupUIEventListeners() {
                 handleMessageSend(); // Call the refactored send function
             }
         });
-        sendBtn.addEventListener('click', handleMessageSend); // Call the refactored send function
+        sendBtn.addEventListener('click', () => handleMessageSend()); // Don't pass the click event as text
     }
     
     // User Speech Event (from audio transcription)
@@ -372,16 +697,26 @@ function setupUIEventListeners() {
 async function handleMessageSend(text = null) {
     const messageInput = document.getElementById('messageInput');
     const message = text ?? messageInput?.value.trim(); // Use provided text or input value
+    // Attachments only go with typed messages, not with speech transcripts
+    const hasAttachments = text === null && window.attachmentTray?.count > 0;
 
-    if (!message) return;
+    if (!message && !hasAttachments) return;
 
     const isLiveMode = document.getElementById('liveTab').checked;
 
     if (isLiveMode) {
         if (!await ensureAgentReady()) return; // Ensure connection before sending
         try {
+            // Audio replies need a running AudioContext; start it while we still have the user gesture
+            if (getResponseMode() !== 'text') {
+                await agent.ensurePlayback().catch(error => console.warn('Could not start audio playback:', error));
+            }
+            if (hasAttachments) {
+                if (await sendWithAttachments(message) && messageInput) messageInput.value = '';
+                return;
+            }
             // Add user message visually *before* sending to agent
-            window.chatManager?.addUserMessage(message);
+            window.chatManager?.addUserMessage(message, { source: text ? 'transcript' : 'text' });
             if (messageInput && !text) messageInput.value = ''; // Clear input only if it wasn't from transcription
 
             // Send text to the agent
@@ -394,6 +729,8 @@ async function handleMessageSend(text = null) {
             // if (messageInput && !text) messageInput.value = message;
         }
     } else {
+        if (hasAttachments) StatusManager.addStatus("Attachments are only sent in Live mode", 3000);
+        if (!message) return;
         // IMG GEN message handling
         if (window.imgGenEvents) {
              // Pass the prompt to the handler
@@ -404,6 +741,53 @@ async function handleMessageSend(text = null) {
 }
 
 
+/**
+ * Sends the composer's attachments as `inlineData` parts, followed by the message text, in one turn.
+ * The attachments go back into the tray if sending fails or they exceed the limits.
+ * @param {string} message - Typed text, may be empty.
+ * @returns {Promise<boolean>} False if nothing was sent because of the limits.
+ */
+async function sendWithAttachments(message) {
+    const attachments = window.attachmentTray.take();
+    // The tray checks each file as it is added; check the whole message again before it goes out
+    const problem = checkAttachmentLimits(attachments);
+    if (problem) {
+        window.attachmentTray.restore(attachments);
+        StatusManager.addStatus(`${problem}. Remove some attachments and send again.`, 4000);
+        return false;
+    }
+    try {
+        agent.requestFrameBurst('text sent');
+        await agent.sendContent([
+            ...attachments.map(({ mimeType, data }) => ({ inlineData: { mimeType, data } })),
+            ...(message ? [{ text: message }] : [])
+        ]);
+    } catch (error) {
+        window.attachmentTray.restore(attachments);
+        throw error;
+    }
+    window.chatManager?.addUserAttachmentMessage(message, {
+        images: attachments.filter(a => a.kind === 'image').map(({ name, mimeType, data }) => ({ name, mimeType, data })),
+        files: attachments.filter(a => a.kind !== 'image').map(({ name, mimeType, size }) => ({ name, mimeType, size }))
+    });
+    return true;
+}
+
+/**
+ * Sends an annotated snapshot and the question about it to the model as one turn,
+ * and shows it in the chat.
+ * @param {{image: {mimeType: string, data: string}, text: string}} snapshot
+ * @throws {Error} If the agent can't connect or sending fails (the editor stays open).
+ */
+async function sendAnnotatedSnapshot({ image, text }) {
+    if (!await ensureAgentReady()) throw new Error("Not connected");
+    if (getResponseMode() !== 'text') {
+        await agent.ensurePlayback().catch(error => console.warn('Could not start audio playback:', error));
+    }
+    await agent.sendContent([{ inlineData: image }, ...(text ? [{ text }] : [])]);
+    window.chatManager?.addUserAttachmentMessage(text, { images: [image] });
+}
+
 /**
  * Sets up tab switching functionality and makes switchTab globally accessible.
  */
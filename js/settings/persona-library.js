@@ -0,0 +1,299 @@
+/**
+ * Named personas: saved combinations of system instructions, model, voice, temperature, safety
+ * thresholds and enabled tools, so switching tasks doesn't mean retyping settings.
+ *
+ * The settings themselves stay where config.js reads them; activating a persona writes its values
+ * into those localStorage keys. The library is kept in localStorage ('personas', plus
+ * 'activePersonaId') and announces changes on document ('personasChanged').
+ */
+import { DEFAULT_MODEL, PREBUILT_VOICES } from '../config/config.js';
+
+/** Identifies files produced by exportJson() */
+export const PERSONA_EXPORT_FORMAT = 'gemini-live-personas';
+export const PERSONA_EXPORT_VERSION = 1;
+
+/** Safety threshold settings (values '0'-'3', see config.js) kept with each persona */
+export const SAFETY_SETTING_KEYS = [
+    'harassmentThreshold',
+    'hateSpeechThreshold',
+    'dangerousContentThreshold',
+    'sexuallyExplicitThreshold',
+    'civicIntegrityThreshold'
+];
+
+const STORAGE_KEY = 'personas';
+const ACTIVE_KEY = 'activePersonaId';
+const DEFAULT_INSTRUCTIONS = "You are a helpful assistant.";
+
+/**
+ * @typedef {Object} Persona
+ * @property {string} id
+ * @property {string} name
+ * @property {string} systemInstructions
+ * @property {string} model - Model name, e.g. 'models/gemini-2.0-flash-exp'.
+ * @property {string} voice - One of PREBUILT_VOICES.
+ * @property {number} temperature - 0.0-2.0.
+ * @property {Object<string, string>} safety - Threshold per SAFETY_SETTING_KEYS entry.
+ * @property {Array<string>|null} tools - Names of the enabled tools; null enables every registered tool.
+ * @property {number} updatedAt
+ */
+
+/**
+ * Checks and completes persona fields, e.g. from an imported file; missing or invalid values get defaults.
+ * @param {Object} raw
+ * @returns {Omit<Persona, 'id'|'updatedAt'>}
+ * @throws {Error} If the persona has no name.
+ */
+function normalizePersona(raw) {
+    const name = typeof raw?.name === 'string' ? raw.name.trim() : '';
+    if (!name) throw new Error("A persona needs a name.");
+    const temperature = Number(raw.temperature);
+    const safety = {};
+    SAFETY_SETTING_KEYS.forEach(key => {
+        const value = String(raw.safety?.[key] ?? '3');
+        safety[key] = ['0', '1', '2', '3'].includes(value) ? value : '3';
+    });
+    return {
+        name,
+        systemInstructions: typeof raw.systemInstructions === 'string' ? raw.systemInstructions : DEFAULT_INSTRUCTIONS,
+        model: typeof raw.model === 'string' && raw.model.trim() ? raw.model.trim() : DEFAULT_MODEL,
+        voice: PREBUILT_VOICES.includes(raw.voice) ? raw.voice : 'Aoede',
+        temperature: Number.isFinite(temperature) && temperature >= 0 && temperature <= 2 ? temperature : 1.0,
+        safety,
+        tools: Array.isArray(raw.tools) ? raw.tools.filter(tool => typeof tool === 'string') : null
+    };
+}
+
+class PersonaLibrary {
+    /**
+     * Returns all personas. The first call creates a "Default" persona from the current settings.
+     * @returns {Array<Persona>} Copies, in the order they were created.
+     */
+    list() {
+        return this._load().map(persona => structuredClone(persona));
+    }
+
+    /**
+     * @param {string} id
+     * @returns {Persona|null} A copy, or null if there is no such persona.
+     */
+    get(id) {
+        const persona = this._load().find(item => item.id === id);
+        return persona ? structuredClone(persona) : null;
+    }
+
+    /** ID of the persona whose values are in the settings */
+    get activeId() {
+        const personas = this._load();
+        const id = localStorage.getItem(ACTIVE_KEY);
+        return personas.some(persona => persona.id === id) ? id : personas[0].id;
+    }
+
+    /**
+     * Reads the persona fields from the current settings.
+     * @returns {Omit<Persona, 'id'|'name'|'updatedAt'>}
+     */
+    fromSettings() {
+        const safety = {};
+        SAFETY_SETTING_KEYS.forEach(key => { safety[key] = localStorage.getItem(key) ?? '3'; });
+        let tools = null;
+        try {
+            tools = JSON.parse(localStorage.getItem('enabledTools'));
+        } catch {
+            // Unreadable: treat as all tools enabled
+        }
+        const { name, ...values } = normalizePersona({
+            name: 'Current settings',
+            systemInstructions: localStorage.getItem('systemInstructions') ?? DEFAULT_INSTRUCTIONS,
+            model: localStorage.getItem('selectedModel'),
+            voice: localStorage.getItem('voiceName'),
+            temperature: localStorage.getItem('temperature') ?? 1.0,
+            safety,
+            tools
+        });
+        return values;
+    }
+
+    /**
+     * Returns a persona filled with defaults that is not stored, e.g. for a form; create() adds it.
+     * @param {Object} [values] - Persona fields that differ from the defaults.
+     * @returns {Persona} With a null `id` and `updatedAt`.
+     */
+    draft(values = {}) {
+        return { id: null, ...normalizePersona({ name: 'New persona', ...values }), updatedAt: null };
+    }
+
+    /**
+     * Adds a persona.
+     * @param {Object} values - Persona fields; name is required, the rest default.
+     * @returns {Persona} The new persona.
+     * @throws {Error} If the name is missing.
+     */
+    create(values) {
+        const persona = { id: crypto.randomUUID(), ...normalizePersona(values), updatedAt: Date.now() };
+        this._save([...this._load(), persona]);
+        return structuredClone(persona);
+    }
+
+    /**
+     * Adds a copy of a persona, named "<name> (copy)".
+     * @param {string} id
+     * @param {Object} [changes] - Fields that differ in the copy (e.g. edits not saved to the original).
+     * @returns {Persona} The copy.
+     * @throws {Error} If the persona does not exist.
+     */
+    duplicate(id, changes = {}) {
+        const original = this.get(id);
+        if (!original) throw new Error(`Persona "${id}" not found.`);
+        return this.create({ ...original, ...changes, name: `${changes.name || original.name} (copy)` });
+    }
+
+    /**
+     * Changes a persona. If it is the active one, call activate() to apply the changes.
+     * @param {string} id
+     * @param {Object} changes - Persona fields to replace.
+     * @returns {Persona} The updated persona.
+     * @throws {Error} If the persona does not exist or the new name is empty.
+     */
+    update(id, changes) {
+        const personas = this._load();
+        const index = personas.findIndex(persona => persona.id === id);
+        if (index === -1) throw new Error(`Persona "${id}" not found.`);
+        personas[index] = { id, ...normalizePersona({ ...personas[index], ...changes }), updatedAt: Date.now() };
+        this._save(personas);
+        return structuredClone(personas[index]);
+    }
+
+    /**
+     * Deletes a persona. The last one can't be deleted.
+     * @param {string} id
+     * @throws {Error} If it is the only persona.
+     */
+    remove(id) {
+        const personas = this._load();
+        if (personas.length <= 1) throw new Error("The last persona can't be deleted.");
+        this._save(personas.filter(persona => persona.id !== id));
+    }
+
+    /**
+     * Makes a persona the active one by writing its values into the settings. Takes effect on
+     * the next connection, like other settings.
+     * @param {string} id
+     * @returns {Persona} The activated persona.
+     * @throws {Error} If the persona does not exist.
+     */
+    activate(id) {
+        const persona = this.get(id);
+        if (!persona) throw new Error(`Persona "${id}" not found.`);
+        localStorage.setItem('systemInstructions', persona.systemInstructions);
+        localStorage.setItem('selectedModel', persona.model);
+        localStorage.setItem('voiceName', persona.voice);
+        localStorage.setItem('temperature', String(persona.temperature));
+        SAFETY_SETTING_KEYS.forEach(key => localStorage.setItem(key, persona.safety[key]));
+        if (persona.tools) {
+            localStorage.setItem('enabledTools', JSON.stringify(persona.tools));
+        } else {
+            localStorage.removeItem('enabledTools');
+        }
+        localStorage.setItem(ACTIVE_KEY, id);
+        this._announce();
+        return persona;
+    }
+
+    /**
+     * Serializes personas for download.
+     * @param {Array<string>} [ids] - Personas to include; all if omitted.
+     * @returns {string} JSON text.
+     */
+    exportJson(ids) {
+        const personas = this.list()
+            .filter(persona => !ids || ids.includes(persona.id))
+            .map(({ id, updatedAt, ...persona }) => persona);
+        return JSON.stringify({
+            format: PERSONA_EXPORT_FORMAT,
+            version: PERSONA_EXPORT_VERSION,
+            exportedAt: new Date().toISOString(),
+            personas
+        }, null, 2);
+    }
+
+    /**
+     * Adds the personas from an exported file. Names already in the library get a numbered suffix.
+     * @param {string} jsonText - File contents.
+     * @returns {Array<Persona>} The imported personas.
+     * @throws {Error} If the file is not a persona export or contains no valid persona.
+     */
+    importJson(jsonText) {
+        let data;
+        try {
+            data = JSON.parse(jsonText);
+        } catch (error) {
+            throw new Error(`File is not valid JSON: ${error.message}`);
+        }
+        if (data?.format !== PERSONA_EXPORT_FORMAT || !Array.isArray(data.personas)) {
+            throw new Error("File is not a persona export from this app.");
+        }
+        if (data.version > PERSONA_EXPORT_VERSION) {
+            throw new Error(`Persona export version ${data.version} is newer than this app supports (${PERSONA_EXPORT_VERSION}).`);
+        }
+
+        const personas = this._load();
+        const names = new Set(personas.map(persona => persona.name));
+        const imported = [];
+        data.personas.forEach(raw => {
+            let values;
+            try {
+                values = normalizePersona(raw);
+            } catch (error) {
+                console.warn("PersonaLibrary: Skipping invalid persona in import:", error.message, raw);
+                return;
+            }
+            let name = values.name;
+            for (let n = 2; names.has(name); n++) name = `${values.name} (${n})`;
+            names.add(name);
+            imported.push({ id: crypto.randomUUID(), ...values, name, updatedAt: Date.now() });
+        });
+        if (imported.length === 0) throw new Error("The file contains no valid personas.");
+        this._save([...personas, ...imported]);
+        return imported.map(persona => structuredClone(persona));
+    }
+
+    /**
+     * Reads the stored library, creating the "Default" persona if there is none.
+     * @returns {Array<Persona>}
+     * @private
+     */
+    _load() {
+        let personas = [];
+        try {
+            const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            if (Array.isArray(stored)) personas = stored.filter(persona => persona?.id && persona?.name);
+        } catch (error) {
+            console.error("PersonaLibrary: Stored personas are unreadable, starting over:", error);
+        }
+        if (personas.length === 0) {
+            const persona = { id: crypto.randomUUID(), name: 'Default', ...this.fromSettings(), updatedAt: Date.now() };
+            personas = [persona];
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(personas));
+            localStorage.setItem(ACTIVE_KEY, persona.id);
+        }
+        return personas;
+    }
+
+    /**
+     * @param {Array<Persona>} personas
+     * @private
+     */
+    _save(personas) {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(personas));
+        this._announce();
+    }
+
+    /** @private */
+    _announce() {
+        document.dispatchEvent(new CustomEvent('personasChanged', { detail: { activeId: this.activeId } }));
+    }
+}
+
+// Export a single instance (Singleton pattern)
+export default new PersonaLibrary();
@@ -4,6 +4,20 @@
  * and interacting with various settings controls.
  */
 import { settingsTemplate } from './settings-template.js'; // HTML template for the dialog
+import { listCameras } from '../camera/camera.js';
+import { AVAILABLE_MODELS, DEFAULT_MODEL } from '../config/config.js';
+import PersonaLibrary, { SAFETY_SETTING_KEYS } from './persona-library.js';
+import { downloadFile } from '../chat/chat-export.js';
+import StatusManager from '../dom/status-manager.js';
+
+/** Safety slider element (see _cacheElements) for each threshold setting kept with a persona */
+const SAFETY_INPUTS = {
+    harassmentThreshold: 'harassmentInput',
+    hateSpeechThreshold: 'hateSpeechInput',
+    dangerousContentThreshold: 'dangerousInput',
+    sexuallyExplicitThreshold: 'sexualInput',
+    civicIntegrityThreshold: 'civicInput'
+};
 
 class SettingsManager {
     constructor() {
@@ -126,7 +140,15 @@ class SettingsManager {
 
             // API Tab
             apiKeyInput: query('#apiKey'),
+            transcriptionBackendSelect: query('#transcriptionBackend'),
+            transcriptionLanguageInput: query('#transcriptionLanguage'),
+            transcriptionInterimToggle: query('#transcriptionInterimToggle'),
             deepgramApiKeyInput: query('#deepgramApiKey'),
+            deepgramModelInput: query('#deepgramModel'),
+            deepgramKeytermsInput: query('#deepgramKeyterms'),
+            deepgramSmartFormatToggle: query('#deepgramSmartFormatToggle'),
+            deepgramDiarizeToggle: query('#deepgramDiarizeToggle'),
+            transcriptionWebsocketUrlInput: query('#transcriptionWebsocketUrl'),
 
             // UI Tab
             themeToggle: query('#themeToggle'),
@@ -134,9 +156,25 @@ class SettingsManager {
             textSizeValue: query('#textSizeValue'),
             timestampToggle: query('#timestampToggle'),
             speakToggle: query('#speakToggle'),
+            captionsToggle: query('#captionsToggle'),
+            captionFontSizeInput: query('#captionFontSize'),
+            captionFontSizeValue: query('#captionFontSizeValue'),
+            captionPositionSelect: query('#captionPosition'),
 
             // System Tab
+            personaSelect: query('#personaSelect'),
+            personaNameInput: query('#personaName'),
+            personaNewBtn: query('#personaNewBtn'),
+            personaDuplicateBtn: query('#personaDuplicateBtn'),
+            personaDeleteBtn: query('#personaDeleteBtn'),
+            personaImportBtn: query('#personaImportBtn'),
+            personaExportBtn: query('#personaExportBtn'),
+            personaImportInput: query('#personaImportInput'),
+            toolToggles: queryAll('.persona-tools input[data-tool]'),
             systemInstructionsInput: query('#systemInstructions'),
+            translateToggle: query('#translateToggle'),
+            translateSourceSelect: query('#translateSource'),
+            translateTargetSelect: query('#translateTarget'),
 
             // Media Tab
             fpsInput: query('#fps'),
@@ -145,11 +183,26 @@ class SettingsManager {
             resizeWidthValue: query('#resizeWidthValue'),
             qualityInput: query('#quality'),
             qualityValue: query('#qualityValue'),
+            responseModeSelect: query('#responseMode'),
             voiceSelect: query('#voice'),
             sampleRateInput: query('#sampleRate'),
             sampleRateValue: query('#sampleRateValue'),
+            turnTakingSelect: query('#turnTaking'),
+            bargeInToggle: query('#bargeInToggle'),
+            sessionRecordingSelect: query('#sessionRecording'),
+            vadThresholdInput: query('#vadThresholdDb'),
+            vadThresholdValue: query('#vadThresholdDbValue'),
+            vadHangoverInput: query('#vadHangoverMs'),
+            vadHangoverValue: query('#vadHangoverMsValue'),
+            adaptiveCaptureToggle: query('#adaptiveCaptureToggle'),
+            captureKeyframeInput: query('#captureKeyframeSeconds'),
+            captureKeyframeValue: query('#captureKeyframeSecondsValue'),
+            screenOverviewToggle: query('#screenOverviewToggle'),
+            cameraDeviceSelect: query('#cameraDevice'),
+            pictureInPictureToggle: query('#pictureInPictureToggle'),
 
             // Advanced Tab
+            modelSelect: query('#modelSelect'),
             temperatureInput: query('#temperature'),
             temperatureValue: query('#temperatureValue'),
             topPInput: query('#topP'),
@@ -169,6 +222,19 @@ class SettingsManager {
             civicInput: query('#civicIntegrityThreshold'),
             civicValue: query('#civicValue'),
 
+            // Misc Tab
+            reconnectAttemptsInput: query('#reconnectMaxAttempts'),
+            reconnectAttemptsValue: query('#reconnectMaxAttemptsValue'),
+            contextReplayToggle: query('#contextReplayToggle'),
+            contextReplayTurnsInput: query('#contextReplayMaxTurns'),
+            contextReplayTurnsValue: query('#contextReplayMaxTurnsValue'),
+            contextReplayTokensInput: query('#contextReplayMaxTokens'),
+            contextReplayTokensValue: query('#contextReplayMaxTokensValue'),
+            searchProviderSelect: query('#searchProvider'),
+            searchApiKeyInput: query('#searchApiKey'),
+            searchEngineIdInput: query('#searchEngineId'),
+            searchEndpointInput: query('#searchEndpoint'),
+
             // Buttons
             saveBtn: query('#settingsSaveBtn'),
             closeBtn: query('.settings-close-btn') // Also cache close button if needed elsewhere
@@ -242,11 +308,18 @@ class SettingsManager {
             fpsInput: 'fpsValue',
             resizeWidthInput: 'resizeWidthValue',
             qualityInput: 'qualityValue',
+            vadThresholdInput: 'vadThresholdValue',
+            vadHangoverInput: 'vadHangoverValue',
+            captureKeyframeInput: 'captureKeyframeValue',
             harassmentInput: 'harassmentValue',
             hateSpeechInput: 'hateSpeechValue',
             dangerousInput: 'dangerousValue',
             sexualInput: 'sexualValue',
             civicInput: 'civicValue',
+            reconnectAttemptsInput: 'reconnectAttemptsValue',
+            contextReplayTurnsInput: 'contextReplayTurnsValue',
+            contextReplayTokensInput: 'contextReplayTokensValue',
+            captionFontSizeInput: 'captionFontSizeValue',
             textSizeInput: 'textSizeValue' // Include text size here as well
         };
 
@@ -264,6 +337,8 @@ class SettingsManager {
             }
         });
 
+        this._bindPersonaEvents();
+
         // --- Specific Toggle Handlers (if needed beyond saving) ---
         // Example: Theme toggle might apply theme instantly via ThemeManager
         if (this.elements.themeToggle) {
@@ -337,25 +412,54 @@ class SettingsManager {
         try {
             // API Tab
             if (this.elements.apiKeyInput) this.elements.apiKeyInput.value = load('apiKey');
+            if (this.elements.transcriptionBackendSelect) this.elements.transcriptionBackendSelect.value = load('transcriptionBackend', 'deepgram');
+            if (this.elements.transcriptionLanguageInput) this.elements.transcriptionLanguageInput.value = load('transcriptionLanguage', 'en-US');
+            if (this.elements.transcriptionInterimToggle) this.elements.transcriptionInterimToggle.checked = loadBool('transcriptionInterimResults', true);
             if (this.elements.deepgramApiKeyInput) this.elements.deepgramApiKeyInput.value = load('deepgramApiKey');
+            if (this.elements.deepgramModelInput) this.elements.deepgramModelInput.value = load('deepgramModel', 'nova-2');
+            if (this.elements.deepgramKeytermsInput) this.elements.deepgramKeytermsInput.value = load('deepgramKeyterms');
+            if (this.elements.deepgramSmartFormatToggle) this.elements.deepgramSmartFormatToggle.checked = loadBool('deepgramSmartFormat', true);
+            if (this.elements.deepgramDiarizeToggle) this.elements.deepgramDiarizeToggle.checked = loadBool('deepgramDiarize', false);
+            if (this.elements.transcriptionWebsocketUrlInput) this.elements.transcriptionWebsocketUrlInput.value = load('transcriptionWebsocketUrl');
 
             // UI Tab
             if (this.elements.themeToggle) this.elements.themeToggle.checked = loadBool('darkMode');
             if (this.elements.textSizeInput) this.elements.textSizeInput.value = load('textSize', '16');
             if (this.elements.timestampToggle) this.elements.timestampToggle.checked = loadBool('showTimestamps');
             if (this.elements.speakToggle) this.elements.speakToggle.checked = loadBool('speakEnabled');
+            if (this.elements.captionsToggle) this.elements.captionsToggle.checked = loadBool('captionsEnabled', true);
+            if (this.elements.captionFontSizeInput) this.elements.captionFontSizeInput.value = load('captionFontSize', '18');
+            if (this.elements.captionPositionSelect) this.elements.captionPositionSelect.value = load('captionPosition', 'bottom');
 
             // System Tab
+            if (this.elements.personaSelect) this._populatePersonas(PersonaLibrary.activeId);
+            if (this.elements.personaNameInput) this.elements.personaNameInput.value = PersonaLibrary.get(PersonaLibrary.activeId)?.name || '';
             if (this.elements.systemInstructionsInput) this.elements.systemInstructionsInput.value = load('systemInstructions', 'You are a helpful assistant.');
+            this._setToolToggles(PersonaLibrary.fromSettings().tools);
+            if (this.elements.translateToggle) this.elements.translateToggle.checked = loadBool('translateEnabled', false);
+            if (this.elements.translateSourceSelect) this.elements.translateSourceSelect.value = load('translateSource', 'en-US');
+            if (this.elements.translateTargetSelect) this.elements.translateTargetSelect.value = load('translateTarget', 'es-ES');
 
             // Media Tab
             if (this.elements.fpsInput) this.elements.fpsInput.value = load('fps', '5');
             if (this.elements.resizeWidthInput) this.elements.resizeWidthInput.value = load('resizeWidth', '640');
             if (this.elements.qualityInput) this.elements.qualityInput.value = load('quality', '0.4');
+            if (this.elements.responseModeSelect) this.elements.responseModeSelect.value = load('responseMode', 'text');
             if (this.elements.voiceSelect) this.elements.voiceSelect.value = load('voiceName', 'Aoede');
             if (this.elements.sampleRateInput) this.elements.sampleRateInput.value = load('sampleRate', '24000'); // Default often 24k for Gemini models
+            if (this.elements.turnTakingSelect) this.elements.turnTakingSelect.value = load('turnTaking', 'auto');
+            if (this.elements.bargeInToggle) this.elements.bargeInToggle.checked = loadBool('bargeInEnabled', true);
+            if (this.elements.sessionRecordingSelect) this.elements.sessionRecordingSelect.value = load('sessionRecording', 'off');
+            if (this.elements.vadThresholdInput) this.elements.vadThresholdInput.value = load('vadThresholdDb', '10');
+            if (this.elements.vadHangoverInput) this.elements.vadHangoverInput.value = load('vadHangoverMs', '400');
+            if (this.elements.adaptiveCaptureToggle) this.elements.adaptiveCaptureToggle.checked = loadBool('adaptiveCaptureEnabled', true);
+            if (this.elements.captureKeyframeInput) this.elements.captureKeyframeInput.value = load('captureKeyframeSeconds', '10');
+            if (this.elements.screenOverviewToggle) this.elements.screenOverviewToggle.checked = loadBool('screenOverviewEnabled', false);
+            if (this.elements.cameraDeviceSelect) this._populateCameraDevices(load('cameraDeviceId', ''));
+            if (this.elements.pictureInPictureToggle) this.elements.pictureInPictureToggle.checked = loadBool('pictureInPicture', false);
 
             // Advanced Tab
+            if (this.elements.modelSelect) this._populateModels(load('selectedModel', DEFAULT_MODEL));
             if (this.elements.temperatureInput) this.elements.temperatureInput.value = load('temperature', '1.0'); // Adjusted default
             if (this.elements.topPInput) this.elements.topPInput.value = load('top_p', '0.95');
             if (this.elements.topKInput) this.elements.topKInput.value = load('top_k', '40'); // Adjusted default
@@ -367,6 +471,16 @@ class SettingsManager {
             if (this.elements.sexualInput) this.elements.sexualInput.value = load('sexuallyExplicitThreshold', '3');
             if (this.elements.civicInput) this.elements.civicInput.value = load('civicIntegrityThreshold', '3');
 
+            // Misc Tab
+            if (this.elements.reconnectAttemptsInput) this.elements.reconnectAttemptsInput.value = load('reconnectMaxAttempts', '5');
+            if (this.elements.contextReplayToggle) this.elements.contextReplayToggle.checked = loadBool('contextReplayEnabled', true);
+            if (this.elements.contextReplayTurnsInput) this.elements.contextReplayTurnsInput.value = load('contextReplayMaxTurns', '20');
+            if (this.elements.contextReplayTokensInput) this.elements.contextReplayTokensInput.value = load('contextReplayMaxTokens', '4000');
+            if (this.elements.searchProviderSelect) this.elements.searchProviderSelect.value = load('searchProvider', 'local');
+            if (this.elements.searchApiKeyInput) this.elements.searchApiKeyInput.value = load('searchApiKey');
+            if (this.elements.searchEngineIdInput) this.elements.searchEngineIdInput.value = load('searchEngineId');
+            if (this.elements.searchEndpointInput) this.elements.searchEndpointInput.value = load('searchEndpoint');
+
             // Update displayed values (like "16px", "High", etc.)
             this._updateDisplayValues();
             // Apply text size immediately on load
@@ -378,6 +492,180 @@ class SettingsManager {
         }
     }
 
+    /**
+     * Fills the camera select with the connected cameras and selects the saved one.
+     * A saved camera that isn't connected right now stays listed so saving doesn't forget it.
+     * @param {string} savedDeviceId
+     */
+    async _populateCameraDevices(savedDeviceId) {
+        const select = this.elements.cameraDeviceSelect;
+        let cameras = [];
+        try {
+            cameras = await listCameras();
+        } catch (error) {
+            console.warn("Could not list cameras:", error);
+        }
+        select.innerHTML = '<option value="">Default camera</option>';
+        cameras.forEach(({ deviceId, label }) => select.add(new Option(label, deviceId)));
+        if (savedDeviceId && !cameras.some(camera => camera.deviceId === savedDeviceId)) {
+            select.add(new Option('Saved camera (not connected)', savedDeviceId));
+        }
+        select.value = savedDeviceId;
+    }
+
+    /**
+     * Fills the model select from AVAILABLE_MODELS and selects the saved model.
+     * A saved model that isn't in the list stays listed so saving doesn't forget it.
+     * @param {string} savedModel
+     */
+    _populateModels(savedModel) {
+        const select = this.elements.modelSelect;
+        select.innerHTML = '';
+        AVAILABLE_MODELS
+            .filter(model => model.startsWith('models/')) // The list also has each name without the prefix
+            .forEach(model => select.add(new Option(model.replace('models/', ''), model)));
+        if (savedModel && ![...select.options].some(option => option.value === savedModel)) {
+            select.add(new Option(savedModel.replace('models/', ''), savedModel));
+        }
+        select.value = savedModel;
+    }
+
+    /**
+     * Fills the persona select from the library.
+     * @param {string|null} selectedId - null selects an extra, unsaved entry (see PersonaLibrary.draft()).
+     */
+    _populatePersonas(selectedId) {
+        const select = this.elements.personaSelect;
+        const activeId = PersonaLibrary.activeId;
+        select.innerHTML = '';
+        PersonaLibrary.list().forEach(({ id, name }) => {
+            select.add(new Option(id === activeId ? `${name} (active)` : name, id));
+        });
+        if (selectedId === null) select.add(new Option('New persona (not saved)', ''));
+        select.value = selectedId ?? '';
+    }
+
+    /**
+     * Shows a persona's values in the dialog fields; they are stored when the user saves.
+     * @param {import('./persona-library.js').Persona} persona - A stored persona, or a draft that saving adds.
+     */
+    _showPersona(persona) {
+        if (this.elements.personaSelect) this._populatePersonas(persona.id);
+        if (this.elements.personaNameInput) this.elements.personaNameInput.value = persona.name;
+        if (this.elements.systemInstructionsInput) this.elements.systemInstructionsInput.value = persona.systemInstructions;
+        if (this.elements.modelSelect) this._populateModels(persona.model);
+        if (this.elements.voiceSelect) this.elements.voiceSelect.value = persona.voice;
+        if (this.elements.temperatureInput) this.elements.temperatureInput.value = persona.temperature;
+        SAFETY_SETTING_KEYS.forEach(key => {
+            const input = this.elements[SAFETY_INPUTS[key]];
+            if (input) input.value = persona.safety[key];
+        });
+        this._setToolToggles(persona.tools);
+        this._updateDisplayValues();
+    }
+
+    /**
+     * Reads the persona fields from the dialog, including changes not saved yet.
+     * @returns {Object} Values for PersonaLibrary.create()/update().
+     */
+    _personaFromDialog() {
+        const safety = {};
+        SAFETY_SETTING_KEYS.forEach(key => { safety[key] = this.elements[SAFETY_INPUTS[key]]?.value; });
+        const tools = this._enabledToolsFromToggles();
+        return {
+            name: this.elements.personaNameInput?.value.trim(),
+            systemInstructions: this.elements.systemInstructionsInput?.value,
+            model: this.elements.modelSelect?.value,
+            voice: this.elements.voiceSelect?.value,
+            temperature: this.elements.temperatureInput?.value,
+            safety,
+            tools: tools ? JSON.parse(tools) : null
+        };
+    }
+
+    /**
+     * Ticks the tool checkboxes.
+     * @param {Array<string>|null} tools - Enabled tool names; null ticks all.
+     */
+    _setToolToggles(tools) {
+        this.elements.toolToggles?.forEach(toggle => {
+            toggle.checked = !tools || tools.includes(toggle.dataset.tool);
+        });
+    }
+
+    /**
+     * @returns {string|null} JSON list of the ticked tools, or null when all are ticked (so tools
+     *   added later are on too).
+     */
+    _enabledToolsFromToggles() {
+        const toggles = [...(this.elements.toolToggles || [])];
+        if (toggles.every(toggle => toggle.checked)) return null;
+        return JSON.stringify(toggles.filter(toggle => toggle.checked).map(toggle => toggle.dataset.tool));
+    }
+
+    /** Persona select and the New/Duplicate/Delete/Import/Export buttons of the Instructions tab */
+    _bindPersonaEvents() {
+        const { personaSelect, personaNewBtn, personaDuplicateBtn, personaDeleteBtn, personaImportBtn, personaExportBtn, personaImportInput } = this.elements;
+        if (!personaSelect) return;
+
+        personaSelect.addEventListener('change', () => {
+            const persona = PersonaLibrary.get(personaSelect.value);
+            if (persona) this._showPersona(persona);
+        });
+
+        personaNewBtn?.addEventListener('click', () => {
+            // Only a draft until the user saves, so closing the dialog leaves no stray persona behind
+            this._showPersona(PersonaLibrary.draft());
+            this.elements.personaNameInput?.select();
+        });
+
+        personaDuplicateBtn?.addEventListener('click', () => {
+            if (!personaSelect.value) {
+                StatusManager.addStatus("Save the new persona before duplicating it", 3000);
+                return;
+            }
+            // Copies what the dialog shows, so unsaved edits can be kept as a new persona
+            try {
+                this._showPersona(PersonaLibrary.duplicate(personaSelect.value, this._personaFromDialog()));
+            } catch (error) {
+                StatusManager.addStatus(error.message, 3000);
+            }
+        });
+
+        personaDeleteBtn?.addEventListener('click', () => {
+            const persona = PersonaLibrary.get(personaSelect.value);
+            if (!persona || !confirm(`Delete the persona "${persona.name}"? This cannot be undone.`)) return;
+            try {
+                const wasActive = persona.id === PersonaLibrary.activeId;
+                PersonaLibrary.remove(persona.id);
+                // The settings still hold the deleted persona's values; switch them to the one now active
+                if (wasActive) PersonaLibrary.activate(PersonaLibrary.activeId);
+                this._showPersona(PersonaLibrary.get(PersonaLibrary.activeId));
+            } catch (error) {
+                StatusManager.addStatus(error.message, 3000);
+            }
+        });
+
+        personaExportBtn?.addEventListener('click', () => {
+            downloadFile('personas.json', PersonaLibrary.exportJson(), 'application/json');
+        });
+
+        personaImportBtn?.addEventListener('click', () => personaImportInput?.click());
+        personaImportInput?.addEventListener('change', async () => {
+            const file = personaImportInput.files[0];
+            personaImportInput.value = ''; // Allow importing the same file again
+            if (!file) return;
+            try {
+                const imported = PersonaLibrary.importJson(await file.text());
+                this._showPersona(imported[0]);
+                StatusManager.addStatus(`Imported ${imported.length} persona${imported.length === 1 ? '' : 's'}`, 3000);
+            } catch (error) {
+                console.error("SettingsManager: Failed to import personas:", error);
+                StatusManager.addStatus(`Import failed: ${error.message}`, 5000);
+            }
+        });
+    }
+
     /** Applies the current text size setting to the document root. */
     _applyTextSize() {
         if (this.elements.textSizeInput) {
@@ -410,25 +698,52 @@ class SettingsManager {
         try {
             // API Tab
             if (this.elements.apiKeyInput) save('apiKey', this.elements.apiKeyInput.value);
+            if (this.elements.transcriptionBackendSelect) save('transcriptionBackend', this.elements.transcriptionBackendSelect.value);
+            if (this.elements.transcriptionLanguageInput) save('transcriptionLanguage', this.elements.transcriptionLanguageInput.value.trim());
+            if (this.elements.transcriptionInterimToggle) saveBool('transcriptionInterimResults', this.elements.transcriptionInterimToggle.checked);
             if (this.elements.deepgramApiKeyInput) save('deepgramApiKey', this.elements.deepgramApiKeyInput.value);
+            if (this.elements.deepgramModelInput) save('deepgramModel', this.elements.deepgramModelInput.value.trim());
+            if (this.elements.deepgramKeytermsInput) save('deepgramKeyterms', this.elements.deepgramKeytermsInput.value.trim());
+            if (this.elements.deepgramSmartFormatToggle) saveBool('deepgramSmartFormat', this.elements.deepgramSmartFormatToggle.checked);
+            if (this.elements.deepgramDiarizeToggle) saveBool('deepgramDiarize', this.elements.deepgramDiarizeToggle.checked);
+            if (this.elements.transcriptionWebsocketUrlInput) save('transcriptionWebsocketUrl', this.elements.transcriptionWebsocketUrlInput.value.trim());
 
             // UI Tab
             if (this.elements.themeToggle) saveBool('darkMode', this.elements.themeToggle.checked);
             if (this.elements.textSizeInput) save('textSize', this.elements.textSizeInput.value);
             if (this.elements.timestampToggle) saveBool('showTimestamps', this.elements.timestampToggle.checked);
             if (this.elements.speakToggle) saveBool('speakEnabled', this.elements.speakToggle.checked);
+            if (this.elements.captionsToggle) saveBool('captionsEnabled', this.elements.captionsToggle.checked);
+            if (this.elements.captionFontSizeInput) save('captionFontSize', this.elements.captionFontSizeInput.value);
+            if (this.elements.captionPositionSelect) save('captionPosition', this.elements.captionPositionSelect.value);
 
             // System Tab
             if (this.elements.systemInstructionsInput) save('systemInstructions', this.elements.systemInstructionsInput.value);
+            if (this.elements.toolToggles?.length) save('enabledTools', this._enabledToolsFromToggles()); // Removed when all are on
+            if (this.elements.translateToggle) saveBool('translateEnabled', this.elements.translateToggle.checked);
+            if (this.elements.translateSourceSelect) save('translateSource', this.elements.translateSourceSelect.value);
+            if (this.elements.translateTargetSelect) save('translateTarget', this.elements.translateTargetSelect.value);
 
             // Media Tab
             if (this.elements.fpsInput) save('fps', this.elements.fpsInput.value);
             if (this.elements.resizeWidthInput) save('resizeWidth', this.elements.resizeWidthInput.value);
             if (this.elements.qualityInput) save('quality', this.elements.qualityInput.value);
+            if (this.elements.responseModeSelect) save('responseMode', this.elements.responseModeSelect.value);
             if (this.elements.voiceSelect) save('voiceName', this.elements.voiceSelect.value);
             if (this.elements.sampleRateInput) save('sampleRate', this.elements.sampleRateInput.value);
+            if (this.elements.turnTakingSelect) save('turnTaking', this.elements.turnTakingSelect.value);
+            if (this.elements.bargeInToggle) saveBool('bargeInEnabled', this.elements.bargeInToggle.checked);
+            if (this.elements.sessionRecordingSelect) save('sessionRecording', this.elements.sessionRecordingSelect.value);
+            if (this.elements.vadThresholdInput) save('vadThresholdDb', this.elements.vadThresholdInput.value);
+            if (this.elements.vadHangoverInput) save('vadHangoverMs', this.elements.vadHangoverInput.value);
+            if (this.elements.adaptiveCaptureToggle) saveBool('adaptiveCaptureEnabled', this.elements.adaptiveCaptureToggle.checked);
+            if (this.elements.captureKeyframeInput) save('captureKeyframeSeconds', this.elements.captureKeyframeInput.value);
+            if (this.elements.screenOverviewToggle) saveBool('screenOverviewEnabled', this.elements.screenOverviewToggle.checked);
+            if (this.elements.cameraDeviceSelect) save('cameraDeviceId', this.elements.cameraDeviceSelect.value);
+            if (this.elements.pictureInPictureToggle) saveBool('pictureInPicture', this.elements.pictureInPictureToggle.checked);
 
             // Advanced Tab
+            if (this.elements.modelSelect) save('selectedModel', this.elements.modelSelect.value);
             if (this.elements.temperatureInput) save('temperature', this.elements.temperatureInput.value);
             if (this.elements.topPInput) save('top_p', this.elements.topPInput.value);
             if (this.elements.topKInput) save('top_k', this.elements.topKInput.value);
@@ -440,6 +755,27 @@ class SettingsManager {
             if (this.elements.sexualInput) save('sexuallyExplicitThreshold', this.elements.sexualInput.value);
             if (this.elements.civicInput) save('civicIntegrityThreshold', this.elements.civicInput.value);
 
+            // Misc Tab
+            if (this.elements.reconnectAttemptsInput) save('reconnectMaxAttempts', this.elements.reconnectAttemptsInput.value);
+            if (this.elements.contextReplayToggle) saveBool('contextReplayEnabled', this.elements.contextReplayToggle.checked);
+            if (this.elements.contextReplayTurnsInput) save('contextReplayMaxTurns', this.elements.contextReplayTurnsInput.value);
+            if (this.elements.contextReplayTokensInput) save('contextReplayMaxTokens', this.elements.contextReplayTokensInput.value);
+            if (this.elements.searchProviderSelect) save('searchProvider', this.elements.searchProviderSelect.value);
+            if (this.elements.searchApiKeyInput) save('searchApiKey', this.elements.searchApiKeyInput.value.trim());
+            if (this.elements.searchEngineIdInput) save('searchEngineId', this.elements.searchEngineIdInput.value.trim());
+            if (this.elements.searchEndpointInput) save('searchEndpoint', this.elements.searchEndpointInput.value.trim());
+
+            // The selected persona takes the saved values and becomes the active one; a new one is added now
+            const personaSelect = this.elements.personaSelect;
+            const name = this.elements.personaNameInput?.value.trim();
+            const personaValues = { ...PersonaLibrary.fromSettings(), ...(name && { name }) };
+            if (personaSelect && !personaSelect.value) {
+                PersonaLibrary.activate(PersonaLibrary.create(PersonaLibrary.draft(personaValues)).id);
+            } else if (personaSelect && PersonaLibrary.get(personaSelect.value)) {
+                PersonaLibrary.update(personaSelect.value, personaValues);
+                PersonaLibrary.activate(personaSelect.value);
+            }
+
             console.info("Settings saved successfully.");
         } catch (error) {
             console.error("Error occurred during settings save:", error);
@@ -457,12 +793,16 @@ class SettingsManager {
 
         // UI Tab
         if (this.elements.textSizeInput) updateText(this.elements.textSizeValue, `${this.elements.textSizeInput.value}px`);
+        if (this.elements.captionFontSizeInput) updateText(this.elements.captionFontSizeValue, `${this.elements.captionFontSizeInput.value}px`);
 
         // Media Tab
         if (this.elements.sampleRateInput) updateText(this.elements.sampleRateValue, `${this.elements.sampleRateInput.value} Hz`);
         if (this.elements.fpsInput) updateText(this.elements.fpsValue, `${this.elements.fpsInput.value} FPS`);
         if (this.elements.resizeWidthInput) updateText(this.elements.resizeWidthValue, `${this.elements.resizeWidthInput.value}px`);
         if (this.elements.qualityInput) updateText(this.elements.qualityValue, this.elements.qualityInput.value);
+        if (this.elements.vadThresholdInput) updateText(this.elements.vadThresholdValue, `${this.elements.vadThresholdInput.value} dB`);
+        if (this.elements.vadHangoverInput) updateText(this.elements.vadHangoverValue, `${this.elements.vadHangoverInput.value} ms`);
+        if (this.elements.captureKeyframeInput) updateText(this.elements.captureKeyframeValue, `${this.elements.captureKeyframeInput.value} s`);
 
         // Advanced Tab
         if (this.elements.temperatureInput) updateText(this.elements.temperatureValue, this.elements.temperatureInput.value);
@@ -476,6 +816,11 @@ class SettingsManager {
         if (this.elements.dangerousInput) updateText(this.elements.dangerousValue, getLabel(this.elements.dangerousInput.value));
         if (this.elements.sexualInput) updateText(this.elements.sexualValue, getLabel(this.elements.sexualInput.value));
         if (this.elements.civicInput) updateText(this.elements.civicValue, getLabel(this.elements.civicInput.value));
+
+        // Misc Tab
+        if (this.elements.reconnectAttemptsInput) updateText(this.elements.reconnectAttemptsValue, this.elements.reconnectAttemptsInput.value);
+        if (this.elements.contextReplayTurnsInput) updateText(this.elements.contextReplayTurnsValue, this.elements.contextReplayTurnsInput.value);
+        if (this.elements.contextReplayTokensInput) updateText(this.elements.contextReplayTokensValue, this.elements.contextReplayTokensInput.value);
     }
 
     /** Converts a numeric safety threshold value (0-3) to a human-readable label. */
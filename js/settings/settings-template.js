@@ -29,6 +29,29 @@ export const settingsTemplate = `
             </button>
         </div>
     </div>
+    <div class="settings-group">
+        <label for="transcriptionBackend">Transcription Backend</label>
+        <select id="transcriptionBackend" aria-label="Select the speech-to-text backend">
+            <option value="deepgram" selected>Deepgram</option>
+            <option value="web_speech">Browser (Web Speech API)</option>
+            <option value="live_api">Gemini Live API</option>
+            <option value="websocket">Self-hosted (WebSocket)</option>
+        </select>
+        <small>Transcribes your speech and the model's voice for captions and the chat history. The browser backend only transcribes your speech; Gemini Live API uses the session's own transcription.</small>
+    </div>
+    <div class="settings-group">
+        <label for="transcriptionLanguage">Transcription Language</label>
+        <input type="text" id="transcriptionLanguage" placeholder="en-US" autocomplete="off">
+        <small>Language code such as en-US, de or es; "multi" for mixed languages on Deepgram models that support it. Not used by the Gemini Live API backend.</small>
+    </div>
+    <div class="settings-group">
+        <label for="transcriptionInterimToggle">Live Captions</label>
+        <label class="switch">
+            <input type="checkbox" id="transcriptionInterimToggle" aria-label="Toggle live captions while speaking" checked>
+            <span class="slider round"></span>
+        </label>
+        <small>Show words as they are recognised, before the sentence is finished.</small>
+    </div>
     <div class="settings-group">
         <label for="deepgramApiKey">Deepgram API Key (Optional)</label>
         <div class="password-input-container">
@@ -39,7 +62,38 @@ export const settingsTemplate = `
                 </svg>
             </button>
         </div>
-        <small>Used for real-time transcription if enabled.</small>
+        <small>Needed for the Deepgram transcription backend.</small>
+    </div>
+    <div class="settings-group">
+        <label for="deepgramModel">Deepgram Model</label>
+        <input type="text" id="deepgramModel" placeholder="nova-2" autocomplete="off">
+        <small>e.g. nova-3 or nova-2.</small>
+    </div>
+    <div class="settings-group">
+        <label for="deepgramKeyterms">Key Terms</label>
+        <input type="text" id="deepgramKeyterms" placeholder="e.g. Gemini, Kubernetes, Acme" autocomplete="off">
+        <small>Comma-separated names and jargon Deepgram should recognise more reliably (sent as key terms to Nova-3, as keywords to older models).</small>
+    </div>
+    <div class="settings-group">
+        <label for="deepgramSmartFormatToggle">Smart Formatting</label>
+        <label class="switch">
+            <input type="checkbox" id="deepgramSmartFormatToggle" aria-label="Toggle smart formatting of transcripts" checked>
+            <span class="slider round"></span>
+        </label>
+        <small>Write numbers, dates and amounts as digits in Deepgram transcripts.</small>
+    </div>
+    <div class="settings-group">
+        <label for="deepgramDiarizeToggle">Speaker Labels</label>
+        <label class="switch">
+            <input type="checkbox" id="deepgramDiarizeToggle" aria-label="Toggle speaker labels in transcripts">
+            <span class="slider round"></span>
+        </label>
+        <small>Tell apart several people talking into the microphone and label their speech (Deepgram).</small>
+    </div>
+    <div class="settings-group">
+        <label for="transcriptionWebsocketUrl">Transcription Server URL</label>
+        <input type="text" id="transcriptionWebsocketUrl" placeholder="e.g. ws://localhost:9090/transcribe" autocomplete="off">
+        <small>For the self-hosted backend: a WebSocket server that takes 16-bit PCM audio and answers with JSON transcripts (see js/transcribe/websocket.js).</small>
     </div>
 </div>
 
@@ -73,23 +127,127 @@ export const settingsTemplate = `
             <span class="slider round"></span>
         </label>
     </div>
+    <div class="settings-group">
+        <label for="captionsToggle">Live Captions</label>
+        <label class="switch">
+            <input type="checkbox" id="captionsToggle" aria-label="Toggle live captions">
+            <span class="slider round"></span>
+        </label>
+    </div>
+    <div class="settings-group">
+        <label for="captionFontSize">Caption Text Size</label>
+        <div class="slider-container">
+            <input type="range" min="12" max="40" value="18" step="1" id="captionFontSize" aria-labelledby="captionFontSizeLabel">
+            <span id="captionFontSizeValue" aria-live="polite">18px</span>
+        </div>
+         <span id="captionFontSizeLabel" class="visually-hidden">Caption text size control</span>
+    </div>
+    <div class="settings-group">
+        <label for="captionPosition">Caption Position</label>
+        <select id="captionPosition">
+            <option value="bottom">Bottom</option>
+            <option value="top">Top</option>
+        </select>
+    </div>
 </div>
 
 <div class="settings-tab-content" id="system-tab" role="tabpanel" aria-labelledby="system-tab-button">
+    <div class="settings-group">
+        <label for="personaSelect">Persona</label>
+        <select id="personaSelect" aria-label="Select the persona to edit"></select>
+        <div class="persona-actions">
+            <button type="button" id="personaNewBtn">New</button>
+            <button type="button" id="personaDuplicateBtn">Duplicate</button>
+            <button type="button" id="personaDeleteBtn">Delete</button>
+            <button type="button" id="personaImportBtn">Import</button>
+            <button type="button" id="personaExportBtn">Export</button>
+            <input type="file" id="personaImportInput" accept="application/json,.json" hidden>
+        </div>
+        <small>A persona keeps these instructions and tools together with the model and temperature (Model tab), the voice (Media tab) and the safety thresholds. Saving updates the selected persona and switches to it.</small>
+    </div>
+    <div class="settings-group">
+        <label for="personaName">Persona Name</label>
+        <input type="text" id="personaName" placeholder="e.g. Coding tutor">
+    </div>
     <div class="settings-group">
         <label for="systemInstructions">System Instructions</label>
         <textarea id="systemInstructions" rows="8" placeholder="Enter instructions for the AI model (e.g., 'You are a helpful assistant specializing in coding.')">You are a helpful assistant.</textarea>
         <small>Provides context or persona for the AI model.</small>
     </div>
+    <div class="settings-group">
+        <label>Tools</label>
+        <div class="persona-tools">
+            <label><input type="checkbox" data-tool="googleSearch" checked> Google Search</label>
+        </div>
+    </div>
+     <hr style="border-color: var(--button-hover); margin: 20px 0;">
+     <h4 style="margin-bottom: 15px;">Translate Mode</h4>
+    <div class="settings-group">
+        <label for="translateToggle">Translate Everything I Say</label>
+        <label class="switch">
+            <input type="checkbox" id="translateToggle" aria-label="Toggle translate mode">
+            <span class="slider round"></span>
+        </label>
+        <small>Turns the model into an interpreter: each thing you say or type is translated, shown next to the original and spoken in the target language. Replaces the instructions above. Applies on the next connection.</small>
+    </div>
+    <div class="settings-group">
+        <label for="translateSource">I Speak</label>
+        <select id="translateSource" aria-label="Select the language you speak">
+            <option value="en-US" selected>English</option>
+            <option value="es-ES">Spanish</option>
+            <option value="fr-FR">French</option>
+            <option value="de-DE">German</option>
+            <option value="it-IT">Italian</option>
+            <option value="pt-BR">Portuguese</option>
+            <option value="nl-NL">Dutch</option>
+            <option value="pl-PL">Polish</option>
+            <option value="ru-RU">Russian</option>
+            <option value="tr-TR">Turkish</option>
+            <option value="ar-XA">Arabic</option>
+            <option value="hi-IN">Hindi</option>
+            <option value="ja-JP">Japanese</option>
+            <option value="ko-KR">Korean</option>
+            <option value="cmn-CN">Chinese (Mandarin)</option>
+        </select>
+    </div>
+    <div class="settings-group">
+        <label for="translateTarget">Translate Into</label>
+        <select id="translateTarget" aria-label="Select the language to translate into">
+            <option value="en-US">English</option>
+            <option value="es-ES" selected>Spanish</option>
+            <option value="fr-FR">French</option>
+            <option value="de-DE">German</option>
+            <option value="it-IT">Italian</option>
+            <option value="pt-BR">Portuguese</option>
+            <option value="nl-NL">Dutch</option>
+            <option value="pl-PL">Polish</option>
+            <option value="ru-RU">Russian</option>
+            <option value="tr-TR">Turkish</option>
+            <option value="ar-XA">Arabic</option>
+            <option value="hi-IN">Hindi</option>
+            <option value="ja-JP">Japanese</option>
+            <option value="ko-KR">Korean</option>
+            <option value="cmn-CN">Chinese (Mandarin)</option>
+        </select>
+    </div>
 </div>
 
 <div class="settings-tab-content" id="media-tab" role="tabpanel" aria-labelledby="media-tab-button">
     <div class="settings-group">
-        <label for="voice">TTS Voice</label>
-        <select id="voice" aria-label="Select Text-to-Speech Voice">
-            <option value="Puch">Puch</option>
+        <label for="responseMode">Model Response</label>
+        <select id="responseMode" aria-label="Select how the model responds">
+            <option value="text" selected>Text</option>
+            <option value="audio">Audio (native voice)</option>
+            <option value="audio_transcript">Audio with transcript</option>
+        </select>
+        <small>Audio replies use the voice below and are played directly; text replies can be read out by the browser (TTS). Applies on the next connection.</small>
+    </div>
+    <div class="settings-group">
+        <label for="voice">Model Voice</label>
+        <select id="voice" aria-label="Select the model's voice">
+            <option value="Puck">Puck</option>
             <option value="Charon">Charon</option>
-            <option value="Kenrir">Kenrir</option>
+            <option value="Fenrir">Fenrir</option>
             <option value="Kore">Kore</option>
             <option value="Aoede" selected>Aoede</option>
              </select>
@@ -101,10 +259,69 @@ export const settingsTemplate = `
             <span id="sampleRateValue" aria-live="polite">24000 Hz</span>
         </div>
          <span id="sampleRateLabel" class="visually-hidden">Text-to-Speech sample rate control</span>
-         <small>Sample rate for the generated audio from the model (e.g., 16000, 24000 Hz).</small>
+         <small>Playback rate for the model's audio (e.g., 16000, 24000 Hz); used when the server does not state one.</small>
+    </div>
+    <div class="settings-group">
+        <label for="turnTaking">Turn Taking</label>
+        <select id="turnTaking" aria-label="Select how your speaking turns end">
+            <option value="auto" selected>Automatic (model detects when you stop)</option>
+            <option value="push_to_talk">Push-to-talk (hold mic button or Space)</option>
+        </select>
+        <small>Push-to-talk sends your audio only while you hold the mic button or Space, and the model answers when you let go. Useful in noisy rooms. Applies on the next connection.</small>
+    </div>
+    <div class="settings-group">
+        <label for="bargeInToggle">Interrupt Model When I Speak</label>
+        <label class="switch">
+            <input type="checkbox" id="bargeInToggle" aria-label="Toggle barge-in" checked>
+            <span class="slider round"></span>
+        </label>
+        <small>Stops the model's voice (or TTS) as soon as the microphone picks up your voice. Turn off if the model's own audio keeps interrupting it.</small>
+    </div>
+    <div class="settings-group">
+        <label for="vadThresholdDb">Voice Detection Threshold</label>
+        <div class="slider-container">
+            <input type="range" min="3" max="30" value="10" step="1" id="vadThresholdDb" aria-labelledby="vadThresholdDbLabel">
+            <span id="vadThresholdDbValue" aria-live="polite">10 dB</span>
+        </div>
+        <span id="vadThresholdDbLabel" class="visually-hidden">Voice detection threshold above background noise</span>
+        <small>How much louder than the background noise speech must be. Lower it for quiet voices, raise it in noisy rooms.</small>
+    </div>
+    <div class="settings-group">
+        <label for="vadHangoverMs">Speech End Delay</label>
+        <div class="slider-container">
+            <input type="range" min="100" max="2000" value="400" step="50" id="vadHangoverMs" aria-labelledby="vadHangoverMsLabel">
+            <span id="vadHangoverMsValue" aria-live="polite">400 ms</span>
+        </div>
+        <span id="vadHangoverMsLabel" class="visually-hidden">Pause length that ends an utterance</span>
+        <small>How long a pause must last before your speech counts as finished. Applies the next time the microphone starts.</small>
+    </div>
+    <div class="settings-group">
+        <label for="sessionRecording">Record Sessions</label>
+        <select id="sessionRecording" aria-label="Select whether and how sessions are recorded">
+            <option value="off" selected>Off</option>
+            <option value="wav">Audio only (WAV)</option>
+            <option value="webm_audio">Audio only (WebM)</option>
+            <option value="webm_video">Audio + camera/screen (WebM)</option>
+        </select>
+        <small>Records your microphone and the model's voice (and the camera or screen, if chosen) on this device. The file and a chapters file marking each chat message download when you disconnect.</small>
     </div>
      <hr style="border-color: var(--button-hover); margin: 20px 0;">
      <h4 style="margin-bottom: 15px;">Camera & Screen Capture</h4>
+    <div class="settings-group">
+        <label for="cameraDevice">Camera</label>
+        <select id="cameraDevice" aria-label="Select which camera to use">
+            <option value="">Default camera</option>
+        </select>
+        <small>Which camera to use when several are connected (webcams, capture cards). Names show up once camera access has been granted.</small>
+    </div>
+    <div class="settings-group">
+        <label for="pictureInPictureToggle">Camera Picture-in-Picture</label>
+        <label class="switch">
+            <input type="checkbox" id="pictureInPictureToggle" aria-label="Toggle camera picture-in-picture">
+            <span class="slider round"></span>
+        </label>
+        <small>While sharing both camera and screen, send one combined picture with the camera in the corner of the screen instead of two separate streams.</small>
+    </div>
     <div class="settings-group">
         <label for="fps">Capture FPS (Frames Per Second)</label>
         <div class="slider-container">
@@ -132,9 +349,39 @@ export const settingsTemplate = `
          <span id="qualityLabel" class="visually-hidden">JPEG quality for captured frames</span>
          <small>Quality for captured JPEG images (0.1 lowest - 1.0 highest).</small>
     </div>
+    <div class="settings-group">
+        <label for="adaptiveCaptureToggle">Adaptive Capture</label>
+        <label class="switch">
+            <input type="checkbox" id="adaptiveCaptureToggle" aria-label="Toggle adaptive capture" checked>
+            <span class="slider round"></span>
+        </label>
+        <small>Only sends frames when the picture changes (or right after you speak or type), and lowers size and quality when the connection is slow. Saves a lot of tokens during long screen shares.</small>
+    </div>
+    <div class="settings-group">
+        <label for="captureKeyframeSeconds">Unchanged Frame Interval</label>
+        <div class="slider-container">
+            <input type="range" min="2" max="60" value="10" step="1" id="captureKeyframeSeconds" aria-labelledby="captureKeyframeSecondsLabel">
+            <span id="captureKeyframeSecondsValue" aria-live="polite">10 s</span>
+        </div>
+        <span id="captureKeyframeSecondsLabel" class="visually-hidden">Seconds between frames while nothing changes</span>
+        <small>With adaptive capture, how often a frame is still sent while nothing changes.</small>
+    </div>
+    <div class="settings-group">
+        <label for="screenOverviewToggle">Screen Region Overview</label>
+        <label class="switch">
+            <input type="checkbox" id="screenOverviewToggle" aria-label="Toggle screen region overview">
+            <span class="slider round"></span>
+        </label>
+        <small>When you've selected a region on the screen preview (⛶), also send a small picture of the whole screen every few seconds so the model knows where the region is.</small>
+    </div>
 </div>
 
 <div class="settings-tab-content" id="advanced-tab" role="tabpanel" aria-labelledby="advanced-tab-button">
+    <div class="settings-group">
+        <label for="modelSelect">Model</label>
+        <select id="modelSelect" aria-label="Select the Live model"></select>
+        <small>Applies on the next connection.</small>
+    </div>
     <div class="settings-group">
         <label for="temperature">Temperature</label>
         <div class="slider-container">
@@ -212,9 +459,68 @@ export const settingsTemplate = `
 
 <div class="settings-tab-content" id="misc-tab" role="tabpanel" aria-labelledby="misc-tab-button">
     <div class="settings-group">
-        <h3>Miscellaneous Options</h3>
-        <p>Placeholder for future settings.</p>
+        <label for="reconnectMaxAttempts">Auto-Reconnect Attempts</label>
+        <div class="slider-container">
+            <input type="range" min="0" max="20" value="5" step="1" id="reconnectMaxAttempts" aria-labelledby="reconnectMaxAttemptsLabel">
+            <span id="reconnectMaxAttemptsValue" aria-live="polite">5</span>
+        </div>
+        <span id="reconnectMaxAttemptsLabel" class="visually-hidden">Maximum automatic reconnect attempts</span>
+        <small>How many times to retry (with increasing delays) when the connection drops. 0 disables auto-reconnect.</small>
+    </div>
+    <div class="settings-group">
+        <label for="contextReplayToggle">Replay Chat Context in New Sessions</label>
+        <label class="switch">
+            <input type="checkbox" id="contextReplayToggle" aria-label="Toggle chat context replay" checked>
+            <span class="slider round"></span>
+        </label>
+        <small>After a model change or a reconnect that could not resume, send recent messages so the model remembers the chat.</small>
+    </div>
+    <div class="settings-group">
+        <label for="contextReplayMaxTurns">Context Budget (Messages)</label>
+        <div class="slider-container">
+            <input type="range" min="1" max="100" value="20" step="1" id="contextReplayMaxTurns" aria-labelledby="contextReplayMaxTurnsLabel">
+            <span id="contextReplayMaxTurnsValue" aria-live="polite">20</span>
+        </div>
+        <span id="contextReplayMaxTurnsLabel" class="visually-hidden">Maximum recent messages replayed</span>
+    </div>
+    <div class="settings-group">
+        <label for="contextReplayMaxTokens">Context Budget (Tokens)</label>
+        <div class="slider-container">
+            <input type="range" min="500" max="32000" value="4000" step="500" id="contextReplayMaxTokens" aria-labelledby="contextReplayMaxTokensLabel">
+            <span id="contextReplayMaxTokensValue" aria-live="polite">4000</span>
         </div>
+        <span id="contextReplayMaxTokensLabel" class="visually-hidden">Approximate token budget for replayed context</span>
+        <small>Older messages beyond the budget are shortened to their first sentence.</small>
+    </div>
+    <div class="settings-group">
+        <label for="searchProvider">Search Provider</label>
+        <select id="searchProvider" aria-label="Select search backend for the search tool">
+            <option value="local" selected>Local fixture server</option>
+            <option value="customSearch">Google Custom Search</option>
+            <option value="serpapi">SerpApi</option>
+        </select>
+        <small>Backend used when the model calls the search tool.</small>
+    </div>
+    <div class="settings-group">
+        <label for="searchApiKey">Search API Key</label>
+        <div class="password-input-container">
+            <input type="password" id="searchApiKey" placeholder="Custom Search or SerpApi key" autocomplete="off">
+            <button type="button" class="password-toggle-btn" aria-label="Toggle password visibility">
+                <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" width="18" height="18">
+                    <path d="M12 4C7 4 2.73 7.11 1 12c1.73 4.89 6 8 11 8s9.27-3.11 11-8c-1.73-4.89-6-8-11-8zm0 14c-3.79 0-7.17-2.13-9-5.5 1.83-3.37 5.21-5.5 9-5.5s7.17 2.13 9 5.5c-1.83 3.37-5.21 5.5-9 5.5zm0-10a4.5 4.5 0 1 0 0 9 4.5 4.5 0 0 0 0-9zm0 7a2.5 2.5 0 1 1 0-5 2.5 2.5 0 0 1 0 5z" fill="currentColor"/>
+                </svg>
+            </button>
+        </div>
+    </div>
+    <div class="settings-group">
+        <label for="searchEngineId">Search Engine ID (cx)</label>
+        <input type="text" id="searchEngineId" placeholder="Only needed for Google Custom Search" autocomplete="off">
+    </div>
+    <div class="settings-group">
+        <label for="searchEndpoint">Search Endpoint (Optional)</label>
+        <input type="text" id="searchEndpoint" placeholder="e.g. http://localhost:8787/search" autocomplete="off">
+        <small>Overrides the provider's default URL, e.g. for a proxy or the local fixture server.</small>
+    </div>
 </div>
 
 <div class="settings-tab-content" id="about-tab" role="tabpanel" aria-labelledby="about-tab-button">
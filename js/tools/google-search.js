@@ -1,87 +1,81 @@
+import { getSearchConfig } from '../config/config.js';
+import { createSearchProvider, MAX_SEARCH_RESULTS } from './search-providers.js';
+
+/**
+ * Web search tool for the Gemini agent. The actual search is delegated to a
+ * provider (Custom Search, SerpApi or a local fixture server) chosen in settings.
+ */
 export class GoogleSearchTool {
+    /**
+     * @param {Object} [options]
+     * @param {Function} [options.getProvider] - Returns the provider to use. Defaults to the one selected in settings,
+     *   resolved on every call so settings changes apply without re-registering the tool.
+     */
+    constructor({ getProvider } = {}) {
+        this.getProvider = getProvider || (() => createSearchProvider(getSearchConfig()));
+    }
 
     /**
      * Returns the declaration for this tool to be sent to the Gemini API.
-     * Currently only includes the name. Add parameters if the API requires them.
-     * @returns {{name: string}} Tool declaration object.
+     * @returns {Object} Tool declaration object.
      */
     getDeclaration() {
-        // This basic declaration assumes the Gemini API understands
-        // how to provide arguments (like a query) based on context
-        // or if the model is specifically trained for this tool name.
-        // You might need to add parameter descriptions if required by the API, e.g.:
-        /*
         return {
             name: 'googleSearch',
-            description: 'Performs a Google search and returns results.',
+            description: 'Searches the web and returns a numbered list of results (title, url, snippet). ' +
+                'Use it for current events or facts you are unsure about. ' +
+                'When using a result in your answer, cite it by its number in square brackets, e.g. [1].',
             parameters: {
                 type: 'object',
                 properties: {
                     query: {
                         type: 'string',
                         description: 'The search query.'
+                    },
+                    numResults: {
+                        type: 'integer',
+                        description: `Number of results to return (1-${MAX_SEARCH_RESULTS}). Defaults to 5.`,
+                        minimum: 1,
+                        maximum: MAX_SEARCH_RESULTS
+                    },
+                    siteFilter: {
+                        type: 'string',
+                        description: 'Optional domain to restrict results to, e.g. "wikipedia.org".'
                     }
                 },
                 required: ['query']
             }
         };
-        */
-        return {
-            name: 'googleSearch',
-            description: 'Performs a Google search for the given query.' // Added basic description
-        };
     }
 
     /**
-     * Executes the Google Search tool.
-     * NOTE: This is a placeholder implementation. You need to replace the
-     * logic inside with actual code to perform a Google Search
-     * (e.g., using a server-side API call or a browser extension API).
+     * Executes the search through the configured provider.
      * @param {Object} args - Arguments provided by the Gemini API based on the declaration.
-     * @param {string} [args.query] - The search query (assuming API provides it like this).
-     * @returns {Promise<string|Object>} A promise resolving to the search results (or an error object).
+     * @param {string} args.query - The search query.
+     * @param {number} [args.numResults=5] - Number of results to return.
+     * @param {string} [args.siteFilter] - Domain to restrict results to.
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Aborts the request if the call is cancelled.
+     * @returns {Promise<{query: string, provider: string, results: Array<{index: number, title: string, url: string, snippet: string}>}>}
      */
-    async execute(args) {
-        console.log('GoogleSearchTool executing with args:', args);
-        const query = args?.query; // Safely access query property
+    async execute(args, { signal } = {}) {
+        const query = args?.query?.trim();
 
         if (!query) {
             console.error('GoogleSearchTool Error: No query provided in args.');
-            // Return an error structure suitable for the Gemini API's tool response format
-            return Promise.reject(new Error("No search query was provided for Google Search."));
-            // Or return a structured error if the API expects that:
-            // return { error: "No search query was provided." };
+            throw new Error("No search query was provided for Google Search.");
         }
 
-        console.log(`Placeholder: Intended Google Search for query: "${query}"`);
-
-        // --- Placeholder Logic ---
-        // Replace this section with your actual Google Search implementation.
-        // This could involve:
-        // 1. Making a fetch request to your own backend server, which then calls a Google Search API (like SerpApi, Google Custom Search JSON API, etc.).
-        // 2. If running as a browser extension, potentially using extension APIs to interact with search results (less common for this type of integration).
-
-        // Simulate network delay
-        await new Promise(resolve => setTimeout(resolve, 500));
+        const provider = this.getProvider();
+        const numResults = Math.min(Math.max(parseInt(args.numResults, 10) || 5, 1), MAX_SEARCH_RESULTS);
+        const results = await provider.search({ query, numResults, siteFilter: args.siteFilter }, { signal });
 
-        // Return a placeholder response. The actual format depends on what the
-        // Gemini model expects to receive back from this tool. It might expect
-        // a simple string summary, a list of results (URLs, snippets), etc.
-        // Returning a simple string for now.
-        const placeholderResult = `Placeholder: Google Search for "${query}" was not performed. Implement actual search logic here.`;
-
-        // You might need to structure the result, e.g.:
-        /*
-        const placeholderResult = {
-            summary: `Search results for "${query}" need implementation.`,
-            results: [
-                { title: "Placeholder Result 1", url: "#", snippet: "Implement search logic." },
-                { title: "Placeholder Result 2", url: "#", snippet: "Replace this placeholder." }
-            ]
+        console.debug(`GoogleSearchTool: ${provider.name} returned ${results.length} result(s).`);
+        return {
+            query,
+            provider: provider.name,
+            // Numbered so the model can cite them and the chat can match the citations back
+            results: results.map((result, i) => ({ index: i + 1, ...result }))
         };
-        */
-
-        console.log('GoogleSearchTool returning placeholder result.');
-        return placeholderResult; // Resolve the promise with the placeholder result
     }
-}
\ No newline at end of file
+}
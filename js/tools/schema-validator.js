@@ -0,0 +1,256 @@
+/**
+ * Validation for tool declarations and function call arguments against the
+ * OpenAPI-subset schema accepted by the Gemini API (type, format, description,
+ * nullable, enum, properties, required, items, and basic range/length limits).
+ */
+
+/** Schema types accepted by the API (matched case-insensitively, e.g. "STRING" or "string") */
+const SCHEMA_TYPES = ['string', 'number', 'integer', 'boolean', 'array', 'object'];
+
+/** Schema keywords the API understands; anything else is reported as unsupported */
+const SCHEMA_KEYWORDS = [
+    'type', 'format', 'description', 'nullable', 'enum', 'properties', 'required',
+    'items', 'minItems', 'maxItems', 'minimum', 'maximum', 'minLength', 'maxLength',
+    'pattern', 'propertyOrdering', 'title', 'default', 'example', 'anyOf'
+];
+
+/** Function names must start with a letter or underscore, max 64 chars (API limit) */
+const FUNCTION_NAME_PATTERN = /^[a-zA-Z_][a-zA-Z0-9_.-]{0,63}$/;
+
+/**
+ * Normalizes a schema `type` value to lower case, or returns null if missing/invalid.
+ * @param {*} type - The raw type value.
+ * @returns {string|null}
+ */
+function normalizeType(type) {
+    return typeof type === 'string' && SCHEMA_TYPES.includes(type.toLowerCase()) ? type.toLowerCase() : null;
+}
+
+/**
+ * Checks that a schema object is itself well formed.
+ * @param {Object} schema - The schema to check.
+ * @param {string} path - Path of the schema inside the declaration, used in error messages.
+ * @param {Array<{path: string, message: string}>} errors - Collected errors (mutated).
+ */
+function checkSchema(schema, path, errors) {
+    if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+        errors.push({ path, message: 'Schema must be an object.' });
+        return;
+    }
+
+    Object.keys(schema).forEach(key => {
+        if (!SCHEMA_KEYWORDS.includes(key)) {
+            errors.push({ path: `${path}.${key}`, message: `Unsupported schema keyword "${key}".` });
+        }
+    });
+
+    if (Array.isArray(schema.anyOf)) {
+        schema.anyOf.forEach((option, i) => checkSchema(option, `${path}.anyOf[${i}]`, errors));
+        return;
+    }
+
+    const type = normalizeType(schema.type);
+    if (!type) {
+        errors.push({ path: `${path}.type`, message: `Invalid or missing type "${schema.type}". Expected one of: ${SCHEMA_TYPES.join(', ')}.` });
+        return;
+    }
+
+    if (schema.enum !== undefined) {
+        if (!Array.isArray(schema.enum) || schema.enum.length === 0) {
+            errors.push({ path: `${path}.enum`, message: 'enum must be a non-empty array.' });
+        } else if (type === 'string' && schema.enum.some(v => typeof v !== 'string')) {
+            errors.push({ path: `${path}.enum`, message: 'enum values of a string schema must be strings.' });
+        }
+    }
+
+    if (type === 'object' && schema.properties !== undefined) {
+        if (!schema.properties || typeof schema.properties !== 'object' || Array.isArray(schema.properties)) {
+            errors.push({ path: `${path}.properties`, message: 'properties must be an object.' });
+        } else {
+            Object.entries(schema.properties).forEach(([key, propSchema]) => {
+                checkSchema(propSchema, `${path}.properties.${key}`, errors);
+            });
+        }
+    }
+
+    if (schema.required !== undefined) {
+        if (!Array.isArray(schema.required) || schema.required.some(r => typeof r !== 'string')) {
+            errors.push({ path: `${path}.required`, message: 'required must be an array of property names.' });
+        } else {
+            schema.required
+                .filter(key => !schema.properties || !(key in schema.properties))
+                .forEach(key => errors.push({ path: `${path}.required`, message: `Required property "${key}" is not defined in properties.` }));
+        }
+    }
+
+    if (type === 'array') {
+        if (!schema.items) {
+            errors.push({ path: `${path}.items`, message: 'Array schemas must define items.' });
+        } else {
+            checkSchema(schema.items, `${path}.items`, errors);
+        }
+    }
+}
+
+/**
+ * Validates a function declaration before it is sent to the API in the setup message.
+ * @param {Object} declaration - The declaration returned by a tool's getDeclaration().
+ * @returns {Array<{path: string, message: string}>} List of problems; empty when valid.
+ */
+export function validateDeclaration(declaration) {
+    const errors = [];
+    if (!declaration || typeof declaration !== 'object') {
+        return [{ path: 'declaration', message: 'Declaration must be an object.' }];
+    }
+
+    if (typeof declaration.name !== 'string' || !FUNCTION_NAME_PATTERN.test(declaration.name)) {
+        errors.push({ path: 'name', message: `Invalid function name "${declaration.name}". Use letters, digits, _, . or - (max 64 chars, not starting with a digit).` });
+    }
+    if (declaration.description !== undefined && typeof declaration.description !== 'string') {
+        errors.push({ path: 'description', message: 'description must be a string.' });
+    }
+    if (declaration.parameters !== undefined) {
+        checkSchema(declaration.parameters, 'parameters', errors);
+        if (normalizeType(declaration.parameters?.type) !== 'object') {
+            errors.push({ path: 'parameters.type', message: 'Top-level parameters schema must be of type object.' });
+        }
+    }
+    return errors;
+}
+
+/**
+ * Returns the JSON type name of a value as used in error messages.
+ * @param {*} value
+ * @returns {string}
+ */
+function describeType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+/**
+ * Validates a value against a (previously checked) schema.
+ * @param {*} value - The value to validate.
+ * @param {Object} schema - The schema to validate against.
+ * @param {string} path - Path of the value, used in error messages.
+ * @param {Array<{path: string, message: string}>} errors - Collected errors (mutated).
+ */
+function checkValue(value, schema, path, errors) {
+    if (Array.isArray(schema.anyOf)) {
+        const matches = schema.anyOf.some(option => {
+            const optionErrors = [];
+            checkValue(value, option, path, optionErrors);
+            return optionErrors.length === 0;
+        });
+        if (!matches) errors.push({ path, message: 'Value does not match any of the allowed schemas.' });
+        return;
+    }
+
+    if (value === null || value === undefined) {
+        if (!schema.nullable) errors.push({ path, message: 'Value must not be null.' });
+        return;
+    }
+
+    const type = normalizeType(schema.type);
+    switch (type) {
+        case 'string':
+            if (typeof value !== 'string') {
+                errors.push({ path, message: `Expected string, got ${describeType(value)}.` });
+                return;
+            }
+            if (schema.minLength !== undefined && value.length < schema.minLength) {
+                errors.push({ path, message: `String must be at least ${schema.minLength} characters long.` });
+            }
+            if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+                errors.push({ path, message: `String must be at most ${schema.maxLength} characters long.` });
+            }
+            if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+                errors.push({ path, message: `String does not match pattern ${schema.pattern}.` });
+            }
+            break;
+        case 'integer':
+        case 'number':
+            if (typeof value !== 'number' || Number.isNaN(value)) {
+                errors.push({ path, message: `Expected ${type}, got ${describeType(value)}.` });
+                return;
+            }
+            if (type === 'integer' && !Number.isInteger(value)) {
+                errors.push({ path, message: `Expected integer, got ${value}.` });
+            }
+            if (schema.minimum !== undefined && value < schema.minimum) {
+                errors.push({ path, message: `Value must be >= ${schema.minimum}.` });
+            }
+            if (schema.maximum !== undefined && value > schema.maximum) {
+                errors.push({ path, message: `Value must be <= ${schema.maximum}.` });
+            }
+            break;
+        case 'boolean':
+            if (typeof value !== 'boolean') {
+                errors.push({ path, message: `Expected boolean, got ${describeType(value)}.` });
+                return;
+            }
+            break;
+        case 'array':
+            if (!Array.isArray(value)) {
+                errors.push({ path, message: `Expected array, got ${describeType(value)}.` });
+                return;
+            }
+            if (schema.minItems !== undefined && value.length < schema.minItems) {
+                errors.push({ path, message: `Array must contain at least ${schema.minItems} item(s).` });
+            }
+            if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+                errors.push({ path, message: `Array must contain at most ${schema.maxItems} item(s).` });
+            }
+            if (schema.items) {
+                value.forEach((item, i) => checkValue(item, schema.items, `${path}[${i}]`, errors));
+            }
+            break;
+        case 'object': {
+            if (typeof value !== 'object' || Array.isArray(value)) {
+                errors.push({ path, message: `Expected object, got ${describeType(value)}.` });
+                return;
+            }
+            const properties = schema.properties || {};
+            (schema.required || []).forEach(key => {
+                if (value[key] === undefined) {
+                    errors.push({ path: `${path}.${key}`, message: 'Missing required property.' });
+                }
+            });
+            Object.entries(value).forEach(([key, propValue]) => {
+                if (properties[key]) {
+                    checkValue(propValue, properties[key], `${path}.${key}`, errors);
+                } else if (schema.properties) {
+                    errors.push({ path: `${path}.${key}`, message: `Unknown property. Allowed: ${Object.keys(properties).join(', ') || '(none)'}.` });
+                }
+            });
+            break;
+        }
+        default:
+            errors.push({ path, message: `Schema has invalid type "${schema.type}".` });
+            return;
+    }
+
+    if (Array.isArray(schema.enum) && !schema.enum.includes(value)) {
+        errors.push({ path, message: `Value must be one of: ${schema.enum.join(', ')}.` });
+    }
+}
+
+/**
+ * Validates function call arguments against a declaration's parameters schema.
+ * A declaration without parameters only accepts empty or missing args.
+ * @param {Object} [parametersSchema] - The `parameters` schema of the declaration.
+ * @param {Object} [args] - The `functionCall.args` received from the model.
+ * @returns {Array<{path: string, message: string}>} List of problems; empty when valid.
+ */
+export function validateArgs(parametersSchema, args) {
+    const errors = [];
+    if (!parametersSchema) {
+        if (args && typeof args === 'object' && Object.keys(args).length > 0) {
+            errors.push({ path: 'args', message: 'This function takes no arguments.' });
+        }
+        return errors;
+    }
+    checkValue(args ?? {}, parametersSchema, 'args', errors);
+    return errors;
+}
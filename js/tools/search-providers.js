@@ -0,0 +1,166 @@
+/**
+ * Search backends for GoogleSearchTool. Every provider implements
+ * `search({ query, numResults, siteFilter }, { signal })` and resolves to an
+ * array of `{ title, url, snippet }` results, so the tool doesn't need to know
+ * which service answered.
+ */
+
+/** Upper bound for results per search (Custom Search JSON API maximum) */
+export const MAX_SEARCH_RESULTS = 10;
+
+/**
+ * Builds the query string sent to the backend, restricting it to a site if requested.
+ * @param {string} query - The raw query.
+ * @param {string} [siteFilter] - Domain to restrict results to (e.g. "developer.mozilla.org").
+ * @returns {string}
+ */
+function buildQuery(query, siteFilter) {
+    const site = siteFilter?.trim().replace(/^https?:\/\//, '').replace(/\/.*$/, '');
+    return site ? `${query} site:${site}` : query;
+}
+
+/**
+ * Fetches JSON from a URL, turning HTTP errors into Errors with the status in the message.
+ * @param {string} url - The URL to fetch.
+ * @param {AbortSignal} [signal] - Optional abort signal.
+ * @param {string} providerName - Used in error messages.
+ * @returns {Promise<Object>}
+ */
+async function fetchJSON(url, signal, providerName) {
+    const response = await fetch(url, { signal, headers: { 'Accept': 'application/json' } });
+    if (!response.ok) {
+        let detail = '';
+        try { detail = (await response.json())?.error?.message || ''; } catch { /* body is not JSON */ }
+        throw new Error(`${providerName} request failed (HTTP ${response.status})${detail ? `: ${detail}` : ''}`);
+    }
+    return response.json();
+}
+
+/**
+ * Normalizes a raw result into the `{ title, url, snippet }` shape, dropping entries without a URL.
+ * @param {Array<Object>} items - Raw results.
+ * @param {Function} map - Maps a raw result to `{ title, url, snippet }`.
+ * @param {number} limit - Maximum number of results to keep.
+ * @returns {Array<{title: string, url: string, snippet: string}>}
+ */
+function normalizeResults(items, map, limit) {
+    return (Array.isArray(items) ? items : [])
+        .map(map)
+        .filter(result => result.url)
+        .slice(0, limit)
+        .map(({ title, url, snippet }) => ({
+            title: String(title || url),
+            url: String(url),
+            snippet: String(snippet || '').replace(/\s+/g, ' ').trim()
+        }));
+}
+
+/**
+ * Google Programmable Search (Custom Search JSON API).
+ * Needs an API key and a search engine ID (cx).
+ */
+export class CustomSearchProvider {
+    /**
+     * @param {Object} config
+     * @param {string} config.apiKey - Custom Search API key.
+     * @param {string} config.engineId - Programmable Search Engine ID (cx).
+     * @param {string} [config.endpoint] - Override for the API endpoint (e.g. a proxy).
+     */
+    constructor({ apiKey, engineId, endpoint } = {}) {
+        this.name = 'Custom Search';
+        this.apiKey = apiKey;
+        this.engineId = engineId;
+        this.endpoint = endpoint || 'https://www.googleapis.com/customsearch/v1';
+    }
+
+    async search({ query, numResults = 5, siteFilter }, { signal } = {}) {
+        if (!this.apiKey || !this.engineId) {
+            throw new Error("Custom Search is not configured. Add an API key and search engine ID in Settings > Misc.");
+        }
+        const params = new URLSearchParams({
+            key: this.apiKey,
+            cx: this.engineId,
+            q: buildQuery(query, siteFilter),
+            num: String(Math.min(numResults, MAX_SEARCH_RESULTS))
+        });
+        const data = await fetchJSON(`${this.endpoint}?${params}`, signal, this.name);
+        return normalizeResults(data.items, item => ({ title: item.title, url: item.link, snippet: item.snippet }), numResults);
+    }
+}
+
+/**
+ * SerpApi-style endpoint (`/search.json?engine=google&q=...&api_key=...`).
+ * Also works with self-hosted services that mimic its `organic_results` response.
+ */
+export class SerpApiProvider {
+    /**
+     * @param {Object} config
+     * @param {string} config.apiKey - SerpApi key.
+     * @param {string} [config.endpoint] - Override for the API endpoint.
+     */
+    constructor({ apiKey, endpoint } = {}) {
+        this.name = 'SerpApi';
+        this.apiKey = apiKey;
+        this.endpoint = endpoint || 'https://serpapi.com/search.json';
+    }
+
+    async search({ query, numResults = 5, siteFilter }, { signal } = {}) {
+        if (!this.apiKey) {
+            throw new Error("SerpApi is not configured. Add an API key in Settings > Misc.");
+        }
+        const params = new URLSearchParams({
+            engine: 'google',
+            api_key: this.apiKey,
+            q: buildQuery(query, siteFilter),
+            num: String(Math.min(numResults, MAX_SEARCH_RESULTS))
+        });
+        const data = await fetchJSON(`${this.endpoint}?${params}`, signal, this.name);
+        return normalizeResults(data.organic_results, item => ({ title: item.title, url: item.link, snippet: item.snippet }), numResults);
+    }
+}
+
+/**
+ * Local stand-in backed by a JSON fixture server, for development and offline demos.
+ * `GET <endpoint>?q=...&num=...&site=...` must return either an array of results
+ * or `{ results: [...] }`, each with `title`, `url` (or `link`) and `snippet`.
+ */
+export class LocalFixtureProvider {
+    /**
+     * @param {Object} config
+     * @param {string} [config.endpoint] - URL of the fixture server's search route.
+     */
+    constructor({ endpoint } = {}) {
+        this.name = 'Local fixture';
+        this.endpoint = endpoint || 'http://localhost:8787/search';
+    }
+
+    async search({ query, numResults = 5, siteFilter }, { signal } = {}) {
+        const params = new URLSearchParams({ q: query, num: String(numResults) });
+        if (siteFilter) params.set('site', siteFilter);
+        const data = await fetchJSON(`${this.endpoint}?${params}`, signal, this.name);
+        const items = Array.isArray(data) ? data : data?.results;
+        return normalizeResults(items, item => ({ title: item.title, url: item.url || item.link, snippet: item.snippet }), numResults);
+    }
+}
+
+/** Provider IDs as stored in settings, mapped to their classes */
+export const SEARCH_PROVIDERS = {
+    customSearch: CustomSearchProvider,
+    serpapi: SerpApiProvider,
+    local: LocalFixtureProvider
+};
+
+/**
+ * Creates the provider selected in settings.
+ * @param {Object} config - Search configuration (see getSearchConfig in config.js).
+ * @param {string} config.provider - One of the SEARCH_PROVIDERS keys.
+ * @returns {CustomSearchProvider|SerpApiProvider|LocalFixtureProvider}
+ * @throws {Error} If the provider ID is unknown.
+ */
+export function createSearchProvider(config = {}) {
+    const ProviderClass = SEARCH_PROVIDERS[config.provider];
+    if (!ProviderClass) {
+        throw new Error(`Unknown search provider "${config.provider}". Expected one of: ${Object.keys(SEARCH_PROVIDERS).join(', ')}.`);
+    }
+    return new ProviderClass(config);
+}
@@ -1,3 +1,5 @@
+import { validateDeclaration, validateArgs } from './schema-validator.js';
+
 /**
  * Manages the registration and execution of tools that can be called by the Gemini agent.
  * Tools must provide specific methods (`getDeclaration`, `execute`) to be compatible.
@@ -17,7 +19,7 @@ export class ToolManager {
      * The tool instance must implement `getDeclaration()` and `execute()` methods.
      * @param {string} name - The unique name identifying the tool (must match the name in the declaration).
      * @param {Object} toolInstance - An instance of the tool class/object.
-     * @throws {Error} If the name is invalid or the tool instance is missing required methods.
+     * @throws {Error} If the name is invalid, the tool instance is missing required methods, or its declaration fails schema validation.
      */
     registerTool(name, toolInstance) {
         // Validate input name
@@ -31,6 +33,17 @@ export class ToolManager {
             throw new Error(`Tool instance for "${name}" must implement getDeclaration() and execute() methods.`);
         }
 
+        // Validate the declaration against the schema subset the API accepts
+        const declaration = toolInstance.getDeclaration();
+        const declarationErrors = validateDeclaration(declaration);
+        if (declaration?.name !== name) {
+            declarationErrors.push({ path: 'name', message: `Declaration name "${declaration?.name}" does not match registered name "${name}".` });
+        }
+        if (declarationErrors.length > 0) {
+            console.error(`ToolManager.registerTool Error: Declaration for "${name}" is invalid:`, declarationErrors);
+            throw new Error(`Invalid declaration for tool "${name}": ${declarationErrors.map(e => `${e.path}: ${e.message}`).join('; ')}`);
+        }
+
         // Check if tool with the same name is already registered
         if (this.tools.has(name)) {
             console.warn(`ToolManager.registerTool Warning: Tool "${name}" is already registered. Overwriting previous registration.`);
@@ -45,9 +58,10 @@ export class ToolManager {
     /**
      * Collects and returns the declarations from all registered tools.
      * These declarations are typically sent to the Gemini API during setup.
+     * @param {Array<string>|null} [enabledTools=null] - Only declare these tools (e.g. a persona's); null declares all.
      * @returns {Array<Object>} An array of tool declaration objects. Returns empty array if no tools registered.
      */
-    getToolDeclarations() {
+    getToolDeclarations(enabledTools = null) {
         if (this.tools.size === 0) {
             // console.debug("ToolManager.getToolDeclarations: No tools registered.");
             return [];
@@ -57,15 +71,16 @@ export class ToolManager {
         console.info(`ToolManager: Collecting declarations from ${this.tools.size} registered tool(s)...`);
 
         this.tools.forEach((toolInstance, toolName) => {
+            if (enabledTools && !enabledTools.includes(toolName)) return; // Turned off in settings
             try {
                 // Ensure the method exists (though checked during registration)
                 if (typeof toolInstance.getDeclaration === 'function') {
                     const declaration = toolInstance.getDeclaration();
-                    // Basic validation of declaration structure (at minimum, should have a name matching the key)
-                    if (!declaration || typeof declaration !== 'object' || declaration.name !== toolName) {
-                        console.warn(`ToolManager Warning: Tool "${toolName}" provided an invalid or mismatched declaration object:`, declaration);
-                        // Optionally skip adding invalid declarations
-                        // return; // Skip this tool
+                    // Re-validate, since declarations may be built dynamically; an invalid one would break setup
+                    const declarationErrors = validateDeclaration(declaration);
+                    if (declarationErrors.length > 0 || declaration.name !== toolName) {
+                        console.warn(`ToolManager Warning: Skipping tool "${toolName}" with an invalid or mismatched declaration:`, declarationErrors, declaration);
+                        return; // Skip this tool
                     }
                     allDeclarations.push(declaration);
                     // console.debug(`ToolManager: Added declaration for "${toolName}".`);
@@ -90,9 +105,11 @@ export class ToolManager {
      * @param {string} functionCall.name - The name of the tool to execute.
      * @param {Object} [functionCall.args] - An object containing the arguments for the tool.
      * @param {string} functionCall.id - A unique identifier for this specific tool call instance (needed for the response).
-     * @returns {Promise<{id: string, output: any, error: string|null}>} A promise resolving to an object containing the execution result (output or error) and the original call ID.
+     * @param {Object} [options] - Execution options.
+     * @param {AbortSignal} [options.signal] - Aborts the call; passed through to the tool's `execute(args, { signal })`.
+     * @returns {Promise<{id: string, name: string, output: any, error: string|Object|null, aborted?: boolean}>} A promise resolving to an object containing the execution result (output or error) and the original call ID.
      */
-    async handleToolCall(functionCall) {
+    async handleToolCall(functionCall, { signal } = {}) {
         // Validate the functionCall structure
         if (!functionCall || typeof functionCall !== 'object' || typeof functionCall.name !== 'string' || typeof functionCall.id !== 'string') {
             console.error("ToolManager.handleToolCall Error: Received invalid functionCall object.", functionCall);
@@ -117,6 +134,7 @@ export class ToolManager {
             return {
                 id: id,
                 output: null,
+                name: name,
                 error: `Tool "${name}" is not registered or available.`
             };
         }
@@ -128,18 +146,41 @@ export class ToolManager {
                 throw new Error(`Registered tool "${name}" is missing the execute method.`);
             }
 
-            const result = await tool.execute(args);
+            // Reject arguments that don't match the declaration, telling the model what to fix
+            const argErrors = validateArgs(tool.getDeclaration()?.parameters, args);
+            if (argErrors.length > 0) {
+                console.warn(`ToolManager: Invalid arguments for "${name}" (ID: ${id}):`, argErrors);
+                return {
+                    id: id,
+                    name: name,
+                    output: null,
+                    error: {
+                        message: `Invalid arguments for "${name}". Fix the listed problems and call the function again.`,
+                        validationErrors: argErrors
+                    }
+                };
+            }
+
+            signal?.throwIfAborted();
+            // Race against the signal so tools that ignore it still stop blocking the response
+            const result = await this._runAbortable(tool.execute(args, { signal }), signal);
             console.info(`ToolManager: Tool "${name}" (ID: ${id}) executed successfully.`);
             // console.debug(`ToolManager: Result for "${name}" (ID: ${id}):`, result);
             return {
                 id: id,
+                name: name,
                 output: result, // The result can be any JSON-serializable type expected by the agent
                 error: null
             };
         } catch (error) {
+            if (signal?.aborted) {
+                console.info(`ToolManager: Tool "${name}" (ID: ${id}) was cancelled.`);
+                return { id: id, name: name, output: null, error: "Tool call was cancelled.", aborted: true };
+            }
             console.error(`ToolManager Error: Tool "${name}" (ID: ${id}) execution failed:`, error);
             return {
                 id: id,
+                name: name,
                 output: null,
                 // Send back the error message
                 // Check if error object has a message property, otherwise stringify
@@ -147,4 +188,22 @@ export class ToolManager {
             };
         }
     }
-}
\ No newline at end of file
+
+    /**
+     * Settles with the given promise, or rejects as soon as the signal aborts.
+     * @param {Promise<any>} promise - The tool execution promise.
+     * @param {AbortSignal} [signal] - Optional abort signal.
+     * @returns {Promise<any>}
+     * @private
+     */
+    _runAbortable(promise, signal) {
+        if (!signal) return promise;
+        return new Promise((resolve, reject) => {
+            const onAbort = () => reject(signal.reason);
+            signal.addEventListener('abort', onAbort, { once: true });
+            Promise.resolve(promise).then(resolve, reject).finally(() => {
+                signal.removeEventListener('abort', onAbort);
+            });
+        });
+    }
+}
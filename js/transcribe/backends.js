@@ -0,0 +1,60 @@
+/**
+ * Speech-to-text backends selectable in settings. All of them extend Transcriber and emit the
+ * same 'transcription' events, so callers only deal with createTranscriber().
+ */
+import { DeepgramTranscriber } from './deepgram.js';
+import { WebSpeechTranscriber } from './web-speech.js';
+import { LiveApiTranscriber } from './live-api.js';
+import { WebSocketTranscriber } from './websocket.js';
+
+/** Backend IDs as stored in settings, with whose speech each one can transcribe */
+export const TRANSCRIPTION_BACKENDS = {
+    deepgram: { label: 'Deepgram', roles: ['user', 'model'] },
+    web_speech: { label: 'Browser (Web Speech API)', roles: ['user'] },
+    live_api: { label: 'Gemini Live API', roles: ['user', 'model'] },
+    websocket: { label: 'Self-hosted (WebSocket)', roles: ['user', 'model'] }
+};
+
+/**
+ * Creates the transcriber selected in settings for one side of the conversation.
+ * @param {Object} config - Transcription configuration (see getTranscriptionConfig in config.js).
+ * @param {Object} options
+ * @param {'user'|'model'} options.role - Whose speech will be transcribed.
+ * @param {number} [options.sampleRate=16000] - Sample rate of the audio passed to sendAudio().
+ * @returns {import('./transcriber.js').Transcriber|null} Null if the backend can't transcribe this role.
+ * @throws {Error} If the backend is unknown or not set up (missing API key or URL, unsupported browser).
+ */
+export function createTranscriber(config, { role, sampleRate = 16000 }) {
+    const backend = TRANSCRIPTION_BACKENDS[config.backend];
+    if (!backend) {
+        throw new Error(`Unknown transcription backend "${config.backend}". Expected one of: ${Object.keys(TRANSCRIPTION_BACKENDS).join(', ')}.`);
+    }
+    if (!backend.roles.includes(role)) {
+        return null;
+    }
+
+    const { interimResults, reconnect } = config;
+    const language = config.languages?.[role] ?? config.language;
+    switch (config.backend) {
+        case 'deepgram': {
+            const { apiKey, ...deepgram } = config.deepgram;
+            if (!apiKey) {
+                throw new Error("Deepgram API key not set. Add it in Settings > API.");
+            }
+            return new DeepgramTranscriber(apiKey, sampleRate, {
+                ...deepgram,
+                language,
+                interimResults,
+                reconnect,
+                diarize: role === 'user' && deepgram.diarize // Only one voice to tell apart on the model's side
+            });
+        }
+        case 'web_speech':
+            return new WebSpeechTranscriber({ language, interimResults });
+        case 'live_api':
+            return new LiveApiTranscriber({ role });
+        case 'websocket':
+            return new WebSocketTranscriber(config.websocketUrl, sampleRate, { language, reconnect });
+    }
+    return null;
+}
@@ -1,28 +1,77 @@
+import { Transcriber } from './transcriber.js';
+
+/** Interval of the KeepAlive messages that stop Deepgram closing the socket during silence */
+const KEEP_ALIVE_MS = 10000;
+
 /**
  * Establishes a WebSocket connection to the Deepgram API
  * for real-time audio transcription using their Streaming Speech-to-Text service.
+ * Dropped connections are re-established automatically; audio sent in the meantime is
+ * buffered and flushed once the new connection is open.
  */
-export class DeepgramTranscriber {
+export class DeepgramTranscriber extends Transcriber {
     /**
      * Creates a DeepgramTranscriber instance.
      * @param {string} apiKey - Your Deepgram API key.
      * @param {number} sampleRate - The sample rate of the audio being sent (e.g., 16000, 24000).
+     * @param {Object} [options] - Recognition and reconnect options, see getDeepgramConfig().
+     * @param {string} [options.model='nova-2'] - Deepgram model (e.g. 'nova-3', 'nova-2').
+     * @param {string} [options.language='en-US'] - BCP-47 language code, or 'multi' where the model supports it.
+     * @param {boolean} [options.smartFormat=false] - Format numbers, dates, currency etc.
+     * @param {boolean} [options.diarize=false] - Label words with the speaker who said them.
+     * @param {boolean} [options.interimResults=false] - Also emit non-final results while the user is speaking.
+     * @param {Array<string>} [options.keyterms=[]] - Words and phrases to boost (Nova-3 models).
+     * @param {{maxAttempts: number, baseDelay: number, maxDelay: number}} [options.reconnect] - Reconnect policy; maxAttempts 0 disables it.
      */
-    constructor(apiKey, sampleRate) {
+    constructor(apiKey, sampleRate, options = {}) {
         if (!apiKey) {
             throw new Error("DeepgramTranscriber: API Key is required.");
         }
         if (!sampleRate || typeof sampleRate !== 'number' || sampleRate <= 0) {
             throw new Error(`DeepgramTranscriber: Invalid sample rate provided (${sampleRate}). Must be a positive number.`);
         }
+        super({ name: 'DeepgramTranscriber', sampleRate, reconnect: options.reconnect });
 
         this.apiKey = apiKey;
-        this.sampleRate = sampleRate;
+        this.options = {
+            model: 'nova-2',
+            language: 'en-US',
+            smartFormat: false,
+            diarize: false,
+            interimResults: false,
+            keyterms: [],
+            ...options
+        };
         this.ws = null; // WebSocket instance
-        this.isConnected = false; // Connection state flag
-        this.eventListeners = new Map(); // For emitting events like 'transcription', 'error', etc.
+        this.keepAliveInterval = null;
+
+        console.info(`DeepgramTranscriber initialized for sample rate ${this.sampleRate} Hz (model ${this.options.model}, ${this.options.language}).`);
+    }
 
-        console.info(`DeepgramTranscriber initialized for sample rate ${this.sampleRate} Hz.`);
+    /**
+     * Builds the query string of the listen URL from the options.
+     * @returns {URLSearchParams}
+     * @private
+     */
+    _buildParams() {
+        const { model, language, smartFormat, diarize, interimResults, keyterms } = this.options;
+        // See Deepgram docs for available models, features, encodings etc.
+        const params = new URLSearchParams({
+            encoding: 'linear16', // PCM16 encoding expected
+            sample_rate: this.sampleRate.toString(),
+            model,
+            language,
+            punctuate: 'true',
+            smart_format: String(Boolean(smartFormat)),
+            diarize: String(Boolean(diarize)),
+            interim_results: String(Boolean(interimResults)), // Partial results while speaking, for live captions
+            endpointing: '800', // Milliseconds of silence to detect end of speech (e.g., '800') or 'false'
+            channels: '1', // Mono audio
+        });
+        // Each key term is its own parameter. Nova-3 takes 'keyterm' and rejects 'keywords'; older models the reverse
+        const termParam = model.startsWith('nova-3') ? 'keyterm' : 'keywords';
+        keyterms.filter(term => term?.trim()).forEach(term => params.append(termParam, term.trim()));
+        return params;
     }
 
     /**
@@ -30,6 +79,7 @@ export class DeepgramTranscriber {
      * @returns {Promise<void>} Resolves when the connection is open and configured, rejects on failure.
      */
     async connect() {
+        this.intentionalClose = false;
         if (this.ws && (this.ws.readyState === WebSocket.OPEN || this.ws.readyState === WebSocket.CONNECTING)) {
             console.warn("DeepgramTranscriber.connect called but already connected or connecting.");
             // If connecting, return a promise that resolves when connected? For simplicity, just return resolved.
@@ -38,31 +88,17 @@ export class DeepgramTranscriber {
 
         // Ensure any previous connection is fully closed before starting a new one
         if (this.ws) {
-            await this.disconnect(); // Ensure cleanup before reconnecting
+            this._closeSocket();
         }
 
-
-        // Construct the Deepgram WebSocket URL with parameters
-        // See Deepgram docs for available models, features, encodings etc.
-        // URL Example: wss://api.deepgram.com/v1/listen?encoding=linear16&sample_rate=16000&model=nova-2&language=en-US
         const baseUrl = 'wss://api.deepgram.com/v1/listen';
-        const params = new URLSearchParams({
-            encoding: 'linear16', // PCM16 encoding expected
-            sample_rate: this.sampleRate.toString(),
-            model: 'nova-2', // Specify desired model (e.g., 'nova-2', 'base', 'enhanced')
-            language: 'en-US', // Specify language
-            // Optional features:
-            punctuate: 'true',
-            interim_results: 'false', // Set true to get results more frequently but possibly less accurate/stable
-            endpointing: '800', // Milliseconds of silence to detect end of speech (e.g., '800') or 'false'
-            channels: '1', // Mono audio
-            // Add other features as needed: diarize, smart_format, tagging, etc.
-        });
+        const params = this._buildParams();
         const url = `${baseUrl}?${params.toString()}`;
 
         console.info(`DeepgramTranscriber: Attempting to connect to WebSocket: ${baseUrl}?${params.toString().replace(/&/g, ' ')}...`); // Log params cleanly
 
         return new Promise((resolve, reject) => {
+            let opened = false; // isConnected is also cleared by onerror, so track the open separately
             try {
                 // Create WebSocket using the 'token' subprotocol for authentication
                 this.ws = new WebSocket(url, ['token', this.apiKey]);
@@ -73,16 +109,9 @@ export class DeepgramTranscriber {
                 this.ws.onopen = () => {
                     console.info("DeepgramTranscriber: WebSocket connection established.");
                     this.isConnected = true;
-                    // Note: Deepgram doesn't require an explicit 'Configure' message if parameters are in the URL.
-                    // If using specific features not available via URL params, send config here:
-                    /*
-                    const config = {
-                        type: 'Configure',
-                        features: { ... }
-                    };
-                    this.ws.send(JSON.stringify(config));
-                    console.debug("DeepgramTranscriber: Sent configuration message:", config);
-                    */
+                    opened = true;
+                    // Parameters are all in the URL, so no 'Configure' message is needed
+                    this._startKeepAlive();
                     this.emit('connected'); // Emit connected event
                     resolve(); // Resolve the connection promise
                 };
@@ -94,13 +123,21 @@ export class DeepgramTranscriber {
 
                         if (response.type === 'Results') {
                             // Extract the best transcript from the first channel/alternative
-                            const transcript = response.channel?.alternatives?.[0]?.transcript;
-                            const confidence = response.channel?.alternatives?.[0]?.confidence; // Optional confidence score
-                            const isFinal = response.is_final; // Indicates if this is a final result for an utterance
+                            const alternative = response.channel?.alternatives?.[0];
+                            const transcript = alternative?.transcript;
+                            const confidence = alternative?.confidence; // Optional confidence score
+                            const isFinal = response.is_final; // False for interim results that may still change
 
                             if (transcript && transcript.trim() !== '') {
-                                // console.debug(`DeepgramTranscriber: Received transcript (Confidence: ${confidence?.toFixed(3)}, Final: ${isFinal}): "${transcript}"`);
-                                this.emit('transcription', { transcript, confidence, isFinal });
+                                const timing = this._speechTiming(response, alternative.words);
+                                this._emitTranscription({
+                                    transcript,
+                                    confidence,
+                                    isFinal,
+                                    speechFinal: Boolean(response.speech_final), // Endpointing detected the end of the utterance
+                                    speaker: this._dominantSpeaker(alternative.words),
+                                    ...timing
+                                });
                             } else if (response.speech_final) {
                                 // Indicates end of speech segment detected by endpointing
                                 console.debug("DeepgramTranscriber: Received speech_final=true");
@@ -135,8 +172,10 @@ export class DeepgramTranscriber {
                 this.ws.onerror = (errorEvent) => {
                     console.error("DeepgramTranscriber: WebSocket error occurred:", errorEvent);
                     this.isConnected = false; // Update state on error
-                    // The 'close' event usually follows with more details
-                    this.emit('error', new Error('Deepgram WebSocket connection error. Check console for details.'));
+                    // The 'close' event usually follows with more details; failed reconnect attempts are reported there
+                    if (!this.isReconnecting) {
+                        this.emit('error', new Error('Deepgram WebSocket connection error. Check console for details.'));
+                    }
                     // Reject the connection promise if it's still pending
                     reject(new Error('WebSocket connection error.'));
                     // Clean up ws reference? Maybe wait for onclose.
@@ -144,14 +183,17 @@ export class DeepgramTranscriber {
 
                 this.ws.onclose = (closeEvent) => {
                     console.warn(`DeepgramTranscriber: WebSocket connection closed. Code: ${closeEvent.code}, Reason: "${closeEvent.reason || 'No reason provided'}"`, `Clean close: ${closeEvent.wasClean}`);
-                    const wasConnected = this.isConnected;
+                    const wasConnected = opened;
+                    const details = { code: closeEvent.code, reason: closeEvent.reason, wasClean: closeEvent.wasClean };
                     this.isConnected = false;
                     this.ws = null; // Clear reference
-                    this.emit('disconnected', { code: closeEvent.code, reason: closeEvent.reason, wasClean: closeEvent.wasClean });
+                    this._stopKeepAlive();
                     // Reject the connection promise *only* if it was pending (i.e., closed before open)
-                    if (!wasConnected) { // Check if it was ever connected
+                    if (!wasConnected) {
                         reject(new Error(`WebSocket closed before connection established. Code: ${closeEvent.code}`));
+                        return; // Failed attempts inside the reconnect loop are handled by _scheduleReconnect()
                     }
+                    this._handleDrop(details);
                 };
 
             } catch (error) {
@@ -163,125 +205,119 @@ export class DeepgramTranscriber {
     }
 
     /**
-     * Sends audio data (as ArrayBuffer or similar binary type) over the WebSocket.
-     * @param {ArrayBuffer|Blob|TypedArray} audioData - The raw audio data chunk.
-     * @throws {Error} If WebSocket is not connected or send fails.
+     * Sends one audio chunk over the open WebSocket (see Transcriber.sendAudio).
+     * @param {ArrayBuffer|TypedArray} audioData
+     * @protected
      */
-    sendAudio(audioData) {
-        if (!this.isConnected || !this.ws || this.ws.readyState !== WebSocket.OPEN) {
-            // Avoid throwing an error here as audio might arrive slightly after disconnect
-            console.warn('DeepgramTranscriber.sendAudio: Cannot send audio, WebSocket is not connected or open.');
-            return;
-        }
-        if (!audioData || audioData.byteLength === 0) {
-            console.warn('DeepgramTranscriber.sendAudio: Attempted to send empty audio data.');
-            return;
-        }
-
-        try {
-            // console.debug(`DeepgramTranscriber: Sending audio data chunk (${audioData.byteLength} bytes)...`); // Verbose log
-            this.ws.send(audioData);
-        } catch (error) {
-            console.error('DeepgramTranscriber: Error sending audio data:', error);
-            this.emit('error', new Error(`Failed to send audio data: ${error.message}`));
-            // Consider disconnecting if send fails repeatedly?
-            // this.disconnect();
-            throw error; // Re-throw for caller awareness
+    _send(audioData) {
+        if (this.ws?.readyState !== WebSocket.OPEN) {
+            throw new Error('WebSocket is not open.');
         }
+        this.ws.send(audioData);
     }
 
     /**
-     * Sends a 'CloseStream' message (if supported by Deepgram for graceful closure)
-     * and closes the WebSocket connection.
+     * Sends a 'CloseStream' message and closes the WebSocket connection.
+     * Also stops any reconnect in progress and drops buffered audio.
      * @returns {Promise<void>} Resolves when disconnection attempt is complete.
      */
     async disconnect() {
-        if (!this.ws) {
-            // console.debug("DeepgramTranscriber.disconnect: Already disconnected or not initialized.");
-            this.isConnected = false; // Ensure state is correct
-            return;
-        }
+        await super.disconnect();
+        if (!this.ws) return;
         console.info("DeepgramTranscriber: Disconnecting WebSocket...");
+        this._closeSocket();
+        console.info("DeepgramTranscriber: Disconnect process complete.");
+    }
 
-        // 1. Clear Event Handlers to prevent them firing after explicit disconnect
-        this.ws.onopen = null;
-        this.ws.onmessage = null;
-        this.ws.onerror = null;
-        this.ws.onclose = null; // Prevent our onclose handler from running again here
+    /**
+     * Detaches the handlers of the current socket and closes it, sending CloseStream first
+     * so Deepgram finalizes what it has. The 'disconnected' event is not emitted.
+     * @private
+     */
+    _closeSocket() {
+        const ws = this.ws;
+        this.ws = null;
+        this.isConnected = false;
+        this._stopKeepAlive();
+        if (!ws) return;
+
+        // Clear Event Handlers to prevent them firing after an explicit close
+        ws.onopen = null;
+        ws.onmessage = null;
+        ws.onerror = null;
+        ws.onclose = null;
 
-        // 2. Send CloseStream message (optional, check Deepgram docs if needed/supported)
-        if (this.ws.readyState === WebSocket.OPEN) {
+        if (ws.readyState === WebSocket.OPEN) {
             try {
-                // console.debug("DeepgramTranscriber: Sending CloseStream message...");
-                this.ws.send(JSON.stringify({ type: 'CloseStream' }));
+                ws.send(JSON.stringify({ type: 'CloseStream' }));
             } catch (sendError) {
                 console.warn("DeepgramTranscriber: Error sending CloseStream message:", sendError);
             }
         }
-
-        // 3. Close the WebSocket connection
         try {
-            if (this.ws.readyState !== WebSocket.CLOSED) {
-                this.ws.close(1000, "Client requested disconnect"); // Normal closure
+            if (ws.readyState !== WebSocket.CLOSED) {
+                ws.close(1000, "Client requested disconnect"); // Normal closure
             }
         } catch (closeError) {
             console.error("DeepgramTranscriber: Error closing WebSocket:", closeError);
-        } finally {
-            this.ws = null; // Clear reference
-            this.isConnected = false; // Ensure state is updated
-            console.info("DeepgramTranscriber: Disconnect process complete.");
-            // Note: 'disconnected' event is emitted by the original onclose handler if connection drops,
-            // or could be emitted here explicitly if needed after manual close.
-            // this.emit('disconnected', { code: 1000, reason: "Client requested disconnect", wasClean: true });
         }
     }
 
-    // --- Event Emitter Implementation ---
+    /** Sends KeepAlive messages while connected (Deepgram closes idle streams after ~10 s). @private */
+    _startKeepAlive() {
+        this._stopKeepAlive();
+        this.keepAliveInterval = setInterval(() => {
+            if (this.ws?.readyState !== WebSocket.OPEN) return;
+            try {
+                this.ws.send(JSON.stringify({ type: 'KeepAlive' }));
+            } catch (keepAliveError) {
+                console.error("DeepgramTranscriber: Error sending keep-alive:", keepAliveError);
+            }
+        }, KEEP_ALIVE_MS);
+    }
 
-    /** Registers an event listener */
-    on(eventName, callback) {
-        if (typeof eventName !== 'string' || !eventName) {
-            console.error("DeepgramTranscriber.on: Invalid event name provided.");
-            return;
+    /** @private */
+    _stopKeepAlive() {
+        if (this.keepAliveInterval) {
+            clearInterval(this.keepAliveInterval);
+            this.keepAliveInterval = null;
         }
-        if (typeof callback !== 'function') {
-            console.error(`DeepgramTranscriber.on: Invalid callback function provided for event "${eventName}".`);
-            return;
-        }
-        if (!this.eventListeners.has(eventName)) {
-            this.eventListeners.set(eventName, []);
-        }
-        this.eventListeners.get(eventName).push(callback);
     }
 
-    /** Removes an event listener */
-    off(eventName, callback) {
-        if (typeof eventName !== 'string' || !eventName || !this.eventListeners.has(eventName)) {
-            return; // No listeners for this event or invalid name
-        }
-        const listeners = this.eventListeners.get(eventName);
-        const index = listeners.indexOf(callback);
-        if (index > -1) {
-            listeners.splice(index, 1);
-            if (listeners.length === 0) {
-                this.eventListeners.delete(eventName);
-            }
-        }
+    /**
+     * Works out who said most of a result when diarization is on.
+     * @param {Array<{word: string, speaker?: number}>} [words]
+     * @returns {number|null} Zero-based speaker index, or null without diarization.
+     * @private
+     */
+    _dominantSpeaker(words) {
+        if (!this.options.diarize || !Array.isArray(words)) return null;
+        const counts = new Map();
+        words.forEach(({ speaker }) => {
+            if (typeof speaker === 'number') counts.set(speaker, (counts.get(speaker) || 0) + 1);
+        });
+        let best = null;
+        counts.forEach((count, speaker) => {
+            if (best === null || count > counts.get(best)) best = speaker;
+        });
+        return best;
     }
 
-    /** Emits an event to all registered listeners */
-    emit(eventName, data) {
-        if (!this.eventListeners.has(eventName)) {
-            return; // No listeners for this event
-        }
-        // Iterate over a copy in case listeners modify the array during execution
-        const listeners = [...this.eventListeners.get(eventName)];
-        for (const callback of listeners) {
-            try {
-                callback(data);
-            } catch (error) {
-                console.error(`DeepgramTranscriber: Error in listener for event "${eventName}":`, error);
-            }
-        }
+    /**
+     * Dates the speech in a result. Results arrive right after the audio they cover, so word
+     * times are counted back from now relative to the end of that audio.
+     * @param {{start?: number, duration?: number}} response - Results message; times in seconds of stream audio.
+     * @param {Array<{start: number, end: number}>} [words]
+     * @returns {{startedAt: number|null, endedAt: number|null}} Epoch ms.
+     * @private
+     */
+    _speechTiming(response, words) {
+        const audioEnd = Number(response.start) + Number(response.duration);
+        if (!Number.isFinite(audioEnd) || !words?.length) return { startedAt: null, endedAt: null };
+        const now = Date.now();
+        return {
+            startedAt: now - (audioEnd - words[0].start) * 1000,
+            endedAt: now - (audioEnd - words[words.length - 1].end) * 1000
+        };
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,58 @@
+import { Transcriber } from './transcriber.js';
+
+/**
+ * Uses the Live API's own transcription of the session audio (inputAudioTranscription for the
+ * user, outputAudioTranscription for the model), so no second service hears the audio. The
+ * server sends the text in fragments; the agent passes them to addText() and ends the utterance
+ * when the turn moves on. Fragments are emitted as interim results of the growing utterance.
+ */
+export class LiveApiTranscriber extends Transcriber {
+    /**
+     * @param {Object} [options]
+     * @param {'user'|'model'} [options.role='user'] - Whose speech this instance reports; only used in logs.
+     */
+    constructor({ role = 'user' } = {}) {
+        super({ name: `LiveApiTranscriber(${role})` });
+        this.role = role;
+        this.utterance = ''; // Text of the utterance in progress
+    }
+
+    /** The Live session transcribes the audio it already receives */
+    get acceptsAudio() {
+        return false;
+    }
+
+    /** Nothing to open: transcripts arrive over the Live session. */
+    async connect() {
+        this.intentionalClose = false;
+        this.isConnected = true;
+        this.emit('connected');
+    }
+
+    /** Drops the utterance in progress. */
+    async disconnect() {
+        await super.disconnect();
+        this.utterance = '';
+    }
+
+    /**
+     * Adds a fragment of transcript from the server.
+     * @param {string} text - The fragment, including its leading space if any.
+     * @param {boolean} [finished=false] - The server marked the transcription as complete.
+     */
+    addText(text, finished = false) {
+        if (!this.isConnected) return;
+        if (text) {
+            this.utterance += text;
+            if (!finished) this._emitTranscription({ transcript: this.utterance.trim(), isFinal: false });
+        }
+        if (finished) this.endUtterance();
+    }
+
+    /** Emits the utterance in progress as a final result, e.g. when the turn is complete. */
+    endUtterance() {
+        const transcript = this.utterance.trim();
+        this.utterance = '';
+        if (transcript) this._emitTranscription({ transcript, isFinal: true });
+    }
+}
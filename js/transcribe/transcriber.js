@@ -0,0 +1,289 @@
+/**
+ * Base class of the speech-to-text backends. Every backend emits the same events, so the agent
+ * and SpeechHandler don't need to know which service is transcribing:
+ *
+ * - 'transcription' `{ transcript, confidence, isFinal, speechFinal, speaker, startedAt, endedAt }`.
+ *   Interim results (isFinal false) may still change; confidence and speaker are null when the
+ *   backend doesn't provide them. startedAt/endedAt (epoch ms) bound the speech when the backend
+ *   reports audio timings, and are null otherwise.
+ * - 'connected', 'disconnected' `{ code, reason, wasClean }`, 'error' (Error)
+ * - 'reconnecting' `{ attempt, maxAttempts, delay }`, 'reconnected' `{ attempt, bufferedBytes }`,
+ *   'reconnect_failed' `{ attempts }` for backends that reconnect on their own.
+ *
+ * Streaming backends take PCM16 mono audio through sendAudio(). The reconnect helpers here retry
+ * a dropped connection with backoff and buffer the audio sent in the meantime; subclasses
+ * implement connect(), disconnect() and _send().
+ */
+
+/** Longest stretch of audio kept while reconnecting; older audio is dropped */
+const MAX_BUFFERED_SECONDS = 15;
+
+export class Transcriber {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.name='Transcriber'] - Used in log messages.
+     * @param {number} [options.sampleRate=16000] - Sample rate of the audio passed to sendAudio().
+     * @param {{maxAttempts: number, baseDelay: number, maxDelay: number}} [options.reconnect] - Reconnect policy; maxAttempts 0 disables it.
+     */
+    constructor({ name = 'Transcriber', sampleRate = 16000, reconnect } = {}) {
+        this.name = name;
+        this.sampleRate = sampleRate;
+        this.isConnected = false;
+        this.eventListeners = new Map();
+
+        // Reconnect state
+        this.reconnectPolicy = { maxAttempts: 5, baseDelay: 1000, maxDelay: 15000, ...reconnect };
+        this.intentionalClose = false; // Set by disconnect() so a requested close never reconnects
+        this.isReconnecting = false;
+        this.reconnectAttempts = 0;
+        this.reconnectTimer = null;
+        this.pendingAudio = []; // Chunks sent while reconnecting
+        this.pendingBytes = 0;
+        this.maxPendingBytes = sampleRate * 2 * MAX_BUFFERED_SECONDS; // PCM16 mono
+    }
+
+    /**
+     * Whether audio should be passed to sendAudio() right now. False for backends that listen
+     * on their own (Web Speech) or get their text elsewhere (Live API).
+     * @returns {boolean}
+     */
+    get acceptsAudio() {
+        return this.isConnected || this.isReconnecting;
+    }
+
+    /**
+     * Opens the connection to the service.
+     * @returns {Promise<void>}
+     */
+    async connect() {
+        throw new Error(`${this.name}: connect() is not implemented.`);
+    }
+
+    /**
+     * Closes the connection and stops any reconnect in progress.
+     * @returns {Promise<void>}
+     */
+    async disconnect() {
+        this.intentionalClose = true;
+        this._cancelReconnect();
+        this._clearPendingAudio();
+        this.isConnected = false;
+    }
+
+    /**
+     * Sends a chunk of PCM16 audio. While a dropped connection is being re-established the audio
+     * is buffered instead (up to MAX_BUFFERED_SECONDS) and sent once the connection is back.
+     * @param {ArrayBuffer|TypedArray} audioData - The raw audio data chunk.
+     * @throws {Error} If sending over an open connection fails.
+     */
+    sendAudio(audioData) {
+        if (!audioData || audioData.byteLength === 0) {
+            console.warn(`${this.name}.sendAudio: Attempted to send empty audio data.`);
+            return;
+        }
+        if (this.isReconnecting) {
+            this._bufferAudio(audioData);
+            return;
+        }
+        if (!this.isConnected) {
+            // Avoid throwing an error here as audio might arrive slightly after disconnect
+            console.warn(`${this.name}.sendAudio: Cannot send audio, not connected.`);
+            return;
+        }
+
+        try {
+            this._send(audioData);
+        } catch (error) {
+            console.error(`${this.name}: Error sending audio data:`, error);
+            this.emit('error', new Error(`Failed to send audio data: ${error.message}`));
+            throw error; // Re-throw for caller awareness
+        }
+    }
+
+    /**
+     * Sends one chunk over the open connection.
+     * @param {ArrayBuffer|TypedArray} audioData
+     * @protected
+     */
+    _send(audioData) {
+        throw new Error(`${this.name}: Audio input is not supported.`);
+    }
+
+    /**
+     * Emits a result in the common 'transcription' shape.
+     * @param {Object} result
+     * @param {string} result.transcript
+     * @param {boolean} result.isFinal
+     * @param {number|null} [result.confidence]
+     * @param {boolean} [result.speechFinal] - Defaults to isFinal.
+     * @param {number|null} [result.speaker]
+     * @param {number|null} [result.startedAt] - When the speech started, in epoch ms.
+     * @param {number|null} [result.endedAt] - When the speech ended, in epoch ms.
+     * @protected
+     */
+    _emitTranscription({ transcript, isFinal, confidence = null, speechFinal = isFinal, speaker = null, startedAt = null, endedAt = null }) {
+        if (!transcript?.trim()) return;
+        this.emit('transcription', {
+            transcript, confidence, isFinal: Boolean(isFinal), speechFinal: Boolean(speechFinal), speaker, startedAt, endedAt
+        });
+    }
+
+    /**
+     * Called by subclasses when an established connection closed. Starts reconnecting unless the
+     * close was requested; emits 'disconnected' if it won't reconnect.
+     * @param {{code: number, reason: string, wasClean: boolean}} details
+     * @protected
+     */
+    _handleDrop(details) {
+        if (this.intentionalClose || !this._scheduleReconnect(details)) {
+            this.emit('disconnected', details);
+        }
+    }
+
+    /**
+     * Schedules the next reconnect attempt using exponential backoff with jitter.
+     * @param {Object} details - Close details of the connection that dropped.
+     * @returns {boolean} True if an attempt was scheduled, false if the policy is exhausted.
+     * @private
+     */
+    _scheduleReconnect(details) {
+        const { maxAttempts, baseDelay, maxDelay } = this.reconnectPolicy;
+        if (this.reconnectAttempts >= maxAttempts) {
+            if (this.isReconnecting) {
+                console.error(`${this.name}: Giving up after ${this.reconnectAttempts} reconnect attempt(s).`);
+                this.emit('reconnect_failed', { attempts: this.reconnectAttempts, ...details });
+            }
+            this._cancelReconnect();
+            this._clearPendingAudio();
+            return false;
+        }
+
+        this.isReconnecting = true;
+        const attempt = ++this.reconnectAttempts;
+        const backoff = Math.min(maxDelay, baseDelay * 2 ** (attempt - 1));
+        const delay = Math.round(backoff / 2 + Math.random() * backoff / 2);
+
+        console.warn(`${this.name}: Reconnecting in ${delay}ms (attempt ${attempt}/${maxAttempts})...`);
+        this.emit('reconnecting', { attempt, maxAttempts, delay, ...details });
+
+        this.reconnectTimer = setTimeout(async () => {
+            this.reconnectTimer = null;
+            try {
+                await this.connect();
+                const buffered = this._flushPendingAudio();
+                console.info(`${this.name}: Reconnected after ${attempt} attempt(s), sent ${buffered} buffered bytes.`);
+                this.isReconnecting = false;
+                this.reconnectAttempts = 0;
+                this.emit('reconnected', { attempt, bufferedBytes: buffered });
+            } catch (error) {
+                console.warn(`${this.name}: Reconnect attempt ${attempt} failed:`, error);
+                // disconnect() may have been called while this attempt was in flight
+                if (this.intentionalClose) {
+                    return;
+                }
+                if (!this._scheduleReconnect(details)) {
+                    this.emit('disconnected', details);
+                }
+            }
+        }, delay);
+        return true;
+    }
+
+    /** Cancels a pending reconnect attempt and resets the reconnect state. @private */
+    _cancelReconnect() {
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+        this.reconnectAttempts = 0;
+        this.isReconnecting = false;
+    }
+
+    /**
+     * Keeps a copy of an audio chunk for sending after reconnecting, dropping the oldest
+     * chunks once more than MAX_BUFFERED_SECONDS are waiting.
+     * @param {ArrayBuffer|TypedArray} audioData
+     * @private
+     */
+    _bufferAudio(audioData) {
+        const chunk = ArrayBuffer.isView(audioData)
+            ? audioData.buffer.slice(audioData.byteOffset, audioData.byteOffset + audioData.byteLength)
+            : audioData.slice(0);
+        this.pendingAudio.push(chunk);
+        this.pendingBytes += chunk.byteLength;
+        while (this.pendingBytes > this.maxPendingBytes && this.pendingAudio.length > 1) {
+            this.pendingBytes -= this.pendingAudio.shift().byteLength;
+        }
+    }
+
+    /**
+     * Sends the audio buffered while reconnecting, oldest first.
+     * @returns {number} Bytes sent.
+     * @private
+     */
+    _flushPendingAudio() {
+        let sent = 0;
+        while (this.pendingAudio.length && this.isConnected) {
+            const chunk = this.pendingAudio.shift();
+            this._send(chunk);
+            sent += chunk.byteLength;
+        }
+        this._clearPendingAudio();
+        return sent;
+    }
+
+    /** @private */
+    _clearPendingAudio() {
+        this.pendingAudio = [];
+        this.pendingBytes = 0;
+    }
+
+    // --- Event Emitter Implementation ---
+
+    /** Registers an event listener */
+    on(eventName, callback) {
+        if (typeof eventName !== 'string' || !eventName) {
+            console.error(`${this.name}.on: Invalid event name provided.`);
+            return;
+        }
+        if (typeof callback !== 'function') {
+            console.error(`${this.name}.on: Invalid callback function provided for event "${eventName}".`);
+            return;
+        }
+        if (!this.eventListeners.has(eventName)) {
+            this.eventListeners.set(eventName, []);
+        }
+        this.eventListeners.get(eventName).push(callback);
+    }
+
+    /** Removes an event listener */
+    off(eventName, callback) {
+        if (typeof eventName !== 'string' || !eventName || !this.eventListeners.has(eventName)) {
+            return; // No listeners for this event or invalid name
+        }
+        const listeners = this.eventListeners.get(eventName);
+        const index = listeners.indexOf(callback);
+        if (index > -1) {
+            listeners.splice(index, 1);
+            if (listeners.length === 0) {
+                this.eventListeners.delete(eventName);
+            }
+        }
+    }
+
+    /** Emits an event to all registered listeners */
+    emit(eventName, data) {
+        if (!this.eventListeners.has(eventName)) {
+            return; // No listeners for this event
+        }
+        // Iterate over a copy in case listeners modify the array during execution
+        const listeners = [...this.eventListeners.get(eventName)];
+        for (const callback of listeners) {
+            try {
+                callback(data);
+            } catch (error) {
+                console.error(`${this.name}: Error in listener for event "${eventName}":`, error);
+            }
+        }
+    }
+}
@@ -0,0 +1,141 @@
+import { Transcriber } from './transcriber.js';
+
+const SpeechRecognitionClass = typeof window !== 'undefined'
+    ? (window.SpeechRecognition || window.webkitSpeechRecognition)
+    : undefined;
+
+/** Recognition errors after which restarting is pointless */
+const FATAL_ERRORS = ['not-allowed', 'service-not-allowed', 'language-not-supported', 'audio-capture'];
+
+/**
+ * Transcribes the user's speech with the browser's Web Speech API. Needs no API key, but the
+ * browser listens to the default microphone itself (audio passed to sendAudio() is ignored), and
+ * in Chrome the audio is recognised by Google's servers. It can't transcribe the model's voice.
+ */
+export class WebSpeechTranscriber extends Transcriber {
+    /** Whether this browser has the Web Speech API */
+    static get isSupported() {
+        return Boolean(SpeechRecognitionClass);
+    }
+
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.language='en-US'] - BCP-47 language code.
+     * @param {boolean} [options.interimResults=true] - Also emit non-final results while the user is speaking.
+     */
+    constructor({ language = 'en-US', interimResults = true } = {}) {
+        if (!SpeechRecognitionClass) {
+            throw new Error("WebSpeechTranscriber: Speech recognition is not supported in this browser.");
+        }
+        super({ name: 'WebSpeechTranscriber' });
+        this.language = language;
+        this.interimResults = interimResults;
+        this.recognition = null;
+    }
+
+    /** Audio comes straight from the microphone */
+    get acceptsAudio() {
+        return false;
+    }
+
+    /**
+     * Starts recognition. Chrome ends a recognition session after a while of silence, so it is
+     * restarted until disconnect() is called.
+     * @returns {Promise<void>} Resolves once recognition has started.
+     */
+    async connect() {
+        if (this.recognition) return;
+        this.intentionalClose = false;
+
+        const recognition = new SpeechRecognitionClass();
+        recognition.lang = this.language;
+        recognition.continuous = true;
+        recognition.interimResults = this.interimResults;
+        recognition.maxAlternatives = 1;
+        this.recognition = recognition;
+        let failStart = null; // Rejects connect() if recognition fails before it has started
+
+        recognition.onresult = (event) => {
+            for (let i = event.resultIndex; i < event.results.length; i++) {
+                const result = event.results[i];
+                this._emitTranscription({
+                    transcript: result[0].transcript.trim(),
+                    confidence: result.isFinal ? result[0].confidence : null,
+                    isFinal: result.isFinal
+                });
+            }
+        };
+
+        recognition.onerror = (event) => {
+            if (event.error === 'no-speech' || event.error === 'aborted') return; // Silence, or our own stop()
+            console.error(`${this.name}: Recognition error:`, event.error, event.message);
+            const error = new Error(`Speech recognition error: ${event.error}`);
+            if (FATAL_ERRORS.includes(event.error)) {
+                this.intentionalClose = true; // Don't restart into the same error
+            }
+            if (failStart) {
+                failStart(error);
+                return;
+            }
+            this.emit('error', error);
+        };
+
+        recognition.onend = () => {
+            if (failStart) {
+                failStart(new Error("Speech recognition ended before it started."));
+                return;
+            }
+            if (!this.intentionalClose && this.recognition === recognition) {
+                try {
+                    recognition.start();
+                    return;
+                } catch (error) {
+                    console.warn(`${this.name}: Could not restart recognition:`, error);
+                }
+            }
+            if (this.recognition === recognition) this.recognition = null;
+            const wasConnected = this.isConnected;
+            this.isConnected = false;
+            if (wasConnected) {
+                this.emit('disconnected', { code: 1000, reason: 'Recognition ended', wasClean: this.intentionalClose });
+            }
+        };
+
+        await new Promise((resolve, reject) => {
+            failStart = (error) => {
+                failStart = null;
+                if (this.recognition === recognition) this.recognition = null;
+                reject(error);
+            };
+            recognition.onstart = () => {
+                recognition.onstart = null;
+                failStart = null;
+                this.isConnected = true;
+                console.info(`${this.name}: Recognition started (${this.language}).`);
+                this.emit('connected');
+                resolve();
+            };
+            try {
+                recognition.start();
+            } catch (error) {
+                failStart(error);
+            }
+        });
+    }
+
+    /** Stops recognition; results still in flight are dropped. */
+    async disconnect() {
+        await super.disconnect();
+        const recognition = this.recognition;
+        this.recognition = null;
+        if (!recognition) return;
+        recognition.onresult = null;
+        recognition.onerror = null;
+        recognition.onend = null;
+        try {
+            recognition.abort();
+        } catch (error) {
+            console.warn(`${this.name}: Error stopping recognition:`, error);
+        }
+    }
+}
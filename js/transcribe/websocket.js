@@ -0,0 +1,165 @@
+import { Transcriber } from './transcriber.js';
+
+/**
+ * Generic streaming backend for a self-hosted speech-to-text server (e.g. a Whisper server
+ * behind a small WebSocket wrapper). The protocol is kept minimal:
+ *
+ * - On open the client sends `{ "type": "start", "sampleRate", "encoding": "pcm_s16le", "channels": 1, "language" }`.
+ * - Audio follows as binary PCM16 mono frames.
+ * - The server replies with JSON messages `{ "text", "is_final", "speaker"?, "confidence"? }`
+ *   (`transcript` and `isFinal` are accepted as well). Messages with a `segments` array, as sent
+ *   by WhisperLive, are read as one result per segment, final when `completed` is true; segments
+ *   are resent with every update, so completed ones are only reported once (by their `end` time).
+ * - Before closing the client sends `{ "type": "stop" }`.
+ */
+export class WebSocketTranscriber extends Transcriber {
+    /**
+     * @param {string} url - ws:// or wss:// URL of the server.
+     * @param {number} sampleRate - Sample rate of the audio being sent.
+     * @param {Object} [options]
+     * @param {string} [options.language='en-US'] - Passed to the server in the start message.
+     * @param {{maxAttempts: number, baseDelay: number, maxDelay: number}} [options.reconnect] - Reconnect policy.
+     */
+    constructor(url, sampleRate, { language = 'en-US', reconnect } = {}) {
+        if (!/^wss?:\/\//i.test(url || '')) {
+            throw new Error(`WebSocketTranscriber: A ws:// or wss:// URL is required (got "${url || ''}").`);
+        }
+        super({ name: 'WebSocketTranscriber', sampleRate, reconnect });
+        this.url = url;
+        this.language = language;
+        this.ws = null;
+        this.lastSegmentEnd = -1; // End time of the last completed segment reported
+    }
+
+    /**
+     * Opens the WebSocket and sends the start message.
+     * @returns {Promise<void>} Resolves when the connection is open, rejects if it fails to open.
+     */
+    async connect() {
+        this.intentionalClose = false;
+        if (this.ws) return;
+        this.lastSegmentEnd = -1; // Segment times restart with the new stream
+
+        console.info(`${this.name}: Connecting to ${this.url}...`);
+        return new Promise((resolve, reject) => {
+            let opened = false;
+            try {
+                const ws = new WebSocket(this.url);
+                ws.binaryType = 'arraybuffer';
+                this.ws = ws;
+
+                ws.onopen = () => {
+                    opened = true;
+                    this.isConnected = true;
+                    ws.send(JSON.stringify({
+                        type: 'start',
+                        sampleRate: this.sampleRate,
+                        encoding: 'pcm_s16le',
+                        channels: 1,
+                        language: this.language
+                    }));
+                    console.info(`${this.name}: Connected.`);
+                    this.emit('connected');
+                    resolve();
+                };
+
+                ws.onmessage = (event) => {
+                    if (typeof event.data !== 'string') return;
+                    try {
+                        this._handleMessage(JSON.parse(event.data));
+                    } catch (error) {
+                        console.error(`${this.name}: Error processing message:`, error, 'Raw data:', event.data);
+                    }
+                };
+
+                ws.onerror = (errorEvent) => {
+                    console.error(`${this.name}: WebSocket error occurred:`, errorEvent);
+                    if (!opened) {
+                        reject(new Error('WebSocket connection error.'));
+                    } else if (!this.isReconnecting) {
+                        this.emit('error', new Error('Transcription server connection error.'));
+                    }
+                };
+
+                ws.onclose = (closeEvent) => {
+                    console.warn(`${this.name}: WebSocket closed. Code: ${closeEvent.code}, Reason: "${closeEvent.reason || 'No reason provided'}"`);
+                    this.ws = null;
+                    this.isConnected = false;
+                    if (!opened) {
+                        reject(new Error(`WebSocket closed before connection established. Code: ${closeEvent.code}`));
+                        return;
+                    }
+                    this._handleDrop({ code: closeEvent.code, reason: closeEvent.reason, wasClean: closeEvent.wasClean });
+                };
+            } catch (error) {
+                console.error(`${this.name}: Failed to create WebSocket:`, error);
+                this.ws = null;
+                reject(error);
+            }
+        });
+    }
+
+    /**
+     * Sends one audio chunk over the open WebSocket (see Transcriber.sendAudio).
+     * @param {ArrayBuffer|TypedArray} audioData
+     * @protected
+     */
+    _send(audioData) {
+        if (this.ws?.readyState !== WebSocket.OPEN) {
+            throw new Error('WebSocket is not open.');
+        }
+        this.ws.send(audioData);
+    }
+
+    /** Sends the stop message and closes the WebSocket. */
+    async disconnect() {
+        await super.disconnect();
+        const ws = this.ws;
+        this.ws = null;
+        if (!ws) return;
+        ws.onopen = null;
+        ws.onmessage = null;
+        ws.onerror = null;
+        ws.onclose = null;
+        try {
+            if (ws.readyState === WebSocket.OPEN) {
+                ws.send(JSON.stringify({ type: 'stop' }));
+            }
+            if (ws.readyState !== WebSocket.CLOSED) {
+                ws.close(1000, "Client requested disconnect");
+            }
+        } catch (error) {
+            console.error(`${this.name}: Error closing WebSocket:`, error);
+        }
+    }
+
+    /**
+     * Turns a server message into 'transcription' (or 'error') events.
+     * @param {Object} message
+     * @private
+     */
+    _handleMessage(message) {
+        if (message.type === 'error' || message.error) {
+            this.emit('error', new Error(`Transcription server error: ${message.message || message.error}`));
+            return;
+        }
+        if (Array.isArray(message.segments)) {
+            message.segments.forEach(segment => {
+                const end = parseFloat(segment.end);
+                const completed = segment.completed !== false;
+                if (completed && Number.isFinite(end)) {
+                    if (end <= this.lastSegmentEnd) return; // Already reported
+                    this.lastSegmentEnd = end;
+                }
+                this._emitTranscription({ transcript: segment.text?.trim(), isFinal: completed });
+            });
+            return;
+        }
+        this._emitTranscription({
+            transcript: (message.text ?? message.transcript)?.trim(),
+            isFinal: message.is_final ?? message.isFinal ?? true,
+            confidence: typeof message.confidence === 'number' ? message.confidence : null,
+            speaker: typeof message.speaker === 'number' ? message.speaker : null
+        });
+    }
+}
@@ -8,14 +8,23 @@
 import { EventEmitter } from 'https://cdn.skypack.dev/eventemitter3';
 import { blobToJSON, base64ToArrayBuffer } from '../utils/utils.js';
 
+/** Close codes for a setup the server will never accept (1007 invalid argument, 1008 policy violation); retrying can't help */
+const NON_RETRYABLE_CLOSE_CODES = [1007, 1008];
+
 export class GeminiWebsocketClient extends EventEmitter { // Now EventEmitter should be defined
     /**
      * Creates a new GeminiWebsocketClient with the given configuration.
      * @param {string} name - Name for the websocket client.
      * @param {string} url - URL for the Gemini API that contains the API key at the end.
      * @param {Object} config - Configuration object for the Gemini API.
+     * @param {Object} [options] - Connection behaviour options.
+     * @param {Object} [options.reconnect] - Reconnect policy used when the socket drops unexpectedly.
+     * @param {number} [options.reconnect.maxAttempts=5] - Maximum reconnect attempts before giving up (0 disables reconnecting).
+     * @param {number} [options.reconnect.baseDelay=1000] - Delay in ms before the first attempt; doubles on every attempt.
+     * @param {number} [options.reconnect.maxDelay=30000] - Upper bound in ms for the backoff delay.
+     * @param {boolean} [options.sessionResumption=true] - Request session resumption handles so a reconnect can continue the same session.
      */
-    constructor(name, url, config) {
+    constructor(name, url, config, options = {}) {
         super(); // Call EventEmitter constructor
         this.name = name || 'WebSocketClient';
         this.url = url; // URL is now mandatory and provided by agent.js which reads from config.js
@@ -24,6 +33,25 @@ export class GeminiWebsocketClient extends EventEmitter { // Now EventEmitter sh
         this.isConnecting = false;
         this.connectionPromise = null;
 
+        // Reconnect policy and state
+        this.reconnectPolicy = {
+            maxAttempts: 5,
+            baseDelay: 1000,
+            maxDelay: 30000,
+            ...(options.reconnect || {})
+        };
+        this.reconnectAttempts = 0;     // Attempts made since the connection dropped
+        this.reconnectTimer = null;     // Pending backoff timeout
+        this.isReconnecting = false;    // True between a drop and a successful reconnect / final failure
+        this.intentionalClose = false;  // Set by disconnect() so a user-initiated close never reconnects
+        this.hasSession = false;        // Set once the server confirms a setup; only established sessions reconnect
+        this.isSetupComplete = false;   // Whether the current socket's setup has been confirmed
+
+        // Session resumption (server hands out handles that let a new socket continue the session)
+        this.sessionResumption = options.sessionResumption !== false;
+        this.resumptionHandle = null;
+        this._sentResumptionHandle = null; // Handle sent with the current socket's setup, if any
+
         if (!this.url) {
             throw new Error("WebSocket URL is required.");
         }
@@ -35,7 +63,7 @@ export class GeminiWebsocketClient extends EventEmitter { // Now EventEmitter sh
     /**
      * Establishes a WebSocket connection and initializes the session with a configuration.
      * Handles concurrent connection attempts.
-     * @returns {Promise<void>} Resolves when the connection is established and setup is complete
+     * @returns {Promise<void>} Resolves when the connection is established and the setup is sent (see waitForSetupComplete())
      */
     async connect() {
         // If already connected, return the existing promise/resolve immediately
@@ -52,6 +80,7 @@ export class GeminiWebsocketClient extends EventEmitter { // Now EventEmitter sh
 
         console.info(`${this.name}: Establishing WebSocket connection to ${this.url}...`);
         this.isConnecting = true;
+        this.intentionalClose = false;
 
         // Create a new promise for this connection attempt
         this.connectionPromise = new Promise((resolve, reject) => {
@@ -64,6 +93,7 @@ export class GeminiWebsocketClient extends EventEmitter { // Now EventEmitter sh
                 // Create WebSocket with appropriate timeouts
                 const ws = new WebSocket(this.url);
                 this.ws = ws; // Assign early to allow potential immediate disconnect calls
+                let wasOpened = false; // Tracks whether this socket ever reached the open state
                 
                 // Set a connection timeout
                 const connectionTimeout = setTimeout(() => {
@@ -77,18 +107,22 @@ export class GeminiWebsocketClient extends EventEmitter { // Now EventEmitter sh
 
                 ws.addEventListener('open', () => {
                     clearTimeout(connectionTimeout);
+                    wasOpened = true;
                     console.info(`${this.name}: Successfully connected to WebSocket.`);
                     
-                    // Send the configuration setup message
-                    this.sendJSON({ setup: this.config })
+                    // Send the configuration setup message (replayed on every reconnect)
+                    const setup = this._buildSetupMessage();
+                    this.isSetupComplete = false;
+                    this._sentResumptionHandle = setup.sessionResumption?.handle || null;
+                    this.sendJSON({ setup })
                         .then(() => {
-                            console.debug(`${this.name}: Setup message sent with configuration:`, this.config);
+                            console.debug(`${this.name}: Setup message sent with configuration:`, setup);
                             this.isConnecting = false;
                             resolve(); // Resolve the promise *after* setup is sent
                         })
                         .catch((setupError) => {
                             console.error(`${this.name}: Error sending setup message:`, setupError);
-                            this.disconnect(); // Disconnect if setup fails
+                            this._closeSocket(); // Close if setup fails (the reconnect loop decides whether to retry)
                             this.isConnecting = false;
                             reject(setupError); // Reject the connection promise
                         });
@@ -97,9 +131,12 @@ export class GeminiWebsocketClient extends EventEmitter { // Now EventEmitter sh
                 ws.addEventListener('error', (errorEvent) => {
                     clearTimeout(connectionTimeout);
                     console.error(`${this.name}: WebSocket error occurred.`, errorEvent);
-                    // Attempt to disconnect and clean up state
-                    this.disconnect(); // Ensure cleanup happens
                     this.isConnecting = false;
+                    // Once the socket has been open, an error is always followed by 'close',
+                    // which decides whether to reconnect. Only tear down failed connection attempts here.
+                    if (!wasOpened && this.ws === ws) {
+                        this._closeSocket();
+                    }
                     // Reject the promise if it hasn't been resolved yet
                     reject(new Error(`${this.name}: WebSocket connection error. Check console for details.`));
                 });
@@ -108,13 +145,42 @@ export class GeminiWebsocketClient extends EventEmitter { // Now EventEmitter sh
                     clearTimeout(connectionTimeout);
                     console.warn(`${this.name}: WebSocket connection closed. Code: ${closeEvent.code}, Reason: "${closeEvent.reason || 'No reason provided'}"`);
                     this.isConnecting = false;
-                    this.ws = null; // Ensure ws is nullified
+                    // Ignore close events from sockets that were already replaced or closed via disconnect()
+                    const isCurrentSocket = this.ws === ws;
+                    if (isCurrentSocket) {
+                        this.ws = null; // Ensure ws is nullified
+                    }
                     // If the connection promise is still pending (i.e., connection failed before 'open'), reject it.
                     if (closeEvent.target.readyState !== WebSocket.OPEN && this.connectionPromise) {
                         reject(new Error(`${this.name}: WebSocket closed before connection was fully established. Code: ${closeEvent.code}`));
                     }
+                    // Stale sockets were already reported by _closeSocket()
+                    if (!isCurrentSocket) {
+                        return;
+                    }
+                    const details = { code: closeEvent.code, reason: closeEvent.reason };
+                    // Closed before confirming a resume: the handle was rejected or has expired
+                    const rejectedResume = wasOpened && !this.isSetupComplete && Boolean(this._sentResumptionHandle);
+                    if (rejectedResume) {
+                        console.warn(`${this.name}: Session could not be resumed; the next attempt starts a new session.`);
+                        this.resumptionHandle = null;
+                    }
+                    // An established session that dropped without us asking: try to get it back.
+                    // A rejected setup is final, unless it was the resume handle that got rejected.
+                    if (wasOpened && this.hasSession && !this.intentionalClose) {
+                        if (NON_RETRYABLE_CLOSE_CODES.includes(details.code) && !rejectedResume) {
+                            console.error(`${this.name}: Server rejected the session (code ${details.code}), not reconnecting.`);
+                            this._reconnectFailed(details);
+                        } else if (this._scheduleReconnect(details)) {
+                            return;
+                        }
+                    }
+                    // Failed attempts inside the reconnect loop are handled by _scheduleReconnect()
+                    if (this.isReconnecting) {
+                        return;
+                    }
                     // Emit a disconnected event for other parts of the app
-                    this.emit('disconnected', { code: closeEvent.code, reason: closeEvent.reason });
+                    this.emit('disconnected', details);
                 });
 
                 // Listen for incoming messages (expecting Blob data)
@@ -153,10 +219,46 @@ export class GeminiWebsocketClient extends EventEmitter { // Now EventEmitter sh
         return this.connectionPromise;
     }
 
+    /**
+     * Resolves once the server has confirmed the setup of the current socket. Content must not
+     * be sent before that, so callers wait here after connect() before e.g. replaying context.
+     * @param {number} [timeout=15000] - Give up after this many milliseconds.
+     * @returns {Promise<void>} Rejects on timeout or if the socket closes first.
+     */
+    waitForSetupComplete(timeout = 15000) {
+        if (this.isSetupComplete) {
+            return Promise.resolve();
+        }
+        return new Promise((resolve, reject) => {
+            const finish = (error) => {
+                clearTimeout(timer);
+                this.off('setup_complete', onComplete);
+                this.off('disconnected', onClosed);
+                error ? reject(error) : resolve();
+            };
+            const onComplete = () => finish();
+            const onClosed = (details) => finish(new Error(`${this.name}: Connection closed before setup was confirmed. Code: ${details?.code}`));
+            const timer = setTimeout(() => finish(new Error(`${this.name}: Timed out waiting for setup confirmation.`)), timeout);
+            this.on('setup_complete', onComplete);
+            this.on('disconnected', onClosed);
+        });
+    }
+
     /**
      * Closes the WebSocket connection if open.
+     * Also cancels any pending reconnect attempt, since the close was requested by the user.
      */
     disconnect() {
+        this.intentionalClose = true;
+        this.hasSession = false;
+        this._cancelReconnect();
+        this._closeSocket();
+    }
+
+    /**
+     * Closes the current socket and resets connection state without touching the reconnect policy.
+     */
+    _closeSocket() {
         if (this.ws) {
             console.info(`${this.name}: Disconnecting WebSocket...`);
             // Remove listeners to prevent errors after explicit close
@@ -178,7 +280,10 @@ export class GeminiWebsocketClient extends EventEmitter { // Now EventEmitter sh
                 // Setting to null allows a fresh promise on next connect() call.
                 this.connectionPromise = null;
                 console.info(`${this.name}: WebSocket disconnected.`);
-                this.emit('disconnected', { code: 1000, reason: "Client initiated disconnect" });
+                // A failed attempt inside the reconnect loop is not a disconnect from the app's point of view
+                if (!this.isReconnecting) {
+                    this.emit('disconnected', { code: 1000, reason: "Client initiated disconnect" });
+                }
             }
         } else {
             console.debug(`${this.name}: WebSocket already disconnected or not initialized.`);
@@ -188,6 +293,106 @@ export class GeminiWebsocketClient extends EventEmitter { // Now EventEmitter sh
         }
     }
 
+    /**
+     * Builds the setup message sent on every (re)connect.
+     * Includes the latest session resumption handle so the server can continue the previous session.
+     * @returns {Object} The setup payload.
+     */
+    _buildSetupMessage() {
+        if (!this.sessionResumption) {
+            return this.config;
+        }
+        return {
+            ...this.config,
+            sessionResumption: this.resumptionHandle ? { handle: this.resumptionHandle } : {}
+        };
+    }
+
+    /**
+     * Schedules the next reconnect attempt using exponential backoff with jitter.
+     * @param {Object} details - Close details of the connection that dropped.
+     * @returns {boolean} True if an attempt was scheduled, false if the policy is exhausted.
+     */
+    _scheduleReconnect(details) {
+        const { maxAttempts, baseDelay, maxDelay } = this.reconnectPolicy;
+        if (this.reconnectAttempts >= maxAttempts) {
+            this._reconnectFailed(details);
+            return false;
+        }
+
+        this.isReconnecting = true;
+        const attempt = ++this.reconnectAttempts;
+        // "Equal jitter": half of the backoff is fixed, the other half random, to spread out clients
+        const backoff = Math.min(maxDelay, baseDelay * 2 ** (attempt - 1));
+        const delay = Math.round(backoff / 2 + Math.random() * backoff / 2);
+
+        console.warn(`${this.name}: Reconnecting in ${delay}ms (attempt ${attempt}/${maxAttempts})...`);
+        this.emit('reconnecting', { attempt, maxAttempts, delay, ...details });
+
+        this.reconnectTimer = setTimeout(async () => {
+            this.reconnectTimer = null;
+            try {
+                // Success is reported by _handleSetupComplete(); a rejected setup closes the socket and lands in 'close'
+                await this.connect();
+            } catch (error) {
+                console.warn(`${this.name}: Reconnect attempt ${attempt} failed:`, error);
+                // disconnect() may have been called while this attempt was in flight
+                if (this.intentionalClose) {
+                    return;
+                }
+                if (!this._scheduleReconnect(details)) {
+                    this.emit('disconnected', details);
+                }
+            }
+        }, delay);
+        return true;
+    }
+
+    /**
+     * Ends the reconnect loop and reports that the session is lost. Does nothing outside the loop.
+     * @param {Object} details - Close details of the last failed attempt.
+     */
+    _reconnectFailed(details) {
+        if (!this.isReconnecting) {
+            return;
+        }
+        console.error(`${this.name}: Giving up after ${this.reconnectAttempts} reconnect attempt(s).`);
+        const attempts = this.reconnectAttempts;
+        this.isReconnecting = false;
+        this.reconnectAttempts = 0;
+        this.emit('reconnect_failed', { attempts, ...details });
+    }
+
+    /**
+     * Handles the server's confirmation of the setup. Only now is a (re)connect successful: a
+     * session is resumed if the confirmation answers a setup that carried a resumption handle.
+     * @param {Object} setupComplete - The setupComplete payload.
+     */
+    _handleSetupComplete(setupComplete) {
+        console.debug(`${this.name}: Received setup complete confirmation.`, setupComplete);
+        this.isSetupComplete = true;
+        this.hasSession = true;
+        this.emit('setup_complete', setupComplete);
+        if (this.isReconnecting) {
+            const attempt = this.reconnectAttempts;
+            const resumed = Boolean(this._sentResumptionHandle);
+            console.info(`${this.name}: Reconnected after ${attempt} attempt(s) (session ${resumed ? 'resumed' : 'restarted'}).`);
+            this.isReconnecting = false;
+            this.reconnectAttempts = 0;
+            this.emit('reconnected', { attempt, resumed });
+        }
+    }
+
+    /** Cancels a pending reconnect attempt and resets the reconnect state. */
+    _cancelReconnect() {
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+        this.reconnectAttempts = 0;
+        this.isReconnecting = false;
+    }
+
     /**
      * Processes incoming WebSocket Blob messages.
      * Converts Blob to JSON and emits corresponding events based on the response structure.
@@ -207,11 +412,27 @@ export class GeminiWebsocketClient extends EventEmitter { // Now EventEmitter sh
 
         // Handle setup confirmation (Added)
         if (response.setupComplete) {
-            console.debug(`${this.name}: Received setup complete confirmation.`, response.setupComplete);
-            this.emit('setup_complete', response.setupComplete);
+            this._handleSetupComplete(response.setupComplete);
             return; // Explicitly handled
         }
 
+        // Handle session resumption handles (used to resume the session after a reconnect)
+        if (response.sessionResumptionUpdate) {
+            const { newHandle, resumable } = response.sessionResumptionUpdate;
+            if (resumable && newHandle) {
+                this.resumptionHandle = newHandle;
+            }
+            console.debug(`${this.name}: Session resumption update received. Resumable: ${resumable}`);
+            return;
+        }
+
+        // Handle server notice that the connection will be closed soon
+        if (response.goAway) {
+            console.warn(`${this.name}: Server will close the connection soon. Time left: ${response.goAway.timeLeft}`);
+            this.emit('go_away', response.goAway);
+            return;
+        }
+
         // Handle tool call requests
         if (response.toolCall) {
             console.debug(`${this.name}: Received tool call`, response);
@@ -248,6 +469,16 @@ export class GeminiWebsocketClient extends EventEmitter { // Now EventEmitter sh
                 // Turn complete often signifies the end of a logical response block
             }
 
+            // Transcription of the model's spoken reply (when outputAudioTranscription is enabled)
+            if (serverContent.outputTranscription?.text) {
+                this.emit('output_transcription', serverContent.outputTranscription.text, Boolean(serverContent.outputTranscription.finished));
+            }
+
+            // Transcription of the user's speech (when inputAudioTranscription is enabled)
+            if (serverContent.inputTranscription?.text) {
+                this.emit('input_transcription', serverContent.inputTranscription.text, Boolean(serverContent.inputTranscription.finished));
+            }
+
             if (serverContent.modelTurn && serverContent.modelTurn.parts) {
                 // Process parts: text, audio, potentially others
                 const parts = serverContent.modelTurn.parts;
@@ -260,7 +491,8 @@ export class GeminiWebsocketClient extends EventEmitter { // Now EventEmitter sh
                         if (part.inlineData.data) {
                             try {
                                 const audioData = base64ToArrayBuffer(part.inlineData.data);
-                                this.emit('audio', audioData);
+                                // The mime type carries the sample rate, e.g. "audio/pcm;rate=24000"
+                                this.emit('audio', audioData, part.inlineData.mimeType);
                             } catch (audioError) {
                                 console.error(`${this.name}: Failed to decode audio data:`, audioError);
                                 this.emit('error', new Error("Failed to decode server audio"));
@@ -274,7 +506,7 @@ export class GeminiWebsocketClient extends EventEmitter { // Now EventEmitter sh
                         this.emit('unhandled_part', part); // Emit for potential external handling
                     }
                 });
-            } else if (!serverContent.interrupted && !serverContent.turnComplete) {
+            } else if (!serverContent.interrupted && !serverContent.turnComplete && !serverContent.outputTranscription && !serverContent.inputTranscription) {
                 // Received serverContent without modelTurn, interrupted, or turnComplete
                 console.debug(`${this.name}: Received serverContent without actionable data:`, response);
             }
@@ -293,8 +525,7 @@ export class GeminiWebsocketClient extends EventEmitter { // Now EventEmitter sh
     handleJsonMessage(jsonData) {
         // Handle setup confirmation
         if (jsonData.setupComplete) {
-            console.debug(`${this.name}: Received setup complete confirmation.`, jsonData.setupComplete);
-            this.emit('setup_complete', jsonData.setupComplete);
+            this._handleSetupComplete(jsonData.setupComplete);
             return;
         }
         
@@ -341,14 +572,31 @@ export class GeminiWebsocketClient extends EventEmitter { // Now EventEmitter sh
 
     /**
      * Sends encoded audio chunk to the Gemini API.
-     * @param {string} base64audio - The base64 encoded audio string.
+     * @param {string} base64audio - The base64 encoded 16-bit PCM audio string.
+     * @param {number} [sampleRate=16000] - Sample rate of the audio, sent in the mime type.
      */
-    async sendAudio(base64audio) {
-        const data = { realtimeInput: { mediaChunks: [{ mimeType: 'audio/pcm', data: base64audio }] } };
+    async sendAudio(base64audio, sampleRate = 16000) {
+        const data = { realtimeInput: { mediaChunks: [{ mimeType: `audio/pcm;rate=${sampleRate}`, data: base64audio }] } };
         await this.sendJSON(data);
         // console.debug(`${this.name}: Sent audio chunk.`); // Keep logs concise
     }
 
+    /**
+     * Marks the start of a user turn. Only valid when automatic activity detection is disabled.
+     */
+    async sendActivityStart() {
+        await this.sendJSON({ realtimeInput: { activityStart: {} } });
+        console.debug(`${this.name}: Sent activity start.`);
+    }
+
+    /**
+     * Marks the end of a user turn; the model responds after this.
+     */
+    async sendActivityEnd() {
+        await this.sendJSON({ realtimeInput: { activityEnd: {} } });
+        console.debug(`${this.name}: Sent activity end.`);
+    }
+
     /**
      * Sends encoded image to the Gemini API.
      * @param {string} base64image - The base64 encoded image string (data only, no prefix).
@@ -359,6 +607,21 @@ export class GeminiWebsocketClient extends EventEmitter { // Now EventEmitter sh
         // console.debug(`<span class="math-inline">\{this\.name\}\: Sent image chunk \(</span>{Math.round(base64image.length / 1024)} KB).`);
     }
 
+    /**
+     * Resolves once everything queued on the socket has been handed to the network,
+     * e.g. to time how long an image takes to upload.
+     * @param {number} [timeout=5000] - Give up after this many milliseconds.
+     * @returns {Promise<boolean>} False if it timed out or the socket closed first.
+     */
+    async waitForDrain(timeout = 5000) {
+        const deadline = Date.now() + timeout;
+        while (this.ws?.readyState === WebSocket.OPEN && this.ws.bufferedAmount > 0) {
+            if (Date.now() >= deadline) return false;
+            await new Promise(resolve => setTimeout(resolve, 10));
+        }
+        return this.ws?.readyState === WebSocket.OPEN;
+    }
+
     /**
      * Sends a text message to the Gemini API.
      * @param {string} text - The text to send to Gemini.
@@ -387,25 +650,79 @@ export class GeminiWebsocketClient extends EventEmitter { // Now EventEmitter sh
     }
 
     /**
-     * Sends the result of a tool call back to Gemini.
-     * @param {Object} toolResponse - The response object.
-     * @param {string} toolResponse.id - The identifier of the tool call (from toolCall.functionCalls[0].id).
-     * @param {*} [toolResponse.output] - The output of the tool execution (required if no error).
-     * @param {string} [toolResponse.error] - Error message if the tool call failed (output should be omitted/null).
+     * Sends one user turn made of several parts, e.g. an image together with a question about it.
+     * @param {Array<Object>} parts - Content parts: `{text}` or `{inlineData: {mimeType, data}}`.
+     * @param {boolean} [endOfTurn=true] - If false, the model may wait for more input.
+     */
+    async sendContent(parts, endOfTurn = true) {
+        if (!Array.isArray(parts) || parts.length === 0) {
+            console.error(`${this.name}: sendContent called with no parts, nothing sent.`);
+            return;
+        }
+        await this.sendJSON({
+            clientContent: {
+                turns: [{ role: 'user', parts }],
+                ...(endOfTurn && { turnComplete: true })
+            }
+        });
+        console.debug(`${this.name}: Sent user turn with ${parts.length} part(s) (EndOfTurn: ${endOfTurn})`);
+    }
+
+    /**
+     * Sends prior conversation turns as context, without asking the model to respond.
+     * @param {Array<{role: string, parts: Array<Object>}>} turns - Content turns, oldest first.
+     * @param {boolean} [turnComplete=false] - Whether the model should respond right away.
+     */
+    async sendContext(turns, turnComplete = false) {
+        if (!Array.isArray(turns) || turns.length === 0) {
+            console.warn(`${this.name}: sendContext called with no turns, nothing sent.`);
+            return;
+        }
+        await this.sendJSON({ clientContent: { turns, turnComplete } });
+        console.debug(`${this.name}: Sent ${turns.length} context turn(s).`);
+    }
+
+    /**
+     * Sends the results of one or more tool calls back to Gemini in a single toolResponse message.
+     * @param {Object|Array<Object>} toolResponses - A response object, or an array of them for a batch.
+     * @param {string} toolResponses.id - The identifier of the tool call (from toolCall.functionCalls[n].id).
+     * @param {string} [toolResponses.name] - The name of the called function.
+     * @param {*} [toolResponses.output] - The output of the tool execution (required if no error).
+     * @param {string|Object} [toolResponses.error] - Error message, or a structured error object, if the tool call failed (output should be omitted/null).
+     */
+    async sendToolResponse(toolResponses) {
+        const responses = Array.isArray(toolResponses) ? toolResponses : [toolResponses];
+        if (responses.length === 0) {
+            console.warn(`${this.name}: sendToolResponse called with no responses, nothing sent.`);
+            return;
+        }
+
+        const functionResponses = responses.map(toolResponse => this._formatFunctionResponse(toolResponse));
+
+        await this.sendJSON({ toolResponse: { functionResponses } });
+        console.debug(`${this.name}: Tool response sent for ID(s) ${functionResponses.map(r => r.id).join(', ')}.`);
+    }
+
+    /**
+     * Converts a {id, name, output, error} tool result into the API's FunctionResponse shape.
+     * @param {Object} toolResponse - The tool result.
+     * @returns {Object} The FunctionResponse payload.
+     * @private
      */
-    async sendToolResponse(toolResponse) {
+    _formatFunctionResponse(toolResponse) {
         if (!toolResponse || typeof toolResponse.id !== 'string') {
             console.error(`${this.name}: Invalid toolResponse object for sendToolResponse. Missing or invalid 'id'.`, toolResponse);
             throw new Error("Tool response must include a valid string 'id'.");
         }
 
-        const { id, output, error } = toolResponse;
+        const { id, name, output, error } = toolResponse;
         let functionResponsePayload;
 
         if (error !== undefined && error !== null) {
             // Send error response
             functionResponsePayload = {
-                response: { error: String(error) }, // Ensure error is a string
+                // Structured errors (e.g. argument validation details) are passed through as-is
+                response: { error: typeof error === 'object' ? error : String(error) },
                 id: id
             };
             console.warn(`${this.name}: Sending tool error response for ID ${id}:`, error);
@@ -421,7 +738,7 @@ export class GeminiWebsocketClient extends EventEmitter { // Now EventEmitter sh
             throw new Error("Tool response must include 'output' or 'error'.");
         }
 
-        await this.sendJSON({ toolResponse: { functionResponses: [functionResponsePayload] } });
-        console.debug(`${this.name}: Tool response sent for ID ${id}.`);
+        if (name) functionResponsePayload.name = name;
+        return functionResponsePayload;
     }
-}
\ No newline at end of file
+}
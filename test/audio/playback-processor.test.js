@@ -0,0 +1,166 @@
+/**
+ * Tests for the playback worklet: jitter buffering, underrun concealment and position reports.
+ * The AudioWorkletGlobalScope is stood in for by globals, as the worklet only uses
+ * AudioWorkletProcessor, registerProcessor, sampleRate and currentTime.
+ * Run with: node --experimental-default-type=module --test $(find test -name '*.test.js')
+ */
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+const SAMPLE_RATE = 48000;
+const QUANTUM = 128;
+/** Samples in the concealment tail (CONCEAL_MS at SAMPLE_RATE) */
+const TAIL_LENGTH = 480;
+
+let PlaybackWorklet = null;
+
+before(async () => {
+    globalThis.sampleRate = SAMPLE_RATE;
+    globalThis.currentTime = 0;
+    globalThis.AudioWorkletProcessor = class {
+        constructor() {
+            this.port = { messages: [], postMessage(message) { this.messages.push(message); } };
+        }
+    };
+    globalThis.registerProcessor = (name, processor) => { PlaybackWorklet = processor; };
+    await import('../../js/audio/worklets/playback-processor.js');
+});
+
+/**
+ * Creates a worklet playing audio at the context rate.
+ * @param {Object} [processorOptions]
+ * @returns {Object}
+ */
+function createWorklet(processorOptions = {}) {
+    globalThis.currentTime = 0;
+    return new PlaybackWorklet({ processorOptions: { sourceRate: SAMPLE_RATE, ...processorOptions } });
+}
+
+/**
+ * Sends a message to the worklet as the main thread would.
+ * @param {Object} worklet
+ * @param {string} event
+ * @param {*} [data]
+ */
+function send(worklet, event, data) {
+    worklet.port.onmessage({ data: { event, data } });
+}
+
+/**
+ * Renders quanta, advancing the context clock, and returns all output.
+ * @param {Object} worklet
+ * @param {number} quanta
+ * @returns {Array<number>}
+ */
+function run(worklet, quanta) {
+    const rendered = [];
+    for (let n = 0; n < quanta; n++) {
+        const output = new Float32Array(QUANTUM);
+        worklet.process([], [[output]]);
+        rendered.push(...output);
+        globalThis.currentTime += QUANTUM / SAMPLE_RATE;
+    }
+    return rendered;
+}
+
+/**
+ * Messages the worklet posted for one event type.
+ * @param {Object} worklet
+ * @param {string} event
+ * @returns {Array<Object>}
+ */
+function posted(worklet, event) {
+    return worklet.port.messages.filter(message => message.event === event);
+}
+
+/**
+ * Largest difference between neighbouring samples; a click shows up as a jump.
+ * @param {Array<number>} samples
+ * @returns {number}
+ */
+function largestStep(samples) {
+    let largest = 0;
+    for (let i = 1; i < samples.length; i++) largest = Math.max(largest, Math.abs(samples[i] - samples[i - 1]));
+    return largest;
+}
+
+test('playback waits for the jitter target before starting', () => {
+    const worklet = createWorklet();
+    send(worklet, 'push', new Float32Array(SAMPLE_RATE * 0.05).fill(0.5)); // 50ms, below the 80ms target
+    assert.ok(run(worklet, 10).every(sample => sample === 0));
+
+    send(worklet, 'push', new Float32Array(SAMPLE_RATE * 0.05).fill(0.5));
+    const output = run(worklet, 10);
+    assert.ok(output.some(sample => sample > 0.49));
+});
+
+test('an underrun fades out the last audio instead of cutting it off', () => {
+    const worklet = createWorklet();
+    send(worklet, 'push', new Float32Array(SAMPLE_RATE * 0.1).fill(0.5));
+    const output = run(worklet, Math.ceil(SAMPLE_RATE * 0.1 / QUANTUM) + 8);
+
+    const lastLoud = output.findLastIndex(sample => sample > 0.499);
+    const silentFrom = output.findIndex((sample, i) => i > lastLoud && sample === 0);
+    assert.ok(lastLoud > 0 && silentFrom > lastLoud);
+    // The tail ramps down over the concealment length rather than dropping to zero at once
+    assert.ok(silentFrom - lastLoud >= TAIL_LENGTH - 1, `faded over ${silentFrom - lastLoud} samples`);
+    assert.ok(largestStep(output) < 0.005, `largest step ${largestStep(output)}`);
+    assert.equal(worklet.playing, false);
+});
+
+test('audio arriving soon after an underrun raises the jitter target', () => {
+    const worklet = createWorklet();
+    send(worklet, 'push', new Float32Array(SAMPLE_RATE * 0.1).fill(0.25));
+    run(worklet, 50); // Plays out and underruns
+    assert.deepEqual(posted(worklet, 'underrun'), []);
+
+    send(worklet, 'push', new Float32Array(SAMPLE_RATE * 0.2).fill(0.25));
+    run(worklet, 1);
+    assert.deepEqual(posted(worklet, 'underrun').map(message => message.data.targetMs), [120]);
+});
+
+test('a completed reply drains without waiting and is not counted as an underrun', () => {
+    const worklet = createWorklet();
+    send(worklet, 'push', new Float32Array(SAMPLE_RATE * 0.02).fill(0.25)); // Shorter than the jitter target
+    send(worklet, 'end');
+    const output = run(worklet, 20);
+    assert.ok(output.slice(0, QUANTUM * 2).some(sample => sample > 0.2));
+    assert.equal(posted(worklet, 'drained').length, 1);
+    assert.equal(worklet.targetMs, 80);
+});
+
+test('clear fades out what was playing and drops the rest', () => {
+    const worklet = createWorklet();
+    send(worklet, 'push', new Float32Array(SAMPLE_RATE).fill(0.5));
+    const before = run(worklet, 40);
+    send(worklet, 'clear', { generation: 3 });
+    const after = run(worklet, 10);
+    assert.ok(after[0] > 0.45, 'the tail starts where playback stopped');
+    assert.ok(after.slice(TAIL_LENGTH).every(sample => sample === 0));
+    assert.ok(largestStep([...before, ...after]) < 0.005);
+    assert.equal(worklet.ring.availableRead, 0);
+    assert.equal(posted(worklet, 'position').at(-1).data.generation, 3);
+});
+
+test('pushes beyond the ring capacity report an overflow', () => {
+    const worklet = createWorklet({ capacity: 1000 });
+    send(worklet, 'push', new Float32Array(1500));
+    assert.deepEqual(posted(worklet, 'overflow').map(message => message.data), [{ dropped: 500 }]);
+    assert.equal(worklet.ring.availableRead, 1000);
+});
+
+test('position reports count the audio played and pulled', () => {
+    const worklet = createWorklet({ sourceRate: 24000 });
+    send(worklet, 'push', new Float32Array(24000).fill(0.1)); // 1s at 24 kHz
+    run(worklet, 300); // 0.8s of output
+    const report = posted(worklet, 'position').at(-1).data;
+    assert.equal(report.playing, true);
+    // Playback started on the first quantum, so the audio played matches the time rendered
+    assert.ok(Math.abs(report.playedSeconds - report.contextTime) < 3 / 24000,
+        `played ${report.playedSeconds}s by ${report.contextTime}s`);
+    // Nothing is lost between what was played and what is still buffered
+    assert.ok(Math.abs(report.playedSeconds + report.bufferedFrames / 24000 - 1) < 1 / 24000);
+    // Only a quantum's worth of lookahead is taken from the ring ahead of playback
+    const played = report.playedSeconds * 24000;
+    assert.ok(report.pulledFrames >= played && report.pulledFrames <= played + QUANTUM, `pulled ${report.pulledFrames}`);
+});
@@ -0,0 +1,132 @@
+/**
+ * Tests for the worklet resampler, fed with synthetic sine waves.
+ * Run with: node --experimental-default-type=module --test $(find test -name '*.test.js')
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Resampler } from '../../js/audio/worklets/resampler.js';
+
+const OUTPUT_RATE = 16000;
+const BLOCK_SIZE = 128; // One AudioWorklet render quantum
+
+/**
+ * Generates a sine wave.
+ * @param {number} rate - Sample rate in Hz.
+ * @param {number} frequency - Tone frequency in Hz.
+ * @param {number} seconds - Duration.
+ * @param {number} [amplitude=0.5]
+ * @returns {Float32Array}
+ */
+function sine(rate, frequency, seconds, amplitude = 0.5) {
+    const samples = new Float32Array(Math.round(rate * seconds));
+    for (let i = 0; i < samples.length; i++) {
+        samples[i] = amplitude * Math.sin(2 * Math.PI * frequency * i / rate);
+    }
+    return samples;
+}
+
+/**
+ * Runs samples through a resampler in blocks and collects the output.
+ * @param {Resampler} resampler
+ * @param {Float32Array} samples
+ * @param {Array<number>} blockSizes - Block sizes to cycle through.
+ * @returns {Float32Array}
+ */
+function resample(resampler, samples, blockSizes = [BLOCK_SIZE]) {
+    const output = [];
+    for (let offset = 0, n = 0; offset < samples.length; n++) {
+        const size = blockSizes[n % blockSizes.length];
+        // process() returns a reused view, so copy it out before the next call
+        output.push(...resampler.process(samples.subarray(offset, offset + size)));
+        offset += size;
+    }
+    return Float32Array.from(output);
+}
+
+/**
+ * Least-squares fit of a sine at a known frequency.
+ * @param {Float32Array} samples
+ * @param {number} rate - Sample rate in Hz.
+ * @param {number} frequency - Frequency to fit, in Hz.
+ * @returns {{amplitude: number, residualRms: number}} Fitted amplitude and what the fit leaves unexplained.
+ */
+function fitSine(samples, rate, frequency) {
+    let sinSum = 0;
+    let cosSum = 0;
+    for (let i = 0; i < samples.length; i++) {
+        const angle = 2 * Math.PI * frequency * i / rate;
+        sinSum += samples[i] * Math.sin(angle);
+        cosSum += samples[i] * Math.cos(angle);
+    }
+    const a = 2 * sinSum / samples.length;
+    const b = 2 * cosSum / samples.length;
+    let residual = 0;
+    for (let i = 0; i < samples.length; i++) {
+        const angle = 2 * Math.PI * frequency * i / rate;
+        residual += (samples[i] - a * Math.sin(angle) - b * Math.cos(angle)) ** 2;
+    }
+    return { amplitude: Math.hypot(a, b), residualRms: Math.sqrt(residual / samples.length) };
+}
+
+/** @returns {number} RMS of the samples */
+function rms(samples) {
+    return Math.sqrt(samples.reduce((sum, value) => sum + value * value, 0) / samples.length);
+}
+
+/** Drops the filter's start-up transient (from the silence the history starts with) */
+function steadyState(samples) {
+    return samples.subarray(Math.round(OUTPUT_RATE * 0.01));
+}
+
+for (const inputRate of [44100, 48000]) {
+    test(`${inputRate} Hz input: a 1 kHz sine keeps its frequency and amplitude at 16 kHz`, () => {
+        const output = resample(new Resampler(inputRate, OUTPUT_RATE), sine(inputRate, 1000, 0.5));
+        const fit = fitSine(steadyState(output), OUTPUT_RATE, 1000);
+        assert.ok(Math.abs(fit.amplitude - 0.5) < 0.005, `amplitude ${fit.amplitude}`);
+        assert.ok(fit.residualRms < 0.002, `residual ${fit.residualRms}`);
+    });
+
+    test(`${inputRate} Hz input: output length follows the rate ratio`, () => {
+        const seconds = 0.5;
+        const output = resample(new Resampler(inputRate, OUTPUT_RATE), sine(inputRate, 1000, seconds));
+        // The filter holds back up to half a kernel of input until more arrives
+        const expected = OUTPUT_RATE * seconds;
+        assert.ok(output.length <= expected && output.length > expected - 20, `${output.length} samples`);
+    });
+
+    test(`${inputRate} Hz input: tones above the 8 kHz output Nyquist are attenuated`, () => {
+        for (const frequency of [10000, 12000, 15000]) {
+            const output = resample(new Resampler(inputRate, OUTPUT_RATE), sine(inputRate, frequency, 0.5));
+            const level = rms(steadyState(output)) / (0.5 / Math.SQRT2);
+            assert.ok(level < 0.01, `${frequency} Hz leaks through at ${(20 * Math.log10(level)).toFixed(1)} dB`);
+        }
+    });
+
+    test(`${inputRate} Hz input: output is the same whatever the block boundaries`, () => {
+        const input = sine(inputRate, 1000, 0.25);
+        const whole = resample(new Resampler(inputRate, OUTPUT_RATE), input, [input.length]);
+        const blocks = resample(new Resampler(inputRate, OUTPUT_RATE), input, [1, 7, 128, 333, 2, 1024]);
+        assert.equal(blocks.length, whole.length);
+        let maxDifference = 0;
+        for (let i = 0; i < whole.length; i++) {
+            maxDifference = Math.max(maxDifference, Math.abs(whole[i] - blocks[i]));
+        }
+        // Rounding in the fractional read position may differ; well under one Int16 step is fine
+        assert.ok(maxDifference < 1 / 65536, `outputs differ by up to ${maxDifference}`);
+    });
+
+    test(`${inputRate} Hz input: no jumps between consecutive blocks`, () => {
+        const resampler = new Resampler(inputRate, OUTPUT_RATE);
+        const output = steadyState(resample(resampler, sine(inputRate, 1000, 0.25)));
+        // A 1 kHz sine of amplitude 0.5 changes by at most 2π·1000/16000·0.5 ≈ 0.196 per sample
+        const maxStep = 2 * Math.PI * 1000 / OUTPUT_RATE * 0.5;
+        for (let i = 1; i < output.length; i++) {
+            assert.ok(Math.abs(output[i] - output[i - 1]) <= maxStep * 1.01, `jump of ${output[i] - output[i - 1]} at sample ${i}`);
+        }
+    });
+}
+
+test('equal rates pass samples through unchanged', () => {
+    const input = sine(16000, 1000, 0.01);
+    assert.equal(new Resampler(16000, 16000).process(input), input);
+});
@@ -0,0 +1,128 @@
+/**
+ * Tests for the ring buffer between the audio streamer and the playback worklet.
+ * Run with: node --experimental-default-type=module --test $(find test -name '*.test.js')
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RingBuffer } from '../../js/audio/worklets/ring-buffer.js';
+
+/**
+ * Consecutive sample values, so reads show exactly which samples came back.
+ * @param {number} from
+ * @param {number} count
+ * @returns {Float32Array}
+ */
+function ramp(from, count) {
+    return Float32Array.from({ length: count }, (_, i) => from + i);
+}
+
+/**
+ * Pulls up to `count` samples into a fresh array.
+ * @param {RingBuffer} ring
+ * @param {number} count
+ * @returns {Array<number>} The samples read.
+ */
+function pull(ring, count) {
+    const target = new Float32Array(count);
+    const read = ring.pull(target);
+    return [...target.subarray(0, read)];
+}
+
+test('a new ring is empty and holds exactly its capacity', () => {
+    const ring = RingBuffer.create(8);
+    assert.equal(ring.capacity, 8);
+    assert.equal(ring.availableRead, 0);
+    assert.equal(ring.availableWrite, 8);
+    assert.equal(ring.push(ramp(0, 8)), 8);
+    assert.equal(ring.availableRead, 8);
+    assert.equal(ring.availableWrite, 0);
+    assert.deepEqual(pull(ring, 8), [0, 1, 2, 3, 4, 5, 6, 7]);
+});
+
+test('writes and reads wrap around the end of the buffer', () => {
+    const ring = RingBuffer.create(8);
+    ring.push(ramp(0, 6));
+    assert.deepEqual(pull(ring, 5), [0, 1, 2, 3, 4]);
+
+    // 6 samples starting at index 6 of a 9-slot buffer: 3 before the end, 3 after the wrap
+    assert.equal(ring.push(ramp(6, 6)), 6);
+    assert.equal(ring.writeIndex, 3);
+    assert.equal(ring.availableRead, 7);
+    assert.deepEqual(pull(ring, 7), [5, 6, 7, 8, 9, 10, 11]);
+    assert.equal(ring.availableRead, 0);
+});
+
+test('samples survive many laps in odd-sized pieces', () => {
+    const ring = RingBuffer.create(7);
+    const received = [];
+    let next = 0;
+    for (let lap = 0; lap < 50; lap++) {
+        next += ring.push(ramp(next, 1 + (lap % 5)));
+        received.push(...pull(ring, 1 + (lap % 3)));
+    }
+    received.push(...pull(ring, 7));
+    assert.deepEqual(received, [...ramp(0, next)]);
+});
+
+test('an overflowing write keeps what fits and reports it', () => {
+    const ring = RingBuffer.create(8);
+    ring.push(ramp(0, 5));
+    assert.equal(ring.push(ramp(5, 10)), 3);
+    assert.equal(ring.push(ramp(99, 1)), 0);
+    // Unread samples are never overwritten
+    assert.deepEqual(pull(ring, 8), [0, 1, 2, 3, 4, 5, 6, 7]);
+});
+
+test('an underrun reads what is there and leaves the rest of the target alone', () => {
+    const ring = RingBuffer.create(8);
+    ring.push(ramp(1, 3));
+    const target = new Float32Array(6).fill(-1);
+    assert.equal(ring.pull(target), 3);
+    assert.deepEqual([...target], [1, 2, 3, -1, -1, -1]);
+    assert.equal(ring.pull(target), 0);
+});
+
+test('pull honours an explicit count', () => {
+    const ring = RingBuffer.create(8);
+    ring.push(ramp(0, 6));
+    const target = new Float32Array(6);
+    assert.equal(ring.pull(target, 2), 2);
+    assert.deepEqual([...target.subarray(0, 2)], [0, 1]);
+    assert.equal(ring.availableRead, 4);
+});
+
+test('skipTo discards up to a write index taken earlier, across the wrap', () => {
+    const ring = RingBuffer.create(8);
+    ring.push(ramp(0, 7));
+    pull(ring, 7);
+    ring.push(ramp(7, 4)); // Wraps: write index 2
+    const clearedUpTo = ring.writeIndex;
+    ring.push(ramp(11, 2)); // Arrives after the clear was requested
+    ring.skipTo(clearedUpTo);
+    assert.deepEqual(pull(ring, 8), [11, 12]);
+});
+
+test('skipTo never moves the reader backwards', () => {
+    const ring = RingBuffer.create(8);
+    ring.push(ramp(0, 4));
+    const stale = ring.writeIndex;
+    ring.push(ramp(4, 4));
+    pull(ring, 6); // The reader is already past the stale index
+    ring.skipTo(stale);
+    assert.deepEqual(pull(ring, 8), [6, 7]);
+
+    ring.push(ramp(8, 3));
+    ring.skipTo(); // Everything
+    assert.equal(ring.availableRead, 0);
+});
+
+test('two views on the same shared buffers see each other\'s writes', () => {
+    const producer = RingBuffer.create(16, true);
+    assert.ok(producer.dataBuffer instanceof SharedArrayBuffer);
+    const consumer = new RingBuffer(producer.stateBuffer, producer.dataBuffer);
+    producer.push(ramp(0, 10));
+    assert.deepEqual(pull(consumer, 4), [0, 1, 2, 3]);
+    assert.equal(producer.availableWrite, 10);
+    producer.push(ramp(10, 10));
+    assert.deepEqual(pull(consumer, 16), [...ramp(4, 16)]);
+});
@@ -0,0 +1,99 @@
+/**
+ * Tests for AudioStreamer.getPlaybackPosition(), which extrapolates the playback worklet's reports.
+ * Run with: node --experimental-default-type=module --test $(find test -name '*.test.js')
+ */
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+const SOURCE_RATE = 24000; // MODEL_SAMPLE_RATE when no sample rate is saved
+
+let AudioStreamer = null;
+
+/** Just enough of an AudioContext for the streamer's constructor and stop() */
+class FakeAudioContext {
+    constructor() {
+        this.currentTime = 0;
+        this.outputLatency = 0;
+        this.baseLatency = 0;
+        this.destination = {};
+    }
+
+    createGain() {
+        return { connect() {}, gain: { linearRampToValueAtTime() {} } };
+    }
+}
+
+before(async () => {
+    globalThis.localStorage = { getItem: () => null }; // Read by config.js when it loads
+    globalThis.AudioContext = FakeAudioContext;
+    ({ AudioStreamer } = await import('../../js/audio/streamer.js'));
+});
+
+/**
+ * A position report as posted by the playback worklet.
+ * @param {Object} fields - Overrides.
+ * @returns {{event: string, data: Object}}
+ */
+function position(fields) {
+    return {
+        event: 'position',
+        data: { generation: 0, playedSeconds: 0, contextTime: 0, pulledFrames: 0, bufferedFrames: 0, playing: true, targetMs: 80, ...fields }
+    };
+}
+
+test('the position is 0 before the first report', () => {
+    const streamer = new AudioStreamer(new FakeAudioContext());
+    assert.equal(streamer.getPlaybackPosition(), 0);
+});
+
+test('the position runs on from the last report while playing', () => {
+    const context = new FakeAudioContext();
+    const streamer = new AudioStreamer(context);
+    streamer._handleWorkletMessage(position({ playedSeconds: 1.5, contextTime: 10, bufferedFrames: SOURCE_RATE }));
+    context.currentTime = 10;
+    assert.equal(streamer.getPlaybackPosition(), 1.5);
+    context.currentTime = 10.25;
+    assert.equal(streamer.getPlaybackPosition(), 1.75);
+});
+
+test('extrapolation stops at the end of the buffered audio', () => {
+    const context = new FakeAudioContext();
+    const streamer = new AudioStreamer(context);
+    streamer._handleWorkletMessage(position({ playedSeconds: 2, contextTime: 5, bufferedFrames: SOURCE_RATE / 10 }));
+    context.currentTime = 9; // Reports stopped arriving, e.g. the tab was in the background
+    assert.equal(streamer.getPlaybackPosition(), 2.1);
+});
+
+test('a paused or stalled stream does not advance', () => {
+    const context = new FakeAudioContext();
+    const streamer = new AudioStreamer(context);
+    streamer._handleWorkletMessage(position({ playedSeconds: 3, contextTime: 5, bufferedFrames: SOURCE_RATE, playing: false }));
+    context.currentTime = 6;
+    assert.equal(streamer.getPlaybackPosition(), 3);
+    // A report from before the clock caught up never moves the position backwards
+    streamer._handleWorkletMessage(position({ playedSeconds: 3, contextTime: 7, bufferedFrames: SOURCE_RATE }));
+    assert.equal(streamer.getPlaybackPosition(), 3);
+});
+
+test('output latency is subtracted, without going below 0', () => {
+    const context = new FakeAudioContext();
+    context.outputLatency = 0.04;
+    context.baseLatency = 0.01;
+    const streamer = new AudioStreamer(context);
+    streamer._handleWorkletMessage(position({ playedSeconds: 1, contextTime: 0 }));
+    assert.ok(Math.abs(streamer.getPlaybackPosition() - 0.95) < 1e-9);
+    streamer._handleWorkletMessage(position({ playedSeconds: 0.02, contextTime: 0 }));
+    assert.equal(streamer.getPlaybackPosition(), 0);
+});
+
+test('stop() resets the position and ignores reports from before it', () => {
+    const context = new FakeAudioContext();
+    const streamer = new AudioStreamer(context);
+    streamer._handleWorkletMessage(position({ playedSeconds: 4 }));
+    streamer.stop();
+    assert.equal(streamer.getPlaybackPosition(), 0);
+    streamer._handleWorkletMessage(position({ playedSeconds: 4.02 })); // Posted before the worklet saw the clear
+    assert.equal(streamer.getPlaybackPosition(), 0);
+    streamer._handleWorkletMessage(position({ generation: 1, playedSeconds: 0.1 }));
+    assert.equal(streamer.getPlaybackPosition(), 0.1);
+});
@@ -0,0 +1,72 @@
+/**
+ * Tests for the attachment limits of the chat composer.
+ * Run with: node --experimental-default-type=module --test $(find test -name '*.test.js')
+ */
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { AttachmentTray, ATTACHMENT_LIMITS, checkAttachmentLimits } from '../../js/chat/attachments.js';
+
+const MB = 1024 * 1024;
+
+before(() => {
+    // Reads take a while, like the browser's, so overlapping add() calls really overlap
+    globalThis.FileReader = class {
+        readAsDataURL() {
+            setTimeout(() => {
+                this.result = 'data:application/octet-stream;base64,AAAA';
+                this.onload();
+            }, 5);
+        }
+    };
+});
+
+/**
+ * @param {string} name
+ * @param {number} size - Bytes.
+ * @returns {File}
+ */
+function textFile(name, size = 10) {
+    return new File([new Uint8Array(size)], name, { type: 'text/plain' });
+}
+
+test('overlapping add() calls cannot exceed the file count', async () => {
+    const statuses = [];
+    const tray = new AttachmentTray({}, { onStatus: status => statuses.push(status) });
+    const files = count => Array.from({ length: count }, (_, i) => textFile(`file-${count}-${i}.txt`));
+    const results = await Promise.all([tray.add(files(3)), tray.add(files(4))]);
+    assert.equal(tray.count, ATTACHMENT_LIMITS.maxFiles);
+    assert.deepEqual(results, [3, 2]);
+    assert.match(statuses.join('\n'), /at most 5 files per message/);
+});
+
+test('overlapping add() calls cannot exceed the total size', async () => {
+    const tray = new AttachmentTray({});
+    const results = await Promise.all([
+        tray.add([textFile('a.txt', 6 * MB)]),
+        tray.add([textFile('b.txt', 6 * MB)]),
+        tray.add([textFile('c.txt', 6 * MB)])
+    ]);
+    assert.deepEqual(results, [1, 1, 0]);
+    assert.ok(tray.take().reduce((sum, attachment) => sum + attachment.size, 0) <= ATTACHMENT_LIMITS.maxTotalBytes);
+});
+
+test('unsupported, empty and oversized files are rejected', async () => {
+    const tray = new AttachmentTray({});
+    const added = await tray.add([
+        new File([new Uint8Array(4)], 'program.exe', { type: 'application/octet-stream' }),
+        textFile('empty.txt', 0),
+        textFile('huge.txt', ATTACHMENT_LIMITS.maxFileBytes + 1)
+    ]);
+    assert.equal(added, 0);
+});
+
+test('checkAttachmentLimits: accepts a message within the limits', () => {
+    assert.equal(checkAttachmentLimits([{ name: 'a', size: MB }, { name: 'b', size: MB }]), null);
+});
+
+test('checkAttachmentLimits: reports too many files, oversized files and a too large total', () => {
+    const small = { name: 'small', size: 1 };
+    assert.match(checkAttachmentLimits(Array(ATTACHMENT_LIMITS.maxFiles + 1).fill(small)), /At most 5 files/);
+    assert.match(checkAttachmentLimits([{ name: 'big.pdf', size: ATTACHMENT_LIMITS.maxFileBytes + 1 }]), /big\.pdf is larger/);
+    assert.match(checkAttachmentLimits([{ name: 'a', size: 6 * MB }, { name: 'b', size: 6 * MB }, { name: 'c', size: 6 * MB }]), /exceed 15\.0 MB/);
+});
@@ -0,0 +1,171 @@
+/**
+ * Tests for the chat exporters and the JSON import.
+ * Run with: node --experimental-default-type=module --test $(find test -name '*.test.js')
+ */
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installFakeDom } from '../helpers/fake-dom.js';
+import {
+    exportChatAsJSON, exportChatAsMarkdown, exportChatAsHTML, parseChatImport, CHAT_EXPORT_FORMAT, CHAT_EXPORT_VERSION
+} from '../../js/chat/chat-export.js';
+
+const SETUP_CONFIG = {
+    generationConfig: { temperature: 0.7, responseModalities: ['TEXT'] },
+    systemInstruction: { parts: [{ text: 'You are a helpful assistant.' }] },
+    tools: {
+        functionDeclarations: [{
+            name: 'googleSearch',
+            description: 'Searches the web.',
+            parameters: { type: 'OBJECT', properties: { query: { type: 'STRING' } }, required: ['query'] }
+        }]
+    },
+    safetySettings: [{ category: 'HARM_CATEGORY_HARASSMENT', threshold: 'BLOCK_NONE' }]
+};
+
+const SESSION = {
+    id: 'session-1',
+    title: 'Weather <today>',
+    createdAt: Date.UTC(2025, 0, 2, 10, 0, 0),
+    model: 'models/gemini-2.0-flash-exp',
+    config: SETUP_CONFIG
+};
+
+const TURNS = [
+    { role: 'user', type: 'text', text: 'What is the weather in Paris?', timestamp: Date.UTC(2025, 0, 2, 10, 0, 1) },
+    {
+        role: 'tool',
+        type: 'tool_call',
+        toolCalls: [{ name: 'googleSearch', args: { query: 'Paris weather' }, output: { results: [] } }],
+        timestamp: Date.UTC(2025, 0, 2, 10, 0, 2)
+    },
+    {
+        role: 'model',
+        type: 'text',
+        text: 'It is **sunny** [1].',
+        sources: [{ index: 1, title: 'Forecast', url: 'https://example.com/paris', snippet: 'Sun', cited: true }],
+        timestamp: Date.UTC(2025, 0, 2, 10, 0, 3)
+    },
+    {
+        role: 'user',
+        type: 'text',
+        text: 'And this?',
+        images: [{ mimeType: 'image/png', data: 'iVBORw0KGgo=' }],
+        files: [{ name: 'notes.txt', mimeType: 'text/plain', size: 12 }],
+        timestamp: Date.UTC(2025, 0, 2, 10, 0, 4)
+    },
+    { role: 'user', type: 'audio', timestamp: Date.UTC(2025, 0, 2, 10, 0, 5) }
+];
+
+beforeEach(() => installFakeDom());
+
+test('JSON export round-trips through the import', () => {
+    const exported = exportChatAsJSON(SESSION, TURNS);
+    assert.equal(exported.format, CHAT_EXPORT_FORMAT);
+    assert.equal(exported.version, CHAT_EXPORT_VERSION);
+
+    const { meta, turns } = parseChatImport(JSON.stringify(exported));
+    assert.deepEqual(meta, { title: SESSION.title, createdAt: SESSION.createdAt, model: SESSION.model, config: SETUP_CONFIG });
+    assert.equal(turns.length, TURNS.length);
+    turns.forEach((turn, i) => {
+        const original = TURNS[i];
+        assert.equal(turn.role, original.role);
+        assert.equal(turn.type, original.type);
+        assert.equal(turn.text, original.text || '');
+        assert.deepEqual(turn.images, original.images || []);
+        assert.deepEqual(turn.files, original.files || []);
+        assert.deepEqual(turn.toolCalls, original.toolCalls || []);
+        assert.deepEqual(turn.sources, original.sources || []);
+        assert.equal(turn.timestamp, original.timestamp);
+    });
+});
+
+test('JSON export keeps the tool declarations of the setup', () => {
+    const exported = exportChatAsJSON(SESSION, TURNS);
+    assert.deepEqual(exported.session.config.tools.functionDeclarations.map(declaration => declaration.name), ['googleSearch']);
+});
+
+test('import rejects files that are not chat exports', () => {
+    assert.throws(() => parseChatImport('not json'), /not valid JSON/);
+    assert.throws(() => parseChatImport(JSON.stringify({ format: 'other', turns: [] })), /not a chat export/);
+    assert.throws(() => parseChatImport(JSON.stringify({ format: CHAT_EXPORT_FORMAT })), /not a chat export/);
+    assert.throws(
+        () => parseChatImport(JSON.stringify({ format: CHAT_EXPORT_FORMAT, version: CHAT_EXPORT_VERSION + 1, turns: [] })),
+        /newer than this app supports/
+    );
+});
+
+test('import drops invalid turns and fields', () => {
+    const { meta, turns } = parseChatImport(JSON.stringify({
+        format: CHAT_EXPORT_FORMAT,
+        version: 1,
+        session: { title: 42, createdAt: 'not a date' },
+        turns: [
+            { role: 'system', text: 'Injected' },
+            null,
+            {
+                role: 'user',
+                type: 'video',
+                text: 5,
+                images: [{ mimeType: 'image/png' }, { mimeType: 'image/png', data: 'AAAA' }],
+                files: [{ name: 'a.pdf', mimeType: 'application/pdf', size: 3, data: 'secret' }, { size: 1 }],
+                toolCalls: 'nope',
+                timestamp: 'never'
+            }
+        ]
+    }));
+    assert.equal(meta.title, '');
+    assert.ok(Number.isFinite(meta.createdAt));
+    assert.equal(meta.config, null);
+    assert.equal(turns.length, 1);
+    const [turn] = turns;
+    assert.equal(turn.type, 'text');
+    assert.equal(turn.text, '');
+    assert.deepEqual(turn.images, [{ mimeType: 'image/png', data: 'AAAA' }]);
+    assert.deepEqual(turn.files, [{ name: 'a.pdf', mimeType: 'application/pdf', size: 3 }]);
+    assert.deepEqual(turn.toolCalls, []);
+    assert.ok(Number.isFinite(turn.timestamp));
+});
+
+test('Markdown export lists every turn with its tool calls, attachments and sources', () => {
+    const markdown = exportChatAsMarkdown(SESSION, TURNS);
+    assert.ok(markdown.startsWith('# Weather <today>\n'));
+    assert.ok(markdown.includes(`- Model: ${SESSION.model}`));
+    assert.ok(markdown.includes('What is the weather in Paris?'));
+    assert.ok(markdown.includes('**googleSearch**'));
+    assert.ok(markdown.includes('"query": "Paris weather"'));
+    assert.ok(markdown.includes('1. [Forecast](https://example.com/paris)'));
+    assert.ok(markdown.includes('_(image 1: image/png)_'));
+    assert.ok(markdown.includes('_(file: notes.txt)_'));
+    assert.ok(markdown.includes('_(audio message)_'));
+    assert.equal((markdown.match(/^## /gm) || []).length, TURNS.length);
+});
+
+test('HTML export renders model markdown and escapes everything else', () => {
+    const html = exportChatAsHTML(SESSION, [
+        ...TURNS,
+        { role: 'user', type: 'text', text: '<script>alert(1)</script>', timestamp: SESSION.createdAt },
+        { role: 'model', type: 'text', text: '```js\nconst a = 1;\n```', timestamp: SESSION.createdAt }
+    ]);
+    assert.ok(html.startsWith('<!DOCTYPE html>'));
+    assert.ok(html.includes('<title>Weather &lt;today&gt;</title>'));
+    assert.ok(html.includes('<strong>sunny</strong>'));
+    assert.ok(html.includes('&lt;script&gt;alert(1)&lt;/script&gt;'));
+    assert.ok(!html.includes('<script>'));
+    assert.ok(html.includes('<img src="data:image/png;base64,iVBORw0KGgo="'));
+    assert.ok(html.includes('href="https://example.com/paris"'));
+    assert.ok(html.includes('<summary>Tool call: googleSearch</summary>'));
+    assert.ok(!html.includes('md-copy-btn'), 'copy buttons are removed from the export');
+});
+
+test('HTML export does not embed attachments with unexpected MIME types or link non-web sources', () => {
+    const html = exportChatAsHTML(SESSION, [{
+        role: 'model',
+        type: 'text',
+        text: 'See [1].',
+        images: [{ mimeType: 'text/html"onload="alert(1)', data: 'AAAA' }],
+        sources: [{ index: 1, title: 'Bad', url: 'javascript:alert(1)' }],
+        timestamp: SESSION.createdAt
+    }]);
+    assert.ok(!html.includes('<img'));
+    assert.ok(!html.includes('javascript:'));
+});
@@ -0,0 +1,103 @@
+/**
+ * Tests for the budget logic that picks which chat turns are replayed into a new Live session.
+ * Run with: node --experimental-default-type=module --test $(find test -name '*.test.js')
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildContextTurns, estimateTokens } from '../../js/chat/context-replay.js';
+
+/**
+ * Builds alternating stored turns, user first.
+ * @param {number} count
+ * @param {function(number): string} [textFor] - Text of turn i.
+ * @returns {Array<Object>}
+ */
+function dialog(count, textFor = i => `Message ${i}. More detail about message ${i}.`) {
+    return Array.from({ length: count }, (_, i) => ({
+        role: i % 2 === 0 ? 'user' : 'model',
+        type: 'text',
+        text: textFor(i)
+    }));
+}
+
+const LARGE_BUDGET = { maxTurns: 100, maxTokens: 100000 };
+
+test('nothing is replayed for an empty chat or a zero budget', () => {
+    assert.deepEqual(buildContextTurns([], LARGE_BUDGET), []);
+    assert.deepEqual(buildContextTurns(null, LARGE_BUDGET), []);
+    assert.deepEqual(buildContextTurns(dialog(4), { maxTurns: 0, maxTokens: 1000 }), []);
+    assert.deepEqual(buildContextTurns(dialog(4), { maxTurns: 10, maxTokens: 0 }), []);
+});
+
+test('a chat within budget is replayed verbatim', () => {
+    const turns = buildContextTurns(dialog(4), LARGE_BUDGET);
+    assert.deepEqual(turns.map(turn => turn.role), ['user', 'model', 'user', 'model']);
+    assert.deepEqual(turns[3].parts, [{ text: 'Message 3. More detail about message 3.' }]);
+});
+
+test('audio placeholders and tool records are skipped and same-speaker turns merged', () => {
+    const turns = buildContextTurns([
+        { role: 'user', type: 'audio' },
+        { role: 'user', type: 'text', text: 'First part' },
+        { role: 'user', type: 'transcript', text: 'second part' },
+        { role: 'tool', type: 'tool_call', toolCalls: [{ name: 'googleSearch' }] },
+        { role: 'model', type: 'text', text: '  Answer  ' }
+    ], LARGE_BUDGET);
+    assert.deepEqual(turns, [
+        { role: 'user', parts: [{ text: 'First part\nsecond part' }] },
+        { role: 'model', parts: [{ text: 'Answer' }] }
+    ]);
+});
+
+test('maxTurns: only the most recent turns are verbatim, older ones become excerpts in the first turn', () => {
+    const turns = buildContextTurns(dialog(10), { maxTurns: 4, maxTokens: 100000 });
+    assert.equal(turns.length, 4);
+    assert.equal(turns[0].role, 'user');
+    const [excerpts, first] = turns[0].parts;
+    assert.match(excerpts.text, /^Excerpts from the earlier part/);
+    for (let i = 0; i < 6; i++) {
+        assert.ok(excerpts.text.includes(`: Message ${i}.`), `excerpt of message ${i}`);
+    }
+    assert.ok(!excerpts.text.includes('More detail'), 'older messages are cut to their first sentence');
+    assert.equal(first.text, 'Message 6. More detail about message 6.');
+});
+
+test('older turns: excerpts get their own user turn when the recent part starts with the model', () => {
+    const turns = buildContextTurns(dialog(9), { maxTurns: 4, maxTokens: 100000 });
+    assert.deepEqual(turns.map(turn => turn.role), ['user', 'model', 'user', 'model', 'user']);
+    assert.equal(turns[0].parts.length, 1);
+    assert.match(turns[0].parts[0].text, /^Excerpts/);
+});
+
+test('older turns: long first sentences are cut with an ellipsis', () => {
+    const long = 'x'.repeat(400);
+    const turns = buildContextTurns(dialog(3, i => (i === 0 ? long : `Message ${i}.`)), { maxTurns: 1, maxTokens: 100000 });
+    const line = turns[0].parts[0].text.split('\n').find(text => text.startsWith('- User: x'));
+    assert.equal(line.length, '- User: '.length + 160);
+    assert.ok(line.endsWith('…'));
+});
+
+test('maxTokens: recent turns stop at three quarters of the budget', () => {
+    // Each message is 100 tokens; 3/4 of 500 leaves room for 3 recent turns
+    const turns = buildContextTurns(dialog(8, i => `${i}`.padEnd(400, '.')), { maxTurns: 100, maxTokens: 500 });
+    const verbatim = turns.flatMap(turn => turn.parts).filter(part => !part.text.startsWith('Excerpts'));
+    assert.equal(verbatim.length, 3);
+    assert.ok(turns.flatMap(turn => turn.parts).reduce((sum, part) => sum + estimateTokens(part.text), 0) <= 500);
+});
+
+test('maxTokens: the oldest excerpts are dropped when they do not all fit', () => {
+    const turns = buildContextTurns(dialog(60), { maxTurns: 2, maxTokens: 200 });
+    const excerpts = turns[0].parts[0].text;
+    assert.match(excerpts, /\(\d+ older message\(s\) omitted\)/);
+    assert.ok(excerpts.includes(': Message 57.'), 'newest older message kept');
+    assert.ok(!excerpts.includes(': Message 0.'), 'oldest message dropped');
+    const total = turns.flatMap(turn => turn.parts).reduce((sum, part) => sum + estimateTokens(part.text), 0);
+    assert.ok(total <= 200 + 10, `${total} tokens`); // The omitted-count line is not budgeted
+});
+
+test('a turn larger than the recent budget is replayed only as an excerpt', () => {
+    const turns = buildContextTurns(dialog(1, () => 'y'.repeat(4000)), { maxTurns: 10, maxTokens: 100 });
+    assert.equal(turns.length, 1);
+    assert.equal(turns[0].parts.length, 1);
+    assert.match(turns[0].parts[0].text, /^Excerpts[^\n]*\n- User: y{159}…$/);
+});
@@ -0,0 +1,136 @@
+/**
+ * Tests that the markdown renderer keeps hostile or half-streamed model output inert.
+ * Run with: node --experimental-default-type=module --test $(find test -name '*.test.js')
+ */
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installFakeDom } from '../helpers/fake-dom.js';
+import { renderMarkdown } from '../../js/chat/markdown-renderer.js';
+
+/** Elements the renderer may create; anything else in the output is a leak */
+const ALLOWED_TAGS = new Set([
+    'p', 'br', 'strong', 'em', 'del', 'code', 'pre', 'span', 'a', 'div', 'button', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+    'hr', 'blockquote', 'ul', 'ol', 'li', 'input', 'table', 'thead', 'tbody', 'tr', 'th', 'td'
+]);
+
+beforeEach(() => installFakeDom());
+
+/**
+ * Renders markdown into a fresh container.
+ * @param {string} text
+ * @returns {Object} The container.
+ */
+function render(text) {
+    const container = document.createElement('div');
+    renderMarkdown(container, text);
+    return container;
+}
+
+/**
+ * Fails if the rendered tree contains an unexpected element, an event handler attribute
+ * or a link to anything but http(s) or mailto.
+ * @param {Object} container
+ */
+function assertInert(container) {
+    container.descendants().forEach(element => {
+        assert.ok(ALLOWED_TAGS.has(element.localName), `unexpected <${element.localName}>`);
+        [...element.attributes.keys()].forEach(name => assert.doesNotMatch(name, /^on/i, `event handler ${name} on <${element.localName}>`));
+    });
+    container.querySelectorAll('[href]').forEach(link => assert.match(link.href, /^(https?:|mailto:)/i));
+    container.querySelectorAll('[src]').forEach(element => assert.fail(`<${element.localName}> loads ${element.src}`));
+}
+
+test('raw script tags are shown as text', () => {
+    const container = render('Before <script>alert("x")</script> after');
+    assertInert(container);
+    assert.equal(container.innerHTML, '<p>Before &lt;script&gt;alert("x")&lt;/script&gt; after</p>');
+    assert.equal(container.querySelectorAll('script').length, 0);
+});
+
+test('HTML with event handler attributes is shown as text', () => {
+    const container = render('<img src=x onerror="alert(1)">\n\n<div onclick=alert(2)>click</div>');
+    assertInert(container);
+    assert.deepEqual(container.children.map(child => child.textContent), [
+        '<img src=x onerror="alert(1)">',
+        '<div onclick=alert(2)>click</div>'
+    ]);
+});
+
+test('javascript: and data: links are rendered without a target', () => {
+    const container = render([
+        '[click me](javascript:alert(1))',
+        '[shout](JavaScript:alert(document.cookie))',
+        '![pic](data:image/svg+xml;base64,PHN2Zz48L3N2Zz4=)',
+        '<javascript:alert(1)>'
+    ].join('\n\n'));
+    assertInert(container);
+    assert.equal(container.querySelectorAll('a').length, 0);
+    assert.match(container.textContent, /click me/);
+    assert.match(container.textContent, /<javascript:alert\(1\)>/);
+});
+
+test('safe links open in a new tab with the opener cut off', () => {
+    const container = render('[docs](https://example.com/a?b=1&c="2" "Docs") and <mailto:someone@example.com>');
+    assertInert(container);
+    const links = container.querySelectorAll('a');
+    assert.deepEqual(links.map(link => [link.href, link.target, link.rel]), [
+        ['https://example.com/a?b=1&c="2"', '_blank', 'noopener noreferrer'],
+        ['mailto:someone@example.com', '_blank', 'noopener noreferrer']
+    ]);
+    assert.equal(links[0].title, 'Docs');
+    // Attribute values are escaped when the tree is serialized (e.g. for the HTML export)
+    assert.match(links[0].outerHTML, /href="https:\/\/example\.com\/a\?b=1&amp;c=&quot;2&quot;"/);
+});
+
+test('markup inside code is kept as text', () => {
+    const container = render('Use `<script>` carefully.\n\n```html\n<script src="https://evil.example/x.js"></script>\n<img onerror=alert(1)>\n```');
+    assertInert(container);
+    assert.equal(container.querySelector('.md-inline-code').textContent, '<script>');
+    assert.equal(container.querySelector('pre').textContent, '<script src="https://evil.example/x.js"></script>\n<img onerror=alert(1)>');
+});
+
+test('a half-streamed fence renders as an open code block', () => {
+    const container = render('Here is the fix:\n\n```js\nconst html = "<img onerror=alert(1)>";\nif (');
+    assertInert(container);
+    const blocks = container.querySelectorAll('.md-code-block');
+    assert.equal(blocks.length, 1);
+    assert.equal(blocks[0].querySelector('pre').textContent, 'const html = "<img onerror=alert(1)>";\nif (');
+    assert.equal(container.querySelectorAll('p').length, 1);
+});
+
+test('text after a fence closes mid-stream leaves the code block', () => {
+    const partial = render('```python\nprint("hi")\n``');
+    assert.equal(partial.querySelector('pre').textContent, 'print("hi")\n``');
+
+    const closed = render('```python\nprint("hi")\n```\nDone <b>now</b>.');
+    assertInert(closed);
+    assert.equal(closed.querySelector('pre').textContent, 'print("hi")');
+    assert.equal(closed.querySelector('p').textContent, 'Done <b>now</b>.');
+});
+
+test('every prefix of a streamed message renders safely', () => {
+    const message = [
+        '# Title <script>x()</script>',
+        '',
+        'See [link](https://example.com) and [bad](javascript:void(0)) with **bold _and_ italic**.',
+        '',
+        '```js',
+        'element.innerHTML = "<img src=x onerror=alert(1)>";',
+        '```',
+        '',
+        '| a | b |',
+        '|---|:-:|',
+        '| `x` | <b onmouseover=alert(1)>y</b> |',
+        '',
+        '- [ ] task <iframe src="https://evil.example">',
+        '  - nested'
+    ].join('\n');
+    const container = document.createElement('div');
+    for (let end = 0; end <= message.length; end++) {
+        renderMarkdown(container, message.slice(0, end));
+        assertInert(container);
+    }
+    // The bare URL in the iframe text is an ordinary https link; the javascript: one is not linked
+    assert.deepEqual(container.querySelectorAll('a').map(link => link.href), ['https://example.com', 'https://evil.example']);
+    assert.equal(container.querySelectorAll('table').length, 1);
+});
@@ -0,0 +1,56 @@
+/**
+ * Tests for the per-turn search source bookkeeping behind the chat's "Sources" lists.
+ * Run with: node --experimental-default-type=module --test $(find test -name '*.test.js')
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TurnSources } from '../../js/chat/search-sources.js';
+
+const RESULTS = [
+    { index: 1, title: 'First', url: 'https://example.com/one', snippet: 'One' },
+    { index: 2, title: 'Second', url: 'https://example.com/two', snippet: 'Two' },
+    { index: 3, title: 'Third', url: 'https://example.com/three', snippet: 'Three' }
+];
+
+test('a message takes only the results it cites', () => {
+    const sources = new TurnSources();
+    sources.add(RESULTS);
+    const taken = sources.take('See [2] and https://example.com/three.');
+    assert.deepEqual(taken.map(source => [source.index, source.cited]), [[2, true], [3, true]]);
+});
+
+test('a message without citations takes all results, flagged as not cited', () => {
+    const sources = new TurnSources();
+    sources.add(RESULTS);
+    const taken = sources.take('Here is what I found.');
+    assert.deepEqual(taken.map(source => [source.index, source.cited]), [[1, false], [2, false], [3, false]]);
+});
+
+test('results are taken once', () => {
+    const sources = new TurnSources();
+    sources.add(RESULTS);
+    sources.take('[1]');
+    assert.deepEqual(sources.take('[1]'), []);
+});
+
+test('audio-only turn: results of a turn without a text message do not reach the next message', () => {
+    const sources = new TurnSources();
+    sources.add(RESULTS); // Search during a spoken reply; no streaming text message is ever finalized
+    assert.equal(sources.endTurn(), 3);
+    assert.deepEqual(sources.take('Unrelated next reply [1]'), []);
+});
+
+test('results added after a turn ended belong to the next message', () => {
+    const sources = new TurnSources();
+    sources.add(RESULTS.slice(0, 1));
+    sources.endTurn();
+    sources.add(RESULTS.slice(1));
+    assert.deepEqual(sources.take('[2]').map(source => source.index), [2]);
+});
+
+test('malformed results are ignored', () => {
+    const sources = new TurnSources();
+    sources.add(null);
+    sources.add({ index: 1 });
+    assert.equal(sources.endTurn(), 0);
+});
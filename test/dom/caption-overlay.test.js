@@ -0,0 +1,125 @@
+/**
+ * Tests for the SRT and WebVTT transcript export of the caption overlay.
+ * Run with: node --experimental-default-type=module --test $(find test -name '*.test.js')
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildSubtitles, subtitleTime, speakerLabel } from '../../js/dom/caption-overlay.js';
+
+const ORIGIN = Date.UTC(2025, 0, 2, 10, 0, 0);
+
+/**
+ * A transcript cue at the given offsets from ORIGIN.
+ * @param {number|null} start - Offset in ms, or null when the backend gave no time.
+ * @param {number|null} end
+ * @param {string} text
+ * @param {'user'|'model'} [role='user']
+ * @returns {Object}
+ */
+function cue(start, end, text, role = 'user') {
+    return {
+        role,
+        speaker: null,
+        text,
+        start: start == null ? null : ORIGIN + start,
+        end: end == null ? null : ORIGIN + end
+    };
+}
+
+/**
+ * The time lines of a subtitle file.
+ * @param {string} content
+ * @returns {Array<string>}
+ */
+function timeLines(content) {
+    return content.split('\n').filter(line => line.includes(' --> '));
+}
+
+test('times roll over into minutes and hours', () => {
+    assert.equal(subtitleTime(0, 'srt'), '00:00:00,000');
+    assert.equal(subtitleTime(59999, 'srt'), '00:00:59,999');
+    assert.equal(subtitleTime(60000, 'srt'), '00:01:00,000');
+    assert.equal(subtitleTime(3599999, 'srt'), '00:59:59,999');
+    assert.equal(subtitleTime(3600000, 'srt'), '01:00:00,000');
+    assert.equal(subtitleTime(10 * 3600000 + 62005, 'srt'), '10:01:02,005');
+});
+
+test('SRT uses a decimal comma and WebVTT a decimal point', () => {
+    assert.equal(subtitleTime(3723456, 'srt'), '01:02:03,456');
+    assert.equal(subtitleTime(3723456, 'vtt'), '01:02:03.456');
+});
+
+test('times are rounded to whole ms and never negative', () => {
+    assert.equal(subtitleTime(1234.6, 'vtt'), '00:00:01.235');
+    assert.equal(subtitleTime(-500, 'vtt'), '00:00:00.000');
+});
+
+test('an SRT file numbers its cues and prefixes the speaker', () => {
+    const content = buildSubtitles([
+        cue(1000, 2500, 'Hello there'),
+        cue(3000, 5000, 'Hi! How can I help?', 'model')
+    ], { format: 'srt', origin: ORIGIN });
+    assert.equal(content, [
+        '1', '00:00:01,000 --> 00:00:02,500', 'You: Hello there', '',
+        '2', '00:00:03,000 --> 00:00:05,000', 'Gemini: Hi! How can I help?', ''
+    ].join('\n'));
+});
+
+test('a WebVTT file has a header, voice tags and escaped text', () => {
+    const content = buildSubtitles([cue(3600000, 3602000, 'Is 1 < 2 & 3 > 2?', 'model')], { format: 'vtt', origin: ORIGIN });
+    assert.equal(content, [
+        'WEBVTT', '',
+        '1', '01:00:00.000 --> 01:00:02.000', '<v Gemini>Is 1 &lt; 2 &amp; 3 &gt; 2?', ''
+    ].join('\n'));
+});
+
+test('cues are written in start order and numbered after sorting', () => {
+    // The model's reply can finish before the user's overlapping utterance does
+    const content = buildSubtitles([
+        cue(4000, 6000, 'Second', 'model'),
+        cue(1000, 7000, 'First'),
+        cue(8000, 9000, 'Third')
+    ], { format: 'srt', origin: ORIGIN });
+    const blocks = content.trim().split('\n\n').map(block => block.split('\n'));
+    assert.deepEqual(blocks.map(([number, , text]) => [number, text]), [
+        ['1', 'You: First'],
+        ['2', 'Gemini: Second'],
+        ['3', 'You: Third']
+    ]);
+});
+
+test('short cues are stretched to the minimum length', () => {
+    const content = buildSubtitles([cue(1000, 1100, 'Hm'), cue(2000, 1500, 'Backwards')], { format: 'vtt', origin: ORIGIN });
+    assert.deepEqual(timeLines(content), [
+        '00:00:01.000 --> 00:00:01.700',
+        '00:00:02.000 --> 00:00:02.700'
+    ]);
+});
+
+test('cues without times follow the cue before them', () => {
+    const content = buildSubtitles([
+        cue(null, null, 'No times at all'),
+        cue(2000, null, 'No end'),
+        cue(null, 5000, 'No start'),
+        cue(null, null, 'Neither again')
+    ], { format: 'srt', origin: ORIGIN });
+    assert.deepEqual(timeLines(content), [
+        '00:00:00,000 --> 00:00:00,700',
+        '00:00:02,000 --> 00:00:02,700',
+        '00:00:02,700 --> 00:00:05,000',
+        '00:00:05,000 --> 00:00:05,700'
+    ]);
+    assert.doesNotMatch(content, /NaN/);
+});
+
+test('cues from before the session start are clamped to zero', () => {
+    const content = buildSubtitles([cue(-2000, 1000, 'Started early')], { format: 'vtt', origin: ORIGIN });
+    assert.deepEqual(timeLines(content), ['00:00:00.000 --> 00:00:01.000']);
+});
+
+test('speakers are labelled by role and speaker index', () => {
+    assert.equal(speakerLabel('model', 0), 'Gemini');
+    assert.equal(speakerLabel('user', null), 'You');
+    assert.equal(speakerLabel('user', 0), 'Speaker 1');
+    assert.equal(speakerLabel('user', 2), 'Speaker 3');
+});
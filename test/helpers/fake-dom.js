@@ -0,0 +1,207 @@
+/**
+ * A small stand-in for the browser DOM, enough for modules that build nodes with
+ * createElement/textContent (the markdown renderer, the HTML chat export) to run under node:test.
+ * Serialization escapes text and attribute values the way browsers do, so tests can inspect
+ * both the node tree and the resulting HTML.
+ */
+
+const VOID_ELEMENTS = new Set(['br', 'hr', 'img', 'input', 'link', 'meta']);
+
+/** Properties that reflect an attribute of the same name */
+const REFLECTED_ATTRIBUTES = ['href', 'target', 'rel', 'title', 'type', 'id', 'src', 'alt', 'value', 'start'];
+
+/** Boolean properties that reflect an attribute that is present or absent */
+const BOOLEAN_ATTRIBUTES = ['disabled', 'checked'];
+
+const escapeText = text => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+const escapeAttribute = text => escapeText(text).replace(/"/g, '&quot;');
+
+class FakeNode {
+    constructor() {
+        this.childNodes = [];
+        this.parentNode = null;
+    }
+
+    /** Elements among the child nodes */
+    get children() {
+        return this.childNodes.filter(node => node instanceof FakeElement);
+    }
+
+    get textContent() {
+        return this.childNodes.map(node => node.textContent).join('');
+    }
+
+    set textContent(text) {
+        this.replaceChildren(new FakeText(text));
+    }
+
+    get isConnected() {
+        return false;
+    }
+
+    appendChild(node) {
+        if (node instanceof FakeDocumentFragment) {
+            [...node.childNodes].forEach(child => this.appendChild(child));
+            return node;
+        }
+        node.parentNode?.removeChild(node);
+        node.parentNode = this;
+        this.childNodes.push(node);
+        return node;
+    }
+
+    append(...nodes) {
+        nodes.forEach(node => this.appendChild(typeof node === 'string' ? new FakeText(node) : node));
+    }
+
+    removeChild(node) {
+        this.childNodes = this.childNodes.filter(child => child !== node);
+        node.parentNode = null;
+        return node;
+    }
+
+    replaceChildren(...nodes) {
+        [...this.childNodes].forEach(child => this.removeChild(child));
+        this.append(...nodes);
+    }
+
+    remove() {
+        this.parentNode?.removeChild(this);
+    }
+
+    /**
+     * All descendant elements, in document order.
+     * @returns {Array<FakeElement>}
+     */
+    descendants() {
+        return this.children.flatMap(child => [child, ...child.descendants()]);
+    }
+
+    /**
+     * Supports single simple selectors: `tag`, `.class` and `[attribute]`.
+     * @param {string} selector
+     * @returns {Array<FakeElement>}
+     */
+    querySelectorAll(selector) {
+        const match = element => {
+            if (selector.startsWith('.')) return element.classList.contains(selector.slice(1));
+            if (selector.startsWith('[')) return element.hasAttribute(selector.slice(1, -1));
+            return element.localName === selector.toLowerCase();
+        };
+        return this.descendants().filter(match);
+    }
+
+    querySelector(selector) {
+        return this.querySelectorAll(selector)[0] || null;
+    }
+
+    get innerHTML() {
+        return this.childNodes.map(node => node.outerHTML).join('');
+    }
+}
+
+class FakeText extends FakeNode {
+    constructor(data) {
+        super();
+        this.data = String(data);
+    }
+
+    get textContent() {
+        return this.data;
+    }
+
+    set textContent(text) {
+        this.data = String(text);
+    }
+
+    get outerHTML() {
+        return escapeText(this.data);
+    }
+}
+
+class FakeDocumentFragment extends FakeNode {}
+
+class FakeElement extends FakeNode {
+    constructor(tagName) {
+        super();
+        this.localName = tagName.toLowerCase();
+        this.tagName = this.localName.toUpperCase();
+        this.attributes = new Map();
+        this.style = {};
+        this.listeners = {};
+        const element = this;
+        this.classList = {
+            contains: name => element.className.split(/\s+/).includes(name),
+            add: (...names) => { element.className = [...new Set([...element.className.split(/\s+/), ...names])].filter(Boolean).join(' '); },
+            remove: (...names) => { element.className = element.className.split(/\s+/).filter(name => !names.includes(name)).join(' '); }
+        };
+    }
+
+    get className() {
+        return this.getAttribute('class') || '';
+    }
+
+    set className(value) {
+        this.setAttribute('class', value);
+    }
+
+    getAttribute(name) {
+        return this.attributes.has(name) ? this.attributes.get(name) : null;
+    }
+
+    setAttribute(name, value) {
+        this.attributes.set(name.toLowerCase(), String(value));
+    }
+
+    hasAttribute(name) {
+        return this.attributes.has(name.toLowerCase());
+    }
+
+    removeAttribute(name) {
+        this.attributes.delete(name.toLowerCase());
+    }
+
+    addEventListener(type, listener) {
+        (this.listeners[type] ||= []).push(listener);
+    }
+
+    get outerHTML() {
+        const styles = Object.entries(this.style)
+            .map(([property, value]) => `${property.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`)}: ${value};`)
+            .join(' ');
+        const attributes = [...this.attributes, ...(styles ? [['style', styles]] : [])]
+            .map(([name, value]) => (value === '' ? ` ${name}` : ` ${name}="${escapeAttribute(value)}"`))
+            .join('');
+        if (VOID_ELEMENTS.has(this.localName)) return `<${this.localName}${attributes}>`;
+        return `<${this.localName}${attributes}>${this.innerHTML}</${this.localName}>`;
+    }
+}
+
+REFLECTED_ATTRIBUTES.forEach(name => {
+    Object.defineProperty(FakeElement.prototype, name, {
+        get() { return this.getAttribute(name) ?? ''; },
+        set(value) { this.setAttribute(name, value); }
+    });
+});
+BOOLEAN_ATTRIBUTES.forEach(name => {
+    Object.defineProperty(FakeElement.prototype, name, {
+        get() { return this.hasAttribute(name); },
+        set(value) { value ? this.setAttribute(name, '') : this.removeAttribute(name); }
+    });
+});
+
+/**
+ * Installs a fresh fake `document` on globalThis.
+ * @returns {Object} The document.
+ */
+export function installFakeDom() {
+    const document = {
+        head: new FakeElement('head'),
+        body: new FakeElement('body'),
+        createElement: tagName => new FakeElement(tagName),
+        createTextNode: text => new FakeText(text),
+        createDocumentFragment: () => new FakeDocumentFragment()
+    };
+    globalThis.document = document;
+    return document;
+}
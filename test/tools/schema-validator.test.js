@@ -0,0 +1,209 @@
+/**
+ * Tests for the tool schema validator and how ToolManager applies it to declarations and calls.
+ * Run with: node --experimental-default-type=module --test $(find test -name '*.test.js')
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateDeclaration, validateArgs } from '../../js/tools/schema-validator.js';
+import { ToolManager } from '../../js/tools/tool-manager.js';
+
+/** A declaration using every supported kind of schema */
+const WEATHER_DECLARATION = {
+    name: 'getWeather',
+    description: 'Gets the weather forecast for a place.',
+    parameters: {
+        type: 'OBJECT',
+        properties: {
+            location: {
+                type: 'OBJECT',
+                properties: {
+                    city: { type: 'STRING', minLength: 1 },
+                    country: { type: 'STRING', nullable: true }
+                },
+                required: ['city']
+            },
+            days: { type: 'INTEGER', minimum: 1, maximum: 7 },
+            units: { type: 'STRING', enum: ['celsius', 'fahrenheit'] },
+            hourly: { type: 'BOOLEAN' },
+            fields: { type: 'ARRAY', items: { type: 'STRING' }, maxItems: 3 }
+        },
+        required: ['location', 'units']
+    }
+};
+
+/**
+ * The paths of a list of validation errors.
+ * @param {Array<{path: string, message: string}>} errors
+ * @returns {Array<string>}
+ */
+function paths(errors) {
+    return errors.map(error => error.path);
+}
+
+/**
+ * A tool with a fixed declaration whose execute() records its arguments.
+ * @param {Object} declaration
+ * @returns {{getDeclaration: Function, execute: Function, calls: Array<Object>}}
+ */
+function fakeTool(declaration) {
+    const tool = {
+        calls: [],
+        getDeclaration: () => declaration,
+        execute: async args => {
+            tool.calls.push(args);
+            return { forecast: 'sunny' };
+        }
+    };
+    return tool;
+}
+
+test('a well-formed declaration has no errors', () => {
+    assert.deepEqual(validateDeclaration(WEATHER_DECLARATION), []);
+    assert.deepEqual(validateDeclaration({ name: 'ping' }), []);
+    // Types are matched case-insensitively
+    assert.deepEqual(validateDeclaration({ name: 'ping', parameters: { type: 'object', properties: {} } }), []);
+});
+
+test('declarations with bad names or top-level types are rejected', () => {
+    assert.deepEqual(paths(validateDeclaration(null)), ['declaration']);
+    assert.deepEqual(paths(validateDeclaration({ name: '1st-tool' })), ['name']);
+    assert.deepEqual(paths(validateDeclaration({ name: 'x'.repeat(65) })), ['name']);
+    assert.deepEqual(paths(validateDeclaration({ name: 'ping', description: 42 })), ['description']);
+    assert.deepEqual(paths(validateDeclaration({ name: 'ping', parameters: { type: 'STRING' } })), ['parameters.type']);
+});
+
+test('malformed schemas are reported with the path of the problem', () => {
+    const errors = validateDeclaration({
+        name: 'broken',
+        parameters: {
+            type: 'OBJECT',
+            properties: {
+                mode: { type: 'STRING', enum: [] },
+                level: { type: 'STRING', enum: [1, 2] },
+                size: { type: 'DECIMAL' },
+                tags: { type: 'ARRAY' },
+                nested: { type: 'OBJECT', properties: { deep: { type: 'STRING', additionalProperties: false } } }
+            },
+            required: ['mode', 'missing']
+        }
+    });
+    assert.deepEqual(paths(errors).sort(), [
+        'parameters.properties.level.enum',
+        'parameters.properties.mode.enum',
+        'parameters.properties.nested.properties.deep.additionalProperties',
+        'parameters.properties.size.type',
+        'parameters.properties.tags.items',
+        'parameters.required'
+    ]);
+    assert.match(errors.find(error => error.path === 'parameters.required').message, /"missing" is not defined/);
+});
+
+test('arguments matching the schema are accepted', () => {
+    const args = {
+        location: { city: 'Paris', country: null },
+        days: 3,
+        units: 'celsius',
+        hourly: false,
+        fields: ['wind', 'rain']
+    };
+    assert.deepEqual(validateArgs(WEATHER_DECLARATION.parameters, args), []);
+    assert.deepEqual(validateArgs(WEATHER_DECLARATION.parameters, { location: { city: 'Oslo' }, units: 'fahrenheit' }), []);
+});
+
+test('arguments of the wrong type are rejected', () => {
+    const errors = validateArgs(WEATHER_DECLARATION.parameters, {
+        location: { city: 'Paris' },
+        units: 'celsius',
+        days: '3',
+        hourly: 'yes',
+        fields: 'wind'
+    });
+    assert.deepEqual(errors, [
+        { path: 'args.days', message: 'Expected integer, got string.' },
+        { path: 'args.hourly', message: 'Expected boolean, got string.' },
+        { path: 'args.fields', message: 'Expected array, got string.' }
+    ]);
+    assert.deepEqual(validateArgs(WEATHER_DECLARATION.parameters, { location: { city: 'Paris' }, units: 'celsius', days: 2.5 }), [
+        { path: 'args.days', message: 'Expected integer, got 2.5.' }
+    ]);
+});
+
+test('missing required properties are reported at every level', () => {
+    assert.deepEqual(validateArgs(WEATHER_DECLARATION.parameters, { location: {} }), [
+        { path: 'args.units', message: 'Missing required property.' },
+        { path: 'args.location.city', message: 'Missing required property.' }
+    ]);
+    assert.deepEqual(paths(validateArgs(WEATHER_DECLARATION.parameters, undefined)), ['args.location', 'args.units']);
+});
+
+test('values outside an enum or a range are rejected', () => {
+    const errors = validateArgs(WEATHER_DECLARATION.parameters, {
+        location: { city: 'Paris' },
+        units: 'kelvin',
+        days: 10,
+        fields: ['a', 'b', 'c', 'd']
+    });
+    assert.deepEqual(errors, [
+        { path: 'args.units', message: 'Value must be one of: celsius, fahrenheit.' },
+        { path: 'args.days', message: 'Value must be <= 7.' },
+        { path: 'args.fields', message: 'Array must contain at most 3 item(s).' }
+    ]);
+});
+
+test('nested objects are checked for types, nulls and unknown properties', () => {
+    const errors = validateArgs(WEATHER_DECLARATION.parameters, {
+        location: { city: '', country: null, zip: '75001' },
+        units: 'celsius',
+        fields: ['wind', 7]
+    });
+    assert.deepEqual(errors, [
+        { path: 'args.location.city', message: 'String must be at least 1 characters long.' },
+        { path: 'args.location.zip', message: 'Unknown property. Allowed: city, country.' },
+        { path: 'args.fields[1]', message: 'Expected string, got number.' }
+    ]);
+    assert.deepEqual(validateArgs(WEATHER_DECLARATION.parameters, { location: null, units: 'celsius' }), [
+        { path: 'args.location', message: 'Value must not be null.' }
+    ]);
+});
+
+test('a declaration without parameters only accepts empty arguments', () => {
+    assert.deepEqual(validateArgs(undefined, undefined), []);
+    assert.deepEqual(validateArgs(undefined, {}), []);
+    assert.deepEqual(validateArgs(undefined, { extra: 1 }), [{ path: 'args', message: 'This function takes no arguments.' }]);
+});
+
+test('registerTool refuses invalid or mismatched declarations', () => {
+    const manager = new ToolManager();
+    assert.throws(() => manager.registerTool('broken', fakeTool({ name: 'broken', parameters: { type: 'STRING' } })),
+        /Invalid declaration for tool "broken": parameters\.type: Top-level parameters schema must be of type object\./);
+    assert.throws(() => manager.registerTool('getWeather', fakeTool({ ...WEATHER_DECLARATION, name: 'weather' })),
+        /does not match registered name "getWeather"/);
+    assert.equal(manager.tools.size, 0);
+
+    manager.registerTool('getWeather', fakeTool(WEATHER_DECLARATION));
+    assert.deepEqual(manager.getToolDeclarations(), [WEATHER_DECLARATION]);
+});
+
+test('handleToolCall returns a structured error for invalid arguments without running the tool', async () => {
+    const manager = new ToolManager();
+    const tool = fakeTool(WEATHER_DECLARATION);
+    manager.registerTool('getWeather', tool);
+
+    const response = await manager.handleToolCall({ id: 'call-1', name: 'getWeather', args: { location: { city: 'Paris' }, units: 'kelvin' } });
+    assert.deepEqual(response, {
+        id: 'call-1',
+        name: 'getWeather',
+        output: null,
+        error: {
+            message: 'Invalid arguments for "getWeather". Fix the listed problems and call the function again.',
+            validationErrors: [{ path: 'args.units', message: 'Value must be one of: celsius, fahrenheit.' }]
+        }
+    });
+    assert.equal(tool.calls.length, 0);
+    // The error goes back to the model inside a JSON tool response
+    assert.deepEqual(JSON.parse(JSON.stringify(response.error)), response.error);
+
+    const valid = await manager.handleToolCall({ id: 'call-2', name: 'getWeather', args: { location: { city: 'Paris' }, units: 'celsius' } });
+    assert.deepEqual(valid, { id: 'call-2', name: 'getWeather', output: { forecast: 'sunny' }, error: null });
+    assert.deepEqual(tool.calls, [{ location: { city: 'Paris' }, units: 'celsius' }]);
+});